@@ -1,10 +1,43 @@
 import crypto from 'node:crypto';
 import http from 'node:http';
+import { Worker } from 'node:worker_threads';
+import { signForgeRoomToken, verifyForgedWeapon } from './forgeSignature.js';
+import { COOP_SERVER_AUTHORITY_ID } from '../src/gameConfig.js';
+import {
+  COOP_PROTOCOL_VERSION,
+  MAX_PEER_INDEX,
+  SERVER_PEER_INDEX,
+  WORLD_BASELINE_LIMIT,
+  decodeMessage,
+  encodeGenericMessage,
+  encodeStateMessage,
+  encodeWorldMessage,
+  getMessageTypeId,
+  negotiateEncoding,
+  quantizeWorld,
+} from '../src/coopProtocol.js';
 
 const HOST = process.env.COOP_HOST || '0.0.0.0';
 const PORT = Number(process.env.COOP_PORT || 8787);
+// With a secret set, only weapons signed by the forge server's POST /forge/weapon are relayed.
+// Authoritative mode runs weapon code on the server, so it accepts signed weapons only (none without a secret).
+const WEAPON_SIGNING_SECRET = (process.env.FORGE_SIGNING_SECRET || '').trim();
+// Authoritative mode runs each room's combat in a worker (scripts/coopSimulationWorker.js) instead
+// of trusting the oldest client: hp, statuses, respawns, and control points come from the server.
+const AUTHORITATIVE = process.env.COOP_AUTHORITATIVE === '1' || process.argv.includes('--authoritative');
+const FRIENDLY_FIRE = process.env.COOP_FRIENDLY_FIRE === '1';
+const MIN_TEAMS = Number(process.env.COOP_MIN_TEAMS) || 2;
+// Lag compensation window (ms, default LAG_COMPENSATION_MAX_REWIND_MS) and rewound-hitbox debug output.
+const MAX_REWIND_MS = process.env.COOP_MAX_REWIND_MS;
+const DEBUG_REWINDS = process.env.COOP_DEBUG_REWINDS === '1';
+// `COOP_PROTOCOL=json` turns down binary in every hello (src/coopProtocol.js), for debugging on the wire.
+const FORCE_JSON = process.env.COOP_PROTOCOL === 'json';
+const SIMULATION_STALL_MS = 1500;
+const SIMULATION_WORKER_URL = new URL('./coopSimulationWorker.js', import.meta.url);
 const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
 const rooms = new Map();
+const simulations = new Map();
+const traffic = { bytesIn: 0, bytesOut: 0 };
 
 function createFrame(payload = '', opcode = 0x1) {
   const body = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload));
@@ -28,16 +61,91 @@ function createFrame(payload = '', opcode = 0x1) {
   return Buffer.concat([header, body]);
 }
 
-function sendJson(client, payload) {
+function writeFrame(client, payload, opcode = 0x1) {
   if (!client || client.closed || !client.socket || client.socket.destroyed) return false;
   try {
-    client.socket.write(createFrame(JSON.stringify(payload)));
+    const frame = createFrame(payload, opcode);
+    client.socket.write(frame);
+    traffic.bytesOut += frame.length;
     return true;
   } catch (err) {
     return false;
   }
 }
 
+function sendJson(client, payload) {
+  return writeFrame(client, JSON.stringify(payload));
+}
+
+// Per-connection codec state; cleared whenever the peer indices it refers to may have changed.
+function resetLink(client) {
+  client.introduced = new Set([SERVER_PEER_INDEX]);
+  client.stateIn = null;
+  client.statesOut = new Map();
+  client.worldBaselines = new Map();
+  client.ackedTick = 0;
+}
+
+// A binary client learns who a peer index is before the first frame that uses it.
+function introducePeer(client, peer) {
+  if (client.introduced.has(peer.peerIndex)) return;
+  client.introduced.add(peer.peerIndex);
+  sendJson(client, buildServerEnvelope(client.roomId, 'peer', {
+    index: peer.peerIndex,
+    peerId: peer.playerId,
+    peerName: peer.name,
+    peerJoinedAt: peer.joinedAt,
+  }));
+}
+
+function forgetPeer(roomId, peer) {
+  for (const client of rooms.get(roomId) || []) {
+    client.introduced.delete(peer.peerIndex);
+    client.statesOut.delete(peer.peerIndex);
+  }
+}
+
+function encodeServerWorld(client, envelope, shared) {
+  const room = rooms.get(client.roomId);
+  if (!shared.world) {
+    const indices = new Map([...(room || [])].map((peer) => [peer.playerId, peer.peerIndex]));
+    shared.world = quantizeWorld(envelope, (id) => indices.get(id));
+  }
+  const quantized = shared.world;
+  for (const peer of room || []) {
+    if (quantized.combatants.has(peer.peerIndex)) introducePeer(client, peer);
+  }
+  const bytes = encodeWorldMessage(SERVER_PEER_INDEX, quantized, client.worldBaselines.get(client.ackedTick) || null);
+  client.worldBaselines.set(quantized.tick, quantized);
+  for (const tick of client.worldBaselines.keys()) {
+    if (client.worldBaselines.size <= WORLD_BASELINE_LIMIT) break;
+    client.worldBaselines.delete(tick);
+  }
+  return bytes;
+}
+
+// `from` is the client the envelope came from (null for the server). `shared` caches encodings
+// that are the same for every recipient of one broadcast.
+function sendEnvelope(client, envelope, from = null, shared = {}) {
+  if (client.encoding !== 'binary' || !getMessageTypeId(envelope.type)) return sendJson(client, envelope);
+  const senderIndex = from ? from.peerIndex : SERVER_PEER_INDEX;
+  if (!Number.isInteger(senderIndex)) return sendJson(client, envelope);
+  if (from) introducePeer(client, from);
+
+  let bytes = null;
+  if (envelope.type === 'state') {
+    const encoded = encodeStateMessage(senderIndex, envelope.actor, client.statesOut.get(senderIndex));
+    client.statesOut.set(senderIndex, encoded.quantized);
+    bytes = encoded.bytes;
+  } else if (envelope.type === 'world' && senderIndex === SERVER_PEER_INDEX) {
+    bytes = encodeServerWorld(client, envelope, shared);
+  } else {
+    shared.generic ||= encodeGenericMessage(envelope.type, senderIndex, envelope);
+    bytes = shared.generic;
+  }
+  return writeFrame(client, Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength), 0x2);
+}
+
 function getRoom(roomId) {
   if (!rooms.has(roomId)) rooms.set(roomId, new Set());
   return rooms.get(roomId);
@@ -47,21 +155,207 @@ function removeClientFromRoom(client) {
   if (!client.roomId || !rooms.has(client.roomId)) return;
   const room = rooms.get(client.roomId);
   room.delete(client);
-  if (room.size === 0) rooms.delete(client.roomId);
+  if (client.playerId) leaveSimulation(client.roomId, client.playerId);
+  if (room.size === 0) {
+    rooms.delete(client.roomId);
+    stopSimulation(client.roomId);
+  }
 }
 
 function addClientToRoom(client, roomId) {
   const room = getRoom(roomId);
+  const taken = new Set([...room].map((peer) => peer.peerIndex));
+  client.peerIndex = null;
+  for (let index = SERVER_PEER_INDEX + 1; index <= MAX_PEER_INDEX; index++) {
+    if (taken.has(index)) continue;
+    client.peerIndex = index;
+    break;
+  }
   room.add(client);
 }
 
-function broadcastToRoom(roomId, payload, excludeClient = null) {
+// `fromClient` is left out of the broadcast and names the sender on binary links.
+function broadcastToRoom(roomId, payload, fromClient = null) {
   const room = rooms.get(roomId);
   if (!room || room.size === 0) return;
 
+  const shared = {};
   for (const peer of room) {
-    if (peer === excludeClient) continue;
-    sendJson(peer, payload);
+    if (peer === fromClient) continue;
+    sendEnvelope(peer, payload, fromClient, shared);
+  }
+}
+
+function buildServerEnvelope(roomId, type, payload = {}) {
+  return {
+    type,
+    roomId,
+    playerId: COOP_SERVER_AUTHORITY_ID,
+    joinedAt: 0,
+    name: 'Server',
+    sentAt: Date.now(),
+    ...payload,
+  };
+}
+
+function startSimulationWorker(sim) {
+  const worker = new Worker(SIMULATION_WORKER_URL, {
+    workerData: { friendlyFire: FRIENDLY_FIRE, minTeams: MIN_TEAMS, maxRewindMs: MAX_REWIND_MS, debugRewinds: DEBUG_REWINDS },
+    resourceLimits: { maxOldGenerationSizeMb: 256, maxYoungGenerationSizeMb: 32 },
+    stdout: false,
+    stderr: false,
+  });
+  sim.worker = worker;
+  sim.ready = false;
+  sim.lastReportAt = Date.now();
+  sim.firedSinceReport.clear();
+  worker.on('message', (message) => handleSimulationMessage(sim, worker, message));
+  worker.on('error', (err) => {
+    console.warn(`Simulation for room ${sim.roomId} failed: ${err.message}`);
+  });
+  worker.on('exit', () => {
+    if (sim.worker !== worker || sim.stopped) return;
+    // A worker that never came up would only crash again; leave the room relay-only.
+    if (sim.ready) restartSimulation(sim, 'exited');
+    else sim.worker = null;
+  });
+  for (const [playerId, player] of sim.players) {
+    worker.postMessage({ type: 'join', playerId, payload: player });
+  }
+  for (const [key, weapon] of sim.weapons) {
+    worker.postMessage({ type: 'weapon', playerId: key.split(':')[0], payload: weapon });
+  }
+}
+
+function getSimulation(roomId) {
+  if (!AUTHORITATIVE) return null;
+  if (!simulations.has(roomId)) {
+    const sim = {
+      roomId,
+      worker: null,
+      ready: false,
+      stopped: false,
+      players: new Map(),
+      // Last accepted weapon per `${playerId}:${slotIndex}`, replayed into a restarted worker.
+      weapons: new Map(),
+      firedSinceReport: new Set(),
+      lastReportAt: Date.now(),
+    };
+    simulations.set(roomId, sim);
+    startSimulationWorker(sim);
+  }
+  return simulations.get(roomId);
+}
+
+// A stalled or crashed simulation drops the weapons fired since its last report (one of them
+// hung the tick) and restarts with the rest; clients see the rejection and the room continues.
+function restartSimulation(sim, reason) {
+  const suspects = [...sim.firedSinceReport];
+  const previous = sim.worker;
+  sim.worker = null;
+  previous?.terminate().catch(() => {});
+  for (const key of [...sim.weapons.keys()]) {
+    const playerId = key.split(':')[0];
+    if (!suspects.includes(playerId)) continue;
+    sim.weapons.delete(key);
+    broadcastToRoom(sim.roomId, buildServerEnvelope(sim.roomId, 'weapon-rejected', {
+      targetId: playerId,
+      slotIndex: Number(key.split(':')[1]),
+      reason: `simulation ${reason} while this weapon was firing`,
+    }));
+  }
+  console.warn(`Restarted simulation for room ${sim.roomId} (${reason}).`);
+  startSimulationWorker(sim);
+}
+
+function stopSimulation(roomId) {
+  const sim = simulations.get(roomId);
+  if (!sim) return;
+  sim.stopped = true;
+  simulations.delete(roomId);
+  sim.worker?.terminate().catch(() => {});
+  sim.worker = null;
+}
+
+function leaveSimulation(roomId, playerId) {
+  const sim = simulations.get(roomId);
+  if (!sim?.players.has(playerId)) return;
+  sim.players.delete(playerId);
+  for (const key of [...sim.weapons.keys()]) {
+    if (key.startsWith(`${playerId}:`)) sim.weapons.delete(key);
+  }
+  sim.worker?.postMessage({ type: 'leave', playerId });
+}
+
+function handleSimulationMessage(sim, worker, message) {
+  if (sim.worker !== worker || !message) return;
+  sim.lastReportAt = Date.now();
+  sim.firedSinceReport.clear();
+  if (message.type === 'ready') {
+    sim.ready = true;
+  } else if (message.type === 'snapshot') {
+    const { events = [], abilities = [], ...world } = message.snapshot || {};
+    broadcastToRoom(sim.roomId, buildServerEnvelope(sim.roomId, 'world', world));
+    for (const event of events) broadcastToRoom(sim.roomId, buildServerEnvelope(sim.roomId, 'combat', { event }));
+    for (const detail of abilities) broadcastToRoom(sim.roomId, buildServerEnvelope(sim.roomId, 'ability', detail));
+  } else if (message.type === 'weapon-rejected') {
+    sim.weapons.delete(`${message.playerId}:${Number.isInteger(message.slotIndex) ? message.slotIndex : 0}`);
+    broadcastToRoom(sim.roomId, buildServerEnvelope(sim.roomId, 'weapon-rejected', {
+      targetId: message.playerId,
+      slotIndex: message.slotIndex ?? null,
+      reason: message.reason,
+    }));
+  }
+}
+
+function watchSimulations() {
+  const now = Date.now();
+  for (const sim of simulations.values()) {
+    if (sim.worker && now - sim.lastReportAt > SIMULATION_STALL_MS) restartSimulation(sim, 'stalled');
+  }
+}
+
+// Forwards one client message to the room simulation. Returns true when the message is
+// server-owned in authoritative mode and must not be relayed as-is.
+function forwardToSimulation(client, payload) {
+  const sim = getSimulation(client.roomId);
+  if (!sim) return false;
+  const { playerId } = client;
+  if (payload.type === 'leave') {
+    leaveSimulation(client.roomId, playerId);
+    return false;
+  }
+  if (!sim.players.has(playerId)) {
+    const player = { name: client.name, teamId: payload.actor?.teamId ?? payload.teamId ?? null };
+    sim.players.set(playerId, player);
+    sim.worker?.postMessage({ type: 'join', playerId, payload: player });
+    sendEnvelope(client, buildServerEnvelope(client.roomId, 'authority', { authorityId: COOP_SERVER_AUTHORITY_ID }));
+  }
+
+  switch (payload.type) {
+    case 'state':
+      if (payload.actor?.firing) sim.firedSinceReport.add(playerId);
+      sim.worker?.postMessage({ type: 'state', playerId, payload: payload.actor });
+      return false;
+    case 'fire':
+      sim.firedSinceReport.add(playerId);
+      sim.worker?.postMessage({ type: 'fire', playerId, payload });
+      return false;
+    case 'weapon': {
+      const slotIndex = Number.isInteger(payload.slotIndex) ? payload.slotIndex : 0;
+      sim.weapons.set(`${playerId}:${slotIndex}`, payload);
+      sim.worker?.postMessage({ type: 'weapon', playerId, payload });
+      return false;
+    }
+    case 'ability':
+      // Only the server's accepted copy of a movement ability reaches peers.
+      sim.worker?.postMessage({ type: 'ability', playerId, payload });
+      return true;
+    case 'world':
+    case 'combat':
+      return true;
+    default:
+      return false;
   }
 }
 
@@ -81,13 +375,28 @@ function cleanupClient(client) {
     : null;
 
   removeClientFromRoom(client);
-  if (leavePayload) broadcastToRoom(leavePayload.roomId, leavePayload, client);
+  if (leavePayload) {
+    broadcastToRoom(leavePayload.roomId, leavePayload, client);
+    forgetPeer(leavePayload.roomId, client);
+  }
 
   try {
     client.socket.destroy();
   } catch (err) {}
 }
 
+// The first JSON message from a current client; picks the encoding for the rest of the connection.
+function welcomeClient(client, protocol) {
+  resetLink(client);
+  client.encoding = Number.isInteger(client.peerIndex) ? negotiateEncoding(protocol, { forceJson: FORCE_JSON }) : 'json';
+  sendJson(client, buildServerEnvelope(client.roomId, 'welcome', {
+    version: COOP_PROTOCOL_VERSION,
+    encoding: client.encoding,
+    peerIndex: client.peerIndex,
+    ...(WEAPON_SIGNING_SECRET ? { forgeRoomToken: signForgeRoomToken(client.roomId, WEAPON_SIGNING_SECRET) } : {}),
+  }));
+}
+
 function handleJsonMessage(client, text) {
   let payload = null;
   try {
@@ -95,16 +404,85 @@ function handleJsonMessage(client, text) {
   } catch (err) {
     return;
   }
+  if (!payload || typeof payload !== 'object') return;
+  handleEnvelopeMessage(client, payload);
+}
 
+// Binary frames carry no session fields; they are filled in from the client's hello.
+function handleBinaryMessage(client, bytes) {
+  if (client.encoding !== 'binary' || !client.roomId) return;
+  let message = null;
+  try {
+    message = decodeMessage(bytes, { previousState: () => client.stateIn });
+  } catch (err) {
+    return;
+  }
+
+  if (message.type === 'ack') {
+    client.ackedTick = message.body.tick;
+    for (const tick of client.worldBaselines.keys()) {
+      if (tick < client.ackedTick) client.worldBaselines.delete(tick);
+    }
+    return;
+  }
+  if (message.type === 'state') client.stateIn = message.quantized;
+  // Session fields go last so a body cannot claim another room or player.
+  handleEnvelopeMessage(client, {
+    sentAt: Date.now(),
+    ...message.body,
+    type: message.type,
+    roomId: client.roomId,
+    playerId: client.playerId,
+    joinedAt: client.joinedAt,
+    name: client.name,
+  });
+}
+
+// Another live connection in the room already speaks for this player id.
+function isPlayerIdHeld(roomId, playerId, client) {
+  return [...(rooms.get(roomId) || [])].some((peer) => peer !== client && !peer.closed && peer.playerId === playerId);
+}
+
+// Tells the socket why and closes it before it joins the room, so it can neither drive that player
+// nor take it out of the simulation when it disconnects.
+function refusePlayerIdClaim(client, roomId, playerId) {
+  console.warn(`Refused a second connection for ${playerId} in room ${roomId}.`);
+  sendJson(client, buildServerEnvelope(roomId, 'player-id-taken', {
+    targetId: playerId,
+    reason: 'another connection already holds this player id',
+  }));
+  writeFrame(client, Buffer.alloc(0), 0x8);
+  cleanupClient(client);
+}
+
+function isWeaponAccepted(weapon) {
+  if (WEAPON_SIGNING_SECRET) return verifyForgedWeapon(weapon, WEAPON_SIGNING_SECRET);
+  return !AUTHORITATIVE;
+}
+
+function handleEnvelopeMessage(client, payload) {
   const roomId = typeof payload.roomId === 'string' ? payload.roomId : '';
   const playerId = typeof payload.playerId === 'string' ? payload.playerId : '';
   if (!roomId || !playerId) return;
 
+  // Nobody may speak for the simulation.
+  if (AUTHORITATIVE && playerId === COOP_SERVER_AUTHORITY_ID) return;
+  // A connection keeps the player id from its first envelope (normally the hello) for its lifetime.
+  if (client.playerId && playerId !== client.playerId) return;
+  if (isPlayerIdHeld(roomId, playerId, client)) {
+    refusePlayerIdClaim(client, roomId, playerId);
+    return;
+  }
+
   const roomChanged = roomId !== client.roomId;
   if (roomChanged) {
+    if (client.roomId) forgetPeer(client.roomId, client);
     removeClientFromRoom(client);
     client.roomId = roomId;
     addClientToRoom(client, roomId);
+    resetLink(client);
+    // Peer indices are per room, so a room switch starts over in JSON until the next hello.
+    client.encoding = 'json';
   }
 
   client.playerId = playerId;
@@ -112,6 +490,16 @@ function handleJsonMessage(client, text) {
   client.name = typeof payload.name === 'string' ? payload.name : '';
   client.lastSeenAt = Date.now();
 
+  if (payload.type === 'weapon' && !isWeaponAccepted(payload)) {
+    console.warn(`Dropped unsigned weapon from ${playerId} in room ${roomId}.`);
+    sendEnvelope(client, buildServerEnvelope(roomId, 'weapon-rejected', {
+      targetId: playerId,
+      slotIndex: Number.isInteger(payload.slotIndex) ? payload.slotIndex : null,
+      reason: WEAPON_SIGNING_SECRET ? 'weapon is not signed by the forge server' : 'this server does not accept forged weapons',
+    }));
+    return;
+  }
+
   if (roomChanged) {
     broadcastToRoom(roomId, {
       type: 'sync-request',
@@ -123,13 +511,19 @@ function handleJsonMessage(client, text) {
     }, client);
   }
 
+  if (payload.type === 'hello') {
+    welcomeClient(client, payload.protocol);
+    return;
+  }
+
+  if (AUTHORITATIVE && forwardToSimulation(client, payload)) return;
   broadcastToRoom(roomId, payload, client);
 }
 
 function consumeFrames(client, chunk) {
   client.buffer = Buffer.concat([client.buffer, chunk]);
 
-  while (client.buffer.length >= 2) {
+  while (!client.closed && client.buffer.length >= 2) {
     const first = client.buffer[0];
     const second = client.buffer[1];
     const opcode = first & 0x0f;
@@ -192,8 +586,9 @@ function consumeFrames(client, chunk) {
       continue;
     }
 
-    if (opcode !== 0x1) continue;
-    handleJsonMessage(client, payload.toString('utf8'));
+    traffic.bytesIn += frameLength;
+    if (opcode === 0x2) handleBinaryMessage(client, payload);
+    else if (opcode === 0x1) handleJsonMessage(client, payload.toString('utf8'));
   }
 }
 
@@ -203,6 +598,16 @@ const server = http.createServer((req, res) => {
     res.end(JSON.stringify({
       ok: true,
       rooms: rooms.size,
+      signedWeapons: Boolean(WEAPON_SIGNING_SECRET),
+      authoritative: AUTHORITATIVE,
+      debugRewinds: AUTHORITATIVE && DEBUG_REWINDS,
+      simulations: simulations.size,
+      protocol: {
+        version: COOP_PROTOCOL_VERSION,
+        forceJson: FORCE_JSON,
+        binaryClients: [...rooms.values()].reduce((count, room) => count + [...room].filter((c) => c.encoding === 'binary').length, 0),
+        ...traffic,
+      },
       timestamp: Date.now(),
     }));
     return;
@@ -243,7 +648,10 @@ server.on('upgrade', (req, socket) => {
     joinedAt: 0,
     name: '',
     lastSeenAt: Date.now(),
+    encoding: 'json',
+    peerIndex: null,
   };
+  resetLink(client);
 
   socket.on('data', (chunk) => consumeFrames(client, chunk));
   socket.on('close', () => cleanupClient(client));
@@ -251,6 +659,11 @@ server.on('upgrade', (req, socket) => {
   socket.on('error', () => cleanupClient(client));
 });
 
+if (AUTHORITATIVE) setInterval(watchSimulations, SIMULATION_STALL_MS / 3);
+
 server.listen(PORT, HOST, () => {
-  console.log(`Voxel Arena co-op server listening on ws://${HOST}:${PORT}`);
+  console.log(`Voxel Arena co-op server listening on ws://${HOST}:${PORT}${AUTHORITATIVE ? ' (authoritative simulation)' : ''}`);
+  if (AUTHORITATIVE && !WEAPON_SIGNING_SECRET) {
+    console.warn('FORGE_SIGNING_SECRET is not set: authoritative rooms will refuse every forged weapon.');
+  }
 });
@@ -0,0 +1,73 @@
+import { parentPort, workerData } from 'node:worker_threads';
+import { createCoopSimulation, SIMULATION_TICK_RATE, SNAPSHOT_RATE } from '../src/coopSimulation.js';
+import { compileNodeWeapon, lockNodeWorkerGlobals } from './nodeWeaponLockdown.js';
+
+// One room's authoritative simulation (src/coopSimulation.js), run by scripts/coop-server.js.
+// Forged weapon code executes here, so the thread keeps its own timer and port and then locks
+// the Node globals weapon code could reach, plus every function constructor (scripts/nodeWeaponLockdown.js).
+// A weapon that hangs the tick loop is handled by the parent's watchdog, which terminates this worker.
+
+const port = parentPort;
+const every = setInterval;
+const now = () => performance.now();
+lockNodeWorkerGlobals();
+
+const simulation = createCoopSimulation({
+  friendlyFire: Boolean(workerData?.friendlyFire),
+  minTeams: Number(workerData?.minTeams) || 2,
+  maxRewindMs: workerData?.maxRewindMs,
+  debugRewinds: Boolean(workerData?.debugRewinds),
+  compileWeapon: compileNodeWeapon,
+});
+
+port.on('message', (message) => {
+  if (!message || typeof message !== 'object') return;
+  const { type, playerId, payload } = message;
+  switch (type) {
+    case 'join':
+      simulation.join(playerId, payload);
+      break;
+    case 'leave':
+      simulation.leave(playerId);
+      break;
+    case 'state':
+      simulation.applyState(playerId, payload);
+      break;
+    case 'fire':
+      simulation.requestFire(playerId, payload);
+      break;
+    case 'ability': {
+      const accepted = simulation.applyAbility(playerId, payload);
+      if (!accepted) port.postMessage({ type: 'ability-rejected', playerId, ability: payload?.ability });
+      break;
+    }
+    case 'weapon': {
+      const result = simulation.loadWeapon(playerId, payload);
+      if (!result.ok) port.postMessage({ type: 'weapon-rejected', playerId, slotIndex: payload?.slotIndex, reason: result.reason });
+      break;
+    }
+    default:
+      break;
+  }
+});
+
+const tickSeconds = 1 / SIMULATION_TICK_RATE;
+const ticksPerSnapshot = Math.max(1, Math.round(SIMULATION_TICK_RATE / SNAPSHOT_RATE));
+let lastTickAt = now();
+let owed = 0;
+let ticks = 0;
+
+// Fixed-step loop: catches up after a late timer, but never runs more than a few ticks at once.
+every(() => {
+  const current = now();
+  owed = Math.min(owed + (current - lastTickAt) / 1000, tickSeconds * 5);
+  lastTickAt = current;
+  while (owed >= tickSeconds) {
+    owed -= tickSeconds;
+    simulation.step(tickSeconds);
+    ticks += 1;
+    if (ticks % ticksPerSnapshot === 0) port.postMessage({ type: 'snapshot', snapshot: simulation.getSnapshot() });
+  }
+}, Math.floor(1000 / SIMULATION_TICK_RATE));
+
+port.postMessage({ type: 'ready', tickRate: SIMULATION_TICK_RATE, snapshotRate: SNAPSHOT_RATE });
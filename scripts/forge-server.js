@@ -0,0 +1,633 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+import {
+  buildBalanceInput,
+  buildCoderInput,
+  buildRefineInput,
+  buildRepairInput,
+  parseWeaponBalanceResponse,
+  trimFencedText,
+} from '../src/forgePrompts.js';
+import { createChatCompletionsProvider } from '../src/llm/chatCompletions.js';
+import { CODER_PROMPT, WEAPON_BALANCE_PROMPT, WEAPON_REFINE_PROMPT, WEAPON_REPAIR_PROMPT } from '../src/prompt.js';
+import { REALM_WORKER_CSP, isRealmWorkerPath } from '../src/weaponRealm/lockdown.js';
+import { neutralizeWeaponPrompt, screenWeaponPrompt } from '../src/weaponPromptGuard.js';
+import { formatWeaponValidationReport, validateWeaponCode } from '../src/weaponValidator.js';
+import { signForgedWeapon, verifyForgeRoomToken } from './forgeSignature.js';
+
+// Production server: serves the built client from dist/, proxies forge LLM calls with the key kept server-side,
+// and runs the whole classify -> generate -> validate flow behind POST /forge/weapon.
+// Usage: npm run build && npm run forge-server
+
+try {
+  process.loadEnvFile?.();
+} catch (err) {}
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const HOST = process.env.FORGE_HOST || '0.0.0.0';
+const PORT = Number(process.env.FORGE_PORT || process.env.PORT || 8080);
+const DIST_DIR = path.resolve(process.env.FORGE_DIST_DIR || path.join(ROOT, 'dist'));
+const UPSTREAM_URL = (process.env.FORGE_UPSTREAM_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const API_KEY = (process.env.FORGE_API_KEY || process.env.OPENAI_API_KEY || '').trim();
+const ALLOWED_MODELS = (process.env.FORGE_MODELS || '').split(',').map((model) => model.trim()).filter(Boolean);
+const IP_LIMIT_PER_MIN = Number(process.env.FORGE_IP_LIMIT_PER_MIN || 20);
+const ROOM_LIMIT_PER_MIN = Number(process.env.FORGE_ROOM_LIMIT_PER_MIN || 60);
+const CACHE_SIZE = Number(process.env.FORGE_CACHE_SIZE || 200);
+const CACHE_TTL_MS = Number(process.env.FORGE_CACHE_TTL_MS || 24 * 60 * 60 * 1000);
+const UPSTREAM_TIMEOUT_MS = Number(process.env.FORGE_UPSTREAM_TIMEOUT_MS || 180000);
+const TRUST_PROXY = process.env.FORGE_TRUST_PROXY === '1';
+const WEAPON_MODEL = (process.env.FORGE_WEAPON_MODEL || ALLOWED_MODELS[0] || 'gpt-5.2').trim();
+const WEAPON_TOKEN_PARAM = process.env.FORGE_TOKEN_PARAM || 'max_completion_tokens';
+// /forge/chat/completions only relays forge calls: these models, a capped token budget, one choice.
+const COMPLETION_MODELS = ALLOWED_MODELS.length ? ALLOWED_MODELS : [WEAPON_MODEL];
+const MAX_COMPLETION_TOKENS = Number(process.env.FORGE_MAX_COMPLETION_TOKENS || 12000);
+const COMPLETION_TEMPERATURE = 0.7;
+const WEAPON_REPAIR_ATTEMPTS = Number(process.env.FORGE_REPAIR_ATTEMPTS ?? 2);
+const SIGNING_SECRET = (process.env.FORGE_SIGNING_SECRET || '').trim();
+const MAX_BODY_BYTES = 256 * 1024;
+const RATE_WINDOW_MS = 60 * 1000;
+const FORGE_COMPLETIONS_PATH = '/forge/chat/completions';
+const FORGE_WEAPON_PATH = '/forge/weapon';
+// Limits on the code and error a refine or repair call quotes back to the model.
+const MAX_FORGE_CODE_CHARS = 20000;
+const MAX_FORGE_ERROR_CHARS = 600;
+const MAX_FORGE_STACK_CHARS = 1200;
+const FORGE_REPAIR_PHASES = new Set(['compile', 'runtime']);
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2',
+  '.wasm': 'application/wasm',
+  '.txt': 'text/plain; charset=utf-8',
+};
+
+const rateBuckets = new Map();
+const responseCache = new Map();
+const weaponCache = new Map();
+
+function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+function sendError(res, status, message, headers = {}) {
+  sendJson(res, status, { error: { message } }, headers);
+}
+
+function getClientIp(req) {
+  if (TRUST_PROXY) {
+    const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    if (forwarded) return forwarded;
+  }
+  return req.socket.remoteAddress || 'unknown';
+}
+
+function sanitizeRoomId(value) {
+  return String(value || '').trim().toLowerCase().replace(/[^a-z0-9_-]/g, '').slice(0, 48);
+}
+
+// The room a call may be charged to: only one the co-op server issued a token for (X-Forge-Room-Token).
+function getVerifiedRoom(req) {
+  const room = sanitizeRoomId(req.headers['x-forge-room']);
+  if (!room || !SIGNING_SECRET) return '';
+  return verifyForgeRoomToken(room, req.headers['x-forge-room-token'], SIGNING_SECRET) ? room : '';
+}
+
+// Sliding one-minute window per key; returns seconds until the next slot frees up, or 0 when allowed.
+function takeRateSlot(key, limit, now = Date.now()) {
+  if (!(limit > 0)) return 0;
+  const hits = (rateBuckets.get(key) || []).filter((at) => now - at < RATE_WINDOW_MS);
+  if (hits.length >= limit) {
+    rateBuckets.set(key, hits);
+    return Math.max(1, Math.ceil((RATE_WINDOW_MS - (now - hits[0])) / 1000));
+  }
+  hits.push(now);
+  rateBuckets.set(key, hits);
+  return 0;
+}
+
+function pruneRateBuckets(now = Date.now()) {
+  for (const [key, hits] of rateBuckets) {
+    if (!hits.length || now - hits[hits.length - 1] >= RATE_WINDOW_MS) rateBuckets.delete(key);
+  }
+}
+
+function getCachedResponse(cache, key, now = Date.now()) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  if (now - entry.storedAt > CACHE_TTL_MS) {
+    cache.delete(key);
+    return null;
+  }
+  cache.delete(key);
+  cache.set(key, entry);
+  return entry;
+}
+
+function storeCachedResponse(cache, key, entry) {
+  if (!(CACHE_SIZE > 0)) return;
+  cache.delete(key);
+  cache.set(key, { ...entry, storedAt: Date.now() });
+  while (cache.size > CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+function getCacheKey(body) {
+  return crypto.createHash('sha256').update(JSON.stringify({
+    model: body.model,
+    stream: Boolean(body.stream),
+    temperature: body.temperature,
+    messages: body.messages,
+  })).digest('hex');
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        const error = new Error('Request body too large.');
+        error.status = 413;
+        reject(error);
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (err) {
+        const error = new Error('Request body must be JSON.');
+        error.status = 400;
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Weapon code a refine or repair call quotes: a bounded string, with the validator's verdict.
+function checkForgeCode(code) {
+  if (typeof code !== 'string' || !code.trim()) return { error: 'forge.code must be the weapon body.' };
+  if (code.length > MAX_FORGE_CODE_CHARS) return { error: `forge.code must be under ${MAX_FORGE_CODE_CHARS} characters.` };
+  return { validation: validateWeaponCode(code) };
+}
+
+function describeClientError(error) {
+  return {
+    name: /^[A-Za-z]{1,40}$/.test(error?.name) ? error.name : 'Error',
+    message: neutralizeWeaponPrompt(error?.message).slice(0, MAX_FORGE_ERROR_CHARS),
+    stack: typeof error?.stack === 'string' ? error.stack.slice(0, MAX_FORGE_STACK_CHARS) : '',
+  };
+}
+
+// Builds the system and user message of one forge call from its fields:
+// { kind: 'balance' | 'coder' | 'refine' | 'repair', prompt, fireMode, tier, code, changeRequest, error, phase }.
+// Returns { system, user } or { error, flags }.
+function buildForgeMessages(forge) {
+  if (!forge || typeof forge !== 'object') return { error: 'forge must describe one forge call.' };
+  const screening = screenWeaponPrompt(typeof forge.prompt === 'string' ? forge.prompt : '');
+  if (!screening.ok) return { error: screening.error, flags: screening.flags };
+  const record = { prompt: screening.prompt, fireMode: forge.fireMode, tier: forge.tier };
+
+  switch (forge.kind) {
+    case 'balance':
+      return { system: WEAPON_BALANCE_PROMPT, user: buildBalanceInput(record.prompt) };
+    case 'coder':
+      return { system: CODER_PROMPT, user: buildCoderInput(record.prompt, record) };
+    case 'refine': {
+      const change = screenWeaponPrompt(typeof forge.changeRequest === 'string' ? forge.changeRequest : '');
+      if (!change.ok) return { error: change.error, flags: change.flags };
+      const { error, validation } = checkForgeCode(forge.code);
+      if (error) return { error };
+      // Refines start from an installed weapon, which passed the validator.
+      if (!validation.ok) return { error: 'forge.code must be a weapon that passes validation.' };
+      return { system: WEAPON_REFINE_PROMPT, user: buildRefineInput(record, validation.code, change.prompt) };
+    }
+    case 'repair': {
+      if (!FORGE_REPAIR_PHASES.has(forge.phase)) return { error: 'forge.phase must be compile or runtime.' };
+      const { error, validation } = checkForgeCode(forge.code);
+      if (error) return { error };
+      // Code that fails the validator is repaired against the server's own report; only code that
+      // validates can come with a compile or runtime error from the client.
+      if (validation.ok) {
+        return { system: WEAPON_REPAIR_PROMPT, user: buildRepairInput(record, forge.code, describeClientError(forge.error), forge.phase) };
+      }
+      const report = { message: `Weapon code rejected:\n${formatWeaponValidationReport(validation)}` };
+      return { system: WEAPON_REPAIR_PROMPT, user: buildRepairInput(record, forge.code, report, 'compile') };
+    }
+    default:
+      return { error: 'forge.kind must be balance, coder, refine, or repair.' };
+  }
+}
+
+// Rebuilds the upstream body from a forge call's fields; returns { body } or { error, flags }.
+// Clients never send messages: the server writes them, so this route only ever runs the forge prompts.
+function buildCompletionBody(body) {
+  if (!body || typeof body !== 'object') return { error: 'Request body must be a JSON object.' };
+  if (!COMPLETION_MODELS.includes(body.model)) return { error: `model must be one of: ${COMPLETION_MODELS.join(', ')}.` };
+  const messages = buildForgeMessages(body.forge);
+  if (messages.error) return messages;
+
+  const requested = Number(body[WEAPON_TOKEN_PARAM] ?? body.max_tokens ?? body.max_completion_tokens);
+  const maxTokens = Number.isFinite(requested) && requested > 0 ? Math.min(Math.floor(requested), MAX_COMPLETION_TOKENS) : MAX_COMPLETION_TOKENS;
+  return {
+    body: {
+      model: body.model,
+      messages: [{ role: 'system', content: messages.system }, { role: 'user', content: messages.user }],
+      stream: body.stream === true,
+      temperature: COMPLETION_TEMPERATURE,
+      [WEAPON_TOKEN_PARAM]: maxTokens,
+      n: 1,
+    },
+  };
+}
+
+// Cache hits skip this, so only calls that reach the upstream LLM count against the limits.
+// Every call counts against its IP; calls with a verified room token also count against the room.
+function rejectRateLimited(res, log) {
+  const ipRetry = takeRateSlot(`ip:${log.ip}`, IP_LIMIT_PER_MIN);
+  const roomRetry = ipRetry || !log.room ? 0 : takeRateSlot(`room:${log.room}`, ROOM_LIMIT_PER_MIN);
+  if (!ipRetry && !roomRetry) return false;
+  const retryAfter = ipRetry || roomRetry;
+  sendError(res, 429, `Forge rate limit reached for this ${ipRetry ? 'address' : 'room'}. Try again in ${retryAfter}s.`, {
+    'Retry-After': String(retryAfter),
+  });
+  log.status = 429;
+  log.limited = ipRetry ? 'ip' : 'room';
+  return true;
+}
+
+function logRequest(entry) {
+  console.log(JSON.stringify({ at: new Date().toISOString(), ...entry }));
+}
+
+// Forwards one chat-completions call upstream, streaming back to the client while buffering for the cache.
+async function handleForgeCompletion(req, res, log) {
+  if (req.method !== 'POST') {
+    sendError(res, 405, 'Use POST.', { Allow: 'POST' });
+    log.status = 405;
+    return;
+  }
+  if (!API_KEY) {
+    sendError(res, 500, 'The forge server has no OPENAI_API_KEY (or FORGE_API_KEY) configured.');
+    log.status = 500;
+    return;
+  }
+
+  const request = buildCompletionBody(await readJsonBody(req));
+  const { body } = request;
+  log.model = body?.model;
+  if (request.flags?.length) log.flagged = request.flags.map((flag) => flag.id);
+  if (request.error) {
+    sendError(res, 400, request.error);
+    log.status = 400;
+    return;
+  }
+
+  const cacheKey = getCacheKey(body);
+  const cached = getCachedResponse(responseCache, cacheKey);
+  if (cached) {
+    res.writeHead(200, { 'Content-Type': cached.contentType, 'X-Forge-Cache': 'hit' });
+    res.end(cached.body);
+    log.status = 200;
+    log.cache = 'hit';
+    log.bytes = cached.body.length;
+    return;
+  }
+
+  if (rejectRateLimited(res, log)) return;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT_MS);
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    const upstream = await fetch(`${UPSTREAM_URL}/chat/completions`, {
+      method: 'POST',
+      signal: controller.signal,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${API_KEY}`,
+      },
+      body: JSON.stringify(body),
+    });
+    const contentType = upstream.headers.get('content-type') || 'application/json';
+    res.writeHead(upstream.status, { 'Content-Type': contentType, 'X-Forge-Cache': 'miss' });
+
+    const chunks = [];
+    for await (const chunk of upstream.body) {
+      chunks.push(chunk);
+      res.write(chunk);
+    }
+    res.end();
+
+    const payload = Buffer.concat(chunks.map((chunk) => Buffer.from(chunk)));
+    if (upstream.ok) storeCachedResponse(responseCache, cacheKey, { contentType, body: payload });
+    log.status = upstream.status;
+    log.cache = 'miss';
+    log.bytes = payload.length;
+  } catch (err) {
+    log.status = controller.signal.aborted ? 504 : 502;
+    log.error = err.message;
+    if (!res.headersSent) {
+      sendError(res, log.status, log.status === 504 ? 'Upstream LLM request timed out.' : `Upstream LLM request failed: ${err.message}`);
+    } else {
+      res.destroy();
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+const upstreamProvider = createChatCompletionsProvider({
+  id: 'upstream',
+  label: 'Upstream LLM',
+  path: `${UPSTREAM_URL}/chat/completions`,
+  models: [WEAPON_MODEL],
+  tokenParam: WEAPON_TOKEN_PARAM,
+  headers: { Authorization: `Bearer ${API_KEY}` },
+});
+
+// "Ice  Cannon!" and "ice cannon" are the same weapon request.
+function normalizeWeaponPrompt(prompt) {
+  return prompt.toLowerCase().replace(/\s+/g, ' ').replace(/[\s.!?]+$/, '').trim();
+}
+
+function getWeaponCacheKey(prompt) {
+  return crypto.createHash('sha256').update(`${WEAPON_MODEL}\n${normalizeWeaponPrompt(prompt)}`).digest('hex');
+}
+
+async function completeUpstream(systemPrompt, userMessage, signal) {
+  const { content } = await upstreamProvider.complete({ systemPrompt, userMessage, model: WEAPON_MODEL, signal });
+  return content;
+}
+
+// Same gate as prepareWeaponCode in src/forge.js, with a parse-only compile: the server never runs weapon code.
+function prepareServerWeapon(rawCode) {
+  const validation = validateWeaponCode(rawCode);
+  const report = formatWeaponValidationReport(validation);
+  if (!validation.ok) {
+    const error = new Error(`Weapon code rejected:\n${report}`);
+    error.validationReport = report;
+    throw error;
+  }
+  try {
+    new vm.Script(`(function (ctx) {\n${validation.code}\n})`, { filename: 'weapon.js' });
+  } catch (err) {
+    err.validationReport = `Error - ${err.message}`;
+    throw err;
+  }
+  return { code: validation.code, report };
+}
+
+// Classify, generate, then validate with up to FORGE_REPAIR_ATTEMPTS repair rounds.
+async function forgeWeaponOnServer(prompt, signal) {
+  const startedAt = Date.now();
+  const timings = { classifyMs: 0, generateMs: 0, repairMs: 0, validateMs: 0, totalMs: 0 };
+
+  let balance;
+  try {
+    balance = parseWeaponBalanceResponse(await completeUpstream(WEAPON_BALANCE_PROMPT, buildBalanceInput(prompt), signal));
+  } catch (err) {
+    if (signal.aborted) throw err;
+    console.warn(`Weapon balance classification failed, using defaults: ${err.message}`);
+    balance = parseWeaponBalanceResponse('');
+  }
+  timings.classifyMs = Date.now() - startedAt;
+
+  const record = { prompt, tier: balance.tier, fireMode: balance.fireMode };
+  const generateStart = Date.now();
+  let code = trimFencedText(await completeUpstream(CODER_PROMPT, buildCoderInput(prompt, balance), signal));
+  timings.generateMs = Date.now() - generateStart;
+
+  let prepared = null;
+  let repairAttempts = 0;
+  while (!prepared) {
+    const validateStart = Date.now();
+    try {
+      prepared = prepareServerWeapon(code);
+    } catch (err) {
+      if (repairAttempts >= WEAPON_REPAIR_ATTEMPTS) {
+        err.code = code;
+        err.repairAttempts = repairAttempts;
+        throw err;
+      }
+      repairAttempts++;
+      const repairStart = Date.now();
+      timings.validateMs += repairStart - validateStart;
+      code = trimFencedText(await completeUpstream(WEAPON_REPAIR_PROMPT, buildRepairInput(record, code, err, 'compile'), signal));
+      timings.repairMs += Date.now() - repairStart;
+      continue;
+    }
+    timings.validateMs += Date.now() - validateStart;
+  }
+  timings.totalMs = Date.now() - startedAt;
+
+  const weapon = {
+    code: prepared.code,
+    tier: balance.tier,
+    fireMode: balance.fireMode,
+    role: balance.role,
+    summary: balance.summary,
+    model: WEAPON_MODEL,
+    timings,
+    validationReport: prepared.report,
+    repairAttempts,
+  };
+  if (SIGNING_SECRET) weapon.signature = signForgedWeapon(weapon, SIGNING_SECRET);
+  return weapon;
+}
+
+// Server-side forge for a single prompt; answers are cached by normalized prompt.
+async function handleForgeWeapon(req, res, log) {
+  if (req.method !== 'POST') {
+    sendError(res, 405, 'Use POST.', { Allow: 'POST' });
+    log.status = 405;
+    return;
+  }
+  if (!API_KEY) {
+    sendError(res, 500, 'The forge server has no OPENAI_API_KEY (or FORGE_API_KEY) configured.');
+    log.status = 500;
+    return;
+  }
+
+  const body = await readJsonBody(req);
+  const screening = screenWeaponPrompt(typeof body?.prompt === 'string' ? body.prompt : '');
+  const { prompt } = screening;
+  log.model = WEAPON_MODEL;
+  if (screening.flags.length) {
+    log.flagged = screening.flags.map((flag) => flag.id);
+    log.prompt = prompt.slice(0, 160);
+  }
+  if (!screening.ok) {
+    sendError(res, 400, screening.error);
+    log.status = 400;
+    return;
+  }
+
+  const cacheKey = getWeaponCacheKey(prompt);
+  const cached = getCachedResponse(weaponCache, cacheKey);
+  if (cached) {
+    sendJson(res, 200, { ...cached.weapon, cached: true }, { 'X-Forge-Cache': 'hit' });
+    log.status = 200;
+    log.cache = 'hit';
+    return;
+  }
+
+  if (rejectRateLimited(res, log)) return;
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, UPSTREAM_TIMEOUT_MS);
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  try {
+    const weapon = await forgeWeaponOnServer(prompt, controller.signal);
+    storeCachedResponse(weaponCache, cacheKey, { weapon });
+    sendJson(res, 200, { ...weapon, cached: false }, { 'X-Forge-Cache': 'miss' });
+    log.status = 200;
+    log.cache = 'miss';
+    log.repairs = weapon.repairAttempts;
+    log.tier = weapon.tier;
+  } catch (err) {
+    log.error = err.message;
+    if (err.validationReport !== undefined) {
+      log.status = 422;
+      sendJson(res, 422, {
+        error: { message: err.message },
+        code: err.code,
+        validationReport: err.validationReport,
+        repairAttempts: err.repairAttempts,
+      });
+    } else {
+      log.status = timedOut ? 504 : 502;
+      if (!res.destroyed) {
+        sendError(res, log.status, timedOut ? 'Upstream LLM request timed out.' : `Upstream LLM request failed: ${err.message}`);
+      }
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function resolveStaticFile(urlPath) {
+  let decoded = '';
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch (err) {
+    return null;
+  }
+  const filePath = path.resolve(DIST_DIR, `.${decoded}`);
+  if (filePath !== DIST_DIR && !filePath.startsWith(DIST_DIR + path.sep)) return null;
+  try {
+    const stats = fs.statSync(filePath);
+    if (stats.isDirectory()) return resolveStaticFile(path.posix.join(urlPath, 'index.html'));
+    return stats.isFile() ? filePath : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function serveStatic(req, res, urlPath, log) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    sendError(res, 405, 'Method not allowed.', { Allow: 'GET, HEAD' });
+    log.status = 405;
+    return;
+  }
+
+  // Unknown extension-less routes fall back to the SPA entry.
+  const filePath = resolveStaticFile(urlPath) || (path.extname(urlPath) ? null : resolveStaticFile('/index.html'));
+  if (!filePath) {
+    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(fs.existsSync(DIST_DIR) ? 'Not found' : 'dist/ is missing - run npm run build first.');
+    log.status = 404;
+    return;
+  }
+
+  const immutable = urlPath.startsWith('/assets/');
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+    'Cache-Control': immutable ? 'public, max-age=31536000, immutable' : 'no-cache',
+    ...(isRealmWorkerPath(urlPath) ? { 'Content-Security-Policy': REALM_WORKER_CSP } : {}),
+  });
+  log.status = 200;
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  fs.createReadStream(filePath).pipe(res);
+}
+
+const server = http.createServer(async (req, res) => {
+  const startedAt = Date.now();
+  const url = new URL(req.url, 'http://localhost');
+  const log = {
+    method: req.method,
+    path: url.pathname,
+    ip: getClientIp(req),
+    room: getVerifiedRoom(req),
+  };
+
+  try {
+    if (url.pathname === '/healthz') {
+      sendJson(res, 200, {
+        ok: true,
+        cacheEntries: responseCache.size,
+        weaponCacheEntries: weaponCache.size,
+        signing: Boolean(SIGNING_SECRET),
+        timestamp: Date.now(),
+      });
+      return;
+    }
+    if (url.pathname === FORGE_COMPLETIONS_PATH) {
+      await handleForgeCompletion(req, res, log);
+    } else if (url.pathname === FORGE_WEAPON_PATH) {
+      await handleForgeWeapon(req, res, log);
+    } else {
+      serveStatic(req, res, url.pathname, log);
+    }
+  } catch (err) {
+    log.status = err.status || 500;
+    log.error = err.message;
+    if (!res.headersSent) sendError(res, log.status, err.message);
+    else res.destroy();
+  } finally {
+    if (url.pathname.startsWith('/forge')) {
+      logRequest({ ...log, ms: Date.now() - startedAt });
+    }
+  }
+});
+
+setInterval(pruneRateBuckets, RATE_WINDOW_MS).unref();
+
+server.listen(PORT, HOST, () => {
+  console.log(`Voxel Arena forge server listening on http://${HOST}:${PORT} (serving ${DIST_DIR})`);
+  if (!API_KEY) console.warn('No OPENAI_API_KEY configured - /forge requests will fail.');
+});
@@ -0,0 +1,45 @@
+import crypto from 'node:crypto';
+
+// HMAC over a server-forged weapon, so the co-op relay can tell server-validated code from code a client made up.
+// Both servers read the same FORGE_SIGNING_SECRET.
+
+function getSignedFields(weapon) {
+  return JSON.stringify([String(weapon?.code || ''), Number(weapon?.tier) || 0, String(weapon?.fireMode || '')]);
+}
+
+export function signForgedWeapon(weapon, secret) {
+  return crypto.createHmac('sha256', secret).update(getSignedFields(weapon)).digest('base64url');
+}
+
+// The server signs its classified tier; clients publish it as `balance.llmTier` next to the measured `tier`,
+// which may undercut it by at most one (see reconcileWeaponTier in src/weaponBalance.js).
+export function verifyForgedWeapon(weapon, secret) {
+  if (typeof weapon?.signature !== 'string' || !weapon.signature) return false;
+  const signedTier = Number(weapon.balance?.llmTier ?? weapon.tier);
+  if (!(Number(weapon.tier) >= signedTier - 1)) return false;
+  const expected = Buffer.from(signForgedWeapon({ ...weapon, tier: signedTier }, secret));
+  const actual = Buffer.from(weapon.signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Co-op rooms: the co-op server's welcome hands each member a token for its room, and the forge server only
+// counts calls against a room's shared rate limit when they carry one, so nobody can spend another room's budget.
+const ROOM_TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+
+function signRoom(roomId, expiresAt, secret) {
+  return crypto.createHmac('sha256', secret).update(`forge-room\n${roomId}\n${expiresAt}`).digest('base64url');
+}
+
+export function signForgeRoomToken(roomId, secret, now = Date.now()) {
+  const expiresAt = now + ROOM_TOKEN_TTL_MS;
+  return `${expiresAt}.${signRoom(roomId, expiresAt, secret)}`;
+}
+
+export function verifyForgeRoomToken(roomId, token, secret, now = Date.now()) {
+  const [expires, signature] = String(token || '').split('.');
+  const expiresAt = Number(expires);
+  if (!roomId || !signature || !Number.isSafeInteger(expiresAt) || expiresAt <= now) return false;
+  const expected = Buffer.from(signRoom(roomId, expiresAt, secret));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
@@ -0,0 +1,29 @@
+import vm from 'node:vm';
+import { LOCKED_WORKER_GLOBALS, lockFunctionConstructors } from '../src/weaponRealm/lockdown.js';
+
+// Lockdown for Node worker threads that run weapon code (the co-op room worker and the CLI bench).
+// Callers keep references to any timers or ports they need first: this removes the Node globals weapon
+// code could reach, plus every function constructor. Bodies are compiled with node:vm so an import()
+// in them is refused instead of loading Node modules.
+
+const NODE_LOCKED_GLOBALS = ['process', 'Buffer', 'setImmediate', 'clearImmediate', 'queueMicrotask', 'require'];
+
+export function lockNodeWorkerGlobals(scope = globalThis) {
+  for (const name of [...LOCKED_WORKER_GLOBALS, ...NODE_LOCKED_GLOBALS]) {
+    try {
+      Object.defineProperty(scope, name, { value: undefined, writable: false, configurable: false });
+    } catch (err) {}
+  }
+  lockFunctionConstructors(scope);
+}
+
+function refuseDynamicImport() {
+  return Promise.reject(new Error('import() is not available to weapon code.'));
+}
+
+export function compileNodeWeapon(code) {
+  return vm.compileFunction(code, ['ctx', 'Math'], {
+    filename: 'weapon.js',
+    importModuleDynamically: refuseDynamicImport,
+  });
+}
@@ -0,0 +1,109 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { Worker } from 'node:worker_threads';
+import { formatWeaponValidationReport, validateWeaponCode } from '../src/weaponValidator.js';
+
+// Usage: npm run weapon-bench -- <weapon.js> [--seconds 4] [--hold 0] [--tier 2] [--mode instant|continuous] [--json]
+// The file holds a weapon function body, the same code the forge stores in a loadout slot.
+// Like the forge, the code is validated first; each pass then runs in a locked worker thread
+// (scripts/weaponBenchThread.js) with the browser bench's deadline.
+
+const BENCH_TIMEOUT_MS = 3000;
+
+function parseArgs(argv) {
+  const args = { files: [], json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') args.json = true;
+    else if (arg === '--seconds') args.seconds = Number(argv[++i]);
+    else if (arg === '--hold') args.holdSeconds = Number(argv[++i]);
+    else if (arg === '--tier') args.tier = Number(argv[++i]);
+    else if (arg === '--mode') args.fireMode = argv[++i];
+    else args.files.push(arg);
+  }
+  return args;
+}
+
+function formatStatuses(statuses) {
+  const entries = Object.entries(statuses);
+  if (!entries.length) return 'none';
+  return entries
+    .map(([key, entry]) => `${key} x${entry.applications} on ${entry.targets} target(s), ${entry.seconds}s total`)
+    .join('; ');
+}
+
+function printReport(file, report) {
+  const leaks = Object.entries(report.leaks).filter(([, count]) => count > 0);
+  console.log(`\n${file}`);
+  console.log(`  profile:    ${report.fireMode} tier ${report.tier}, ${report.shots} activation(s) over ${report.seconds}s`);
+  console.log(`  damage:     ${report.damage} total, ${report.kills} kill(s), ${report.targetsHit}/${report.targets.length} targets hit`);
+  for (const target of report.targets) {
+    console.log(`    ${target.id.padEnd(12)} ${String(target.damage).padStart(7)} dmg  impulse ${target.impulse}  moved ${target.maxDisplacement}`);
+  }
+  console.log(`  statuses:   ${formatStatuses(report.statuses)}`);
+  console.log(`  forces:     impulse ${report.forces.impulse}, max speed ${report.forces.maxSpeed}, max displacement ${report.forces.maxDisplacement}`);
+  console.log(`  peak:       ${Object.entries(report.peak).map(([key, count]) => `${key} ${count}`).join(', ')}`);
+  console.log(`  leaks:      ${leaks.length ? leaks.map(([key, count]) => `${key} ${count}`).join(', ') : 'none'}`);
+  console.log(`  exceptions: ${report.exceptions.length ? '' : 'none'}`);
+  for (const error of report.exceptions) {
+    console.log(`    [${error.source}] ${error.name}: ${error.message}`);
+  }
+}
+
+function runBenchThread(code, options) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./weaponBenchThread.js', import.meta.url), {
+      workerData: { code, options },
+      resourceLimits: { maxOldGenerationSizeMb: 256, maxYoungGenerationSizeMb: 32 },
+    });
+    const finish = (fn, value) => {
+      clearTimeout(timer);
+      worker.terminate();
+      fn(value);
+    };
+    const timer = setTimeout(() => finish(reject, new Error(`Weapon bench timed out after ${BENCH_TIMEOUT_MS}ms.`)), BENCH_TIMEOUT_MS);
+    worker.once('message', (msg) => {
+      if (msg?.ok) finish(resolve, msg.report);
+      else finish(reject, new Error(msg?.error?.message || 'Weapon bench failed.'));
+    });
+    worker.once('error', (err) => finish(reject, err));
+  });
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.files.length) {
+  console.error('Usage: npm run weapon-bench -- <weapon.js> [--seconds 4] [--hold 0] [--tier 2] [--mode instant|continuous] [--json]');
+  process.exit(1);
+}
+
+let failed = false;
+const results = [];
+for (const file of args.files) {
+  const validation = validateWeaponCode(fs.readFileSync(path.resolve(file), 'utf8'));
+  if (!validation.ok) {
+    failed = true;
+    const report = formatWeaponValidationReport(validation);
+    results.push({ file, error: 'validation', validationReport: report });
+    if (!args.json) console.log(`\n${file}\n  rejected by the validator:\n${report.replace(/^/gm, '    ')}`);
+    continue;
+  }
+
+  try {
+    const report = await runBenchThread(validation.code, {
+      seconds: Number.isFinite(args.seconds) ? args.seconds : undefined,
+      holdSeconds: Number.isFinite(args.holdSeconds) ? args.holdSeconds : undefined,
+      tier: Number.isFinite(args.tier) ? args.tier : undefined,
+      fireMode: args.fireMode,
+    });
+    if (report.exceptions.length || report.leaked) failed = true;
+    results.push({ file, ...report });
+    if (!args.json) printReport(file, report);
+  } catch (err) {
+    failed = true;
+    results.push({ file, error: err.message });
+    if (!args.json) console.log(`\n${file}\n  ${err.message}`);
+  }
+}
+
+if (args.json) console.log(JSON.stringify(results, null, 2));
+process.exit(failed ? 1 : 0);
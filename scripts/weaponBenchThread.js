@@ -0,0 +1,16 @@
+import { parentPort, workerData } from 'node:worker_threads';
+import { runWeaponBench } from '../src/weaponBench.js';
+import { compileNodeWeapon, lockNodeWorkerGlobals } from './nodeWeaponLockdown.js';
+
+// One bench pass for scripts/weapon-bench.js, locked down like the co-op room worker.
+// The parent terminates this thread when the pass runs past its deadline.
+
+const port = parentPort;
+lockNodeWorkerGlobals();
+
+try {
+  const report = runWeaponBench(workerData.code, { ...workerData.options, compileWeapon: compileNodeWeapon });
+  port.postMessage({ ok: true, report });
+} catch (err) {
+  port.postMessage({ ok: false, error: { message: err?.message || String(err) } });
+}
@@ -311,5 +311,7 @@ export function buildArena({
   });
 
   scene.userData.weaponCollisionMeshes = aimCollisionMeshes;
+  scene.userData.actorCollisionBoxes = actorCollisionBoxes;
+  scene.userData.walkableSurfaces = walkableSurfaces;
 }
 
@@ -0,0 +1,166 @@
+// Typed combat event bus. The sandbox emits every hit, status, elimination, respawn, and weapon
+// fire or error with attribution; HUD pieces (kill feed, damage breakdown) subscribe here.
+//
+// Shared fields (all plain JSON, so events can be relayed to peers as-is):
+//   type, time (sandbox seconds)
+//   attacker / victim: { id, teamId } or null
+//   weapon: { name, slotIndex, tier } or null
+// Per type:
+//   damage:         amount (hp lost), absorbed, raw, damageType, crit, statusId, position, lethal
+//   status-applied: effectId, seconds, magnitude, stacks
+//   eliminated:     damageType, crit, statusId, assists: [{ id, teamId, damage }]
+//   respawned:      position
+//   weapon-fired:   (attacker and weapon only)
+//   weapon-error:   message
+
+export const COMBAT_EVENT_TYPES = Object.freeze([
+  'damage',
+  'status-applied',
+  'eliminated',
+  'respawned',
+  'weapon-fired',
+  'weapon-error',
+]);
+
+// Only outcomes are kept for lookback; weapon-fired would flush them out at high fire rates.
+const HISTORY_EVENT_TYPES = new Set(['damage', 'status-applied', 'eliminated', 'respawned']);
+const HISTORY_LIMIT = 512;
+export const ASSIST_WINDOW_SECONDS = 10;
+
+const listeners = new Map();
+const history = [];
+
+export function onCombatEvent(type, handler) {
+  if (type !== '*' && !COMBAT_EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown combat event type: ${type}`);
+  }
+  if (!listeners.has(type)) listeners.set(type, new Set());
+  listeners.get(type).add(handler);
+  return () => listeners.get(type)?.delete(handler);
+}
+
+function notify(handlers, event) {
+  if (!handlers) return;
+  for (const handler of handlers) {
+    try {
+      handler(event);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+}
+
+export function emitCombatEvent(type, payload = {}) {
+  if (!COMBAT_EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown combat event type: ${type}`);
+  }
+  const event = Object.freeze({
+    attacker: null,
+    victim: null,
+    weapon: null,
+    ...payload,
+    type,
+    time: Number(payload.time) || 0,
+  });
+  if (HISTORY_EVENT_TYPES.has(type)) {
+    history.push(event);
+    if (history.length > HISTORY_LIMIT) history.splice(0, history.length - HISTORY_LIMIT);
+  }
+  notify(listeners.get(type), event);
+  notify(listeners.get('*'), event);
+  return event;
+}
+
+// Replays an event received from a peer; unknown types are dropped rather than thrown.
+export function ingestCombatEvent(event) {
+  if (!event || typeof event !== 'object' || !COMBAT_EVENT_TYPES.includes(event.type)) return null;
+  return emitCombatEvent(event.type, event);
+}
+
+// Newest last. Filters: type, victimId, attackerId, since (sandbox seconds).
+export function getRecentCombatEvents({ type = null, victimId = null, attackerId = null, since = -Infinity } = {}) {
+  return history.filter((event) => (
+    event.time >= since
+    && (!type || event.type === type)
+    && (!victimId || event.victim?.id === victimId)
+    && (!attackerId || event.attacker?.id === attackerId)
+  ));
+}
+
+// Damage per attacker on one victim since `since`, biggest first.
+export function summarizeDamageTaken(victimId, since = -Infinity) {
+  const byAttacker = new Map();
+  for (const event of getRecentCombatEvents({ type: 'damage', victimId, since })) {
+    const id = event.attacker?.id;
+    if (!id) continue;
+    const row = byAttacker.get(id) || { id, teamId: event.attacker.teamId ?? null, damage: 0 };
+    row.damage += event.amount || 0;
+    byAttacker.set(id, row);
+  }
+  return [...byAttacker.values()].sort((a, b) => b.damage - a.damage);
+}
+
+export function clearCombatEvents() {
+  history.length = 0;
+}
+
+// Per-match tally of damage and kills by attacker and weapon slot, fed from the bus.
+export function createDamageBreakdown() {
+  const rows = new Map();
+  const rowFor = (attacker, weapon) => {
+    const slotIndex = Number.isInteger(weapon?.slotIndex) ? weapon.slotIndex : null;
+    const key = `${attacker.id}:${slotIndex ?? '-'}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        attackerId: attacker.id,
+        teamId: attacker.teamId ?? null,
+        slotIndex,
+        weaponName: weapon?.name || '',
+        tier: weapon?.tier ?? null,
+        damage: 0,
+        absorbed: 0,
+        hits: 0,
+        crits: 0,
+        kills: 0,
+        byType: {},
+      });
+    }
+    const row = rows.get(key);
+    if (weapon?.name) row.weaponName = weapon.name;
+    if (weapon?.tier != null) row.tier = weapon.tier;
+    return row;
+  };
+
+  const unsubscribers = [
+    onCombatEvent('damage', (event) => {
+      if (!event.attacker?.id) return;
+      const row = rowFor(event.attacker, event.weapon);
+      row.damage += event.amount || 0;
+      row.absorbed += event.absorbed || 0;
+      row.hits += 1;
+      if (event.crit) row.crits += 1;
+      row.byType[event.damageType] = (row.byType[event.damageType] || 0) + (event.amount || 0);
+    }),
+    onCombatEvent('eliminated', (event) => {
+      if (!event.attacker?.id) return;
+      rowFor(event.attacker, event.weapon).kills += 1;
+    }),
+  ];
+
+  return {
+    // Rows sorted by damage; pass attackerId to see one player's weapons.
+    getRows({ attackerId = null } = {}) {
+      return [...rows.values()]
+        .filter((row) => !attackerId || row.attackerId === attackerId)
+        .map((row) => ({ ...row, byType: { ...row.byType } }))
+        .sort((a, b) => b.damage - a.damage);
+    },
+    reset() {
+      rows.clear();
+    },
+    destroy() {
+      unsubscribers.forEach((off) => off());
+      rows.clear();
+    },
+  };
+}
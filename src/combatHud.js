@@ -0,0 +1,141 @@
+import { createDamageBreakdown, onCombatEvent } from './combatEvents.js';
+
+const KILL_FEED_LIMIT = 5;
+const KILL_FEED_SECONDS = 6;
+
+let feedEntries = [];
+let breakdown = null;
+let unsubscribers = [];
+let getDisplayName = (id) => id;
+let getLocalPlayerId = () => null;
+
+function getKillFeed() { return document.getElementById('kill-feed'); }
+function getBreakdownPanel() { return document.getElementById('damage-breakdown'); }
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, (ch) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+  })[ch]);
+}
+
+function describeName(ref) {
+  if (!ref?.id) return 'the arena';
+  const name = getDisplayName(ref.id) || ref.id;
+  return ref.id === getLocalPlayerId() ? `${name} (you)` : name;
+}
+
+function describeWeapon(weapon, statusId) {
+  const name = weapon?.name || (statusId ? statusId : 'unknown');
+  const tier = weapon?.tier != null ? ` T${weapon.tier}` : '';
+  return statusId && weapon?.name ? `${name}${tier} (${statusId})` : `${name}${tier}`;
+}
+
+function renderKillFeed() {
+  const feedEl = getKillFeed();
+  if (!feedEl) return;
+  feedEl.innerHTML = feedEntries.map(({ event }) => {
+    const local = getLocalPlayerId();
+    const involved = event.attacker?.id === local || event.victim?.id === local;
+    const assists = event.assists?.length ? `<span class="kill-feed-assist">+${event.assists.length}</span>` : '';
+    return `
+      <div class="kill-feed-entry${involved ? ' local' : ''}">
+        <span class="kill-feed-name ${escapeHtml(event.attacker?.teamId || '')}">${escapeHtml(describeName(event.attacker))}</span>
+        <span class="kill-feed-weapon${event.crit ? ' crit' : ''}">${escapeHtml(describeWeapon(event.weapon, event.statusId))}</span>
+        <span class="kill-feed-name ${escapeHtml(event.victim?.teamId || '')}">${escapeHtml(describeName(event.victim))}</span>
+        ${assists}
+      </div>
+    `;
+  }).join('');
+}
+
+function pushKillFeed(event) {
+  const entry = { event, timer: null };
+  entry.timer = setTimeout(() => {
+    feedEntries = feedEntries.filter((item) => item !== entry);
+    renderKillFeed();
+  }, KILL_FEED_SECONDS * 1000);
+  feedEntries.push(entry);
+  while (feedEntries.length > KILL_FEED_LIMIT) clearTimeout(feedEntries.shift().timer);
+  renderKillFeed();
+}
+
+export function renderDamageBreakdown() {
+  const panel = getBreakdownPanel();
+  if (!panel || !breakdown) return;
+  const rows = breakdown.getRows();
+  if (!rows.length) {
+    panel.innerHTML = '<div class="damage-breakdown-empty">No damage dealt this match.</div>';
+    return;
+  }
+  panel.innerHTML = `
+    <div class="damage-breakdown-title">Damage this match</div>
+    <table>
+      <thead><tr><th>Player</th><th>Weapon</th><th>Damage</th><th>Hits</th><th>Crits</th><th>Kills</th></tr></thead>
+      <tbody>
+        ${rows.map((row) => `
+          <tr class="${row.attackerId === getLocalPlayerId() ? 'local' : ''}">
+            <td class="${escapeHtml(row.teamId || '')}">${escapeHtml(describeName({ id: row.attackerId }))}</td>
+            <td title="${escapeHtml(Object.entries(row.byType).map(([type, dmg]) => `${type} ${Math.round(dmg)}`).join(', '))}">
+              ${escapeHtml(row.slotIndex != null ? `${row.slotIndex + 1}. ` : '')}${escapeHtml(describeWeapon({ name: row.weaponName, tier: row.tier }))}
+            </td>
+            <td>${Math.round(row.damage)}${row.absorbed > 0 ? ` <span class="damage-breakdown-absorbed">(+${Math.round(row.absorbed)} shield)</span>` : ''}</td>
+            <td>${row.hits}</td>
+            <td>${row.crits}</td>
+            <td>${row.kills}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+// Opts: getDisplayName(playerId), getLocalPlayerId().
+export function initCombatHud(opts = {}) {
+  destroyCombatHud();
+  if (typeof opts.getDisplayName === 'function') getDisplayName = opts.getDisplayName;
+  if (typeof opts.getLocalPlayerId === 'function') getLocalPlayerId = opts.getLocalPlayerId;
+  breakdown = createDamageBreakdown();
+  unsubscribers = [
+    onCombatEvent('eliminated', (event) => {
+      pushKillFeed(event);
+      if (isDamageBreakdownOpen()) renderDamageBreakdown();
+    }),
+  ];
+  renderKillFeed();
+}
+
+export function destroyCombatHud() {
+  unsubscribers.forEach((off) => off());
+  unsubscribers = [];
+  breakdown?.destroy();
+  breakdown = null;
+  feedEntries.forEach((entry) => clearTimeout(entry.timer));
+  feedEntries = [];
+}
+
+export function getDamageBreakdownRows(filter) {
+  return breakdown?.getRows(filter) ?? [];
+}
+
+// Call when a new match starts.
+export function resetDamageBreakdown() {
+  breakdown?.reset();
+  renderDamageBreakdown();
+}
+
+export function isDamageBreakdownOpen() {
+  const panel = getBreakdownPanel();
+  return Boolean(panel) && !panel.hidden;
+}
+
+export function toggleDamageBreakdown(open = !isDamageBreakdownOpen()) {
+  const panel = getBreakdownPanel();
+  if (!panel) return false;
+  panel.hidden = !open;
+  if (open) renderDamageBreakdown();
+  return open;
+}
@@ -0,0 +1,26 @@
+import * as THREE from 'three';
+
+let _compatThree = null;
+
+export function getCompatThree() {
+  if (_compatThree) return _compatThree;
+
+  const compat = { ...THREE };
+  if (typeof compat.CapsuleGeometry !== 'function') {
+    // Three r128 may not expose CapsuleGeometry; provide a safe fallback.
+    compat.CapsuleGeometry = class CapsuleGeometry extends THREE.CylinderGeometry {
+      constructor(radius = 0.25, length = 1, capSegments = 8, radialSegments = 8) {
+        const r = Math.max(0.01, Number.isFinite(radius) ? radius : 0.25);
+        const body = Math.max(0.001, Number.isFinite(length) ? length : 1);
+        const radial = Math.max(3, Math.floor(Number.isFinite(radialSegments) ? radialSegments : 8));
+        const radialCap = Math.max(1, Math.floor(Number.isFinite(capSegments) ? capSegments : 8));
+
+        // Approximation: cylinder height includes hemispherical cap space.
+        super(r, r, body + r * 2, radial, radialCap, false);
+      }
+    };
+  }
+
+  _compatThree = compat;
+  return _compatThree;
+}
@@ -1,9 +1,27 @@
-﻿const DEFAULT_ROOM_ID = 'local-arena';
+﻿import { COOP_SERVER_AUTHORITY_ID } from './gameConfig.js';
+import {
+  COOP_ENCODINGS,
+  COOP_PROTOCOL_VERSION,
+  SERVER_PEER_INDEX,
+  WORLD_BASELINE_LIMIT,
+  decodeMessage,
+  dequantizeWorld,
+  encodeAckMessage,
+  encodeGenericMessage,
+  encodeStateMessage,
+  getMessageTypeId,
+} from './coopProtocol.js';
+import { setForgeRoomToken } from './llm/index.js';
+import { createFireId } from './weaponRandom.js';
+
+const DEFAULT_ROOM_ID = 'local-arena';
 const MIN_BROADCAST_MS = 50;
 const KEEPALIVE_MS = 500;
 const STALE_PEER_MS = 2500;
 const RECONNECT_BASE_MS = 500;
 const RECONNECT_MAX_MS = 3000;
+// How far behind the newest server snapshot peers are drawn; shots report what was on screen.
+export const SERVER_VIEW_DELAY_MS = 100;
 
 function round(value, decimals = 3) {
   const scale = 10 ** decimals;
@@ -82,6 +100,8 @@ function normalizeActorState(state = {}) {
     yaw: round(state.yaw, 4),
     aimPitch: round(state.aimPitch, 4),
     firing: Boolean(state.firing),
+    // The channel id a held continuous weapon's fire() returned; it seeds every tick on the server.
+    fireId: state.firing && typeof state.fireId === 'string' ? state.fireId.slice(0, 64) : null,
     teamId: typeof state.teamId === 'string' ? state.teamId : null,
     weaponName: sanitizeName(state.weaponName || 'No Weapon'),
   };
@@ -91,7 +111,11 @@ export function createLocalCoopClient() {
   const params = new URLSearchParams(globalThis.location?.search || '');
   const serverUrl = sanitizeServerUrl(params.get('server') || params.get('ws'));
   const requestedTeam = sanitizeTeamId(params.get('team') || params.get('side'));
+  // Room opt-in; the authority's value is the one that applies damage.
+  const friendlyFire = params.get('friendlyFire') === '1' || params.get('ff') === '1';
   const transport = serverUrl ? 'websocket' : 'broadcast';
+  // `?protocol=json` keeps the socket on JSON frames so traffic stays readable in devtools.
+  const offeredEncodings = params.get('protocol') === 'json' ? ['json'] : [...COOP_ENCODINGS];
   const requested = (
     params.has('room')
     || params.get('coop') === '1'
@@ -126,6 +150,23 @@ export function createLocalCoopClient() {
   let pendingStateEnvelope = null;
   let pendingWeaponEnvelope = null;
   let pendingWorldEnvelope = null;
+  // Set once an authoritative co-op server announces itself; it then owns hp, respawns, and scores.
+  let serverAuthoritative = false;
+  let serverClock = null;
+  // Binary link state (src/coopProtocol.js), reset with every welcome and disconnect.
+  let encoding = 'json';
+  let link = createLinkState();
+  const traffic = { bytesSent: 0, bytesReceived: 0 };
+
+  function createLinkState() {
+    return {
+      peerIndex: null,
+      peerTable: new Map([[SERVER_PEER_INDEX, { playerId: COOP_SERVER_AUTHORITY_ID, name: 'Server', joinedAt: 0 }]]),
+      statesIn: new Map(),
+      stateOut: null,
+      worldBaselines: new Map(),
+    };
+  }
 
   function pruneStalePeers(now = Date.now()) {
     for (const [peerId, peer] of peers) {
@@ -175,13 +216,31 @@ export function createLocalCoopClient() {
     }
 
     if (socket?.readyState === WebSocket.OPEN) {
-      socket.send(JSON.stringify(envelope));
+      if (encoding === 'binary' && getMessageTypeId(envelope.type)) {
+        sendBinary(encodeEnvelope(envelope));
+      } else {
+        const text = JSON.stringify(envelope);
+        traffic.bytesSent += text.length;
+        socket.send(text);
+      }
       return true;
     }
 
     return false;
   }
 
+  function encodeEnvelope(envelope) {
+    if (envelope.type !== 'state') return encodeGenericMessage(envelope.type, link.peerIndex, envelope);
+    const { bytes, quantized } = encodeStateMessage(link.peerIndex, envelope.actor, link.stateOut);
+    link.stateOut = quantized;
+    return bytes;
+  }
+
+  function sendBinary(bytes) {
+    traffic.bytesSent += bytes.byteLength;
+    socket.send(bytes);
+  }
+
   function queueEnvelope(envelope) {
     if (transport !== 'websocket') return;
     if (envelope.type === 'state') pendingStateEnvelope = envelope;
@@ -219,6 +278,12 @@ export function createLocalCoopClient() {
       return;
     }
 
+    if (message.type === 'authority') {
+      serverAuthoritative = message.authorityId === COOP_SERVER_AUTHORITY_ID && message.playerId === COOP_SERVER_AUTHORITY_ID;
+      emit('authority', message);
+      return;
+    }
+
     if (message.type === 'sync-request') {
       publishCachedState();
       emit('sync-request', message);
@@ -231,7 +296,11 @@ export function createLocalCoopClient() {
       return;
     }
 
-    if (message.type === 'weapon' || message.type === 'fire' || message.type === 'world') {
+    if (message.type === 'world' && message.playerId === COOP_SERVER_AUTHORITY_ID && Number.isFinite(message.serverTime)) {
+      serverClock = { serverTime: message.serverTime, receivedAt: Date.now() };
+    }
+
+    if (['weapon', 'fire', 'world', 'ability', 'combat', 'weapon-rejected'].includes(message.type)) {
       emit(message.type, message);
     }
   }
@@ -240,6 +309,87 @@ export function createLocalCoopClient() {
     handleEnvelope(event?.data);
   }
 
+  // Server control messages that never reach listeners.
+  function handleProtocolMessage(message) {
+    if (message?.playerId !== COOP_SERVER_AUTHORITY_ID) return false;
+    if (message.type === 'welcome') {
+      link = createLinkState();
+      link.peerIndex = Number.isInteger(message.peerIndex) ? message.peerIndex : null;
+      encoding = message.encoding === 'binary' && link.peerIndex != null ? 'binary' : 'json';
+      setForgeRoomToken(roomId, message.forgeRoomToken);
+      return true;
+    }
+    if (message.type === 'peer') {
+      if (Number.isInteger(message.index)) {
+        link.peerTable.set(message.index, {
+          playerId: String(message.peerId || ''),
+          name: message.peerName,
+          joinedAt: message.peerJoinedAt,
+        });
+        link.statesIn.delete(message.index);
+      }
+      return true;
+    }
+    return false;
+  }
+
+  function handleBinaryFrame(data) {
+    traffic.bytesReceived += data.byteLength;
+    let message = null;
+    try {
+      message = decodeMessage(data, {
+        previousState: (index) => link.statesIn.get(index),
+        worldBaseline: (tick) => link.worldBaselines.get(tick),
+      });
+    } catch (err) {
+      // Usually a lost baseline: drop ours and ask for a keyframe.
+      console.error(err);
+      link.worldBaselines.clear();
+      sendBinary(encodeAckMessage(0));
+      return;
+    }
+
+    const sender = link.peerTable.get(message.senderIndex);
+    if (!sender) return;
+    let body = message.body;
+    if (message.type === 'state') {
+      link.statesIn.set(message.senderIndex, message.quantized);
+    } else if (message.quantized) {
+      const { quantized } = message;
+      link.worldBaselines.set(quantized.tick, quantized);
+      for (const tick of link.worldBaselines.keys()) {
+        if (link.worldBaselines.size <= WORLD_BASELINE_LIMIT) break;
+        link.worldBaselines.delete(tick);
+      }
+      sendBinary(encodeAckMessage(quantized.tick));
+      body = dequantizeWorld(quantized, (index) => link.peerTable.get(index)?.playerId ?? '');
+    }
+
+    handleEnvelope({
+      type: message.type,
+      roomId,
+      playerId: sender.playerId,
+      joinedAt: sender.joinedAt,
+      name: sender.name,
+      sentAt: Date.now(),
+      ...body,
+    });
+    if (message.type === 'leave' && message.senderIndex !== SERVER_PEER_INDEX) {
+      link.peerTable.delete(message.senderIndex);
+      link.statesIn.delete(message.senderIndex);
+    }
+  }
+
+  function handleSocketMessage(data) {
+    if (typeof data !== 'string') {
+      handleBinaryFrame(data);
+      return;
+    }
+    traffic.bytesReceived += data.length;
+    const message = JSON.parse(data);
+    if (!handleProtocolMessage(message)) handleEnvelope(message);
+  }
+
   function clearReconnectTimer() {
     if (!reconnectTimer) return;
     clearTimeout(reconnectTimer);
@@ -260,6 +410,10 @@ export function createLocalCoopClient() {
     if (socket !== currentSocket) return;
     reconnectDelayMs = RECONNECT_BASE_MS;
     connectionState = 'connected';
+    // The hello goes first and in JSON; the server's welcome picks the encoding for the rest.
+    currentSocket.send(JSON.stringify(buildEnvelope('hello', {
+      protocol: { version: COOP_PROTOCOL_VERSION, encodings: offeredEncodings },
+    })));
     flushPendingEnvelopes();
     publishCachedState();
     emit('connected', {
@@ -272,6 +426,10 @@ export function createLocalCoopClient() {
     if (socket !== currentSocket) return;
     socket = null;
     peers.clear();
+    serverAuthoritative = false;
+    serverClock = null;
+    encoding = 'json';
+    link = createLinkState();
     if (destroyed) {
       connectionState = 'disconnected';
       return;
@@ -292,11 +450,12 @@ export function createLocalCoopClient() {
     try {
       const currentSocket = new WebSocket(serverUrl);
       socket = currentSocket;
+      currentSocket.binaryType = 'arraybuffer';
       currentSocket.addEventListener('open', () => handleSocketOpen(currentSocket));
       currentSocket.addEventListener('message', (event) => {
         if (socket !== currentSocket) return;
         try {
-          handleEnvelope(JSON.parse(event.data));
+          handleSocketMessage(event.data);
         } catch (err) {
           console.error(err);
         }
@@ -337,7 +496,13 @@ export function createLocalCoopClient() {
       if (changed && now - lastSentAt < MIN_BROADCAST_MS) return;
     }
 
-    const envelope = buildEnvelope('state', { actor });
+    // `seq` is the predictor's input number (src/coopPrediction.js) and `viewTime` feeds the
+    // server's lag compensation; both stay out of the keepalive signature so an idle player is
+    // not re-sent every frame.
+    const extra = {};
+    if (Number.isInteger(state.seq)) extra.seq = state.seq;
+    if (serverClock) extra.viewTime = getServerViewTime();
+    const envelope = buildEnvelope('state', { actor: { ...actor, ...extra } });
     const sent = sendEnvelope(envelope);
     if (!sent) queueEnvelope(envelope);
 
@@ -360,6 +525,7 @@ export function createLocalCoopClient() {
   }
 
   function getAuthorityId() {
+    if (serverAuthoritative) return COOP_SERVER_AUTHORITY_ID;
     const participants = getParticipants();
     participants.sort((a, b) => {
       if ((a.joinedAt || 0) !== (b.joinedAt || 0)) return (a.joinedAt || 0) - (b.joinedAt || 0);
@@ -368,6 +534,13 @@ export function createLocalCoopClient() {
     return participants[0]?.playerId || playerId;
   }
 
+  // Server time of the world on screen: the newest snapshot's time, advanced by the local clock,
+  // minus the peer interpolation delay. Null until a server snapshot arrives.
+  function getServerViewTime(delayMs = SERVER_VIEW_DELAY_MS) {
+    if (!serverClock) return null;
+    return round(serverClock.serverTime + (Date.now() - serverClock.receivedAt - delayMs) / 1000, 3);
+  }
+
   function isAuthority() {
     return getAuthorityId() === playerId;
   }
@@ -389,8 +562,25 @@ export function createLocalCoopClient() {
     post('weapon', lastWeaponPayload);
   }
 
+  // Every fire carries a `fireId` that seeds the weapon's ctx.random() (src/weaponRandom.js).
+  // Pass the id the local `fire()` returned so peers replay the same rolls; one is made up otherwise.
+  // Returns the id that was sent.
   function publishFire(payload = {}) {
-    post('fire', payload);
+    const fireId = typeof payload.fireId === 'string' && payload.fireId ? payload.fireId : createFireId(playerId);
+    const message = { ...payload, fireId };
+    if (serverClock && message.viewTime == null) message.viewTime = getServerViewTime();
+    post('fire', message);
+    return fireId;
+  }
+
+  // ctx.player dash/blink/shield/heal details from the sandbox's onPlayerAbility hook.
+  function publishAbility(payload = {}) {
+    post('ability', payload);
+  }
+
+  // Combat events seen by the authority, so peers can fill their kill feed.
+  function publishCombatEvent(event) {
+    post('combat', { event });
   }
 
   function publishWorld(payload = {}) {
@@ -429,6 +619,7 @@ export function createLocalCoopClient() {
     joinedAt,
     displayName,
     requestedTeam,
+    friendlyFire,
     get enabled() {
       return requested && supported && (Boolean(channel) || transport === 'websocket');
     },
@@ -441,14 +632,24 @@ export function createLocalCoopClient() {
     get connectionState() {
       return connectionState;
     },
+    get serverAuthoritative() {
+      return serverAuthoritative;
+    },
+    // Wire encoding and traffic for coop_debug_state().
+    get protocol() {
+      return { version: COOP_PROTOCOL_VERSION, encoding, ...traffic };
+    },
     publishState,
     publishWeapon,
     publishFire,
+    publishAbility,
+    publishCombatEvent,
     publishWorld,
     listPeers,
     getParticipants,
     getAuthorityId,
     isAuthority,
+    getServerViewTime,
     on,
     destroy,
   };
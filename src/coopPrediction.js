@@ -0,0 +1,169 @@
+import * as THREE from 'three';
+
+// Client-side prediction for the local player against an authoritative co-op server.
+// Every movement frame is recorded with a sequence number; `state` envelopes carry the latest
+// one and `world` snapshots acknowledge it as `lastInputSeq`. When the server's position for an
+// acknowledged input disagrees with what we predicted, the unacknowledged inputs are replayed
+// on top of the server position. Small corrections are eased out through a render offset,
+// large ones (and respawns) snap.
+
+export const PREDICTION_DEAD_ZONE = 0.05;
+export const PREDICTION_SNAP_DISTANCE = 2.5;
+export const PREDICTION_SMOOTHING_RATE = 12;
+const HISTORY_LIMIT = 240;
+const ERROR_AVERAGE_WEIGHT = 0.1;
+
+function toVector(value) {
+  if (value?.isVector3) return value.clone();
+  if (Array.isArray(value)) return new THREE.Vector3(Number(value[0]) || 0, Number(value[1]) || 0, Number(value[2]) || 0);
+  return new THREE.Vector3(Number(value?.x) || 0, Number(value?.y) || 0, Number(value?.z) || 0);
+}
+
+function round(value, decimals = 3) {
+  const scale = 10 ** decimals;
+  return Math.round((Number(value) || 0) * scale) / scale;
+}
+
+/**
+ * Options:
+ *   replay(position, input) -> Vector3   re-runs one recorded input from `position`; without it
+ *                                         the recorded displacement is re-applied as-is.
+ *   deadZone, snapDistance                meters
+ *   smoothingRate                         1/s decay of the render offset
+ */
+export function createMovementPredictor(opts = {}) {
+  const replay = typeof opts.replay === 'function' ? opts.replay : null;
+  const deadZone = Math.max(0, Number(opts.deadZone ?? PREDICTION_DEAD_ZONE));
+  const snapDistance = Math.max(deadZone, Number(opts.snapDistance ?? PREDICTION_SNAP_DISTANCE));
+  const smoothingRate = Math.max(0.1, Number(opts.smoothingRate ?? PREDICTION_SMOOTHING_RATE));
+
+  const history = [];
+  const renderOffset = new THREE.Vector3();
+  let seq = 0;
+  let ackedSeq = 0;
+  // Inputs up to this one were sent before the last correction; the server may still be
+  // following them, so their acks are not compared again.
+  let settleSeq = 0;
+  let spawnVersion = null;
+  let lastPosition = null;
+  const stats = {
+    lastError: 0,
+    maxError: 0,
+    averageError: 0,
+    corrections: 0,
+    snaps: 0,
+    replayed: 0,
+  };
+
+  // Call once per local movement frame, after the player has moved. `input` is whatever
+  // `replay` needs (move axes, jump, dt, ...). Returns the sequence number to publish.
+  function recordInput(input = {}, position) {
+    const current = toVector(position);
+    seq += 1;
+    history.push({
+      seq,
+      input,
+      delta: lastPosition ? current.clone().sub(lastPosition) : new THREE.Vector3(),
+      position: current,
+    });
+    if (history.length > HISTORY_LIMIT) history.splice(0, history.length - HISTORY_LIMIT);
+    lastPosition = current;
+    return seq;
+  }
+
+  // `server` is the local player's combatant entry from a `world` snapshot; `current` is the
+  // predicted position we are rendering. Returns the position the player should continue from
+  // (null when no change is needed).
+  function reconcile(server, current) {
+    const acked = Number(server?.lastInputSeq);
+    if (!server?.position || !Number.isFinite(acked) || acked < ackedSeq) return { position: null, snapped: false, error: 0 };
+    ackedSeq = acked;
+    const serverPosition = toVector(server.position);
+    const respawned = spawnVersion != null && server.spawnVersion !== spawnVersion;
+    spawnVersion = server.spawnVersion ?? spawnVersion;
+
+    // The acked entry stays at the head, since the next snapshot often acks the same input again.
+    const ackedEntry = history.find((entry) => entry.seq === acked);
+    const predicted = ackedEntry ? ackedEntry.position : toVector(current);
+    const pending = history.filter((entry) => entry.seq > acked);
+    history.length = 0;
+    if (ackedEntry) history.push(ackedEntry);
+    history.push(...pending);
+
+    if (acked <= settleSeq && !respawned) return { position: null, snapped: false, error: 0 };
+
+    const error = predicted.distanceTo(serverPosition);
+    stats.lastError = error;
+    stats.maxError = Math.max(stats.maxError, error);
+    stats.averageError += (error - stats.averageError) * ERROR_AVERAGE_WEIGHT;
+    if (error <= deadZone && !respawned) return { position: null, snapped: false, error };
+
+    if (ackedEntry) ackedEntry.position = serverPosition.clone();
+    let rebased = serverPosition;
+    for (const entry of pending) {
+      rebased = replay ? toVector(replay(rebased.clone(), entry.input)) : rebased.clone().add(entry.delta);
+      entry.position = rebased.clone();
+    }
+    stats.replayed += pending.length;
+    stats.corrections += 1;
+    lastPosition = rebased.clone();
+    settleSeq = seq;
+
+    const shift = toVector(current).sub(rebased);
+    if (respawned || shift.length() >= snapDistance) {
+      stats.snaps += 1;
+      renderOffset.set(0, 0, 0);
+      return { position: rebased, snapped: true, error };
+    }
+    renderOffset.add(shift);
+    return { position: rebased, snapped: false, error };
+  }
+
+  // Eases the render offset toward zero; add the returned vector to the player's mesh position.
+  function updateSmoothing(dt) {
+    renderOffset.multiplyScalar(Math.exp(-smoothingRate * Math.max(0, dt)));
+    if (renderOffset.lengthSq() < 1e-6) renderOffset.set(0, 0, 0);
+    return renderOffset;
+  }
+
+  function reset() {
+    history.length = 0;
+    renderOffset.set(0, 0, 0);
+    ackedSeq = 0;
+    settleSeq = 0;
+    seq = 0;
+    spawnVersion = null;
+    lastPosition = null;
+    Object.assign(stats, { lastError: 0, maxError: 0, averageError: 0, corrections: 0, snaps: 0, replayed: 0 });
+  }
+
+  // For a debug overlay: errors in meters.
+  function getDebugState() {
+    return {
+      seq,
+      ackedSeq,
+      pendingInputs: history.filter((entry) => entry.seq > ackedSeq).length,
+      lastError: round(stats.lastError),
+      averageError: round(stats.averageError),
+      maxError: round(stats.maxError),
+      corrections: stats.corrections,
+      snaps: stats.snaps,
+      replayedInputs: stats.replayed,
+      renderOffset: round(renderOffset.length()),
+      deadZone,
+      snapDistance,
+    };
+  }
+
+  return {
+    recordInput,
+    reconcile,
+    updateSmoothing,
+    getRenderOffset: () => renderOffset.clone(),
+    getDebugState,
+    reset,
+    get seq() {
+      return seq;
+    },
+  };
+}
@@ -0,0 +1,591 @@
+import { CONTROL_POINTS, TEAM_IDS } from './gameConfig.js';
+
+// Binary co-op wire format, shared by src/coop.js and scripts/coop-server.js.
+//
+// A socket starts in JSON. The client's first message is a JSON `hello` that lists the encodings
+// it accepts, and the server answers with a JSON `welcome` naming the one to use. JSON remains
+// the fallback for old clients, `?protocol=json`, and debugging. In binary mode:
+// - session fields (roomId, playerId, joinedAt, name, sentAt) are not resent. Every frame names
+//   its sender by a per-room peer index, and JSON `peer` messages introduce each index first.
+// - `state` sends quantized fields and only those that changed since the previous state on the
+//   same link. WebSocket delivery is ordered and reliable, so the previous state is always known.
+// - the server's `world` snapshot (sender index 0) is a per-field delta against the last
+//   snapshot the client acknowledged with an `ack`. Without a usable baseline it is a keyframe.
+// - every other message type is a type id, the sender, and its JSON body.
+//
+// Frame: u8 version, u8 type id, u8 sender index, body.
+
+export const COOP_PROTOCOL_VERSION = 1;
+export const COOP_ENCODINGS = Object.freeze(['binary', 'json']);
+export const SERVER_PEER_INDEX = 0;
+export const MAX_PEER_INDEX = 254;
+// Snapshots each side keeps as delta baselines.
+export const WORLD_BASELINE_LIMIT = 32;
+
+export const MESSAGE_TYPE_IDS = Object.freeze({
+  state: 1,
+  world: 2,
+  fire: 3,
+  weapon: 4,
+  ability: 5,
+  combat: 6,
+  leave: 7,
+  'sync-request': 8,
+  authority: 9,
+  'weapon-rejected': 10,
+  ack: 11,
+});
+const MESSAGE_TYPES_BY_ID = new Map(Object.entries(MESSAGE_TYPE_IDS).map(([type, id]) => [id, type]));
+
+// Fields every JSON envelope repeats; binary frames rebuild them from the peer table.
+export const ENVELOPE_SESSION_FIELDS = Object.freeze(['type', 'roomId', 'playerId', 'joinedAt', 'name', 'sentAt']);
+
+const POSITION_SCALE = 100;
+const ANGLE_SCALE = 10000;
+const HP_SCALE = 10;
+const TIMER_SCALE = 100;
+const MATCH_PHASES = ['waiting', 'countdown', 'live', 'finished'];
+
+const STATE_FIELDS = ['position', 'velocity', 'yaw', 'aimPitch', 'firing', 'teamId', 'weaponName', 'seq', 'viewTime', 'fireId'];
+const MAX_FIRE_ID_LENGTH = 64;
+const COMBATANT_FIELDS = [
+  'name', 'teamId', 'hp', 'maxHp', 'position', 'velocity', 'yaw', 'kills', 'deaths',
+  'spawnVersion', 'lastInputSeq', 'pendingRespawn', 'corrections', 'status',
+];
+const WORLD_SECTION_MATCH = 1;
+const WORLD_SECTION_SCORES = 2;
+const WORLD_SECTION_POINTS = 4;
+const WORLD_SECTION_EXTRAS = 8;
+// Top-level world fields the codec packs; anything else rides along as JSON extras.
+const WORLD_PACKED_KEYS = new Set([...ENVELOPE_SESSION_FIELDS, 'tick', 'serverTime', 'match', 'teamScores', 'controlPoints', 'combatants']);
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Picks the encoding for a hello's offer; `forceJson` is the server-side override.
+export function negotiateEncoding(protocol, { forceJson = false } = {}) {
+  if (forceJson || Number(protocol?.version) !== COOP_PROTOCOL_VERSION) return 'json';
+  const offered = Array.isArray(protocol?.encodings) ? protocol.encodings : [];
+  return offered.includes('binary') ? 'binary' : 'json';
+}
+
+export function getMessageTypeId(type) {
+  return MESSAGE_TYPE_IDS[type] ?? null;
+}
+
+// Quantization helpers.
+
+function clampInt(value, min, max) {
+  return Math.max(min, Math.min(max, Math.round(Number(value) || 0)));
+}
+
+function wrapAngle(angle) {
+  const a = Number(angle) || 0;
+  return Math.atan2(Math.sin(a), Math.cos(a));
+}
+
+function quantizeVector(v) {
+  return [
+    clampInt((v?.x ?? v?.[0]) * POSITION_SCALE, -32768, 32767),
+    clampInt((v?.y ?? v?.[1]) * POSITION_SCALE, -32768, 32767),
+    clampInt((v?.z ?? v?.[2]) * POSITION_SCALE, -32768, 32767),
+  ];
+}
+
+function dequantizeVector(q) {
+  return { x: q[0] / POSITION_SCALE, y: q[1] / POSITION_SCALE, z: q[2] / POSITION_SCALE };
+}
+
+function quantizeAngle(angle) {
+  return clampInt(wrapAngle(angle) * ANGLE_SCALE, -32768, 32767);
+}
+
+function teamIndex(teamId) {
+  const index = TEAM_IDS.indexOf(teamId);
+  return index === -1 ? 0 : index + 1;
+}
+
+function teamFromIndex(index) {
+  return TEAM_IDS[index - 1] ?? null;
+}
+
+function sameValue(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((value, i) => value === b[i]);
+  return a === b;
+}
+
+// Byte buffers.
+
+class ByteWriter {
+  constructor(size = 256) {
+    this.bytes = new Uint8Array(size);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  reserve(count) {
+    if (this.length + count <= this.bytes.length) return;
+    const next = new Uint8Array(Math.max(this.bytes.length * 2, this.length + count));
+    next.set(this.bytes.subarray(0, this.length));
+    this.bytes = next;
+    this.view = new DataView(next.buffer);
+  }
+
+  u8(value) {
+    this.reserve(1);
+    this.view.setUint8(this.length, value);
+    this.length += 1;
+  }
+
+  u16(value) {
+    this.reserve(2);
+    this.view.setUint16(this.length, value);
+    this.length += 2;
+  }
+
+  i16(value) {
+    this.reserve(2);
+    this.view.setInt16(this.length, value);
+    this.length += 2;
+  }
+
+  u32(value) {
+    this.reserve(4);
+    this.view.setUint32(this.length, value >>> 0);
+    this.length += 4;
+  }
+
+  str(value) {
+    const encoded = textEncoder.encode(String(value ?? ''));
+    if (encoded.length > 0xffff) throw new Error('Co-op string field is too long');
+    this.u16(encoded.length);
+    this.reserve(encoded.length);
+    this.bytes.set(encoded, this.length);
+    this.length += encoded.length;
+  }
+
+  vector(q) {
+    q.forEach((value) => this.i16(value));
+  }
+
+  finish() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+    this.offset = 0;
+  }
+
+  need(count) {
+    if (this.offset + count > this.bytes.length) throw new Error('Truncated co-op frame');
+  }
+
+  u8() {
+    this.need(1);
+    return this.view.getUint8(this.offset++);
+  }
+
+  u16() {
+    this.need(2);
+    const value = this.view.getUint16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  i16() {
+    this.need(2);
+    const value = this.view.getInt16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  u32() {
+    this.need(4);
+    const value = this.view.getUint32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  str() {
+    const length = this.u16();
+    this.need(length);
+    const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += length;
+    return value;
+  }
+
+  vector() {
+    return [this.i16(), this.i16(), this.i16()];
+  }
+}
+
+function writeHeader(writer, type, senderIndex) {
+  writer.u8(COOP_PROTOCOL_VERSION);
+  writer.u8(MESSAGE_TYPE_IDS[type]);
+  writer.u8(clampInt(senderIndex, 0, 255));
+}
+
+// `state`: quantized actor fields, delta against the previous state on the same link.
+
+export function quantizeActorState(actor = {}) {
+  return {
+    position: quantizeVector(actor.position),
+    velocity: quantizeVector(actor.velocity),
+    yaw: quantizeAngle(actor.yaw),
+    aimPitch: quantizeAngle(actor.aimPitch),
+    firing: Boolean(actor.firing),
+    teamId: teamIndex(actor.teamId),
+    weaponName: String(actor.weaponName ?? ''),
+    seq: Number.isInteger(actor.seq) ? clampInt(actor.seq, 0, 0xffffffff) : 0,
+    viewTime: Number.isFinite(actor.viewTime) ? clampInt(actor.viewTime * 1000, 0, 0xffffffff) : 0,
+    fireId: actor.firing && typeof actor.fireId === 'string' ? actor.fireId.slice(0, MAX_FIRE_ID_LENGTH) : '',
+  };
+}
+
+function dequantizeActorState(q) {
+  const actor = {
+    position: dequantizeVector(q.position),
+    velocity: dequantizeVector(q.velocity),
+    yaw: q.yaw / ANGLE_SCALE,
+    aimPitch: q.aimPitch / ANGLE_SCALE,
+    firing: q.firing,
+    teamId: teamFromIndex(q.teamId),
+    weaponName: q.weaponName,
+  };
+  if (q.seq) actor.seq = q.seq;
+  if (q.viewTime) actor.viewTime = q.viewTime / 1000;
+  if (q.fireId) actor.fireId = q.fireId;
+  return actor;
+}
+
+// Returns { bytes, quantized }; keep `quantized` as `previous` for the next state on this link.
+export function encodeStateMessage(senderIndex, actor, previous = null) {
+  const quantized = quantizeActorState(actor);
+  let mask = 0;
+  STATE_FIELDS.forEach((field, bit) => {
+    if (!previous || !sameValue(previous[field], quantized[field])) mask |= 1 << bit;
+  });
+  const writer = new ByteWriter(48);
+  writeHeader(writer, 'state', senderIndex);
+  writer.u16(mask);
+  if (mask & 1) writer.vector(quantized.position);
+  if (mask & 2) writer.vector(quantized.velocity);
+  if (mask & 4) writer.i16(quantized.yaw);
+  if (mask & 8) writer.i16(quantized.aimPitch);
+  if (mask & 16) writer.u8(quantized.firing ? 1 : 0);
+  if (mask & 32) writer.u8(quantized.teamId);
+  if (mask & 64) writer.str(quantized.weaponName);
+  if (mask & 128) writer.u32(quantized.seq);
+  if (mask & 256) writer.u32(quantized.viewTime);
+  if (mask & 512) writer.str(quantized.fireId);
+  return { bytes: writer.finish(), quantized };
+}
+
+function readStateBody(reader, previous) {
+  const mask = reader.u16();
+  const base = previous || quantizeActorState();
+  const quantized = { ...base };
+  if (mask & 1) quantized.position = reader.vector();
+  if (mask & 2) quantized.velocity = reader.vector();
+  if (mask & 4) quantized.yaw = reader.i16();
+  if (mask & 8) quantized.aimPitch = reader.i16();
+  if (mask & 16) quantized.firing = reader.u8() === 1;
+  if (mask & 32) quantized.teamId = reader.u8();
+  if (mask & 64) quantized.weaponName = reader.str();
+  if (mask & 128) quantized.seq = reader.u32();
+  if (mask & 256) quantized.viewTime = reader.u32();
+  if (mask & 512) quantized.fireId = reader.str();
+  return { quantized, actor: dequantizeActorState(quantized) };
+}
+
+// `world`: the authoritative server snapshot, delta against an acknowledged baseline.
+
+// `indexOf(playerId)` maps combatants to peer indices; unknown players are left out.
+export function quantizeWorld(world = {}, indexOf) {
+  const combatants = new Map();
+  for (const c of world.combatants || []) {
+    const index = indexOf(c.playerId);
+    if (!Number.isInteger(index)) continue;
+    combatants.set(index, {
+      name: String(c.name ?? ''),
+      teamId: teamIndex(c.teamId),
+      hp: clampInt(c.hp * HP_SCALE, 0, 0xffff),
+      maxHp: clampInt(c.maxHp * HP_SCALE, 0, 0xffff),
+      position: quantizeVector(c.position),
+      velocity: quantizeVector(c.velocity),
+      yaw: quantizeAngle(c.yaw),
+      kills: clampInt(c.kills, 0, 0xffff),
+      deaths: clampInt(c.deaths, 0, 0xffff),
+      spawnVersion: clampInt(c.spawnVersion, 0, 0xffff),
+      lastInputSeq: clampInt(c.lastInputSeq, 0, 0xffffffff),
+      pendingRespawn: Boolean(c.pendingRespawn),
+      corrections: clampInt(c.corrections, 0, 0xffff),
+      status: c.status == null ? '' : JSON.stringify(c.status),
+    });
+  }
+  const extras = {};
+  for (const [key, value] of Object.entries(world)) {
+    if (!WORLD_PACKED_KEYS.has(key) && value !== undefined) extras[key] = value;
+  }
+  const pointsById = new Map((world.controlPoints || []).map((point) => [point.id, point]));
+  return {
+    tick: clampInt(world.tick, 0, 0xffffffff),
+    serverTime: clampInt((world.serverTime || 0) * 1000, 0, 0xffffffff),
+    match: [
+      Math.max(0, MATCH_PHASES.indexOf(world.match?.phase)),
+      teamIndex(world.match?.winnerTeamId),
+      clampInt((world.match?.timer || 0) * TIMER_SCALE, 0, 0xffff),
+    ],
+    teamScores: TEAM_IDS.map((teamId) => clampInt(world.teamScores?.[teamId], 0, 0xffff)),
+    controlPoints: CONTROL_POINTS.flatMap((point) => {
+      const state = pointsById.get(point.id);
+      return [teamIndex(state?.ownerTeamId), teamIndex(state?.capturingTeamId), clampInt((state?.progress || 0) * 255, 0, 255)];
+    }),
+    extras: Object.keys(extras).length ? JSON.stringify(extras) : '',
+    combatants,
+  };
+}
+
+// `playerOf(index)` returns the peer's playerId.
+export function dequantizeWorld(q, playerOf) {
+  const world = q.extras ? JSON.parse(q.extras) : {};
+  return Object.assign(world, {
+    tick: q.tick,
+    serverTime: q.serverTime / 1000,
+    match: {
+      phase: MATCH_PHASES[q.match[0]] || 'waiting',
+      winnerTeamId: teamFromIndex(q.match[1]),
+      timer: q.match[2] / TIMER_SCALE,
+    },
+    teamScores: Object.fromEntries(TEAM_IDS.map((teamId, i) => [teamId, q.teamScores[i] ?? 0])),
+    controlPoints: CONTROL_POINTS.map((point, i) => ({
+      id: point.id,
+      ownerTeamId: teamFromIndex(q.controlPoints[i * 3]),
+      capturingTeamId: teamFromIndex(q.controlPoints[i * 3 + 1]),
+      progress: (q.controlPoints[i * 3 + 2] ?? 0) / 255,
+    })),
+    combatants: [...q.combatants.entries()].map(([index, c]) => ({
+      playerId: playerOf(index),
+      name: c.name,
+      teamId: teamFromIndex(c.teamId),
+      hp: c.hp / HP_SCALE,
+      maxHp: c.maxHp / HP_SCALE,
+      position: dequantizeVector(c.position),
+      velocity: dequantizeVector(c.velocity),
+      yaw: c.yaw / ANGLE_SCALE,
+      kills: c.kills,
+      deaths: c.deaths,
+      spawnVersion: c.spawnVersion,
+      lastInputSeq: c.lastInputSeq,
+      pendingRespawn: c.pendingRespawn,
+      corrections: c.corrections,
+      status: c.status ? JSON.parse(c.status) : null,
+    })),
+  });
+}
+
+function writeCombatantFields(writer, c, mask) {
+  COMBATANT_FIELDS.forEach((field, bit) => {
+    if (!(mask & (1 << bit))) return;
+    const value = c[field];
+    switch (field) {
+      case 'name':
+      case 'status':
+        writer.str(value);
+        break;
+      case 'teamId':
+      case 'pendingRespawn':
+        writer.u8(Number(value));
+        break;
+      case 'position':
+      case 'velocity':
+        writer.vector(value);
+        break;
+      case 'yaw':
+        writer.i16(value);
+        break;
+      case 'lastInputSeq':
+        writer.u32(value);
+        break;
+      default:
+        writer.u16(value);
+    }
+  });
+}
+
+function readCombatantFields(reader, base, mask) {
+  const c = { ...base };
+  COMBATANT_FIELDS.forEach((field, bit) => {
+    if (!(mask & (1 << bit))) return;
+    switch (field) {
+      case 'name':
+      case 'status':
+        c[field] = reader.str();
+        break;
+      case 'teamId':
+        c[field] = reader.u8();
+        break;
+      case 'pendingRespawn':
+        c[field] = reader.u8() === 1;
+        break;
+      case 'position':
+      case 'velocity':
+        c[field] = reader.vector();
+        break;
+      case 'yaw':
+        c[field] = reader.i16();
+        break;
+      case 'lastInputSeq':
+        c[field] = reader.u32();
+        break;
+      default:
+        c[field] = reader.u16();
+    }
+  });
+  return c;
+}
+
+// `quantized` comes from quantizeWorld; `baseline` is the quantized snapshot the client acked
+// (null sends a keyframe). Returns the frame bytes.
+export function encodeWorldMessage(senderIndex, quantized, baseline = null) {
+  const writer = new ByteWriter(512);
+  writeHeader(writer, 'world', senderIndex);
+  writer.u32(quantized.tick);
+  writer.u32(baseline ? baseline.tick : 0);
+  writer.u32(quantized.serverTime);
+
+  let sections = 0;
+  if (!baseline || !sameValue(baseline.match, quantized.match)) sections |= WORLD_SECTION_MATCH;
+  if (!baseline || !sameValue(baseline.teamScores, quantized.teamScores)) sections |= WORLD_SECTION_SCORES;
+  if (!baseline || !sameValue(baseline.controlPoints, quantized.controlPoints)) sections |= WORLD_SECTION_POINTS;
+  if (!baseline || baseline.extras !== quantized.extras) sections |= WORLD_SECTION_EXTRAS;
+  writer.u8(sections);
+  if (sections & WORLD_SECTION_MATCH) {
+    writer.u8(quantized.match[0]);
+    writer.u8(quantized.match[1]);
+    writer.u16(quantized.match[2]);
+  }
+  if (sections & WORLD_SECTION_SCORES) {
+    writer.u8(quantized.teamScores.length);
+    quantized.teamScores.forEach((score) => writer.u16(score));
+  }
+  if (sections & WORLD_SECTION_POINTS) {
+    writer.u8(quantized.controlPoints.length);
+    quantized.controlPoints.forEach((value) => writer.u8(value));
+  }
+  if (sections & WORLD_SECTION_EXTRAS) writer.str(quantized.extras);
+
+  const changed = [];
+  for (const [index, c] of quantized.combatants) {
+    const base = baseline?.combatants.get(index);
+    let mask = 0;
+    COMBATANT_FIELDS.forEach((field, bit) => {
+      if (!base || !sameValue(base[field], c[field])) mask |= 1 << bit;
+    });
+    if (mask) changed.push([index, c, mask]);
+  }
+  const removed = baseline ? [...baseline.combatants.keys()].filter((index) => !quantized.combatants.has(index)) : [];
+  writer.u8(changed.length);
+  for (const [index, c, mask] of changed) {
+    writer.u8(index);
+    writer.u16(mask);
+    writeCombatantFields(writer, c, mask);
+  }
+  writer.u8(removed.length);
+  removed.forEach((index) => writer.u8(index));
+  return writer.finish();
+}
+
+function readWorldBody(reader, getBaseline) {
+  const tick = reader.u32();
+  const baseTick = reader.u32();
+  const baseline = baseTick ? getBaseline?.(baseTick) : null;
+  if (baseTick && !baseline) throw new Error(`Missing co-op world baseline ${baseTick}`);
+  const quantized = {
+    tick,
+    serverTime: reader.u32(),
+    match: baseline ? baseline.match : [0, 0, 0],
+    teamScores: baseline ? baseline.teamScores : TEAM_IDS.map(() => 0),
+    controlPoints: baseline ? baseline.controlPoints : CONTROL_POINTS.flatMap(() => [0, 0, 0]),
+    extras: baseline ? baseline.extras : '',
+    combatants: new Map(baseline ? baseline.combatants : []),
+  };
+  const sections = reader.u8();
+  if (sections & WORLD_SECTION_MATCH) quantized.match = [reader.u8(), reader.u8(), reader.u16()];
+  if (sections & WORLD_SECTION_SCORES) {
+    const count = reader.u8();
+    quantized.teamScores = Array.from({ length: count }, () => reader.u16());
+  }
+  if (sections & WORLD_SECTION_POINTS) {
+    const count = reader.u8();
+    quantized.controlPoints = Array.from({ length: count }, () => reader.u8());
+  }
+  if (sections & WORLD_SECTION_EXTRAS) quantized.extras = reader.str();
+  const changedCount = reader.u8();
+  for (let i = 0; i < changedCount; i++) {
+    const index = reader.u8();
+    const mask = reader.u16();
+    const base = quantized.combatants.get(index) || {};
+    quantized.combatants.set(index, readCombatantFields(reader, base, mask));
+  }
+  const removedCount = reader.u8();
+  for (let i = 0; i < removedCount; i++) quantized.combatants.delete(reader.u8());
+  return { quantized, baseTick };
+}
+
+// Everything else: type id, sender, JSON body without the session fields.
+
+export function encodeGenericMessage(type, senderIndex, envelope = {}) {
+  // A peer authority's `world` has no fixed shape, so only the server's goes through encodeWorldMessage.
+  const structured = type === 'state' || type === 'ack' || (type === 'world' && senderIndex === SERVER_PEER_INDEX);
+  if (!MESSAGE_TYPE_IDS[type] || structured) {
+    throw new Error(`No generic co-op encoding for ${type}`);
+  }
+  const body = {};
+  for (const [key, value] of Object.entries(envelope)) {
+    if (!ENVELOPE_SESSION_FIELDS.includes(key)) body[key] = value;
+  }
+  const writer = new ByteWriter(64);
+  writeHeader(writer, type, senderIndex);
+  writer.str(JSON.stringify(body));
+  return writer.finish();
+}
+
+export function encodeAckMessage(tick) {
+  const writer = new ByteWriter(8);
+  writeHeader(writer, 'ack', 0);
+  writer.u32(tick);
+  return writer.finish();
+}
+
+/**
+ * Decodes one binary frame. `link` carries the per-connection state:
+ *   previousState(senderIndex) -> quantized state or null
+ *   worldBaseline(tick)        -> quantized world or null
+ * Returns { type, senderIndex, body } where body is the envelope payload
+ * ({ actor } for state, the world fields for world, { tick } for ack), plus `quantized`
+ * for state and world so the caller can keep it as the next baseline.
+ */
+export function decodeMessage(bytes, link = {}) {
+  const reader = new ByteReader(bytes);
+  const version = reader.u8();
+  if (version !== COOP_PROTOCOL_VERSION) throw new Error(`Unsupported co-op protocol version ${version}`);
+  const type = MESSAGE_TYPES_BY_ID.get(reader.u8());
+  if (!type) throw new Error('Unknown co-op message type');
+  const senderIndex = reader.u8();
+  if (type === 'state') {
+    const { quantized, actor } = readStateBody(reader, link.previousState?.(senderIndex) || null);
+    return { type, senderIndex, body: { actor }, quantized };
+  }
+  if (type === 'world' && senderIndex === SERVER_PEER_INDEX) {
+    const { quantized, baseTick } = readWorldBody(reader, link.worldBaseline);
+    return { type, senderIndex, body: null, quantized, baseTick };
+  }
+  if (type === 'ack') return { type, senderIndex, body: { tick: reader.u32() } };
+  const body = JSON.parse(reader.str());
+  return { type, senderIndex, body: body && typeof body === 'object' ? body : {} };
+}
@@ -0,0 +1,637 @@
+import * as THREE from 'three';
+import {
+  CONTROL_POINTS,
+  CONTROL_POINT_CAPTURE_SECONDS,
+  COOP_SERVER_AUTHORITY_ID,
+  PLAYER_BOUNDS,
+  PLAYER_GRAVITY,
+  PLAYER_JUMP_SPEED,
+  PLAYER_MAX_HP,
+  TEAM_IDS,
+  TEAM_SPAWNS,
+} from './gameConfig.js';
+import { buildArena } from './arena.js';
+import { onCombatEvent } from './combatEvents.js';
+import { createPositionHistory, withRewoundCombatants } from './lagCompensation.js';
+import {
+  fire,
+  getCombatantSpeedMultiplier,
+  getCombatantStatusModifiers,
+  getWalkableHeightAt,
+  getWeaponSlot,
+  initSandbox,
+  releaseFire,
+  resetSandbox,
+  resolveBlinkDestination,
+  selectWeaponSlot,
+  serializeCombatantStatus,
+  setFriendlyFire,
+  setLocalPlayerId,
+  setWeapon,
+  setWeaponIsolation,
+  sweepPlayerMove,
+  updateEntities,
+  updateParticles,
+  updateSandboxTimers,
+  updateTrails,
+} from './sandbox.js';
+import {
+  DEFAULT_WEAPON_FIRE_MODE,
+  getPlayerAbilityLimits,
+  getWeaponFireProfile,
+  sanitizeWeaponFireMode,
+  sanitizeWeaponTier,
+} from './weaponBalance.js';
+import { validateWeaponCode } from './weaponValidator.js';
+
+// Headless, authoritative room simulation for scripts/coop-server.js. It owns combatant hp,
+// statuses, respawns, and control points; clients send inputs (state, fire, weapon, ability)
+// and render the snapshots. Like the weapon bench it takes over the sandbox module, so each
+// room runs it in its own worker.
+
+export const SIMULATION_TICK_RATE = 30;
+export const SNAPSHOT_RATE = 15;
+
+const GROUND_Y = 0;
+const GROUND_FRICTION = 8;
+const MAX_MOVE_SPEED = 16;
+const MAX_FALL_HEIGHT = 40;
+// Slack for jitter between the client's clock and ours, in meters per accepted input.
+const MOVE_TOLERANCE = 1;
+const VERTICAL_TOLERANCE = 0.5;
+// Same stair step the client walks up without jumping (sandbox.js).
+const PLAYER_STEP_HEIGHT = 0.6;
+// Feet this close to the surface under them count as standing on it.
+const GROUNDED_DISTANCE = 0.3;
+const MAX_INPUT_GAP_SECONDS = 0.5;
+const MAX_AIM_RANGE = 250;
+const MAX_WEAPON_CODE_LENGTH = 20000;
+const COUNTDOWN_SECONDS = 3;
+const REMATCH_SECONDS = 8;
+const WEAPON_SLOT_COUNT = 4;
+
+function round(value, decimals = 3) {
+  const scale = 10 ** decimals;
+  return Math.round((Number(value) || 0) * scale) / scale;
+}
+
+function packVector(v) {
+  return { x: round(v.x), y: round(v.y), z: round(v.z) };
+}
+
+function packArray(v) {
+  return [round(v.x), round(v.y), round(v.z)];
+}
+
+// Accepts { x, y, z } (actor state) or [x, y, z] (ability details).
+function readVector(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const [x, y, z] = Array.isArray(raw) ? raw.map(Number) : [Number(raw.x), Number(raw.y), Number(raw.z)];
+  if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z)) return null;
+  return new THREE.Vector3(x, y, z);
+}
+
+function clampToArena(pos) {
+  pos.x = THREE.MathUtils.clamp(pos.x, -PLAYER_BOUNDS, PLAYER_BOUNDS);
+  pos.z = THREE.MathUtils.clamp(pos.z, -PLAYER_BOUNDS, PLAYER_BOUNDS);
+  pos.y = THREE.MathUtils.clamp(pos.y, GROUND_Y, MAX_FALL_HEIGHT);
+  return pos;
+}
+
+function horizontalDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.z - b.z);
+}
+
+// Highest the feet can be `t` seconds after leaving the ground: a full-speed jump under gravity.
+function getJumpRise(t) {
+  return PLAYER_JUMP_SPEED * t - 0.5 * PLAYER_GRAVITY * t * t;
+}
+
+function getAimDirection(yaw, pitch) {
+  const cosPitch = Math.cos(pitch);
+  return new THREE.Vector3(-Math.sin(yaw) * cosPitch, Math.sin(pitch), -Math.cos(yaw) * cosPitch);
+}
+
+function createControlPointState(point) {
+  return { ...point, ownerTeamId: null, capturingTeamId: null, progress: 0 };
+}
+
+/**
+ * Options: { friendlyFire, minTeams, maxRewindMs, debugRewinds, compileWeapon }. minTeams is how many teams
+ * need a player before the countdown starts (2 for a real match, 1 for solo testing).
+ * debugRewinds adds each lag-compensated shot's rewound hitboxes to the snapshot.
+ * compileWeapon(code) returns the weapon function `(ctx, Math)`; without it bodies compile inline.
+ */
+export function createCoopSimulation(opts = {}) {
+  const { friendlyFire = false, minTeams = 2, maxRewindMs, debugRewinds = false, compileWeapon = null } = opts;
+  const scene = new THREE.Scene();
+  // The same arena the clients build, so walls stop shots and platforms hold players here too.
+  buildArena({
+    scene,
+    cameraCollisionMeshes: [],
+    aimCollisionMeshes: [],
+    actorCollisionBoxes: [],
+    walkableSurfaces: [],
+  });
+  const camera = new THREE.PerspectiveCamera(60, 16 / 9, 0.1, 500);
+  // The server is the sandbox's "local player", but it never fights: it is not a combatant.
+  const observer = {
+    id: COOP_SERVER_AUTHORITY_ID,
+    pos: new THREE.Vector3(0, -100, 0),
+    vel: new THREE.Vector3(),
+    mesh: new THREE.Object3D(),
+  };
+  const players = new Map();
+  // The sandbox iterates its combatant list directly, so keep a stable array next to the map.
+  const roster = [];
+  const controlPoints = CONTROL_POINTS.map(createControlPointState);
+  const pendingEvents = [];
+  const pendingAbilities = [];
+  const pendingRewinds = [];
+  const positionHistory = createPositionHistory({ maxRewindMs });
+  const match = { phase: 'waiting', winnerTeamId: null, timer: 0 };
+  let tick = 0;
+  let time = 0;
+
+  const combatants = () => roster;
+
+  setWeaponIsolation(false);
+  setLocalPlayerId(COOP_SERVER_AUTHORITY_ID);
+  setFriendlyFire(friendlyFire);
+  initSandbox(scene, camera, observer, roster, () => 0, () => null, {
+    getRespawnPosition: (e) => getSpawnPosition(e),
+    onCombatantEliminated: (e) => {
+      e.deaths += 1;
+      const killer = players.get(e.lastDamagedBy);
+      if (killer && killer !== e) killer.kills += 1;
+    },
+    onCombatantRespawn: (e) => {
+      e.spawnVersion += 1;
+      e.ext.set(0, 0, 0);
+      land(e, GROUND_Y);
+    },
+    onPlayerAbility: (detail) => pendingAbilities.push(detail),
+  });
+  resetSandbox({ clearWeapons: true });
+
+  // Everything but weapon-fired goes out with the next snapshot.
+  const stopEvents = onCombatEvent('*', (event) => {
+    if (event.type !== 'weapon-fired') pendingEvents.push(event);
+  });
+
+  function getSpawnPosition(e) {
+    const lanes = TEAM_SPAWNS[e.teamId] || TEAM_SPAWNS[TEAM_IDS[0]];
+    const lane = lanes[(e.spawnIndex + e.spawnVersion) % lanes.length];
+    return new THREE.Vector3(lane[0], GROUND_Y, lane[1]);
+  }
+
+  function pickTeam(requested) {
+    if (TEAM_IDS.includes(requested)) return requested;
+    const counts = TEAM_IDS.map((teamId) => combatants().filter((e) => e.teamId === teamId).length);
+    return TEAM_IDS[counts.indexOf(Math.min(...counts))];
+  }
+
+  function join(playerId, { name = '', teamId = null } = {}) {
+    if (!playerId || playerId === COOP_SERVER_AUTHORITY_ID) return null;
+    if (players.has(playerId)) return players.get(playerId);
+    const team = pickTeam(teamId);
+    const e = {
+      playerId,
+      name: String(name || '').slice(0, 24),
+      teamId: team,
+      spawnIndex: combatants().filter((other) => other.teamId === team).length,
+      spawnVersion: 0,
+      pos: new THREE.Vector3(),
+      vel: new THREE.Vector3(),
+      // Velocity the server applied (forces, knock-up); client input never sets it.
+      ext: new THREE.Vector3(),
+      mesh: new THREE.Object3D(),
+      hp: PLAYER_MAX_HP,
+      maxHp: PLAYER_MAX_HP,
+      kills: 0,
+      deaths: 0,
+      yaw: 0,
+      aimPitch: 0,
+      firing: false,
+      fireId: null,
+      // Server time of the world the client is looking at, for lag compensation.
+      viewTime: null,
+      lastInputAt: null,
+      // Highest client input sequence processed; clients replay anything newer.
+      lastInputSeq: 0,
+      corrections: 0,
+      // Extra meters of movement an accepted impulse ability allows on top of run speed.
+      slack: 0,
+      // Height of the surface the player last stood on, and seconds since leaving it.
+      groundY: GROUND_Y,
+      airTime: 0,
+    };
+    e.pos.copy(getSpawnPosition(e));
+    e.mesh.position.copy(e.pos);
+    scene.add(e.mesh);
+    players.set(playerId, e);
+    roster.push(e);
+    return e;
+  }
+
+  function leave(playerId) {
+    const e = players.get(playerId);
+    if (!e) return false;
+    releaseFire(playerId);
+    scene.remove(e.mesh);
+    players.delete(playerId);
+    roster.splice(roster.indexOf(e), 1);
+    return true;
+  }
+
+  function land(e, height) {
+    e.groundY = height;
+    e.airTime = 0;
+  }
+
+  function getFloorHeight(pos) {
+    return getWalkableHeightAt(pos.x, pos.z, pos.y + PLAYER_STEP_HEIGHT);
+  }
+
+  // Highest the feet may be right now: a jump from the last ground contact plus a stair step.
+  // Past the apex it follows gravity back down, but never below the floor under the player.
+  function getHeightCeiling(e, floor) {
+    return Math.max(e.groundY + getJumpRise(e.airTime), floor) + PLAYER_STEP_HEIGHT + VERTICAL_TOLERANCE + e.slack;
+  }
+
+  // A claimed height must not sink through the floor under it (as seen from where the server
+  // has the player) or rise past the ceiling.
+  function isReachableHeight(e, claimed) {
+    const floor = getWalkableHeightAt(claimed.x, claimed.z, e.pos.y + PLAYER_STEP_HEIGHT);
+    return claimed.y >= floor - VERTICAL_TOLERANCE && claimed.y <= getHeightCeiling(e, floor);
+  }
+
+  function canAct(e) {
+    return Boolean(e) && e.hp > 0 && !e.pendingRespawn && match.phase !== 'countdown' && match.phase !== 'finished';
+  }
+
+  // Movement input. The claimed position is accepted when it is reachable from the server's
+  // position at max speed (scaled by haste/slow/root) since the last input, and its height
+  // fits a jump from the last ground contact; otherwise it is dropped and counted as a
+  // correction, and the next snapshot carries the server position.
+  // While a weapon force is still carrying the player, the server ignores claimed positions.
+  function applyState(playerId, actor = {}, now = time) {
+    const e = players.get(playerId);
+    if (!e) return false;
+    const yaw = Number(actor.yaw);
+    const pitch = Number(actor.aimPitch);
+    if (Number.isFinite(yaw)) e.yaw = yaw;
+    if (Number.isFinite(pitch)) e.aimPitch = THREE.MathUtils.clamp(pitch, -Math.PI / 2, Math.PI / 2);
+    e.firing = Boolean(actor.firing) && canAct(e);
+    e.fireId = e.firing && typeof actor.fireId === 'string' ? actor.fireId.slice(0, 64) : null;
+    if (Number.isInteger(actor.seq) && actor.seq > e.lastInputSeq) e.lastInputSeq = actor.seq;
+    e.viewTime = Number.isFinite(actor.viewTime) ? actor.viewTime : null;
+
+    const gap = e.lastInputAt == null ? 0 : THREE.MathUtils.clamp(now - e.lastInputAt, 0, MAX_INPUT_GAP_SECONDS);
+    e.lastInputAt = now;
+    const claimed = readVector(actor.position);
+    if (!claimed || !canAct(e) || !getCombatantStatusModifiers(e).canMove) {
+      if (claimed) e.corrections += 1;
+      return false;
+    }
+
+    if (e.ext.lengthSq() > 1e-4) return false;
+    const allowed = MAX_MOVE_SPEED * getCombatantSpeedMultiplier(e) * gap + MOVE_TOLERANCE;
+    const distance = horizontalDistance(claimed, e.pos);
+    if (distance > allowed + e.slack || !isReachableHeight(e, claimed)) {
+      e.corrections += 1;
+      return false;
+    }
+    e.slack = Math.max(0, e.slack - Math.max(0, distance - allowed));
+    e.pos.copy(clampToArena(claimed));
+    const floor = getWalkableHeightAt(e.pos.x, e.pos.z, e.pos.y + GROUNDED_DISTANCE);
+    if (e.pos.y - floor <= GROUNDED_DISTANCE) land(e, floor);
+    const vel = readVector(actor.velocity);
+    if (vel) e.vel.copy(vel).clampLength(0, MAX_MOVE_SPEED * 2);
+    return true;
+  }
+
+  // Dash / blink / impulse details the client applied to itself. They are checked against the
+  // slot's tier limits and cooldown, and against the arena the same way the client resolves them:
+  // a dash sweeps from the server's position and stops at the first wall, and a blink needs a
+  // free landing spot in line of sight.
+  const abilityReadyAt = new Map();
+  function applyAbility(playerId, detail = {}) {
+    const e = players.get(playerId);
+    if (!canAct(e)) return null;
+    const ability = detail.ability;
+    if (ability !== 'dash' && ability !== 'blink' && ability !== 'applyImpulse') return null;
+    const slot = getWeaponSlot(playerId, detail.slotIndex);
+    if (!slot?.code) return null;
+    const limits = getPlayerAbilityLimits(slot.tier);
+    const key = `${playerId}:${ability}`;
+    if (time < (abilityReadyAt.get(key) ?? -Infinity)) return null;
+
+    const accepted = { ownerId: playerId, slotIndex: slot.index, ability };
+    if (ability === 'applyImpulse') {
+      // The client integrates its own impulse, so it only widens the next moves' budget (about a second of travel).
+      const impulse = readVector(detail.impulse);
+      if (!impulse) return null;
+      impulse.clampLength(0, limits.impulse);
+      e.slack += impulse.length();
+      accepted.impulse = packArray(impulse);
+    } else {
+      const to = readVector(detail.position);
+      if (!to) return null;
+      const range = ability === 'dash' ? limits.dashDistance : limits.blinkRange;
+      if (to.distanceTo(e.pos) > range + MOVE_TOLERANCE) return null;
+      // A dash slides flat from the feet; a blink lands on the surface under its target.
+      const dest = ability === 'dash'
+        ? sweepPlayerMove(e.pos, to.sub(e.pos).setY(0).clampLength(0, limits.dashDistance))
+        : resolveBlinkDestination(e.pos, to, limits.blinkRange);
+      if (!dest || dest.distanceToSquared(e.pos) < 1e-6) return null;
+      accepted.from = packArray(e.pos);
+      if (ability === 'blink') land(e, dest.y);
+      e.pos.copy(dest);
+      accepted.position = packArray(e.pos);
+    }
+    abilityReadyAt.set(key, time + limits.cooldownMs / 1000);
+    return accepted;
+  }
+
+  function loadWeapon(playerId, payload = {}) {
+    if (!players.has(playerId)) return { ok: false, reason: 'unknown player' };
+    const code = typeof payload.code === 'string' ? payload.code : '';
+    if (code.length > MAX_WEAPON_CODE_LENGTH) return { ok: false, reason: 'weapon code is too long' };
+    const slotIndex = Number.isInteger(payload.slotIndex)
+      ? THREE.MathUtils.clamp(payload.slotIndex, 0, WEAPON_SLOT_COUNT - 1)
+      : 0;
+    let source = '';
+    let fn = null;
+    if (code) {
+      const validation = validateWeaponCode(code);
+      if (!validation.ok) return { ok: false, reason: 'weapon code failed validation' };
+      // Run what was validated (the validator may rewrite the body), never the raw payload.
+      source = validation.code;
+      if (compileWeapon) {
+        try {
+          fn = compileWeapon(source);
+        } catch (err) {
+          return { ok: false, reason: `Compile error: ${err.message}` };
+        }
+      }
+    }
+    const tier = sanitizeWeaponTier(payload.tier);
+    const fireMode = sanitizeWeaponFireMode(payload.fireMode || DEFAULT_WEAPON_FIRE_MODE);
+    setWeapon(fn, String(payload.name || '').slice(0, 300), playerId, {
+      code: source,
+      slotIndex,
+      tier,
+      fireMode,
+      // The tier decides the cadence; a client cannot ask for a faster one.
+      cooldownMs: getWeaponFireProfile(tier, fireMode).cooldownMs,
+      role: payload.role || null,
+    });
+    if (Number.isInteger(payload.activeIndex)) selectWeaponSlot(payload.activeIndex, playerId);
+    const fault = getWeaponSlot(playerId, slotIndex)?.fault;
+    return fault ? { ok: false, reason: fault } : { ok: true, slotIndex };
+  }
+
+  function getActorState(e, aimPoint = null) {
+    const origin = e.pos.clone().add(new THREE.Vector3(0, 1.4, 0));
+    const point = aimPoint && aimPoint.distanceTo(origin) <= MAX_AIM_RANGE
+      ? aimPoint
+      : origin.clone().addScaledVector(getAimDirection(e.yaw, e.aimPitch), 60);
+    return {
+      id: e.playerId,
+      pos: e.pos.clone(),
+      vel: e.vel.clone().add(e.ext),
+      mesh: e.mesh,
+      yaw: e.yaw,
+      aimPoint: point,
+      teamId: e.teamId,
+    };
+  }
+
+  // Fires with everyone else rewound to the shooter's view time (see src/lagCompensation.js).
+  function fireRewound(e, aimPoint, viewTime, fireId = null) {
+    const { result, rewind } = withRewoundCombatants(
+      positionHistory,
+      roster,
+      { now: time, viewTime, shooterId: e.playerId },
+      () => fire(getActorState(e, aimPoint), { ownerId: e.playerId, fireId }),
+    );
+    if (debugRewinds && result && rewind) pendingRewinds.push(rewind);
+    return result;
+  }
+
+  // A single fire request (instant weapons). Held continuous fire comes from state.firing.
+  // Cooldowns, channels, and silence are enforced by the sandbox, never skipped.
+  function requestFire(playerId, payload = {}) {
+    const e = players.get(playerId);
+    if (!canAct(e) || match.phase === 'waiting') return false;
+    if (Number.isInteger(payload.slotIndex)) selectWeaponSlot(payload.slotIndex, playerId);
+    if (payload.release) return releaseFire(playerId);
+    const viewTime = Number.isFinite(payload.viewTime) ? payload.viewTime : e.viewTime;
+    // The shooter's fireId seeds the weapon, so the server rolls what the shooter's client rolled.
+    return fireRewound(e, readVector(payload.aimPoint), viewTime, typeof payload.fireId === 'string' ? payload.fireId : null);
+  }
+
+  // Server-owned motion: weapon forces, and falling when a player is left hanging in the air
+  // (no input lately, or above what a jump allows by now). Otherwise clients jump and fall on
+  // their own, and applyState checks the heights they claim.
+  function stepPhysics(e, dt) {
+    const floor = getFloorHeight(e.pos);
+    const airborne = e.pos.y - floor > GROUNDED_DISTANCE;
+    if (airborne) e.airTime += dt;
+    const idle = e.lastInputAt == null || time - e.lastInputAt > MAX_INPUT_GAP_SECONDS;
+    if (e.ext.lengthSq() > 0 || (airborne && (idle || e.pos.y > getHeightCeiling(e, floor)))) {
+      const fromY = e.pos.y;
+      e.ext.y -= PLAYER_GRAVITY * dt;
+      e.pos.addScaledVector(e.ext, dt);
+      // Land on anything that was below the feet at the start of the tick.
+      const landing = getWalkableHeightAt(e.pos.x, e.pos.z, fromY + 0.01);
+      if (e.pos.y <= landing) {
+        e.pos.y = landing;
+        e.ext.y = Math.max(0, e.ext.y);
+        land(e, landing);
+      }
+      const friction = Math.exp(-GROUND_FRICTION * dt);
+      e.ext.x *= friction;
+      e.ext.z *= friction;
+      if (e.ext.lengthSq() < 1e-4) e.ext.set(0, 0, 0);
+      clampToArena(e.pos);
+    }
+    e.mesh.position.copy(e.pos);
+  }
+
+  // Sandbox forces land on e.vel; fold them into the server-owned velocity each tick.
+  function collectForces(e, before) {
+    const delta = e.vel.clone().sub(before);
+    if (delta.lengthSq() > 1e-6) {
+      e.ext.add(delta);
+      e.vel.copy(before);
+    }
+  }
+
+  function stepControlPoints(dt) {
+    for (const point of controlPoints) {
+      const teams = new Set(combatants()
+        .filter((e) => e.hp > 0 && !e.pendingRespawn && Math.hypot(e.pos.x - point.x, e.pos.z - point.z) <= point.radius)
+        .map((e) => e.teamId));
+      const holder = teams.size === 1 ? [...teams][0] : null;
+      if (!holder || holder === point.ownerTeamId) {
+        point.capturingTeamId = null;
+        point.progress = 0;
+        continue;
+      }
+      if (point.capturingTeamId !== holder) {
+        point.capturingTeamId = holder;
+        point.progress = 0;
+      }
+      point.progress = Math.min(1, point.progress + dt / CONTROL_POINT_CAPTURE_SECONDS);
+      if (point.progress >= 1) {
+        point.ownerTeamId = holder;
+        point.capturingTeamId = null;
+        point.progress = 0;
+      }
+    }
+    const winner = TEAM_IDS.find((teamId) => controlPoints.every((point) => point.ownerTeamId === teamId));
+    if (winner) {
+      match.phase = 'finished';
+      match.winnerTeamId = winner;
+      match.timer = REMATCH_SECONDS;
+      for (const e of combatants()) releaseFire(e.playerId);
+    }
+  }
+
+  function resetMatch() {
+    positionHistory.clear();
+    for (const point of controlPoints) Object.assign(point, createControlPointState(point));
+    for (const e of combatants()) {
+      e.hp = e.maxHp;
+      e.kills = 0;
+      e.deaths = 0;
+      e.spawnVersion += 1;
+      e.pos.copy(getSpawnPosition(e));
+      e.vel.set(0, 0, 0);
+      e.ext.set(0, 0, 0);
+      e.status = null;
+    }
+    match.winnerTeamId = null;
+  }
+
+  function stepMatch(dt) {
+    const teamsPresent = new Set(combatants().map((e) => e.teamId)).size;
+    if (match.phase === 'waiting') {
+      if (teamsPresent >= minTeams) {
+        resetMatch();
+        match.phase = 'countdown';
+        match.timer = COUNTDOWN_SECONDS;
+      }
+      return;
+    }
+    if (teamsPresent < minTeams) {
+      match.phase = 'waiting';
+      return;
+    }
+    if (match.phase === 'countdown' || match.phase === 'finished') {
+      match.timer -= dt;
+      if (match.timer > 0) return;
+      if (match.phase === 'finished') {
+        resetMatch();
+        match.phase = 'countdown';
+        match.timer = COUNTDOWN_SECONDS;
+      } else {
+        match.phase = 'live';
+      }
+      return;
+    }
+    stepControlPoints(dt);
+  }
+
+  function step(dt = 1 / SIMULATION_TICK_RATE) {
+    tick += 1;
+    time += dt;
+    stepMatch(dt);
+    const before = new Map(combatants().map((e) => [e, e.vel.clone()]));
+    for (const e of combatants()) {
+      // Held continuous fire reuses the shooter's channel id, so every tick rolls what the shooter rolled.
+      if (e.firing && canAct(e) && match.phase === 'live') fireRewound(e, null, e.viewTime, e.fireId);
+      else if (!e.firing) releaseFire(e.playerId);
+    }
+    updateEntities(dt);
+    updateSandboxTimers(dt);
+    updateTrails(dt);
+    updateParticles(dt);
+    for (const e of combatants()) {
+      if (before.has(e)) collectForces(e, before.get(e));
+      stepPhysics(e, dt);
+      e.slack *= Math.exp(-dt);
+    }
+    positionHistory.record(time, roster);
+  }
+
+  // World snapshot for clients; `events` and `abilities` are drained into it.
+  function getSnapshot() {
+    const teamScores = Object.fromEntries(TEAM_IDS.map((teamId) => [
+      teamId,
+      controlPoints.filter((point) => point.ownerTeamId === teamId).length,
+    ]));
+    return {
+      authority: COOP_SERVER_AUTHORITY_ID,
+      tick,
+      serverTime: round(time),
+      match: {
+        phase: match.phase,
+        winnerTeamId: match.winnerTeamId,
+        timer: round(Math.max(0, match.timer), 2),
+      },
+      teamScores,
+      controlPoints: controlPoints.map((point) => ({
+        id: point.id,
+        ownerTeamId: point.ownerTeamId,
+        capturingTeamId: point.capturingTeamId,
+        progress: round(point.progress, 3),
+      })),
+      combatants: combatants().map((e) => ({
+        playerId: e.playerId,
+        name: e.name,
+        teamId: e.teamId,
+        hp: round(e.hp, 2),
+        maxHp: e.maxHp,
+        position: packVector(e.pos),
+        velocity: packVector(e.vel.clone().add(e.ext)),
+        yaw: round(e.yaw, 4),
+        kills: e.kills,
+        deaths: e.deaths,
+        spawnVersion: e.spawnVersion,
+        lastInputSeq: e.lastInputSeq,
+        pendingRespawn: Boolean(e.pendingRespawn),
+        corrections: e.corrections,
+        status: serializeCombatantStatus(e),
+      })),
+      events: pendingEvents.splice(0),
+      abilities: pendingAbilities.splice(0),
+      ...(debugRewinds ? { rewinds: pendingRewinds.splice(0) } : {}),
+    };
+  }
+
+  function destroy() {
+    stopEvents();
+    resetSandbox({ clearWeapons: true });
+    players.clear();
+    roster.length = 0;
+  }
+
+  return {
+    join,
+    leave,
+    applyState,
+    applyAbility,
+    loadWeapon,
+    requestFire,
+    step,
+    getSnapshot,
+    hasPlayer: (playerId) => players.has(playerId),
+    get time() {
+      return time;
+    },
+    destroy,
+  };
+}
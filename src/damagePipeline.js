@@ -0,0 +1,180 @@
+import { modifyDamageTaken } from './statusEffects.js';
+
+// Every hit becomes a damage event that runs through the registered modifiers in order
+// (crit, status effects, resistances, armor, damage reduction, shields) before it reaches hp.
+
+export const DAMAGE_TYPES = Object.freeze(['kinetic', 'fire', 'ice', 'energy', 'explosive']);
+export const DEFAULT_DAMAGE_TYPE = 'kinetic';
+export const CRIT_DAMAGE_MULTIPLIER = 1.5;
+export const MAX_CRIT_DAMAGE_MULTIPLIER = 3;
+
+const MAX_RESISTANCE = 0.9;
+const MAX_DAMAGE_REDUCTION = 0.9;
+// Armor works as a curve so it never fully blocks small hits: 100 armor halves damage.
+const ARMOR_HALF_VALUE = 100;
+
+// How each type meets the layered defenses: explosives ignore half of the target's armor,
+// energy drains shields faster, fire splashes off them.
+export const DAMAGE_TYPE_TRAITS = Object.freeze({
+  kinetic: Object.freeze({ armorPierce: 0, shieldMultiplier: 1 }),
+  fire: Object.freeze({ armorPierce: 0, shieldMultiplier: 0.75 }),
+  ice: Object.freeze({ armorPierce: 0, shieldMultiplier: 1 }),
+  energy: Object.freeze({ armorPierce: 0, shieldMultiplier: 1.5 }),
+  explosive: Object.freeze({ armorPierce: 0.5, shieldMultiplier: 1 }),
+});
+
+const DAMAGE_MODIFIERS = [];
+
+function clampNumber(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+export function sanitizeDamageType(type) {
+  return DAMAGE_TYPES.includes(type) ? type : DEFAULT_DAMAGE_TYPE;
+}
+
+// A hit crits when it says so, or when it rolls under critChance. Weapons pass their fire's
+// seeded `random` (src/weaponRandom.js) so every replay of a shot rolls the same crits.
+export function rollCrit(opts = {}, random = Math.random) {
+  if (opts.crit === true) return true;
+  const chance = Number(opts.critChance);
+  return chance > 0 && random() < Math.min(1, chance);
+}
+
+function sanitizeResistances(resistances) {
+  const out = {};
+  for (const type of DAMAGE_TYPES) {
+    const value = Number(resistances?.[type]);
+    if (Number.isFinite(value) && value !== 0) out[type] = clampNumber(value, -1, MAX_RESISTANCE);
+  }
+  return out;
+}
+
+// Defense profile on a combatant. Negative resistances are weaknesses (-0.5 takes 50% more).
+export function setCombatantDefense(e, defense = {}) {
+  if (!e) return null;
+  e.defense = {
+    armor: Math.max(0, Number(defense.armor) || 0),
+    resistances: sanitizeResistances(defense.resistances),
+    damageReduction: clampNumber(Number(defense.damageReduction) || 0, 0, MAX_DAMAGE_REDUCTION),
+    shieldHp: Math.max(0, Number(defense.shieldHp) || 0),
+  };
+  return e.defense;
+}
+
+export function getCombatantDefense(e) {
+  if (!e) return null;
+  if (!e.defense || typeof e.defense !== 'object') return setCombatantDefense(e, {});
+  return e.defense;
+}
+
+export function createDamageEvent(amount, meta = {}) {
+  const value = Math.max(0, Number(amount) || 0);
+  const position = meta.position;
+  return {
+    amount: value,
+    raw: value,
+    absorbed: 0,
+    type: sanitizeDamageType(meta.type),
+    crit: meta.crit === true,
+    critMultiplier: Number(meta.critMultiplier) > 1
+      ? Math.min(MAX_CRIT_DAMAGE_MULTIPLIER, Number(meta.critMultiplier))
+      : CRIT_DAMAGE_MULTIPLIER,
+    sourceId: meta.sourceId || meta.ownerId || null,
+    sourceTeamId: meta.sourceTeamId || null,
+    slotIndex: Number.isInteger(meta.slotIndex) ? meta.slotIndex : null,
+    statusId: meta.statusId || null,
+    position: position ? { x: Number(position.x) || 0, y: Number(position.y) || 0, z: Number(position.z) || 0 } : null,
+  };
+}
+
+// Modifiers run from low to high `order`; each one reads and rewrites event.amount.
+export function registerDamageModifier({ id, order, apply }) {
+  if (!id || typeof apply !== 'function') throw new Error('Damage modifiers need an id and an apply function.');
+  const existing = DAMAGE_MODIFIERS.findIndex((mod) => mod.id === id);
+  if (existing !== -1) DAMAGE_MODIFIERS.splice(existing, 1);
+  DAMAGE_MODIFIERS.push({ id, order: Number(order) || 0, apply });
+  DAMAGE_MODIFIERS.sort((a, b) => a.order - b.order);
+}
+
+export function listDamageModifiers() {
+  return DAMAGE_MODIFIERS.map(({ id, order }) => ({ id, order }));
+}
+
+export function runDamagePipeline(event, target) {
+  for (const mod of DAMAGE_MODIFIERS) {
+    if (!(event.amount > 0)) break;
+    mod.apply(event, target);
+  }
+  event.amount = Math.max(0, event.amount || 0);
+  return event;
+}
+
+// Spends the temporary ability shield first, then the combatant's own shield layer.
+export function spendShieldLayers(event, target) {
+  const mult = DAMAGE_TYPE_TRAITS[event.type]?.shieldMultiplier ?? 1;
+  const status = target?.status;
+  const defense = target?.defense;
+  const layers = [
+    status && { get: () => status.shieldHp || 0, set: (hp) => { status.shieldHp = hp; if (hp <= 0) status.shieldTime = 0; } },
+    defense && { get: () => defense.shieldHp || 0, set: (hp) => { defense.shieldHp = hp; } },
+  ];
+  for (const layer of layers) {
+    if (!layer || !(event.amount > 0)) continue;
+    const hp = layer.get();
+    if (hp <= 0) continue;
+    const absorbed = Math.min(hp, event.amount * mult);
+    layer.set(hp - absorbed);
+    event.amount -= absorbed / mult;
+    event.absorbed += absorbed / mult;
+  }
+  return event;
+}
+
+registerDamageModifier({
+  id: 'crit',
+  order: 100,
+  apply: (event) => {
+    if (event.crit) event.amount *= event.critMultiplier;
+  },
+});
+
+registerDamageModifier({
+  id: 'status',
+  order: 200,
+  apply: (event, target) => {
+    if (target?.status) event.amount = modifyDamageTaken(target.status, event.amount);
+  },
+});
+
+registerDamageModifier({
+  id: 'resistance',
+  order: 300,
+  apply: (event, target) => {
+    const resistance = target?.defense?.resistances?.[event.type] || 0;
+    event.amount *= 1 - resistance;
+  },
+});
+
+registerDamageModifier({
+  id: 'armor',
+  order: 400,
+  apply: (event, target) => {
+    const armor = (target?.defense?.armor || 0) * (1 - (DAMAGE_TYPE_TRAITS[event.type]?.armorPierce || 0));
+    if (armor > 0) event.amount *= ARMOR_HALF_VALUE / (ARMOR_HALF_VALUE + armor);
+  },
+});
+
+registerDamageModifier({
+  id: 'damageReduction',
+  order: 500,
+  apply: (event, target) => {
+    event.amount *= 1 - (target?.defense?.damageReduction || 0);
+  },
+});
+
+registerDamageModifier({
+  id: 'shield',
+  order: 600,
+  apply: spendShieldLayers,
+});
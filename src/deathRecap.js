@@ -0,0 +1,246 @@
+import { getRecentCombatEvents, onCombatEvent } from './combatEvents.js';
+import { getStatusEffect } from './statusEffects.js';
+
+// Death recap for the local player, built from the combat event bus and shown in #match-overlay.
+
+export const RECAP_WINDOW_SECONDS = 8;
+const CONTROL_WEIGHT_THRESHOLD = 0.75;
+const BURST_SECONDS = 1;
+
+let unsubscribers = [];
+let activeRecap = null;
+let getDisplayName = (id) => id;
+let getLocalPlayerId = () => null;
+
+function getOverlay() { return document.getElementById('match-overlay'); }
+function getBadge() { return document.getElementById('match-badge'); }
+function getTitle() { return document.getElementById('match-title'); }
+function getSubtitle() { return document.getElementById('match-subtitle'); }
+function getRecapList() { return document.getElementById('match-recap'); }
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, (ch) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+  })[ch]);
+}
+
+function formatSeconds(seconds) {
+  return `${Math.max(0, seconds).toFixed(1)}s`;
+}
+
+function describeStatusLabel(effectId) {
+  return getStatusEffect(effectId)?.visual?.label || effectId;
+}
+
+function describeName(id) {
+  if (!id) return 'the arena';
+  return getDisplayName(id) || id;
+}
+
+function groupKey(attackerId, weapon) {
+  return `${attackerId || '-'}:${Number.isInteger(weapon?.slotIndex) ? weapon.slotIndex : '-'}`;
+}
+
+// Groups the victim's last `windowSeconds` of incoming damage and statuses (this life only)
+// by attacker and weapon. `elimination` is an `eliminated` combat event.
+export function buildDeathRecap(elimination, { windowSeconds = RECAP_WINDOW_SECONDS } = {}) {
+  const victimId = elimination?.victim?.id;
+  if (!victimId) return null;
+  const deathTime = elimination.time;
+  // History order, not time, separates lives: a kill and its respawn can share a timestamp.
+  let events = getRecentCombatEvents({ victimId, since: deathTime - windowSeconds });
+  const deathIndex = events.indexOf(elimination);
+  if (deathIndex !== -1) events = events.slice(0, deathIndex + 1);
+  const respawnIndex = events.findLastIndex((event) => event.type === 'respawned');
+  if (respawnIndex !== -1) events = events.slice(respawnIndex + 1);
+  const since = respawnIndex !== -1 ? events[0]?.time ?? deathTime : deathTime - windowSeconds;
+
+  const groups = new Map();
+  const groupFor = (event) => {
+    const key = groupKey(event.attacker?.id, event.weapon);
+    if (!groups.has(key)) {
+      groups.set(key, {
+        attacker: event.attacker,
+        weapon: event.weapon,
+        damage: 0,
+        absorbed: 0,
+        hits: 0,
+        crits: 0,
+        statusDamage: 0,
+        firstHitAt: null,
+        lastHitAt: null,
+        statuses: [],
+      });
+    }
+    const group = groups.get(key);
+    if (!group.weapon && event.weapon) group.weapon = event.weapon;
+    return group;
+  };
+
+  const statuses = [];
+  for (const event of events) {
+    if (event.type === 'damage') {
+      const group = groupFor(event);
+      group.damage += event.amount || 0;
+      group.absorbed += event.absorbed || 0;
+      group.hits += 1;
+      if (event.crit) group.crits += 1;
+      if (event.statusId) group.statusDamage += event.amount || 0;
+      group.firstHitAt ??= event.time;
+      group.lastHitAt = event.time;
+    } else if (event.type === 'status-applied') {
+      const status = {
+        effectId: event.effectId,
+        label: describeStatusLabel(event.effectId),
+        seconds: event.seconds || 0,
+        beforeDeath: deathTime - event.time,
+        attackerId: event.attacker?.id || null,
+      };
+      statuses.push(status);
+      groupFor(event).statuses.push(status);
+    }
+  }
+
+  const totalDamage = [...groups.values()].reduce((sum, group) => sum + group.damage, 0);
+  const recap = {
+    victimId,
+    time: deathTime,
+    windowSeconds: deathTime - since,
+    killer: elimination.attacker,
+    killingWeapon: elimination.weapon,
+    killingStatusId: elimination.statusId || null,
+    totalDamage,
+    groups: [...groups.values()].sort((a, b) => b.damage - a.damage),
+    statuses,
+    damageTimes: events.filter((event) => event.type === 'damage').map((event) => ({ time: event.time, amount: event.amount || 0 })),
+  };
+  recap.suggestion = suggestDeathTip(recap);
+  return recap;
+}
+
+// One line explaining the death, most actionable reason first.
+export function suggestDeathTip(recap) {
+  if (!recap) return '';
+  const control = recap.statuses
+    .filter((status) => (getStatusEffect(status.effectId)?.controlWeight || 0) >= CONTROL_WEIGHT_THRESHOLD)
+    .sort((a, b) => a.beforeDeath - b.beforeDeath)[0];
+  if (control) {
+    return `You were ${control.label.toLowerCase()} ${formatSeconds(control.beforeDeath)} before death - a dash or cleanse breaks the combo.`;
+  }
+
+  const total = recap.totalDamage;
+  if (total <= 0) return 'You were eliminated without taking tracked damage.';
+
+  const statusDamage = recap.groups.reduce((sum, group) => sum + group.statusDamage, 0);
+  if (statusDamage / total >= 0.4) {
+    const labels = [...new Set(recap.statuses.filter((status) => getStatusEffect(status.effectId)?.dps).map((status) => status.effectId))];
+    const source = labels.length ? labels.join(' and ') : 'damage over time';
+    return `${Math.round((statusDamage / total) * 100)}% of the damage came from ${source} - heal or cleanse before it ticks you out.`;
+  }
+
+  const burst = recap.damageTimes
+    .filter((hit) => recap.time - hit.time <= BURST_SECONDS)
+    .reduce((sum, hit) => sum + hit.amount, 0);
+  if (burst / total >= 0.7) {
+    return `You took ${Math.round(burst)} damage in the last ${formatSeconds(BURST_SECONDS)} - break line of sight when a burst weapon is on you.`;
+  }
+
+  const attackers = recap.groups.filter((group) => group.attacker?.id && group.damage > 0);
+  const uniqueAttackers = new Set(attackers.map((group) => group.attacker.id));
+  if (uniqueAttackers.size >= 3) {
+    return `${uniqueAttackers.size} attackers focused you - stay closer to your team.`;
+  }
+
+  const top = recap.groups[0];
+  return `${describeName(top?.attacker?.id)} dealt ${Math.round(((top?.damage || 0) / total) * 100)}% of the damage over ${formatSeconds(recap.windowSeconds)}.`;
+}
+
+function renderRecapGroup(group) {
+  const weaponLabel = group.weapon?.name || (group.attacker ? 'Unknown weapon' : 'Environment');
+  const meta = [
+    Number.isInteger(group.weapon?.slotIndex) ? `slot ${group.weapon.slotIndex + 1}` : '',
+    group.weapon?.tier != null ? `T${group.weapon.tier}` : '',
+    `${group.hits} hit${group.hits === 1 ? '' : 's'}`,
+    group.crits ? `${group.crits} crit${group.crits === 1 ? '' : 's'}` : '',
+    group.absorbed > 0 ? `${Math.round(group.absorbed)} absorbed` : '',
+  ].filter(Boolean).join(' | ');
+  const statuses = group.statuses.map((status) => `
+    <span class="match-recap-status">${escapeHtml(status.label)} ${escapeHtml(formatSeconds(status.seconds))}</span>
+  `).join('');
+  return `
+    <div class="match-recap-group">
+      <div class="match-recap-head">
+        <span class="match-recap-attacker ${escapeHtml(group.attacker?.teamId || '')}">${escapeHtml(describeName(group.attacker?.id))}</span>
+        <span class="match-recap-damage">${Math.round(group.damage)}</span>
+      </div>
+      <div class="match-recap-weapon">${escapeHtml(weaponLabel)}</div>
+      <div class="match-recap-meta">${escapeHtml(meta)}${statuses}</div>
+    </div>
+  `;
+}
+
+export function showDeathRecap(recap) {
+  const overlay = getOverlay();
+  if (!overlay || !recap) return false;
+  // Match states (countdown, finished) own the overlay; the recap only fills it otherwise.
+  if (!overlay.hidden && !overlay.classList.contains('recap')) return false;
+  activeRecap = recap;
+  const badge = getBadge();
+  const title = getTitle();
+  const subtitle = getSubtitle();
+  const list = getRecapList();
+  if (badge) badge.textContent = 'Eliminated';
+  if (title) title.textContent = recap.killer?.id ? `Killed by ${describeName(recap.killer.id)}` : 'You died';
+  if (subtitle) subtitle.textContent = recap.suggestion;
+  if (list) {
+    list.innerHTML = recap.groups.map(renderRecapGroup).join('');
+    list.hidden = recap.groups.length === 0;
+  }
+  overlay.hidden = false;
+  overlay.classList.add('recap', 'show');
+  return true;
+}
+
+export function hideDeathRecap() {
+  const overlay = getOverlay();
+  activeRecap = null;
+  if (!overlay?.classList.contains('recap')) return;
+  overlay.classList.remove('recap', 'show');
+  overlay.hidden = true;
+  const list = getRecapList();
+  if (list) {
+    list.innerHTML = '';
+    list.hidden = true;
+  }
+}
+
+export function getActiveDeathRecap() {
+  return activeRecap;
+}
+
+// Opts: getDisplayName(playerId), getLocalPlayerId(), windowSeconds.
+export function initDeathRecap(opts = {}) {
+  destroyDeathRecap();
+  if (typeof opts.getDisplayName === 'function') getDisplayName = opts.getDisplayName;
+  if (typeof opts.getLocalPlayerId === 'function') getLocalPlayerId = opts.getLocalPlayerId;
+  const windowSeconds = Number(opts.windowSeconds) > 0 ? Number(opts.windowSeconds) : RECAP_WINDOW_SECONDS;
+  unsubscribers = [
+    onCombatEvent('eliminated', (event) => {
+      if (!event.victim?.id || event.victim.id !== getLocalPlayerId()) return;
+      showDeathRecap(buildDeathRecap(event, { windowSeconds }));
+    }),
+    onCombatEvent('respawned', (event) => {
+      if (event.victim?.id && event.victim.id === getLocalPlayerId()) hideDeathRecap();
+    }),
+  ];
+}
+
+export function destroyDeathRecap() {
+  unsubscribers.forEach((off) => off());
+  unsubscribers = [];
+  hideDeathRecap();
+}
@@ -1,26 +1,87 @@
 import {
   getActiveWeaponIndex,
+  getWeaponCode,
   getWeaponLoadoutSnapshot,
+  onWeaponError,
   selectWeaponSlot,
   setWeapon,
 } from './sandbox.js';
-import { CODER_PROMPT, WEAPON_BALANCE_PROMPT } from './prompt.js';
+import { callLLM, isLLMCancelled, isServerForgeEnabled, requestServerForge } from './llm/index.js';
+import { CODER_PROMPT, WEAPON_BALANCE_PROMPT, WEAPON_REFINE_PROMPT, WEAPON_REPAIR_PROMPT } from './prompt.js';
+import {
+  buildBalanceInput,
+  buildCoderInput,
+  buildRefineInput,
+  buildRepairInput,
+  describeRepairError,
+  parseWeaponBalanceResponse,
+  trimFencedText,
+} from './forgePrompts.js';
+import { compileWeaponCode } from './weaponRealm/index.js';
+import { runWeaponBenchInWorker } from './weaponBench.js';
+import {
+  createWeaponHistory,
+  diffWeaponCode,
+  getCompareWeaponVersion,
+  getCurrentWeaponVersion,
+  markWeaponCompareVersion,
+  pushWeaponVersion,
+  replaceCurrentWeaponVersion,
+  selectWeaponVersion,
+  stepWeaponVersion,
+  swapWeaponCompareVersion,
+} from './weaponHistory.js';
+import {
+  deleteLibraryWeapon,
+  getLibraryWeapon,
+  isWeaponLibrarySupported,
+  listLibraryWeapons,
+  saveLibraryWeapon,
+  updateLibraryWeapon,
+} from './weaponLibrary.js';
+import { formatWeaponValidationReport, validateWeaponCode } from './weaponValidator.js';
+import { screenWeaponPrompt } from './weaponPromptGuard.js';
+import {
+  WEAPON_SHARE_URL_PARAM,
+  buildWeaponShareUrl,
+  createLoadoutExport,
+  createWeaponExport,
+  encodeWeaponShareCode,
+  readWeaponShare,
+} from './weaponShare.js';
 import {
   DEFAULT_WEAPON_FIRE_MODE,
   DEFAULT_WEAPON_TIER,
   FIRE_PROFILE_OVERVIEW,
+  getMeasuredWeaponTier,
+  getSlotWeaponRole,
   getWeaponFireProfile,
+  getWeaponRoleLabel,
+  reconcileWeaponTier,
+  resolveWeaponRoleEnforcement,
   sanitizeWeaponFireMode,
+  sanitizeWeaponRole,
   sanitizeWeaponTier,
+  scoreWeaponPower,
+  WEAPON_SLOT_ROLES,
 } from './weaponBalance.js';
 
-const OPENAI_CHAT_COMPLETIONS_PATH = '/openai/chat/completions';
-const OPENAI_MODELS = ['gpt-5.2'];
+const MAX_WEAPON_REPAIR_ATTEMPTS = 3;
 
 let forgeOpen = true;
 let onOpenCb = null;
 let onCloseCb = null;
 let loadoutRefreshTimer = null;
+let libraryEntries = [];
+let libraryPreviewId = null;
+let pendingShare = null;
+let historyDiffOpen = false;
+let activeForgeRequest = null;
+let roleEnforcement = 'warn';
+// slotIndex -> { prompt, code, tier, fireMode, role, balance, libraryId, repairAttempts, repairing } for weapons forged this session.
+const forgedSlots = new Map();
+// slotIndex -> version history (see weaponHistory.js); kept for the session only.
+const slotHistories = new Map();
 
 export function isForgeOpen() { return forgeOpen; }
 
@@ -46,6 +107,21 @@ function getError() { return document.getElementById('forge-error'); }
 function getToggle() { return document.getElementById('forge-toggle'); }
 function getLoadoutContainer() { return document.getElementById('forge-loadout'); }
 function getCooldownReadout() { return document.getElementById('forge-cooldown'); }
+function getLibrarySearch() { return document.getElementById('forge-library-search'); }
+function getLibraryFavourites() { return document.getElementById('forge-library-favourites'); }
+function getLibraryContainer() { return document.getElementById('forge-library'); }
+function getShareSection() { return document.getElementById('forge-share'); }
+function getShareInput() { return document.getElementById('forge-share-input'); }
+function getShareFile() { return document.getElementById('forge-share-file'); }
+function getReviewOverlay() { return document.getElementById('weapon-review'); }
+function getRefineButton() { return document.getElementById('forge-refine-btn'); }
+function getHistorySection() { return document.getElementById('forge-history'); }
+function getHistoryContainer() { return document.getElementById('forge-history-list'); }
+function getHistoryDiff() { return document.getElementById('forge-history-diff'); }
+function getCancelButton() { return document.getElementById('forge-cancel-btn'); }
+function getPreview() { return document.getElementById('forge-preview'); }
+function getPreviewCode() { return document.getElementById('forge-preview-code'); }
+function getPreviewLabel() { return document.getElementById('forge-preview-label'); }
 
 function updateCooldownReadout(slot = null) {
   const readout = getCooldownReadout();
@@ -69,62 +145,195 @@ function dispatchSlotSelected(slotIndex) {
   }));
 }
 
-function trimFencedText(text) {
-  return String(text || '')
-    .trim()
-    .replace(/^```(?:json|javascript|js)?\s*/i, '')
-    .replace(/\s*```$/i, '')
-    .trim();
+function summarizeError(error) {
+  return String(error?.message || error || 'Unknown error').split('\n')[0];
 }
 
-function extractJsonObjectText(text) {
-  const trimmed = trimFencedText(text);
-  if (trimmed.startsWith('{') && trimmed.endsWith('}')) return trimmed;
-  const start = trimmed.indexOf('{');
-  const end = trimmed.lastIndexOf('}');
-  if (start >= 0 && end > start) return trimmed.slice(start, end + 1);
-  return trimmed;
+async function prepareWeaponCode(rawCode) {
+  const validation = validateWeaponCode(rawCode);
+  const report = formatWeaponValidationReport(validation);
+  if (!validation.ok) {
+    throw new Error(`Weapon code rejected:\n${report}`);
+  }
+  await compileWeaponCode(validation.code);
+  return { code: validation.code, report };
+}
+
+// Dry-runs the weapon on the bench at the classified tier and re-tiers it from the measured power score.
+async function measureWeaponBalance(record) {
+  const llmTier = sanitizeWeaponTier(record.llmTier ?? record.tier);
+  const report = await runWeaponBenchInWorker(record.code, { tier: llmTier, fireMode: record.fireMode });
+  const power = scoreWeaponPower(report, record.fireMode);
+  return {
+    llmTier,
+    measuredTier: power.conclusive ? getMeasuredWeaponTier(power) : null,
+    powerScore: power.score,
+    tier: reconcileWeaponTier(llmTier, power),
+  };
 }
 
-function parseWeaponBalanceResponse(text) {
-  const jsonText = extractJsonObjectText(text);
+async function applyMeasuredBalance(record) {
   try {
-    const payload = JSON.parse(jsonText);
-    return {
-      fireMode: sanitizeWeaponFireMode(payload.fireMode ?? payload.mode, DEFAULT_WEAPON_FIRE_MODE),
-      tier: sanitizeWeaponTier(payload.weaponTier ?? payload.tier, DEFAULT_WEAPON_TIER),
-      summary: typeof payload.summary === 'string' ? payload.summary.trim() : '',
-    };
-  } catch {
-    const tierMatch = String(text || '').match(/"(?:weaponTier|tier)"\s*:\s*([1-4])/i);
-    const modeMatch = String(text || '').match(/"(?:fireMode|mode)"\s*:\s*"(instant|continuous)"/i);
-    return {
-      fireMode: sanitizeWeaponFireMode(modeMatch?.[1], DEFAULT_WEAPON_FIRE_MODE),
-      tier: sanitizeWeaponTier(tierMatch?.[1], DEFAULT_WEAPON_TIER),
-      summary: '',
-    };
+    const { tier, ...balance } = await measureWeaponBalance(record);
+    record.tier = tier;
+    record.balance = balance;
+  } catch (err) {
+    console.warn('Weapon dry run failed, keeping the classified tier.', err);
+    record.balance = { llmTier: record.llmTier, measuredTier: null, powerScore: null };
+  }
+}
+
+// Sends the failure back to the coder model until the code validates and compiles, or attempts run out.
+// `llmOptions`: { signal, preview } - preview streams each attempt into the live code pane.
+async function repairWeaponCode(record, failure, onAttempt, llmOptions = {}) {
+  let { code, error, phase } = failure;
+  while (record.repairAttempts < MAX_WEAPON_REPAIR_ATTEMPTS) {
+    record.repairAttempts++;
+    onAttempt(record.repairAttempts, error);
+    const { content } = await callLLM(WEAPON_REPAIR_PROMPT, buildRepairInput(record, code, error, phase), {
+      forge: { kind: 'repair', prompt: record.prompt, fireMode: record.fireMode, tier: record.tier, code, error: describeRepairError(error), phase },
+      signal: llmOptions.signal,
+      onDelta: llmOptions.preview ? streamToPreview(`Repair attempt ${record.repairAttempts}`) : null,
+    });
+    code = trimFencedText(content);
+    try {
+      return await prepareWeaponCode(code);
+    } catch (err) {
+      error = err;
+      phase = 'compile';
+    }
   }
+  throw error;
 }
 
-function buildCoderInput(prompt, balanceMeta) {
-  const runtimeProfile = JSON.stringify({
-    fireMode: sanitizeWeaponFireMode(balanceMeta.fireMode, DEFAULT_WEAPON_FIRE_MODE),
-    weaponTier: sanitizeWeaponTier(balanceMeta.tier, DEFAULT_WEAPON_TIER),
-  }, null, 2);
+function getSlotHistory(slotIndex) {
+  if (!slotHistories.has(slotIndex)) slotHistories.set(slotIndex, createWeaponHistory());
+  return slotHistories.get(slotIndex);
+}
 
-  return `## PLAYER WEAPON REQUEST:\n"${prompt}"\n\n## RUNTIME FIRE PROFILE\n${runtimeProfile}\n\nIf fireMode is \"continuous\", each call represents ONE short channel tick while the trigger is held. Build a short repeated slice of the effect, not a self-sustained multi-second loop, unless the tick intentionally leaves behind a brief lingering aftermath.\n\nIf fireMode is \"instant\", each call represents one complete activation.\n\nImplement a weapon that matches this request and this runtime fire profile. Output ONLY the function body code.`;
+function toWeaponVersion(record, label) {
+  return {
+    label,
+    prompt: record.prompt,
+    code: record.code,
+    tier: record.tier,
+    llmTier: record.llmTier,
+    fireMode: record.fireMode,
+    role: record.role || null,
+    balance: record.balance,
+    model: record.model,
+    generationMs: record.generationMs,
+    libraryId: record.libraryId,
+    signature: record.signature || null,
+  };
 }
 
-function buildBalanceInput(prompt) {
-  return `## PLAYER WEAPON REQUEST:\n"${prompt}"\n\nClassify this weapon into exactly one fire mode and one of the 4 fixed weapon tiers. Output ONLY the required JSON.`;
+function toForgedRecord(version) {
+  return {
+    prompt: version.prompt,
+    code: version.code,
+    tier: version.tier,
+    llmTier: version.llmTier,
+    fireMode: version.fireMode,
+    role: version.role || null,
+    balance: version.balance,
+    model: version.model,
+    generationMs: version.generationMs,
+    libraryId: version.libraryId,
+    signature: version.signature || null,
+    repairAttempts: 0,
+    repairing: false,
+  };
+}
+
+// `history`: 'push' records a new version, 'replace' patches the current one (repairs), 'none' is a version switch.
+function installForgedWeapon(record, slotIndex, { history = 'push', label = 'Forged' } = {}) {
+  const profile = getWeaponFireProfile(record.tier, record.fireMode);
+  setWeapon(null, record.prompt, undefined, {
+    code: record.code,
+    slotIndex,
+    cooldownMs: profile.cooldownMs,
+    tier: record.tier,
+    fireMode: record.fireMode,
+    role: record.role || null,
+    balance: record.balance,
+    reset: false,
+  });
+  forgedSlots.set(slotIndex, record);
+  if (history === 'push') {
+    pushWeaponVersion(getSlotHistory(slotIndex), toWeaponVersion(record, label));
+  } else if (history === 'replace') {
+    replaceCurrentWeaponVersion(getSlotHistory(slotIndex), { code: record.code, tier: record.tier, balance: record.balance });
+  }
+
+  refreshForgePanel();
+  window.dispatchEvent(new CustomEvent('weapon-forged', {
+    detail: {
+      name: record.prompt,
+      code: record.code,
+      slotIndex,
+      cooldownMs: profile.cooldownMs,
+      tier: record.tier,
+      fireMode: record.fireMode,
+      role: record.role || null,
+      balance: record.balance,
+      signature: record.signature || null,
+      activeIndex: getActiveWeaponIndex(),
+    },
+  }));
 }
 
-async function classifyWeaponBalance(prompt) {
-  const { content } = await callLLM(WEAPON_BALANCE_PROMPT, buildBalanceInput(prompt));
+async function handleWeaponRuntimeError({ local, slotIndex, code, error }) {
+  if (!local) return;
+  const record = forgedSlots.get(slotIndex);
+  if (!record || record.repairing) return;
+  if (record.code !== code || getWeaponCode(undefined, slotIndex) !== record.code) return;
+
+  const statusEl = getStatus();
+  const errEl = getError();
+  if (record.repairAttempts >= MAX_WEAPON_REPAIR_ATTEMPTS) {
+    forgedSlots.delete(slotIndex);
+    if (statusEl) statusEl.textContent = `Slot ${slotIndex + 1} still fails after ${MAX_WEAPON_REPAIR_ATTEMPTS} repair attempts - reforge it.`;
+    if (errEl) errEl.textContent = `${error.name}: ${error.message}`;
+    return;
+  }
+
+  record.repairing = true;
+  try {
+    const prepared = await repairWeaponCode(record, { code: record.code, error, phase: 'runtime' }, (attempt, err) => {
+      if (statusEl) {
+        statusEl.textContent = `Slot ${slotIndex + 1} failed (${summarizeError(err)}) - repair attempt ${attempt}/${MAX_WEAPON_REPAIR_ATTEMPTS}...`;
+      }
+    });
+    const failingCode = record.code;
+    if (getWeaponCode(undefined, slotIndex) !== failingCode) return;
+    record.code = prepared.code;
+    record.signature = null;
+    await applyMeasuredBalance(record);
+    if (getWeaponCode(undefined, slotIndex) !== failingCode) return;
+    installForgedWeapon(record, slotIndex, { history: 'replace' });
+    updateLibraryWeaponCode(record);
+    if (errEl) errEl.textContent = prepared.report;
+    if (statusEl) statusEl.textContent = `Slot ${slotIndex + 1} repaired on attempt ${record.repairAttempts}/${MAX_WEAPON_REPAIR_ATTEMPTS}.`;
+  } catch (err) {
+    console.error('Weapon repair failed:', err);
+    forgedSlots.delete(slotIndex);
+    if (errEl) errEl.textContent = err.message;
+    if (statusEl) statusEl.textContent = `Slot ${slotIndex + 1} repair failed - try reforging`;
+  } finally {
+    record.repairing = false;
+  }
+}
+
+async function classifyWeaponBalance(prompt, llmOptions = {}) {
+  const { content } = await callLLM(WEAPON_BALANCE_PROMPT, buildBalanceInput(prompt), { ...llmOptions, forge: { kind: 'balance', prompt } });
   return parseWeaponBalanceResponse(content);
 }
 
 function describeSlotStatus(slot) {
+  if (slot.fault) {
+    return `Disabled - ${slot.fault}`;
+  }
   if (slot.fireMode === 'continuous' && slot.fireState === 'channeling' && slot.channelRemaining > 0) {
     return `Channeling ${formatCooldownSeconds(slot.channelRemaining)}`;
   }
@@ -139,6 +348,19 @@ function describeSlotStatus(slot) {
   return `${formatCooldownSeconds(slot.cooldownMs / 1000)} cooldown`;
 }
 
+function describeSlotBalance(balance) {
+  if (!balance) return '';
+  const measured = Number.isInteger(balance.measuredTier)
+    ? `Measured T${balance.measuredTier} (score ${balance.powerScore})`
+    : 'Measured n/a';
+  return `LLM T${balance.llmTier} | ${measured}`;
+}
+
+function describeBalanceShift(balance) {
+  if (!balance || !Number.isInteger(balance.measuredTier) || balance.measuredTier === balance.llmTier) return '';
+  return ` (LLM said T${balance.llmTier}, measured T${balance.measuredTier})`;
+}
+
 export function refreshForgePanel() {
   const loadoutEl = getLoadoutContainer();
   if (!loadoutEl) return;
@@ -153,22 +375,762 @@ export function refreshForgePanel() {
       'forge-slot-card',
       slot.isActive ? 'active' : '',
       slot.hasWeapon ? '' : 'empty',
+      slot.fault ? 'faulted' : '',
     ].filter(Boolean).join(' ');
     const weaponName = slot.name || `Empty Slot ${slot.index + 1}`;
     const slotMeta = describeSlotStatus(slot);
+    const slotBalance = describeSlotBalance(slot.balance);
+    const roleMismatch = slot.hasWeapon ? describeRoleMismatch(slot.weaponRole, slot.index) : '';
     return `
       <button type="button" class="${classes}" data-slot-index="${slot.index}">
-        <span class="forge-slot-index">Slot ${slot.index + 1}</span>
+        <span class="forge-slot-head">
+          <span class="forge-slot-index">Slot ${slot.index + 1}</span>
+          <span class="forge-slot-role role-${slot.role}${roleMismatch ? ' mismatch' : ''}"${roleMismatch ? ` title="${escapeHtml(roleMismatch)}"` : ''}>${getWeaponRoleLabel(slot.role)}${roleMismatch ? ` - ${getWeaponRoleLabel(slot.weaponRole)} weapon` : ''}</span>
+        </span>
         <span class="forge-slot-name">${weaponName}</span>
         <span class="forge-slot-meta">${slot.index === activeIndex ? 'Selected for equip + forge' : 'Click to select'} - ${slotMeta}</span>
+        ${slotBalance ? `<span class="forge-slot-balance">${slotBalance}</span>` : ''}
       </button>
     `;
   }).join('');
 }
 
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, (ch) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+  })[ch]);
+}
+
+function describeLibraryEntry(entry) {
+  const parts = [describeWeaponFireProfile(entry.fireMode, entry.tier)];
+  if (entry.role) parts.push(getWeaponRoleLabel(entry.role));
+  if (entry.model) parts.push(entry.model);
+  if (Number.isFinite(entry.generationMs)) parts.push(`${entry.generationMs} ms`);
+  parts.push(new Date(entry.createdAt).toLocaleDateString());
+  return parts.join(' | ');
+}
+
+function renderLibrary() {
+  const libraryEl = getLibraryContainer();
+  if (!libraryEl) return;
+  if (!isWeaponLibrarySupported()) {
+    libraryEl.innerHTML = '<div class="forge-library-empty">Weapon library is unavailable in this browser.</div>';
+    return;
+  }
+  if (!libraryEntries.length) {
+    libraryEl.innerHTML = '<div class="forge-library-empty">No saved weapons match.</div>';
+    return;
+  }
+
+  const slotNumber = getActiveWeaponIndex() + 1;
+  libraryEl.innerHTML = libraryEntries.map((entry) => `
+    <div class="forge-library-entry${entry.favourite ? ' favourite' : ''}" data-library-id="${escapeHtml(entry.id)}">
+      <div class="forge-library-head">
+        <button type="button" class="forge-library-star" data-library-action="favourite" aria-label="Toggle favourite">${entry.favourite ? '&#9733;' : '&#9734;'}</button>
+        <span class="forge-library-name">${escapeHtml(entry.prompt)}</span>
+      </div>
+      <span class="forge-library-meta">${escapeHtml(describeLibraryEntry(entry))}</span>
+      <input type="text" class="forge-library-tags" data-library-action="tags" value="${escapeHtml(entry.tags.join(', '))}" placeholder="tags, comma separated">
+      <div class="forge-library-actions">
+        <button type="button" data-library-action="preview">${libraryPreviewId === entry.id ? 'Hide' : 'Preview'}</button>
+        <button type="button" data-library-action="equip">Equip into Slot ${slotNumber}</button>
+        <button type="button" data-library-action="delete">Delete</button>
+      </div>
+      ${libraryPreviewId === entry.id ? `<pre class="forge-library-preview">${escapeHtml(entry.code)}</pre>` : ''}
+    </div>
+  `).join('');
+}
+
+export async function refreshWeaponLibrary() {
+  if (!isWeaponLibrarySupported()) {
+    renderLibrary();
+    return;
+  }
+  try {
+    libraryEntries = await listLibraryWeapons({
+      query: getLibrarySearch()?.value || '',
+      favouritesOnly: Boolean(getLibraryFavourites()?.checked),
+    });
+  } catch (err) {
+    console.warn('Weapon library unavailable:', err);
+    libraryEntries = [];
+  }
+  renderLibrary();
+}
+
+async function saveForgedWeaponToLibrary(record, tags = []) {
+  if (!isWeaponLibrarySupported()) return;
+  try {
+    const entry = await saveLibraryWeapon({
+      prompt: record.prompt,
+      code: record.code,
+      tier: record.tier,
+      fireMode: record.fireMode,
+      role: record.role || null,
+      model: record.model,
+      generationMs: record.generationMs,
+      balance: record.balance,
+      tags,
+    });
+    record.libraryId = entry.id;
+    await refreshWeaponLibrary();
+  } catch (err) {
+    console.warn('Could not save weapon to the library:', err);
+  }
+}
+
+async function updateLibraryWeaponCode(record) {
+  if (!record.libraryId) return;
+  try {
+    await updateLibraryWeapon(record.libraryId, { code: record.code, tier: record.tier, balance: record.balance });
+    await refreshWeaponLibrary();
+  } catch (err) {
+    console.warn('Could not update the library copy of this weapon:', err);
+  }
+}
+
+// Library code is re-validated and recompiled so entries saved against an older SDK fail here, not mid-match.
+async function equipLibraryWeapon(id, slotIndex) {
+  const statusEl = getStatus();
+  const errEl = getError();
+  const entry = await getLibraryWeapon(id);
+  if (!entry) throw new Error('That weapon is no longer in the library.');
+
+  if (statusEl) statusEl.textContent = `Equipping "${entry.prompt}" into slot ${slotIndex + 1}...`;
+  const prepared = await prepareWeaponCode(entry.code);
+  const record = {
+    prompt: entry.prompt,
+    code: prepared.code,
+    tier: sanitizeWeaponTier(entry.tier),
+    llmTier: sanitizeWeaponTier(entry.balance?.llmTier ?? entry.tier),
+    fireMode: sanitizeWeaponFireMode(entry.fireMode),
+    role: sanitizeWeaponRole(entry.role, null),
+    model: entry.model,
+    generationMs: entry.generationMs,
+    balance: entry.balance || null,
+    libraryId: entry.id,
+    repairAttempts: 0,
+    repairing: false,
+  };
+  installForgedWeapon(record, slotIndex, { label: 'Library' });
+  if (errEl) errEl.textContent = prepared.report;
+  if (statusEl) {
+    statusEl.textContent = `Equipped from library into slot ${slotIndex + 1}. ${describeWeaponFireProfile(record.fireMode, record.tier)}.${describeRoleNote(record.role, slotIndex)}`;
+  }
+}
+
+async function handleLibraryAction(action, id, target) {
+  const entry = libraryEntries.find((item) => item.id === id);
+  if (!entry) return;
+  if (action === 'preview') {
+    libraryPreviewId = libraryPreviewId === id ? null : id;
+    renderLibrary();
+    return;
+  }
+  if (action === 'favourite') {
+    await updateLibraryWeapon(id, { favourite: !entry.favourite });
+  } else if (action === 'tags') {
+    await updateLibraryWeapon(id, { tags: target.value });
+  } else if (action === 'delete') {
+    if (!window.confirm(`Delete "${entry.prompt}" from the weapon library?`)) return;
+    await deleteLibraryWeapon(id);
+    if (libraryPreviewId === id) libraryPreviewId = null;
+  } else if (action === 'equip') {
+    await equipLibraryWeapon(id, getActiveWeaponIndex());
+    return;
+  }
+  await refreshWeaponLibrary();
+}
+
+function initWeaponLibrary() {
+  const libraryEl = getLibraryContainer();
+  const searchEl = getLibrarySearch();
+  const favouritesEl = getLibraryFavourites();
+  if (!libraryEl) return;
+
+  const runAction = (action, id, target) => {
+    handleLibraryAction(action, id, target).catch((err) => {
+      console.error('Weapon library error:', err);
+      const errEl = getError();
+      const statusEl = getStatus();
+      if (errEl) errEl.textContent = err.message;
+      if (statusEl) statusEl.textContent = 'Library action failed';
+    });
+  };
+
+  libraryEl.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-library-action]');
+    const entryEl = e.target.closest('[data-library-id]');
+    if (!button || !entryEl) return;
+    runAction(button.dataset.libraryAction, entryEl.dataset.libraryId, button);
+  });
+  libraryEl.addEventListener('change', (e) => {
+    const entryEl = e.target.closest('[data-library-id]');
+    if (!entryEl || e.target.dataset.libraryAction !== 'tags') return;
+    runAction('tags', entryEl.dataset.libraryId, e.target);
+  });
+  for (const field of [libraryEl, searchEl]) {
+    field?.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter' && e.target.dataset.libraryAction === 'tags') e.target.blur();
+    });
+    field?.addEventListener('keyup', (e) => e.stopPropagation());
+  }
+  searchEl?.addEventListener('input', refreshWeaponLibrary);
+  favouritesEl?.addEventListener('change', refreshWeaponLibrary);
+  window.addEventListener('weapon-slot-selected', renderLibrary);
+  refreshWeaponLibrary();
+}
+
+function getLoadoutForExport() {
+  return getWeaponLoadoutSnapshot().map((slot) => ({
+    ...slot,
+    role: slot.weaponRole,
+    code: slot.hasWeapon ? getWeaponCode(undefined, slot.index) : '',
+  }));
+}
+
+function downloadShareFile(payload, filename) {
+  const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function toShareFilename(name) {
+  const slug = String(name || 'weapon').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 48);
+  return `${slug || 'weapon'}.weapon.json`;
+}
+
+async function copyShareText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    const field = getShareInput();
+    if (field) {
+      field.value = text;
+      field.select();
+    }
+    return false;
+  }
+}
+
+async function handleShareExport(action) {
+  const statusEl = getStatus();
+  const loadout = getLoadoutForExport();
+  const activeIndex = getActiveWeaponIndex();
+  const activeSlot = loadout[activeIndex];
+  const payload = action.startsWith('loadout')
+    ? createLoadoutExport(loadout, activeIndex)
+    : createWeaponExport(activeSlot);
+  const label = payload.kind === 'loadout' ? 'Loadout' : `Slot ${activeIndex + 1}`;
+
+  if (action.endsWith('file')) {
+    downloadShareFile(payload, payload.kind === 'loadout' ? 'loadout.weapon.json' : toShareFilename(activeSlot.name));
+    if (statusEl) statusEl.textContent = `${label} exported.`;
+    return;
+  }
+
+  const code = await encodeWeaponShareCode(payload);
+  const text = action.endsWith('link') ? buildWeaponShareUrl(code, window.location.href) : code;
+  const copied = await copyShareText(text);
+  if (statusEl) {
+    statusEl.textContent = copied
+      ? `${label} ${action.endsWith('link') ? 'link' : 'code'} copied to the clipboard.`
+      : `${label} ${action.endsWith('link') ? 'link' : 'code'} placed in the import box - copy it from there.`;
+  }
+}
+
+function describeReviewTarget(share, weapon) {
+  const slotIndex = share.kind === 'loadout' ? weapon.slotIndex : getActiveWeaponIndex();
+  const role = weapon.role ? ` | ${getWeaponRoleLabel(weapon.role)}${describeRoleMismatch(weapon.role, slotIndex) ? ' (off-role)' : ''}` : '';
+  return `Slot ${slotIndex + 1}${role}`;
+}
+
+function renderWeaponReview(share) {
+  const reviewEl = getReviewOverlay();
+  if (!reviewEl) return;
+  const installable = share.weapons.filter((weapon) => weapon.validation.ok).length;
+  reviewEl.innerHTML = `
+    <div id="weapon-review-card" role="dialog" aria-modal="true" aria-labelledby="weapon-review-title">
+      <div id="weapon-review-title">Review imported ${share.kind === 'loadout' ? 'loadout' : 'weapon'}</div>
+      <p id="weapon-review-note">Shared weapons run code on your machine. Read it before installing - nothing has run yet. Tiers are re-measured on install.</p>
+      ${share.weapons.map((weapon) => {
+        const report = formatWeaponValidationReport(weapon.validation);
+        return `
+          <div class="weapon-review-entry${weapon.validation.ok ? '' : ' rejected'}">
+            <div class="weapon-review-head">
+              <span class="weapon-review-name">${escapeHtml(weapon.name)}</span>
+              <span class="weapon-review-meta">${describeReviewTarget(share, weapon)} | ${escapeHtml(describeWeaponFireProfile(weapon.fireMode, weapon.tier))}</span>
+            </div>
+            ${weapon.validation.ok ? '' : '<div class="weapon-review-status">Rejected by the validator - will not be installed.</div>'}
+            ${report ? `<pre class="weapon-review-report">${escapeHtml(report)}</pre>` : ''}
+            <pre class="weapon-review-code">${escapeHtml(weapon.code)}</pre>
+          </div>
+        `;
+      }).join('')}
+      <div id="weapon-review-actions">
+        <button type="button" data-review-action="cancel">Cancel</button>
+        <button type="button" data-review-action="install" ${installable ? '' : 'disabled'}>Install ${installable} weapon${installable === 1 ? '' : 's'}</button>
+      </div>
+    </div>
+  `;
+  reviewEl.hidden = false;
+}
+
+function closeWeaponReview() {
+  const reviewEl = getReviewOverlay();
+  pendingShare = null;
+  if (!reviewEl) return;
+  reviewEl.hidden = true;
+  reviewEl.innerHTML = '';
+}
+
+async function openWeaponReview(text) {
+  pendingShare = await readWeaponShare(text);
+  renderWeaponReview(pendingShare);
+}
+
+// Runs only after the player confirms the review prompt.
+async function installWeaponShare(share) {
+  const statusEl = getStatus();
+  const errEl = getError();
+  const targets = share.weapons
+    .filter((weapon) => weapon.validation.ok)
+    .map((weapon) => ({ weapon, slotIndex: share.kind === 'loadout' ? weapon.slotIndex : getActiveWeaponIndex() }));
+  const reports = [];
+
+  for (const { weapon, slotIndex } of targets) {
+    if (statusEl) statusEl.textContent = `Installing "${weapon.name}" into slot ${slotIndex + 1}...`;
+    const prepared = await prepareWeaponCode(weapon.code);
+    const record = {
+      prompt: weapon.name,
+      code: prepared.code,
+      tier: weapon.tier,
+      llmTier: weapon.tier,
+      fireMode: weapon.fireMode,
+      role: weapon.role,
+      model: '',
+      generationMs: null,
+      balance: null,
+      libraryId: null,
+      repairAttempts: 0,
+      repairing: false,
+    };
+    await applyMeasuredBalance(record);
+    installForgedWeapon(record, slotIndex, { label: 'Imported' });
+    saveForgedWeaponToLibrary(record, ['imported']);
+    const roleMismatch = describeRoleMismatch(record.role, slotIndex);
+    if (prepared.report || roleMismatch) reports.push(`Slot ${slotIndex + 1}:\n${[roleMismatch, prepared.report].filter(Boolean).join('\n')}`);
+  }
+
+  if (share.kind === 'loadout') {
+    selectWeaponSlot(share.activeIndex);
+    dispatchSlotSelected(share.activeIndex);
+    refreshForgePanel();
+  }
+  if (errEl) errEl.textContent = reports.join('\n');
+  if (statusEl) statusEl.textContent = `Imported ${targets.length} weapon${targets.length === 1 ? '' : 's'}.`;
+}
+
+function initWeaponShare() {
+  const shareEl = getShareSection();
+  const shareInput = getShareInput();
+  const fileInput = getShareFile();
+  const reviewEl = getReviewOverlay();
+  if (!shareEl) return;
+
+  const reportShareError = (err) => {
+    console.error('Weapon share error:', err);
+    const errEl = getError();
+    const statusEl = getStatus();
+    if (errEl) errEl.textContent = err.message;
+    if (statusEl) statusEl.textContent = 'Import/export failed';
+  };
+
+  shareEl.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-share-action]');
+    if (!button) return;
+    const action = button.dataset.shareAction;
+    if (action === 'import') {
+      openWeaponReview(shareInput?.value || '').catch(reportShareError);
+    } else if (action === 'import-file') {
+      fileInput?.click();
+    } else {
+      handleShareExport(action).catch(reportShareError);
+    }
+  });
+  fileInput?.addEventListener('change', () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = '';
+    if (!file) return;
+    file.text().then(openWeaponReview).catch(reportShareError);
+  });
+  shareInput?.addEventListener('keydown', (e) => e.stopPropagation());
+  shareInput?.addEventListener('keyup', (e) => e.stopPropagation());
+
+  reviewEl?.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-review-action]');
+    if (!button || !pendingShare) return;
+    const share = pendingShare;
+    closeWeaponReview();
+    if (button.dataset.reviewAction === 'install') {
+      installWeaponShare(share).catch(reportShareError);
+    }
+  });
+
+  const params = new URLSearchParams(window.location.search);
+  const sharedCode = params.get(WEAPON_SHARE_URL_PARAM);
+  if (sharedCode) {
+    params.delete(WEAPON_SHARE_URL_PARAM);
+    const query = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    openWeaponReview(sharedCode).catch(reportShareError);
+  }
+}
+
+function describeVersionShort(version, index) {
+  const profile = `T${version.tier} ${version.fireMode === 'continuous' ? 'cont.' : 'inst.'}`;
+  return `v${index + 1} ${version.label} | ${profile}`;
+}
+
+function renderWeaponHistory() {
+  const historyEl = getHistoryContainer();
+  const sectionEl = getHistorySection();
+  if (!historyEl || !sectionEl) return;
+  const slotIndex = getActiveWeaponIndex();
+  const history = slotHistories.get(slotIndex);
+  const versions = history?.versions || [];
+
+  sectionEl.querySelector('[data-history-action="undo"]').disabled = !history || history.index <= 0;
+  sectionEl.querySelector('[data-history-action="redo"]').disabled = !history || history.index >= versions.length - 1;
+  sectionEl.querySelector('[data-history-action="mark"]').disabled = !versions.length;
+  sectionEl.querySelector('[data-history-action="swap"]').disabled = !getCompareWeaponVersion(history)
+    || history.compareIndex === history.index;
+  sectionEl.querySelector('[data-history-action="diff"]').disabled = versions.length < 2;
+
+  historyEl.innerHTML = versions.length
+    ? versions.map((version, index) => {
+      const classes = [
+        'forge-history-version',
+        index === history.index ? 'current' : '',
+        index === history.compareIndex ? 'compare' : '',
+      ].filter(Boolean).join(' ');
+      const badges = `${index === history.index ? '<span class="forge-history-badge">B</span>' : ''}${index === history.compareIndex ? '<span class="forge-history-badge a">A</span>' : ''}`;
+      return `
+        <button type="button" class="${classes}" data-version-index="${index}" title="${escapeHtml(version.prompt)}">
+          ${badges}<span>${escapeHtml(describeVersionShort(version, index))}</span>
+        </button>
+      `;
+    }).join('')
+    : `<div class="forge-library-empty">No versions for slot ${slotIndex + 1} yet.</div>`;
+
+  renderWeaponHistoryDiff(history);
+}
+
+// Diffs the A marker against the current version, or the previous version when no A is marked.
+function renderWeaponHistoryDiff(history) {
+  const diffEl = getHistoryDiff();
+  if (!diffEl) return;
+  const current = getCurrentWeaponVersion(history);
+  const compare = getCompareWeaponVersion(history);
+  const base = compare && compare !== current ? compare : history?.versions[history.index - 1];
+  if (!historyDiffOpen || !current || !base) {
+    diffEl.hidden = true;
+    diffEl.innerHTML = '';
+    return;
+  }
+  const baseIndex = history.versions.indexOf(base);
+  const header = `<div class="forge-history-diff-title">v${baseIndex + 1} -> v${history.index + 1}</div>`;
+  diffEl.innerHTML = header + diffWeaponCode(base.code, current.code)
+    .map((line) => {
+      const kind = line.op === '+' ? 'added' : (line.op === '-' ? 'removed' : 'same');
+      return `<div class="forge-diff-line ${kind}">${line.op} ${escapeHtml(line.text)}</div>`;
+    })
+    .join('');
+  diffEl.hidden = false;
+}
+
+function switchWeaponVersion(slotIndex, version) {
+  if (!version) return;
+  installForgedWeapon(toForgedRecord(version), slotIndex, { history: 'none' });
+  const statusEl = getStatus();
+  const history = getSlotHistory(slotIndex);
+  if (statusEl) statusEl.textContent = `Slot ${slotIndex + 1} switched to v${history.index + 1} (${version.label}).`;
+  renderWeaponHistory();
+}
+
+function handleHistoryAction(action) {
+  const slotIndex = getActiveWeaponIndex();
+  const history = slotHistories.get(slotIndex);
+  if (!history) return;
+  if (action === 'undo') switchWeaponVersion(slotIndex, stepWeaponVersion(history, -1));
+  else if (action === 'redo') switchWeaponVersion(slotIndex, stepWeaponVersion(history, 1));
+  else if (action === 'swap') switchWeaponVersion(slotIndex, swapWeaponCompareVersion(history));
+  else if (action === 'mark') {
+    markWeaponCompareVersion(history);
+    renderWeaponHistory();
+  } else if (action === 'diff') {
+    historyDiffOpen = !historyDiffOpen;
+    renderWeaponHistory();
+  }
+}
+
+function initWeaponHistory() {
+  const sectionEl = getHistorySection();
+  if (!sectionEl) return;
+  sectionEl.addEventListener('click', (e) => {
+    const actionButton = e.target.closest('button[data-history-action]');
+    if (actionButton) {
+      handleHistoryAction(actionButton.dataset.historyAction);
+      return;
+    }
+    const versionButton = e.target.closest('[data-version-index]');
+    if (!versionButton) return;
+    const slotIndex = getActiveWeaponIndex();
+    const history = slotHistories.get(slotIndex);
+    const index = Number(versionButton.dataset.versionIndex);
+    if (!history || index === history.index) return;
+    switchWeaponVersion(slotIndex, selectWeaponVersion(history, index));
+  });
+  window.addEventListener('weapon-slot-selected', renderWeaponHistory);
+  window.addEventListener('weapon-forged', renderWeaponHistory);
+  renderWeaponHistory();
+}
+
+// Returns an onDelta handler that mirrors the streamed completion into the live code preview.
+function streamToPreview(label) {
+  const codeEl = getPreviewCode();
+  const labelEl = getPreviewLabel();
+  if (labelEl) labelEl.textContent = label;
+  if (codeEl) codeEl.textContent = '';
+  return (text) => {
+    if (!codeEl) return;
+    codeEl.textContent = text.replace(/^\s*```(?:javascript|js)?\s*/i, '');
+    codeEl.scrollTop = codeEl.scrollHeight;
+  };
+}
+
+// One forge/refine run at a time; the Cancel button aborts whatever LLM call it is waiting on.
+function beginForgeRequest() {
+  activeForgeRequest?.abort();
+  const request = new AbortController();
+  activeForgeRequest = request;
+  const cancelBtn = getCancelButton();
+  if (cancelBtn) cancelBtn.hidden = false;
+  const preview = getPreview();
+  if (preview) preview.hidden = false;
+  return request;
+}
+
+function endForgeRequest(request) {
+  if (activeForgeRequest !== request) return;
+  activeForgeRequest = null;
+  const cancelBtn = getCancelButton();
+  if (cancelBtn) cancelBtn.hidden = true;
+}
+
+function throwIfForgeCancelled(request) {
+  if (!request.signal.aborted) return;
+  const error = new Error('Forge request cancelled.');
+  error.cancelled = true;
+  throw error;
+}
+
+function reportForgeFailure(err, label, failedStatus) {
+  const statusEl = getStatus();
+  const errEl = getError();
+  if (isLLMCancelled(err)) {
+    if (statusEl) statusEl.textContent = 'Cancelled';
+    if (errEl) errEl.textContent = err.message;
+    return;
+  }
+  console.error(`${label}:`, err);
+  if (errEl) errEl.textContent = err.message;
+  if (statusEl) statusEl.textContent = failedStatus;
+}
+
+// '' when the weapon fits the slot or its role is unknown; otherwise names the slot it belongs in.
+function describeRoleMismatch(role, slotIndex) {
+  if (!role || roleEnforcement === 'off') return '';
+  const slotRole = getSlotWeaponRole(slotIndex);
+  if (role === slotRole) return '';
+  return `Reads as a ${getWeaponRoleLabel(role)} weapon, but slot ${slotIndex + 1} is the ${getWeaponRoleLabel(slotRole)} slot (slot ${WEAPON_SLOT_ROLES.indexOf(role) + 1} is ${getWeaponRoleLabel(role)})`;
+}
+
+function describeRoleNote(role, slotIndex) {
+  const mismatch = describeRoleMismatch(role, slotIndex);
+  return mismatch ? ` Note: ${mismatch}.` : '';
+}
+
+// With ?roles=strict an off-role forge stops as soon as the role is known, before code is generated or installed.
+function enforceSlotRole(role, slotIndex) {
+  const mismatch = describeRoleMismatch(role, slotIndex);
+  if (mismatch && roleEnforcement === 'strict') {
+    const error = new Error(`${mismatch}. Select that slot or reword the request.`);
+    error.roleMismatch = true;
+    throw error;
+  }
+}
+
+// Player text is screened before any LLM call; flagged attempts are logged and blocked ones never leave the browser.
+function screenForgeInput(text, kind) {
+  const screening = screenWeaponPrompt(text);
+  if (screening.flags.length) console.warn(`Flagged ${kind}:`, { text, flags: screening.flags });
+  if (!screening.ok) {
+    getError().textContent = screening.error;
+    getStatus().textContent = `The ${kind} was not sent.`;
+  }
+  return screening;
+}
+
+// Classifies the prompt, then streams the coder output into the preview.
+async function generateForgedRecord(prompt, slotIndex, request) {
+  const statusEl = getStatus();
+  statusEl.textContent = `Classifying fire mode, tier, and role for slot ${slotIndex + 1}...`;
+  const balanceResult = await classifyWeaponBalance(prompt, { signal: request.signal }).catch((err) => {
+    if (isLLMCancelled(err)) throw err;
+    console.warn('Weapon balance classification failed, using defaults.', err);
+    return {
+      fireMode: DEFAULT_WEAPON_FIRE_MODE,
+      tier: DEFAULT_WEAPON_TIER,
+      role: null,
+      summary: '',
+    };
+  });
+  const fireMode = sanitizeWeaponFireMode(balanceResult.fireMode, DEFAULT_WEAPON_FIRE_MODE);
+  const tier = sanitizeWeaponTier(balanceResult.tier, DEFAULT_WEAPON_TIER);
+  const role = sanitizeWeaponRole(balanceResult.role, null);
+  const profile = getWeaponFireProfile(tier, fireMode);
+  enforceSlotRole(role, slotIndex);
+
+  statusEl.textContent = `Generating ${profile.fireModeLabel.toLowerCase()} weapon for slot ${slotIndex + 1}...`;
+  const generationStart = performance.now();
+  const { content, model } = await callLLM(CODER_PROMPT, buildCoderInput(prompt, { fireMode, tier }), {
+    forge: { kind: 'coder', prompt, fireMode, tier },
+    signal: request.signal,
+    onDelta: streamToPreview(`Generating for slot ${slotIndex + 1}`),
+  });
+  const generationMs = Math.round(performance.now() - generationStart);
+  console.log('LLM model used:', model, `| generation time: ${generationMs} ms`);
+  console.log('Assigned weapon fire profile:', { fireMode, tier, role, summary: balanceResult.summary, profile });
+
+  const record = {
+    prompt,
+    code: trimFencedText(content),
+    tier,
+    llmTier: tier,
+    fireMode,
+    role,
+    model,
+    generationMs,
+    balance: null,
+    libraryId: null,
+    signature: null,
+    repairAttempts: 0,
+    repairing: false,
+  };
+  console.log('Generated weapon code:\n', record.code);
+  return record;
+}
+
+// The forge server classifies, generates, and validates in one call; its signature lets co-op peers trust the code.
+async function requestServerForgedRecord(prompt, slotIndex, request) {
+  const statusEl = getStatus();
+  statusEl.textContent = `Forging on the server for slot ${slotIndex + 1}...`;
+  const weapon = await requestServerForge(prompt, { signal: request.signal });
+  streamToPreview(`Server forge for slot ${slotIndex + 1}${weapon.cached ? ' (cached)' : ''}`)(weapon.code);
+  console.log('Server forge:', {
+    model: weapon.model,
+    tier: weapon.tier,
+    fireMode: weapon.fireMode,
+    role: weapon.role,
+    summary: weapon.summary,
+    timings: weapon.timings,
+    repairAttempts: weapon.repairAttempts,
+    cached: weapon.cached,
+  });
+
+  const tier = sanitizeWeaponTier(weapon.tier, DEFAULT_WEAPON_TIER);
+  const role = sanitizeWeaponRole(weapon.role, null);
+  enforceSlotRole(role, slotIndex);
+  return {
+    prompt,
+    code: String(weapon.code || ''),
+    tier,
+    llmTier: tier,
+    fireMode: sanitizeWeaponFireMode(weapon.fireMode, DEFAULT_WEAPON_FIRE_MODE),
+    role,
+    model: weapon.model || '',
+    generationMs: Number.isFinite(weapon.timings?.totalMs) ? weapon.timings.totalMs : null,
+    balance: null,
+    libraryId: null,
+    signature: weapon.signature || null,
+    repairAttempts: 0,
+    repairing: false,
+  };
+}
+
+// Validates and compiles a freshly generated record, falling back to the repair loop, and installs the result.
+async function compileForgedRecord(record, slotIndex, request) {
+  const statusEl = getStatus();
+  if (statusEl) statusEl.textContent = 'Compiling...';
+  const prepared = await prepareWeaponCode(record.code).catch((err) => {
+    console.warn('Forged weapon failed to compile, requesting repair.', err);
+    return repairWeaponCode(record, { code: record.code, error: err, phase: 'compile' }, (attempt, error) => {
+      if (statusEl) {
+        statusEl.textContent = `Slot ${slotIndex + 1} failed (${summarizeError(error)}) - repair attempt ${attempt}/${MAX_WEAPON_REPAIR_ATTEMPTS}...`;
+      }
+    }, { signal: request.signal, preview: true });
+  });
+  if (prepared.code !== record.code) record.signature = null;
+  record.code = prepared.code;
+  throwIfForgeCancelled(request);
+
+  if (statusEl) statusEl.textContent = 'Measuring weapon power...';
+  await applyMeasuredBalance(record);
+  throwIfForgeCancelled(request);
+  return prepared;
+}
+
+// The slot's current weapon as a record, for slots that were not forged this session (e.g. the default rifle).
+function getRefineBaseRecord(slotIndex) {
+  const existing = forgedSlots.get(slotIndex);
+  if (existing) return existing;
+  const slot = getWeaponLoadoutSnapshot()[slotIndex];
+  const code = getWeaponCode(undefined, slotIndex);
+  if (!slot?.hasWeapon || !code) return null;
+  const record = {
+    prompt: slot.name || `Slot ${slotIndex + 1} weapon`,
+    code,
+    tier: sanitizeWeaponTier(slot.tier),
+    llmTier: sanitizeWeaponTier(slot.balance?.llmTier ?? slot.tier),
+    fireMode: sanitizeWeaponFireMode(slot.fireMode),
+    role: slot.weaponRole,
+    model: '',
+    generationMs: null,
+    balance: slot.balance || null,
+    libraryId: null,
+    repairAttempts: 0,
+    repairing: false,
+  };
+  pushWeaponVersion(getSlotHistory(slotIndex), toWeaponVersion(record, 'Original'));
+  forgedSlots.set(slotIndex, record);
+  return record;
+}
+
 export function initForge(callbacks = {}) {
   onOpenCb = callbacks.onOpen;
   onCloseCb = callbacks.onClose;
+  roleEnforcement = resolveWeaponRoleEnforcement({ search: window.location.search });
 
   const shell = getShell();
   const input = getInput();
@@ -185,6 +1147,10 @@ export function initForge(callbacks = {}) {
   loadoutRefreshTimer = window.setInterval(refreshForgePanel, 100);
   window.addEventListener('weapon-slot-selected', refreshForgePanel);
   window.addEventListener('weapon-forged', refreshForgePanel);
+  onWeaponError(handleWeaponRuntimeError);
+  initWeaponLibrary();
+  initWeaponShare();
+  initWeaponHistory();
 
   toggle.addEventListener('click', () => {
     if (forgeOpen) closeForge();
@@ -203,6 +1169,8 @@ export function initForge(callbacks = {}) {
   input.addEventListener('keyup', (e) => e.stopPropagation());
 
   btn.addEventListener('click', doForge);
+  getRefineButton()?.addEventListener('click', doRefine);
+  getCancelButton()?.addEventListener('click', () => activeForgeRequest?.abort());
 
   loadoutEl.addEventListener('click', (e) => {
     const button = e.target.closest('[data-slot-index]');
@@ -215,8 +1183,10 @@ export function initForge(callbacks = {}) {
   });
 
   async function doForge() {
-    const prompt = input.value.trim();
-    if (!prompt) return;
+    if (!input.value.trim()) return;
+    const screening = screenForgeInput(input.value, 'weapon request');
+    if (!screening.ok) return;
+    const prompt = screening.prompt;
 
     const statusEl = getStatus();
     const errEl = getError();
@@ -224,61 +1194,89 @@ export function initForge(callbacks = {}) {
 
     btn.disabled = true;
     errEl.textContent = '';
+    const request = beginForgeRequest();
 
     try {
-      statusEl.textContent = `Classifying fire mode and tier for slot ${targetSlot + 1}...`;
-      const balanceResult = await classifyWeaponBalance(prompt).catch((err) => {
-        console.warn('Weapon balance classification failed, using defaults.', err);
-        return {
-          fireMode: DEFAULT_WEAPON_FIRE_MODE,
-          tier: DEFAULT_WEAPON_TIER,
-          summary: '',
-        };
-      });
-      const fireMode = sanitizeWeaponFireMode(balanceResult.fireMode, DEFAULT_WEAPON_FIRE_MODE);
-      const tier = sanitizeWeaponTier(balanceResult.tier, DEFAULT_WEAPON_TIER);
-      const profile = getWeaponFireProfile(tier, fireMode);
+      const record = isServerForgeEnabled()
+        ? await requestServerForgedRecord(prompt, targetSlot, request)
+        : await generateForgedRecord(prompt, targetSlot, request);
+
+      const prepared = await compileForgedRecord(record, targetSlot, request);
+      errEl.textContent = prepared.report;
+
+      installForgedWeapon(record, targetSlot);
+      saveForgedWeaponToLibrary(record);
+      const readyProfile = `${describeWeaponFireProfile(record.fireMode, record.tier)}${describeBalanceShift(record.balance)}.${describeRoleNote(record.role, targetSlot)}`;
+      statusEl.textContent = record.repairAttempts
+        ? `Weapon ready in slot ${targetSlot + 1} after ${record.repairAttempts} repair attempt(s)! ${readyProfile}`
+        : `Weapon ready in slot ${targetSlot + 1}! ${readyProfile}`;
+    } catch (err) {
+      reportForgeFailure(err, 'Forge error', 'Failed - try again');
+    } finally {
+      endForgeRequest(request);
+      btn.disabled = false;
+    }
+  }
+
+  async function doRefine() {
+    if (!input.value.trim()) return;
+    const screening = screenForgeInput(input.value, 'change request');
+    if (!screening.ok) return;
+    const changeRequest = screening.prompt;
 
-      statusEl.textContent = `Generating ${profile.fireModeLabel.toLowerCase()} weapon for slot ${targetSlot + 1}...`;
+    const statusEl = getStatus();
+    const errEl = getError();
+    const targetSlot = getActiveWeaponIndex();
+    const refineBtn = getRefineButton();
+    const base = getRefineBaseRecord(targetSlot);
+    errEl.textContent = '';
+    if (!base) {
+      statusEl.textContent = `Slot ${targetSlot + 1} is empty - forge a weapon before refining.`;
+      return;
+    }
+
+    btn.disabled = true;
+    if (refineBtn) refineBtn.disabled = true;
+    const request = beginForgeRequest();
+    try {
+      statusEl.textContent = `Refining slot ${targetSlot + 1}: "${changeRequest}"...`;
       const generationStart = performance.now();
-      const { content, model } = await callLLM(CODER_PROMPT, buildCoderInput(prompt, { fireMode, tier }));
-      const generationMs = Math.round(performance.now() - generationStart);
-      const cleanCode = trimFencedText(content);
-
-      statusEl.textContent = 'Compiling...';
-      console.log('OpenAI model used:', model, `| generation time: ${generationMs} ms`);
-      console.log('Generated weapon code:\n', cleanCode);
-      console.log('Assigned weapon fire profile:', { fireMode, tier, summary: balanceResult.summary, profile });
-
-      const fn = new Function('ctx', cleanCode);
-      setWeapon(fn, prompt, undefined, {
-        code: cleanCode,
-        slotIndex: targetSlot,
-        cooldownMs: profile.cooldownMs,
-        tier,
-        fireMode,
-        reset: false,
+      const { content, model } = await callLLM(WEAPON_REFINE_PROMPT, buildRefineInput(base, base.code, changeRequest), {
+        forge: { kind: 'refine', prompt: base.prompt, fireMode: base.fireMode, tier: base.llmTier ?? base.tier, code: base.code, changeRequest },
+        signal: request.signal,
+        onDelta: streamToPreview(`Refining slot ${targetSlot + 1}`),
       });
+      const generationMs = Math.round(performance.now() - generationStart);
+      console.log('LLM model used:', model, `| refine time: ${generationMs} ms`);
+
+      const record = {
+        prompt: base.prompt,
+        code: trimFencedText(content),
+        tier: base.llmTier ?? base.tier,
+        llmTier: base.llmTier ?? base.tier,
+        fireMode: base.fireMode,
+        role: base.role || null,
+        model,
+        generationMs,
+        balance: null,
+        libraryId: null,
+        repairAttempts: 0,
+        repairing: false,
+      };
+      console.log('Refined weapon code:\n', record.code);
 
-      refreshForgePanel();
-      statusEl.textContent = `Weapon ready in slot ${targetSlot + 1}! ${describeWeaponFireProfile(fireMode, tier)}.`;
-      window.dispatchEvent(new CustomEvent('weapon-forged', {
-        detail: {
-          name: prompt,
-          code: cleanCode,
-          slotIndex: targetSlot,
-          cooldownMs: profile.cooldownMs,
-          tier,
-          fireMode,
-          activeIndex: getActiveWeaponIndex(),
-        },
-      }));
+      const prepared = await compileForgedRecord(record, targetSlot, request);
+      errEl.textContent = prepared.report;
+
+      installForgedWeapon(record, targetSlot, { label: changeRequest });
+      input.value = '';
+      statusEl.textContent = `Slot ${targetSlot + 1} refined! ${describeWeaponFireProfile(record.fireMode, record.tier)}${describeBalanceShift(record.balance)}.`;
     } catch (err) {
-      console.error('Forge error:', err);
-      errEl.textContent = err.message;
-      statusEl.textContent = 'Failed - try again';
+      reportForgeFailure(err, 'Refine error', 'Refine failed - the previous version is still equipped');
     } finally {
+      endForgeRequest(request);
       btn.disabled = false;
+      if (refineBtn) refineBtn.disabled = false;
     }
   }
 }
@@ -303,65 +1301,3 @@ export function closeForge() {
   updateToggleText();
   onCloseCb?.();
 }
-
-function extractMessageText(data) {
-  const content = data?.choices?.[0]?.message?.content;
-  if (typeof content === 'string') return content.trim();
-  if (Array.isArray(content)) {
-    return content
-      .map((part) => {
-        if (typeof part === 'string') return part;
-        if (typeof part?.text === 'string') return part.text;
-        return '';
-      })
-      .join('')
-      .trim();
-  }
-  throw new Error('OpenAI returned an empty response.');
-}
-
-async function requestCompletion(systemPrompt, userMessage, model) {
-  const res = await fetch(OPENAI_CHAT_COMPLETIONS_PATH, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model,
-      temperature: 0.7,
-      max_completion_tokens: 12000,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userMessage },
-      ],
-    }),
-  });
-
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}));
-    const message = err.error?.message || `OpenAI API error ${res.status}`;
-    const error = new Error(message);
-    error.status = res.status;
-    throw error;
-  }
-
-  const data = await res.json();
-  return {
-    content: extractMessageText(data),
-    model,
-  };
-}
-
-async function callLLM(systemPrompt, userMessage, models = OPENAI_MODELS) {
-  let lastError = null;
-  for (const model of models) {
-    try {
-      return await requestCompletion(systemPrompt, userMessage, model);
-    } catch (err) {
-      lastError = err;
-      if (err?.status === 401 || err?.status === 403) break;
-    }
-  }
-
-  throw lastError || new Error('OpenAI request failed.');
-}
@@ -0,0 +1,99 @@
+import {
+  DEFAULT_WEAPON_FIRE_MODE,
+  DEFAULT_WEAPON_TIER,
+  sanitizeWeaponFireMode,
+  sanitizeWeaponRole,
+  sanitizeWeaponTier,
+} from './weaponBalance.js';
+import { neutralizeWeaponPrompt } from './weaponPromptGuard.js';
+
+// Message builders and response parsers for the forge prompts, shared by the browser forge and scripts/forge-server.js.
+const REPAIR_STACK_FRAMES = 4;
+
+export function trimFencedText(text) {
+  return String(text || '')
+    .trim()
+    .replace(/^```(?:json|javascript|js)?\s*/i, '')
+    .replace(/\s*```$/i, '')
+    .trim();
+}
+
+export function extractJsonObjectText(text) {
+  const trimmed = trimFencedText(text);
+  if (trimmed.startsWith('{') && trimmed.endsWith('}')) return trimmed;
+  const start = trimmed.indexOf('{');
+  const end = trimmed.lastIndexOf('}');
+  if (start >= 0 && end > start) return trimmed.slice(start, end + 1);
+  return trimmed;
+}
+
+export function parseWeaponBalanceResponse(text) {
+  const jsonText = extractJsonObjectText(text);
+  try {
+    const payload = JSON.parse(jsonText);
+    return {
+      fireMode: sanitizeWeaponFireMode(payload.fireMode ?? payload.mode, DEFAULT_WEAPON_FIRE_MODE),
+      tier: sanitizeWeaponTier(payload.weaponTier ?? payload.tier, DEFAULT_WEAPON_TIER),
+      role: sanitizeWeaponRole(payload.role ?? payload.weaponRole, null),
+      summary: typeof payload.summary === 'string' ? payload.summary.trim() : '',
+    };
+  } catch {
+    const tierMatch = String(text || '').match(/"(?:weaponTier|tier)"\s*:\s*([1-4])/i);
+    const modeMatch = String(text || '').match(/"(?:fireMode|mode)"\s*:\s*"(instant|continuous)"/i);
+    const roleMatch = String(text || '').match(/"(?:role|weaponRole)"\s*:\s*"(primary|control|mobility|finisher)"/i);
+    return {
+      fireMode: sanitizeWeaponFireMode(modeMatch?.[1], DEFAULT_WEAPON_FIRE_MODE),
+      tier: sanitizeWeaponTier(tierMatch?.[1], DEFAULT_WEAPON_TIER),
+      role: sanitizeWeaponRole(roleMatch?.[1], null),
+      summary: '',
+    };
+  }
+}
+
+export function formatRuntimeProfile(balanceMeta) {
+  return JSON.stringify({
+    fireMode: sanitizeWeaponFireMode(balanceMeta.fireMode, DEFAULT_WEAPON_FIRE_MODE),
+    weaponTier: sanitizeWeaponTier(balanceMeta.tier, DEFAULT_WEAPON_TIER),
+  }, null, 2);
+}
+
+export function buildCoderInput(prompt, balanceMeta) {
+  const runtimeProfile = formatRuntimeProfile(balanceMeta);
+
+  return `## PLAYER WEAPON REQUEST:\n"${neutralizeWeaponPrompt(prompt)}"\n\n## RUNTIME FIRE PROFILE\n${runtimeProfile}\n\nIf fireMode is \"continuous\", each call represents ONE short channel tick while the trigger is held. Build a short repeated slice of the effect, not a self-sustained multi-second loop, unless the tick intentionally leaves behind a brief lingering aftermath.\n\nIf fireMode is \"instant\", each call represents one complete activation.\n\nImplement a weapon that matches this request and this runtime fire profile. Output ONLY the function body code.`;
+}
+
+export function buildRefineInput(record, code, changeRequest) {
+  return `## PLAYER WEAPON REQUEST:\n"${neutralizeWeaponPrompt(record.prompt)}"\n\n## RUNTIME FIRE PROFILE\n${formatRuntimeProfile({ fireMode: record.fireMode, tier: record.llmTier ?? record.tier })}\n\n## CURRENT CODE\n${code}\n\n## CHANGE REQUEST:\n"${neutralizeWeaponPrompt(changeRequest)}"\n\nApply the change request to the current code. Output ONLY the full modified function body code.`;
+}
+
+export function buildBalanceInput(prompt) {
+  return `## PLAYER WEAPON REQUEST:\n"${neutralizeWeaponPrompt(prompt)}"\n\nClassify this weapon into exactly one fire mode, one of the 4 fixed weapon tiers, and one loadout role. Output ONLY the required JSON.`;
+}
+
+function getStackFrames(error) {
+  return String(error?.realmStack || error?.stack || '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line.startsWith('at '))
+    .slice(0, REPAIR_STACK_FRAMES);
+}
+
+// The parts of a failure the repair prompt quotes, as plain fields the forge server accepts.
+export function describeRepairError(error) {
+  return {
+    name: error?.name || 'Error',
+    message: String(error?.message ?? error ?? ''),
+    stack: getStackFrames(error).join('\n'),
+  };
+}
+
+export function buildRepairInput(record, code, error, phase) {
+  const frames = getStackFrames(error);
+  const numberedCode = code
+    .split('\n')
+    .map((line, index) => `${String(index + 1).padStart(3, ' ')} | ${line}`)
+    .join('\n');
+
+  return `## PLAYER WEAPON REQUEST:\n"${neutralizeWeaponPrompt(record.prompt)}"\n\n## RUNTIME FIRE PROFILE\n${formatRuntimeProfile(record)}\n\n## ${phase.toUpperCase()} ERROR\n${error?.name || 'Error'}: ${error?.message || error}\n${frames.length ? `\nStack:\n${frames.join('\n')}\n` : ''}\n## FAILING CODE\n${numberedCode}\n\nFix this weapon so it no longer fails. Output ONLY the corrected function body code.`;
+}
@@ -21,3 +21,17 @@ export const TEAM_SPAWNS = {
     [34, 44],
   ],
 };
+
+// Reactor Control points: a point flips after exactly one team holds it for the capture time,
+// stays owned while empty, and owning all of them wins the match.
+export const CONTROL_POINTS = [
+  { id: 'west', label: 'West', x: -40, z: 0, radius: 8 },
+  { id: 'center', label: 'Center', x: 0, z: 0, radius: 14 },
+  { id: 'east', label: 'East', x: 40, z: 0, radius: 8 },
+];
+export const CONTROL_POINT_CAPTURE_SECONDS = 7;
+
+// Player id the co-op server uses for its own world snapshots when it runs the simulation.
+export const COOP_SERVER_AUTHORITY_ID = 'server';
+// How far back the server will rewind other players for a shot (the shooter's latency plus interpolation).
+export const LAG_COMPENSATION_MAX_REWIND_MS = 250;
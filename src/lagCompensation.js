@@ -0,0 +1,180 @@
+import * as THREE from 'three';
+import { LAG_COMPENSATION_MAX_REWIND_MS } from './gameConfig.js';
+
+// Lag compensation for the authoritative co-op simulation. The server keeps a short history of
+// combatant positions; when a shot arrives it puts everyone else back where the shooter saw
+// them (`viewTime`, in server seconds, capped by the max rewind window), runs the weapon, and
+// puts them back. Line, cone, radius, and chain queries all see the rewound positions because
+// they read the combatants' own positions.
+
+const HITBOX_RADIUS = 0.45;
+const HITBOX_HEIGHT = 1.8;
+const DEBUG_HITBOX_SECONDS = 1.2;
+
+export function sanitizeMaxRewindMs(value, fallback = LAG_COMPENSATION_MAX_REWIND_MS) {
+  const ms = Number(value);
+  if (!Number.isFinite(ms)) return fallback;
+  return THREE.MathUtils.clamp(Math.round(ms), 0, 1000);
+}
+
+// Samples are { time, positions: Map<id, Vector3> }, oldest first.
+export function createPositionHistory({ maxRewindMs = LAG_COMPENSATION_MAX_REWIND_MS } = {}) {
+  const samples = [];
+  let windowMs = sanitizeMaxRewindMs(maxRewindMs);
+
+  function record(time, combatants) {
+    const positions = new Map();
+    for (const e of combatants) {
+      const id = e.playerId || e.id;
+      if (!id || !e.pos || (e.hp ?? 1) <= 0) continue;
+      positions.set(id, e.pos.clone());
+    }
+    samples.push({ time, positions });
+    // Keep one sample past the window so the oldest allowed time can still be interpolated.
+    const oldest = time - windowMs / 1000;
+    while (samples.length > 2 && samples[1].time <= oldest) samples.shift();
+  }
+
+  function clampTime(now, viewTime) {
+    const t = viewTime == null ? NaN : Number(viewTime);
+    if (!Number.isFinite(t)) return now;
+    return THREE.MathUtils.clamp(t, now - windowMs / 1000, now);
+  }
+
+  // Interpolated position of `id` at `time`, or null when it was not recorded around then
+  // (dead, not joined yet, or older than the window).
+  function sampleAt(id, time) {
+    if (!samples.length) return null;
+    let after = samples.findIndex((sample) => sample.time >= time);
+    if (after === -1) after = samples.length - 1;
+    const b = samples[after];
+    const a = samples[Math.max(0, after - 1)];
+    const pa = a.positions.get(id);
+    const pb = b.positions.get(id);
+    if (!pa || !pb) return (pb || pa)?.clone() ?? null;
+    const span = b.time - a.time;
+    const t = span > 1e-6 ? THREE.MathUtils.clamp((time - a.time) / span, 0, 1) : 1;
+    return pa.clone().lerp(pb, t);
+  }
+
+  return {
+    record,
+    clampTime,
+    sampleAt,
+    clear: () => {
+      samples.length = 0;
+    },
+    get maxRewindMs() {
+      return windowMs;
+    },
+    set maxRewindMs(value) {
+      windowMs = sanitizeMaxRewindMs(value, windowMs);
+    },
+  };
+}
+
+// Runs `fn` with every combatant except `shooterId` moved to where it was at `viewTime`.
+// Anything the weapon did to a position (pulls, teleports) is carried over when they are put back.
+// A target the shot killed goes back to its present position, and one that already respawned
+// stays at its spawn.
+// Returns { result, rewind } where rewind is null when nothing moved.
+export function withRewoundCombatants(history, combatants, { now, viewTime, shooterId }, fn) {
+  const time = history.clampTime(now, viewTime);
+  if (now - time < 1e-4) return { result: fn(), rewind: null };
+  const moved = [];
+  for (const e of combatants) {
+    const id = e.playerId || e.id;
+    if (!id || id === shooterId || (e.hp ?? 1) <= 0) continue;
+    const past = history.sampleAt(id, time);
+    if (!past) continue;
+    moved.push({ e, id, present: e.pos.clone(), past, respawnToken: e.respawnToken || 0 });
+    e.pos.copy(past);
+    e.mesh?.position.copy(past);
+  }
+  try {
+    return {
+      result: fn(),
+      rewind: {
+        shooterId,
+        time,
+        rewindMs: Math.round((now - time) * 1000),
+        hitboxes: moved.map(({ id, past, present }) => ({
+          id,
+          position: [past.x, past.y, past.z],
+          present: [present.x, present.y, present.z],
+        })),
+      },
+    };
+  } finally {
+    for (const { e, present, past, respawnToken } of moved) {
+      const died = (e.respawnToken || 0) !== respawnToken;
+      const alive = (e.hp ?? 1) > 0 && !e.pendingRespawn;
+      if (!died && alive) e.pos.sub(past).add(present);
+      else if (!alive) e.pos.copy(present);
+      e.mesh?.position.copy(e.pos);
+    }
+  }
+}
+
+// Client-side debug view: draws each rewind from the server as wireframe hitboxes at the
+// rewound positions (orange) linked to where the targets actually were (grey).
+export function createRewindDebugView(scene) {
+  const entries = [];
+  const pastMaterial = new THREE.MeshBasicMaterial({ color: 0xff9933, wireframe: true, transparent: true, opacity: 0.9 });
+  const presentMaterial = new THREE.MeshBasicMaterial({ color: 0x9ca3af, wireframe: true, transparent: true, opacity: 0.5 });
+  const lineMaterial = new THREE.LineBasicMaterial({ color: 0xff9933, transparent: true, opacity: 0.7 });
+  const geometry = new THREE.CylinderGeometry(HITBOX_RADIUS, HITBOX_RADIUS, HITBOX_HEIGHT, 10, 1, true);
+  geometry.translate(0, HITBOX_HEIGHT / 2, 0);
+
+  function show(rewind) {
+    if (!rewind?.hitboxes?.length) return;
+    const group = new THREE.Group();
+    for (const box of rewind.hitboxes) {
+      const past = new THREE.Vector3(...box.position.map(Number));
+      const present = new THREE.Vector3(...box.present.map(Number));
+      const pastMesh = new THREE.Mesh(geometry, pastMaterial);
+      pastMesh.position.copy(past);
+      const presentMesh = new THREE.Mesh(geometry, presentMaterial);
+      presentMesh.position.copy(present);
+      const link = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([past.clone().setY(past.y + 1), present.clone().setY(present.y + 1)]),
+        lineMaterial,
+      );
+      group.add(pastMesh, presentMesh, link);
+    }
+    scene.add(group);
+    entries.push({ group, age: 0 });
+  }
+
+  function update(dt) {
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const entry = entries[i];
+      entry.age += dt;
+      if (entry.age < DEBUG_HITBOX_SECONDS) continue;
+      removeEntry(entry);
+      entries.splice(i, 1);
+    }
+  }
+
+  function removeEntry(entry) {
+    scene.remove(entry.group);
+    entry.group.traverse((obj) => {
+      if (obj.isLine) obj.geometry.dispose();
+    });
+  }
+
+  function clear() {
+    entries.forEach(removeEntry);
+    entries.length = 0;
+  }
+
+  function destroy() {
+    clear();
+    geometry.dispose();
+    pastMaterial.dispose();
+    presentMaterial.dispose();
+    lineMaterial.dispose();
+  }
+
+  return { show, update, clear, destroy, get count() { return entries.length; } };
+}
@@ -0,0 +1,122 @@
+// Adapter for any OpenAI-compatible `/chat/completions` endpoint reached through a same-origin proxy path.
+
+function extractMessageText(data) {
+  const content = data?.choices?.[0]?.message?.content;
+  if (typeof content === 'string') return content.trim();
+  if (Array.isArray(content)) {
+    return content
+      .map((part) => {
+        if (typeof part === 'string') return part;
+        if (typeof part?.text === 'string') return part.text;
+        return '';
+      })
+      .join('')
+      .trim();
+  }
+  throw new Error('LLM provider returned an empty response.');
+}
+
+// Reads an SSE chat-completions stream, reporting the accumulated text after every delta.
+async function readCompletionStream(res, onDelta) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  let model = '';
+
+  const handleEvent = (data) => {
+    if (!data || data === '[DONE]') return;
+    const chunk = JSON.parse(data);
+    if (chunk.error) {
+      const error = new Error(chunk.error.message || 'LLM stream error');
+      error.status = 502;
+      throw error;
+    }
+    model = chunk.model || model;
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (typeof delta === 'string' && delta) {
+      text += delta;
+      onDelta(text, delta);
+    }
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = done ? '' : events.pop();
+    for (const event of events) {
+      const data = event
+        .split(/\r?\n/)
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trim())
+        .join('\n');
+      handleEvent(data);
+    }
+    if (done) break;
+  }
+
+  if (!text.trim()) throw new Error('LLM provider returned an empty response.');
+  return { content: text.trim(), model };
+}
+
+// `tokenParam` differs between OpenAI (`max_completion_tokens`) and most local/compatible servers (`max_tokens`).
+// With `forgeFields` the request carries the call's `forge` fields instead of messages, for scripts/forge-server.js
+// to build the messages itself.
+export function createChatCompletionsProvider({
+  id,
+  label,
+  path,
+  models,
+  tokenParam = 'max_tokens',
+  headers = {},
+  maxTokens = 12000,
+  temperature = 0.7,
+  forgeFields = false,
+}) {
+  // With `onDelta` the request is streamed; servers that ignore `stream` still work through the JSON branch.
+  async function complete({ systemPrompt, userMessage, model, signal, onDelta, forge = null }) {
+    const stream = typeof onDelta === 'function';
+    const request = forgeFields
+      ? { forge }
+      : { messages: [{ role: 'system', content: systemPrompt }, { role: 'user', content: userMessage }] };
+    const res = await fetch(path, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers,
+      },
+      body: JSON.stringify({
+        model,
+        temperature,
+        [tokenParam]: maxTokens,
+        ...(stream ? { stream: true } : {}),
+        ...request,
+      }),
+    });
+
+    if (!res.ok) {
+      const err = await res.json().catch(() => ({}));
+      const message = err.error?.message || `${label} API error ${res.status}`;
+      const error = new Error(message);
+      error.status = res.status;
+      throw error;
+    }
+
+    if (stream && res.body && (res.headers.get('content-type') || '').includes('text/event-stream')) {
+      const streamed = await readCompletionStream(res, onDelta);
+      return { content: streamed.content, model: streamed.model || model };
+    }
+
+    const data = await res.json();
+    const content = extractMessageText(data);
+    if (stream) onDelta(content, content);
+    return {
+      content,
+      model: data?.model || model,
+    };
+  }
+
+  return { id, label, models, complete };
+}
@@ -0,0 +1,242 @@
+import { createChatCompletionsProvider } from './chatCompletions.js';
+import { createRecordedProvider, recordLLMCompletion } from './recorded.js';
+
+export { exportLLMRecordings, hashLLMPrompt } from './recorded.js';
+
+// Forge LLM backends. Every live provider is reached through a same-origin proxy path so no key reaches the client.
+export const LLM_PROVIDERS = Object.freeze({
+  // scripts/forge-server.js; the default for production builds.
+  server: {
+    label: 'Forge server',
+    path: '/forge/chat/completions',
+    // Whole-weapon route: classify, generate, and validate server-side in one call (see requestServerForge).
+    forgePath: '/forge/weapon',
+    models: ['gpt-5.2'],
+    tokenParam: 'max_completion_tokens',
+  },
+  openai: {
+    label: 'OpenAI',
+    path: '/openai/chat/completions',
+    models: ['gpt-5.2'],
+    tokenParam: 'max_completion_tokens',
+  },
+  compatible: {
+    label: 'OpenAI-compatible',
+    path: '/llm/chat/completions',
+    models: ['gpt-4o-mini'],
+    tokenParam: 'max_tokens',
+  },
+  local: {
+    label: 'Local model',
+    path: '/llm-local/chat/completions',
+    models: ['qwen2.5-coder:7b'],
+    tokenParam: 'max_tokens',
+  },
+  recorded: {
+    label: 'Recorded',
+    recordingsUrl: '/llm-recordings.json',
+    models: ['recorded'],
+  },
+});
+
+export const DEFAULT_LLM_PROVIDER = 'openai';
+export const DEFAULT_PRODUCTION_LLM_PROVIDER = 'server';
+export const DEFAULT_LLM_TIMEOUT_MS = 120000;
+
+const viteEnv = import.meta.env || {};
+
+export function normalizeLLMProviderId(id) {
+  const normalized = typeof id === 'string' ? id.trim().toLowerCase() : '';
+  return Object.hasOwn(LLM_PROVIDERS, normalized) ? normalized : null;
+}
+
+function parseModelList(value) {
+  return String(value || '')
+    .split(',')
+    .map((model) => model.trim())
+    .filter(Boolean);
+}
+
+function parseTimeoutMs(seconds) {
+  const numeric = Number(seconds);
+  return Number.isFinite(numeric) && numeric > 0 ? Math.round(numeric * 1000) : null;
+}
+
+// URL parameters (`?llm=local&llmModel=...&llmTimeout=60&llmRecord=1`) win over build config (`VITE_LLM_*`), which wins over defaults.
+export function resolveLLMConfig({
+  search = globalThis.location?.search || '',
+  env = viteEnv,
+} = {}) {
+  const params = new URLSearchParams(search);
+  const provider = normalizeLLMProviderId(params.get('llm'))
+    || normalizeLLMProviderId(env.VITE_LLM_PROVIDER)
+    || (env.PROD ? DEFAULT_PRODUCTION_LLM_PROVIDER : DEFAULT_LLM_PROVIDER);
+  const preset = LLM_PROVIDERS[provider];
+  const models = parseModelList(params.get('llmModel'));
+  const configuredModels = models.length ? models : parseModelList(env.VITE_LLM_MODEL);
+
+  return {
+    provider,
+    models: configuredModels.length ? configuredModels : [...preset.models],
+    recordingsUrl: params.get('llmRecordings') || env.VITE_LLM_RECORDINGS_URL || preset.recordingsUrl || LLM_PROVIDERS.recorded.recordingsUrl,
+    timeoutMs: parseTimeoutMs(params.get('llmTimeout')) || parseTimeoutMs(env.VITE_LLM_TIMEOUT_S) || DEFAULT_LLM_TIMEOUT_MS,
+    record: params.get('llmRecord') === '1',
+    roomId: params.get('room') || '',
+    roomToken: '',
+  };
+}
+
+// The forge server only charges a call to a room when it carries the token the co-op server issued for it.
+function getForgeRoomHeaders(config) {
+  if (!config.roomId || !config.roomToken) return {};
+  return { 'X-Forge-Room': config.roomId, 'X-Forge-Room-Token': config.roomToken };
+}
+
+export function createLLMProvider(config) {
+  const preset = LLM_PROVIDERS[config.provider] || LLM_PROVIDERS[DEFAULT_LLM_PROVIDER];
+  if (config.provider === 'recorded') {
+    return createRecordedProvider({ source: config.recordings || config.recordingsUrl, models: config.models });
+  }
+  return createChatCompletionsProvider({
+    id: config.provider,
+    label: preset.label,
+    path: preset.path,
+    models: config.models,
+    tokenParam: preset.tokenParam,
+    headers: config.provider === 'server' ? getForgeRoomHeaders(config) : {},
+    forgeFields: config.provider === 'server',
+  });
+}
+
+let activeConfig = null;
+let activeProvider = null;
+
+export function getLLMConfig() {
+  if (!activeConfig) activeConfig = resolveLLMConfig();
+  return activeConfig;
+}
+
+export function setLLMConfig(config) {
+  activeConfig = { ...resolveLLMConfig({ search: '' }), ...config };
+  activeProvider = null;
+  return activeConfig;
+}
+
+// Called with the token from the co-op server's welcome (src/coop.js).
+export function setForgeRoomToken(roomId, token) {
+  const config = getLLMConfig();
+  activeConfig = { ...config, roomId: roomId || config.roomId, roomToken: typeof token === 'string' ? token : '' };
+  activeProvider = null;
+}
+
+function getLLMProvider() {
+  if (!activeProvider) activeProvider = createLLMProvider(getLLMConfig());
+  return activeProvider;
+}
+
+function formatTimeoutSeconds(timeoutMs) {
+  const seconds = timeoutMs / 1000;
+  return `${seconds >= 10 ? seconds.toFixed(0) : seconds.toFixed(1)}s`;
+}
+
+export function isLLMCancelled(err) {
+  return Boolean(err?.cancelled);
+}
+
+// One attempt bounded by `timeoutMs` and the caller's `signal` (the forge Cancel button). `label` names it in the timeout error.
+async function runWithTimeout(label, run, { signal, timeoutMs }) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    return await run(controller.signal);
+  } catch (err) {
+    if (timedOut) {
+      const error = new Error(`${label} did not finish within ${formatTimeoutSeconds(timeoutMs)}. Try again, or raise the limit with ?llmTimeout=<seconds>.`);
+      error.status = 408;
+      error.timedOut = true;
+      throw error;
+    }
+    if (signal?.aborted) {
+      const error = new Error('Request cancelled.');
+      error.cancelled = true;
+      throw error;
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+// Tries each configured model in order; auth failures, timeouts, and cancels stop the fallback chain.
+// Options: { models, signal, onDelta(textSoFar, chunk), timeoutMs, forge }. Passing `onDelta` streams the completion.
+// `forge` names the call's fields ({ kind, prompt, ... }); the forge server builds its messages from those alone.
+export async function callLLM(systemPrompt, userMessage, options = {}) {
+  const config = getLLMConfig();
+  const {
+    models = config.models,
+    signal = null,
+    onDelta = null,
+    timeoutMs = config.timeoutMs,
+    forge = null,
+  } = options;
+  const provider = getLLMProvider();
+  let lastError = null;
+  for (const model of models) {
+    try {
+      const result = await runWithTimeout(
+        `${provider.label} (model ${model})`,
+        (requestSignal) => provider.complete({ systemPrompt, userMessage, model, onDelta, signal: requestSignal, forge }),
+        { signal, timeoutMs },
+      );
+      if (config.record && provider.id !== 'recorded') {
+        await recordLLMCompletion(systemPrompt, userMessage, result);
+      }
+      return result;
+    } catch (err) {
+      lastError = err;
+      if (err?.cancelled || err?.timedOut || err?.status === 401 || err?.status === 403) break;
+    }
+  }
+
+  throw lastError || new Error(`${provider.label} request failed.`);
+}
+
+export function isServerForgeEnabled() {
+  return getLLMConfig().provider === 'server';
+}
+
+// One server round trip covers classification, generation, and repairs, so it gets twice the per-call timeout.
+// Resolves to { code, tier, fireMode, summary, model, timings, validationReport, repairAttempts, cached, signature? }.
+export async function requestServerForge(prompt, options = {}) {
+  const config = getLLMConfig();
+  const { signal = null, timeoutMs = config.timeoutMs * 2 } = options;
+  const { label, forgePath } = LLM_PROVIDERS.server;
+  return runWithTimeout(label, async (requestSignal) => {
+    const res = await fetch(forgePath, {
+      method: 'POST',
+      signal: requestSignal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...getForgeRoomHeaders(config),
+      },
+      body: JSON.stringify({ prompt }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const error = new Error(data.error?.message || `${label} error ${res.status}`);
+      error.status = res.status;
+      if (data.validationReport) error.validationReport = data.validationReport;
+      throw error;
+    }
+    return data;
+  }, { signal, timeoutMs });
+}
@@ -0,0 +1,74 @@
+// Deterministic provider that replays completions keyed by a hash of (system prompt, user message).
+// Recordings are plain JSON: { version: 1, entries: { "<hash>": { content, model } } }.
+
+export const LLM_RECORDINGS_VERSION = 1;
+
+const recorded = new Map();
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export async function hashLLMPrompt(systemPrompt, userMessage) {
+  const bytes = new TextEncoder().encode(`${systemPrompt}\n\u0000\n${userMessage}`);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return `sha256-${toHex(digest)}`;
+}
+
+// Stores a live completion so a session can be exported and replayed later.
+export async function recordLLMCompletion(systemPrompt, userMessage, result) {
+  const hash = await hashLLMPrompt(systemPrompt, userMessage);
+  recorded.set(hash, { content: result.content, model: result.model });
+  return hash;
+}
+
+export function exportLLMRecordings() {
+  return {
+    version: LLM_RECORDINGS_VERSION,
+    entries: Object.fromEntries(recorded),
+  };
+}
+
+function normalizeRecordings(data) {
+  if (!data || data.version !== LLM_RECORDINGS_VERSION || typeof data.entries !== 'object') {
+    throw new Error(`LLM recordings must be { version: ${LLM_RECORDINGS_VERSION}, entries: { ... } }.`);
+  }
+  return new Map(Object.entries(data.entries));
+}
+
+// `source` is a URL to fetch or an already-parsed recordings object.
+export function createRecordedProvider({ source, models = ['recorded'] }) {
+  let entriesPromise = null;
+
+  const loadEntries = () => {
+    if (!entriesPromise) {
+      entriesPromise = (typeof source === 'string'
+        ? fetch(source).then((res) => {
+          if (!res.ok) throw new Error(`Could not load LLM recordings from ${source} (${res.status}).`);
+          return res.json();
+        })
+        : Promise.resolve(source)
+      ).then(normalizeRecordings).catch((err) => {
+        entriesPromise = null;
+        throw err;
+      });
+    }
+    return entriesPromise;
+  };
+
+  async function complete({ systemPrompt, userMessage, onDelta }) {
+    const [entries, hash] = await Promise.all([loadEntries(), hashLLMPrompt(systemPrompt, userMessage)]);
+    const entry = entries.get(hash) || recorded.get(hash);
+    if (!entry) {
+      const error = new Error(`No recorded completion for prompt ${hash}. Record it with a live provider and ?llmRecord=1.`);
+      error.status = 404;
+      error.promptHash = hash;
+      throw error;
+    }
+    const content = String(entry.content || '');
+    onDelta?.(content, content);
+    return { content, model: entry.model || 'recorded' };
+  }
+
+  return { id: 'recorded', label: 'Recorded', models, complete };
+}
@@ -1,11 +1,44 @@
 import * as THREE from 'three';
 import { Trail } from './trail.js';
 import { ParticlePool } from './particles.js';
+import { getCompatThree } from './compatThree.js';
 import { createWeaponSdk } from './weaponSdk/index.js';
+import { REALM_ALLY_METHODS, REALM_PLAYER_METHODS, describeRealmError, packVec3 } from './weaponRealm/protocol.js';
+import {
+  createInlineWeaponFunction,
+  createWeaponRealmHost,
+  isWeaponRealmSupported,
+} from './weaponRealm/index.js';
+import { PLAYER_BOUNDS, PLAYER_MAX_HP } from './gameConfig.js';
+import { createFireId, createWeaponMath, createWeaponRng, hashFireSeed } from './weaponRandom.js';
+import { ASSIST_WINDOW_SECONDS, emitCombatEvent, summarizeDamageTaken } from './combatEvents.js';
+import {
+  createDamageEvent,
+  getCombatantDefense,
+  rollCrit,
+  runDamagePipeline,
+  spendShieldLayers,
+} from './damagePipeline.js';
+import {
+  applySerializedStatusEffects,
+  applyStatusEffect,
+  clearStatusEffects,
+  describeStatusEffect,
+  ensureStatusEffects,
+  getStatusEffect,
+  getStatusModifiers,
+  getStatusVisuals,
+  hasHarmfulStatusEffect,
+  serializeStatusEffects,
+  tickStatusEffects,
+} from './statusEffects.js';
 import {
   DEFAULT_WEAPON_FIRE_MODE,
+  getPlayerAbilityLimits,
+  getSlotWeaponRole,
   getWeaponFireProfile,
   sanitizeWeaponFireMode as sanitizeWeaponFireModeValue,
+  sanitizeWeaponRole,
   sanitizeWeaponTier as sanitizeWeaponBalanceTier,
 } from './weaponBalance.js';
 
@@ -23,6 +56,11 @@ export const weaponSlots = new Map();
 export let shakeAmt = 0;
 export let shakeTime = 0;
 const PLAYER_TORSO_ORIGIN_Y = 0.95;
+const PLAYER_KNEE_ORIGIN_Y = 0.35;
+const PLAYER_ABILITY_RADIUS = 0.45;
+const PLAYER_ABILITY_HEIGHT = 1.8;
+const PLAYER_STEP_HEIGHT = 0.6;
+const playerAbilityReadyAt = new Map();
 const TRAIL_FALLBACK_POINT = new THREE.Vector3();
 const queuedDeathEffects = [];
 const activeScorchMarks = [];
@@ -44,7 +82,10 @@ let _scene, _camera, _enemies, _player, _playerYaw;
 let _getAimPoint = null;
 let _effects = {};
 let _particlePool = null;
-let _compatThree = null;
+let _realmHost = null;
+let _weaponIsolation = true;
+let _friendlyFire = false;
+const weaponErrorListeners = new Set();
 const _worldRaycaster = new THREE.Raycaster();
 
 function getTrackedCombatants() {
@@ -102,11 +143,49 @@ function getOpposingCombatants(actor) {
   ));
 }
 
+function getAlliedCombatants(actor, { includeSelf = false } = {}) {
+  const actorId = actor?.id || actor?.playerId || _localPlayerId;
+  const actorTeamId = actor?.teamId || getCombatantTeamId(getCombatantById(actorId));
+  const allies = getTrackedCombatants().filter((combatant) => isCombatantAlive(combatant) && (
+    getCombatantId(combatant) === actorId
+      ? includeSelf
+      : Boolean(actorTeamId) && getCombatantTeamId(combatant) === actorTeamId
+  ));
+  const self = includeSelf && actorId === _localPlayerId ? _player : null;
+  if (self && !allies.includes(self) && !getCombatantById(actorId) && (self.hp ?? 1) > 0) allies.push(self);
+  return allies;
+}
+
+// Room-level opt-in: with friendly fire on, harmful ally calls land and ctx.explode also hits the wielder's side.
+// Only the authority applies damage, so its setting is the one that counts.
+export function setFriendlyFire(enabled) {
+  _friendlyFire = enabled === true;
+}
+
+export function isFriendlyFireEnabled() {
+  return _friendlyFire;
+}
+
+function getHarmableCombatants(actor) {
+  const opposing = getOpposingCombatants(actor);
+  return _friendlyFire ? [...opposing, ...getAlliedCombatants(actor, { includeSelf: true })] : opposing;
+}
+
 function getWorldCollisionMeshes() {
   const meshes = _scene?.userData?.weaponCollisionMeshes;
   return Array.isArray(meshes) ? meshes : [];
 }
 
+function getActorCollisionBoxes() {
+  const boxes = _scene?.userData?.actorCollisionBoxes;
+  return Array.isArray(boxes) ? boxes : [];
+}
+
+function getWalkableSurfaces() {
+  const surfaces = _scene?.userData?.walkableSurfaces;
+  return Array.isArray(surfaces) ? surfaces : [];
+}
+
 function getGraphicsSettings() {
   return _scene?.userData?.graphicsSettings ?? null;
 }
@@ -311,29 +390,6 @@ function raycastWorld(origin, direction, maxDistance = 100) {
   };
 }
 
-function getCompatThree() {
-  if (_compatThree) return _compatThree;
-
-  const compat = { ...THREE };
-  if (typeof compat.CapsuleGeometry !== 'function') {
-    // Three r128 may not expose CapsuleGeometry; provide a safe fallback.
-    compat.CapsuleGeometry = class CapsuleGeometry extends THREE.CylinderGeometry {
-      constructor(radius = 0.25, length = 1, capSegments = 8, radialSegments = 8) {
-        const r = Math.max(0.01, Number.isFinite(radius) ? radius : 0.25);
-        const body = Math.max(0.001, Number.isFinite(length) ? length : 1);
-        const radial = Math.max(3, Math.floor(Number.isFinite(radialSegments) ? radialSegments : 8));
-        const radialCap = Math.max(1, Math.floor(Number.isFinite(capSegments) ? capSegments : 8));
-
-        // Approximation: cylinder height includes hemispherical cap space.
-        super(r, r, body + r * 2, radial, radialCap, false);
-      }
-    };
-  }
-
-  _compatThree = compat;
-  return _compatThree;
-}
-
 export function initSandbox(scene, camera, player, enemies, getYaw, getAimPoint, effects = {}) {
   _scene = scene;
   _camera = camera;
@@ -375,6 +431,8 @@ function resetWeaponSlotTiming(slot) {
   slot.lastFiredAt = Number.NEGATIVE_INFINITY;
   slot.channelStartedAt = Number.NEGATIVE_INFINITY;
   slot.lastContinuousTickAt = Number.NEGATIVE_INFINITY;
+  slot.channelFireId = null;
+  slot.channelTicks = 0;
 }
 
 function isContinuousWeaponSlot(slot) {
@@ -393,9 +451,21 @@ function createEmptyWeaponSlot(index) {
     lastFiredAt: Number.NEGATIVE_INFINITY,
     channelStartedAt: Number.NEGATIVE_INFINITY,
     lastContinuousTickAt: Number.NEGATIVE_INFINITY,
+    channelFireId: null,
+    channelTicks: 0,
+    isolated: false,
+    fault: null,
+    balance: null,
+    // `role` is the slot's loadout role; `weaponRole` is what the classifier made of the installed weapon.
+    role: getSlotWeaponRole(index),
+    weaponRole: null,
   };
 }
 
+function hasWeaponBody(slot) {
+  return Boolean(slot) && (slot.isolated || typeof slot.fn === 'function');
+}
+
 function normalizeLegacyLoadout(loadout) {
   const normalized = {
     activeIndex: 0,
@@ -413,6 +483,7 @@ function normalizeLegacyLoadout(loadout) {
         code: typeof slot.code === 'string' ? slot.code : '',
         tier: sanitizeWeaponTier(slot.tier),
         fireMode: sanitizeWeaponFireMode(slot.fireMode),
+        weaponRole: sanitizeWeaponRole(slot.weaponRole, null),
         cooldownMs: sanitizeCooldownMs(slot.cooldownMs),
         lastFiredAt: Number.isFinite(slot.lastFiredAt) ? slot.lastFiredAt : Number.NEGATIVE_INFINITY,
         channelStartedAt: Number.isFinite(slot.channelStartedAt) ? slot.channelStartedAt : Number.NEGATIVE_INFINITY,
@@ -453,6 +524,7 @@ function ensureWeaponLoadout(ownerId = _localPlayerId) {
 
 function updateLocalWeaponLabel() {
   const slot = getWeaponSlot(_localPlayerId);
+  if (typeof document === 'undefined') return;
   const el = document.getElementById('weapon-name');
   if (el) el.textContent = slot?.name || 'No Weapon';
 }
@@ -505,8 +577,12 @@ export function getWeaponLoadoutSnapshot(ownerId = _localPlayerId) {
   return loadout.slots.map((slot, index) => ({
     index,
     name: slot.name,
-    hasWeapon: typeof slot.fn === 'function',
+    hasWeapon: hasWeaponBody(slot),
+    fault: slot.fault || null,
     tier: slot.tier,
+    balance: slot.balance,
+    role: slot.role,
+    weaponRole: slot.weaponRole,
     fireMode: slot.fireMode,
     fireState: getWeaponFireState(ownerId, index),
     channelRemaining: getWeaponChannelRemainingSeconds(slot),
@@ -713,53 +789,52 @@ export function updateSandboxTimers(dt, opts = {}) {
     if (v.r <= 0) { v.r += v.p; try { v.f(); } catch (e) { console.error(e); } }
   }
 
+  _realmHost?.tick(dt);
   updatePooledTransientEffects();
 
-  // Tick enemy status effects (burn/freeze/slow/stun timers)
+  // Tick status effects (see src/statusEffects.js) and support buffs
   const combatants = getTrackedCombatants();
   if (combatants.length && !skipEnemyStatus) {
     for (const e of combatants) {
       const s = ensureEnemyStatus(e);
-
-      if (s.freeze > 0) s.freeze = Math.max(0, s.freeze - dt);
-      if (s.stun > 0) s.stun = Math.max(0, s.stun - dt);
-
-      if (s.slowTime > 0) {
-        s.slowTime = Math.max(0, s.slowTime - dt);
-        if (s.slowTime <= 0) s.slowMult = 1;
-      }
-
-      if (s.burnTime > 0 && s.burnDps > 0) {
-        s.burnTime = Math.max(0, s.burnTime - dt);
-        s.burnAcc += dt;
-        const tick = Math.max(0.05, s.burnTick || 0.15);
-
-        while (s.burnAcc >= tick && s.burnDps > 0) {
-          s.burnAcc -= tick;
-          damageEnemy(e, s.burnDps * tick, { color: 0xffaa44, intensity: 2.2, durationMs: 50 });
-
-          if (_particlePool && Math.random() < 0.35) {
-            _particlePool.burst({
-              position: e.pos, color: 0xff8844, count: 3,
-              speed: 2.5, lifetime: 0.25, size: 2, gravity: 0.2,
-            });
-          }
-        }
-
-        if (s.burnTime <= 0) {
-          s.burnDps = 0;
-          s.burnTick = 0.15;
-          s.burnAcc = 0;
-        }
-      }
+      tickStatusEffects(s, dt, { target: e, onDamage: (def, amount, entry) => applyStatusTickDamage(e, def, amount, entry) });
+      tickBuffs(s, dt);
     }
   }
+  if (_player?.status && !combatants.includes(_player)) tickBuffs(ensureEnemyStatus(_player), dt);
+}
+
+function applyStatusTickDamage(e, def, amount, entry) {
+  const visual = def.visual || {};
+  damageEnemy(e, amount, { color: visual.flashColor ?? visual.color ?? 0xffaa44, intensity: 2.2, durationMs: 50 }, {
+    sourceId: entry.sourceId,
+    slotIndex: entry.sourceSlot,
+    statusId: def.id,
+    type: def.damageType,
+  });
+  if (_particlePool && visual.color != null && Math.random() < (visual.particleChance ?? 0.35)) {
+    _particlePool.burst({
+      position: e.pos, color: visual.color, count: 3,
+      speed: 2.5, lifetime: 0.25, size: 2, gravity: 0.2,
+    });
+  }
+}
+
+function playStatusApplyEffect(e, id) {
+  const color = getStatusEffect(id)?.visual?.color;
+  if (!_particlePool || color == null || !e?.pos) return;
+  _particlePool.burst({
+    position: e.pos, color, count: 6,
+    speed: 3, lifetime: 0.3, size: 2.5, gravity: 0.2,
+  });
 }
 
+// The flat freeze/stun/slowMult/slowTime/burn* fields mirror status.effects for older readers.
 function ensureEnemyStatus(e) {
   if (!e.status) {
     e.status = {};
   }
+  ensureStatusEffects(e.status);
   if (typeof e.status.freeze !== 'number') e.status.freeze = 0;
   if (typeof e.status.stun !== 'number') e.status.stun = 0;
   if (typeof e.status.slowMult !== 'number') e.status.slowMult = 1;
@@ -768,22 +843,76 @@ function ensureEnemyStatus(e) {
   if (typeof e.status.burnTime !== 'number') e.status.burnTime = 0;
   if (typeof e.status.burnTick !== 'number') e.status.burnTick = 0.15;
   if (typeof e.status.burnAcc !== 'number') e.status.burnAcc = 0;
+  if (typeof e.status.shieldHp !== 'number') e.status.shieldHp = 0;
+  if (typeof e.status.shieldTime !== 'number') e.status.shieldTime = 0;
+  if (typeof e.status.hasteMult !== 'number') e.status.hasteMult = 1;
+  if (typeof e.status.hasteTime !== 'number') e.status.hasteTime = 0;
   return e.status;
 }
 
 function clearEnemyStatuses(e) {
   const s = ensureEnemyStatus(e);
-  s.freeze = 0;
-  s.stun = 0;
-  s.slowMult = 1;
-  s.slowTime = 0;
-  s.burnDps = 0;
-  s.burnTime = 0;
-  s.burnTick = 0.15;
-  s.burnAcc = 0;
+  clearStatusEffects(s);
+  s.shieldHp = 0;
+  s.shieldTime = 0;
+  s.hasteMult = 1;
+  s.hasteTime = 0;
   return s;
 }
 
+function tickBuffs(s, dt) {
+  if (s.shieldTime > 0) {
+    s.shieldTime = Math.max(0, s.shieldTime - dt);
+    if (s.shieldTime <= 0) s.shieldHp = 0;
+  }
+  if (s.hasteTime > 0) {
+    s.hasteTime = Math.max(0, s.hasteTime - dt);
+    if (s.hasteTime <= 0) s.hasteMult = 1;
+  }
+}
+
+// Status movement limits and haste combined; main.js scales player and bot move speed by this.
+export function getCombatantSpeedMultiplier(e) {
+  const s = ensureEnemyStatus(e);
+  return getStatusModifiers(s).speed * s.hasteMult;
+}
+
+// { speed, canMove, canAct, canFire, aimSpread } for movement, bot AI, and HUD code.
+export function getCombatantStatusModifiers(e) {
+  return getStatusModifiers(ensureEnemyStatus(e));
+}
+
+export function getCombatantStatusVisuals(e) {
+  return getStatusVisuals(ensureEnemyStatus(e));
+}
+
+// Co-op world payloads carry status effects in this compact form; peers apply it to their mirrors.
+export function serializeCombatantStatus(e) {
+  return serializeStatusEffects(ensureEnemyStatus(e));
+}
+
+export function applyCombatantStatusSnapshot(e, packed) {
+  if (!e) return null;
+  return applySerializedStatusEffects(ensureEnemyStatus(e), packed);
+}
+
+// Full damage pipeline (see src/damagePipeline.js); returns the damage left for hp.
+// Sandbox hits already run it in damageEnemy(); this is for damage a host applies on its own,
+// such as hits on the single-player player, which is not a tracked combatant. Its shields and
+// buffs live on its status like anyone else's and tick in updateSandboxTimers().
+export function resolveIncomingDamage(e, amt, damageMeta = {}) {
+  if (!e || !Number.isFinite(amt) || amt <= 0) return 0;
+  ensureEnemyStatus(e);
+  return runDamagePipeline(createDamageEvent(amt, damageMeta), e).amount;
+}
+
+// Spends only a combatant's shield layers, skipping the rest of the pipeline; returns the damage left for hp.
+export function absorbShieldDamage(e, amt) {
+  if (!e || !Number.isFinite(amt) || amt <= 0) return 0;
+  ensureEnemyStatus(e);
+  return spendShieldLayers(createDamageEvent(amt), e).amount;
+}
+
 function extendPeerStateOverride(e, seconds = 0.25) {
   if (!e || typeof performance?.now !== 'function') return 0;
   const durationMs = Math.max(0, Number(seconds) || 0) * 1000;
@@ -793,6 +922,14 @@ function extendPeerStateOverride(e, seconds = 0.25) {
   return e.ignorePeerStateUntil;
 }
 
+const DAMAGE_FLASH_COLORS = Object.freeze({
+  kinetic: 0xffffff,
+  fire: 0xff8844,
+  ice: 0x9be7ff,
+  energy: 0xc084fc,
+  explosive: 0xffaa44,
+});
+
 function flashEnemyHit(e, opts = {}) {
   if (!e?.bodyMesh?.material) return;
   const { color = 0xffffff, intensity = 1.9, durationMs = 80 } = opts;
@@ -806,12 +943,64 @@ function flashEnemyHit(e, opts = {}) {
   }, durationMs);
 }
 
+// Attribution for combat events: who hit whom, and with which weapon slot.
+function describeCombatantRef(combatant, fallbackId = null) {
+  const id = getCombatantId(combatant) || fallbackId;
+  if (!id) return null;
+  return { id, teamId: getCombatantTeamId(combatant) };
+}
+
+function describeAttacker(sourceId, sourceTeamId = null) {
+  if (!sourceId) return null;
+  const combatant = getCombatantById(sourceId) || (sourceId === _localPlayerId ? _player : null);
+  return { id: sourceId, teamId: getCombatantTeamId(combatant) || sourceTeamId || null };
+}
+
+function describeWeaponSource(ownerId, slotIndex) {
+  if (!ownerId || !Number.isInteger(slotIndex)) return null;
+  const slot = getWeaponSlot(ownerId, slotIndex);
+  if (!slot) return null;
+  return { name: slot.name || '', slotIndex, tier: slot.tier ?? null };
+}
+
+// Returns the damage after mitigation, counting what shields absorbed.
 function damageEnemy(e, amt, flashOpts = {}, damageMeta = {}) {
   if (!canMutateEnemies() || !isCombatantAlive(e) || !Number.isFinite(amt) || amt <= 0) return 0;
-  e.hp = Math.max(0, e.hp - amt);
-  e.lastDamagedBy = damageMeta.sourceId || damageMeta.ownerId || null;
-  flashEnemyHit(e, flashOpts);
+  ensureEnemyStatus(e);
+  const event = runDamagePipeline(createDamageEvent(amt, { ...damageMeta, position: damageMeta.position ?? e.pos }), e);
+  const dealt = event.amount + event.absorbed;
+  if (dealt <= 0) return dealt;
+  const hpLost = Math.min(e.hp, event.amount);
+  e.hp -= hpLost;
+  const attribution = {
+    time: elapsed,
+    attacker: describeAttacker(event.sourceId, event.sourceTeamId),
+    victim: describeCombatantRef(e),
+    weapon: describeWeaponSource(event.sourceId, event.slotIndex),
+    damageType: event.type,
+    crit: event.crit,
+    statusId: event.statusId,
+  };
+  emitCombatEvent('damage', {
+    ...attribution,
+    amount: hpLost,
+    absorbed: event.absorbed,
+    raw: event.raw,
+    position: event.position,
+    lethal: e.hp <= 0,
+  });
+  if (event.amount <= 0) return dealt;
+  e.lastDamagedBy = event.sourceId;
+  flashEnemyHit(e, { color: DAMAGE_FLASH_COLORS[event.type], intensity: event.crit ? 2.8 : 1.9, ...flashOpts });
   if (e.hp <= 0) {
+    // Assists: everyone else who hurt the victim recently, within its current life.
+    const since = Math.max(elapsed - ASSIST_WINDOW_SECONDS, e.spawnedAt ?? -Infinity);
+    emitCombatEvent('eliminated', {
+      ...attribution,
+      assists: attribution.victim
+        ? summarizeDamageTaken(attribution.victim.id, since).filter((row) => row.id !== event.sourceId)
+        : [],
+    });
     queueDeathEffect(e.pos);
     if (typeof _effects?.onCombatantEliminated === 'function') {
       try {
@@ -822,7 +1011,7 @@ function damageEnemy(e, amt, flashOpts = {}, damageMeta = {}) {
     }
     respawn(e, damageMeta);
   }
-  return amt;
+  return dealt;
 }
 
 // Scorch mark helper
@@ -888,6 +1077,7 @@ function respawn(e, damageMeta = {}) {
       : null;
     e.pendingRespawn = false;
     e.hp = e.maxHp || 100;
+    e.spawnedAt = elapsed;
     if (respawnPosition) e.pos.copy(respawnPosition);
     else e.pos.set((Math.random() - 0.5) * 80, 0.6, (Math.random() - 0.5) * 80);
     e.vel.set(0, 0, 0);
@@ -896,6 +1086,11 @@ function respawn(e, damageMeta = {}) {
       e.bodyMesh.material.emissive.set(0x000000);
       e.bodyMesh.material.emissiveIntensity = 0;
     }
+    emitCombatEvent('respawned', {
+      time: elapsed,
+      victim: describeCombatantRef(e),
+      position: { x: e.pos.x, y: e.pos.y, z: e.pos.z },
+    });
     if (typeof _effects?.onCombatantRespawn === 'function') {
       try {
         _effects.onCombatantRespawn(e, damageMeta);
@@ -963,13 +1158,24 @@ function queueDeathEffect(position) {
   queuedDeathEffects.push({ position: pos, scheduledAt });
 }
 
-// Ã¢â€â‚¬Ã¢â€â‚¬ Build the context passed to AI weapon code Ã¢â€â‚¬Ã¢â€â‚¬
-export function buildCtx(actorState = null) {
-  const compatTHREE = getCompatThree();
-  const toVec3 = (v) => {
-    if (v instanceof THREE.Vector3) return v.clone();
-    return new THREE.Vector3(v?.x || 0, v?.y || 0, v?.z || 0);
+function toActorVec3(v) {
+  if (v instanceof THREE.Vector3) return v.clone();
+  return new THREE.Vector3(v?.x || 0, v?.y || 0, v?.z || 0);
+}
+
+// Read-only copy of a combatant's armor, resistances, and damage reduction for weapon code.
+function describeDefense(e) {
+  const defense = getCombatantDefense(e);
+  return {
+    armor: defense.armor,
+    resistances: { ...defense.resistances },
+    damageReduction: defense.damageReduction,
+    shieldHp: defense.shieldHp,
   };
+}
+
+function resolveWeaponActor(actorState = null) {
+  const toVec3 = toActorVec3;
   const hasMeshOverride = actorState && Object.prototype.hasOwnProperty.call(actorState, 'mesh');
   const actor = actorState ? {
     id: actorState.id || actorState.playerId || _localPlayerId,
@@ -996,87 +1202,383 @@ export function buildCtx(actorState = null) {
   };
   const actorCombatant = getCombatantById(actor.id);
   if (!actor.teamId) actor.teamId = getCombatantTeamId(actorCombatant);
+  applyBlindAim(actor, actorCombatant || (actor.id === _localPlayerId ? _player : null));
+  return actor;
+}
+
+// Blinded wielders lose the crosshair point and fire along a jittered direction.
+function applyBlindAim(actor, combatant) {
+  if (!combatant) return;
+  const spread = getStatusModifiers(ensureEnemyStatus(combatant)).aimSpread;
+  if (!(spread > 0)) return;
+  const dir = getActorAimDirection(actor, actor.yaw, actor.aimPoint?.clone() ?? null);
+  dir.x += (Math.random() - 0.5) * 2 * spread;
+  dir.y += (Math.random() - 0.5) * 2 * spread;
+  dir.z += (Math.random() - 0.5) * 2 * spread;
+  actor.direction = dir.normalize();
+  actor.aimPoint = null;
+}
+
+// Ã¢â€â‚¬Ã¢â€â‚¬ Player self abilities Ã¢â€â‚¬Ã¢â€â‚¬
+// Movement only ever moves the local player; peers follow through the state stream and onPlayerAbility.
+// Heals, shields, cleanses, and haste go through the same authority gate as damage.
+const PLAYER_ABILITY_COLORS = Object.freeze({
+  dash: 0x7dd3fc,
+  blink: 0xc084fc,
+  applyImpulse: 0x7dd3fc,
+  shield: 0x60a5fa,
+  heal: 0x4ade80,
+  cleanse: 0xf8fafc,
+  haste: 0xfacc15,
+});
+
+function getSelfCombatant(actor) {
+  return getCombatantById(actor.id) || (actor.id === _localPlayerId ? _player : null);
+}
+
+function clampToArena(pos) {
+  pos.x = THREE.MathUtils.clamp(pos.x, -PLAYER_BOUNDS, PLAYER_BOUNDS);
+  pos.z = THREE.MathUtils.clamp(pos.z, -PLAYER_BOUNDS, PLAYER_BOUNDS);
+  return pos;
+}
+
+// Top of the highest walkable surface under (x, z) that is no higher than maxHeight; 0 is the floor.
+export function getWalkableHeightAt(x, z, maxHeight) {
+  let height = 0;
+  for (const surface of getWalkableSurfaces()) {
+    if (x < surface.minX || x > surface.maxX || z < surface.minZ || z > surface.maxZ) continue;
+    if (surface.height <= maxHeight && surface.height > height) height = surface.height;
+  }
+  return height;
+}
+
+function overlapsActorCollision(feet) {
+  return getActorCollisionBoxes().some((box) => (
+    feet.x + PLAYER_ABILITY_RADIUS > box.minX && feet.x - PLAYER_ABILITY_RADIUS < box.maxX
+    && feet.z + PLAYER_ABILITY_RADIUS > box.minZ && feet.z - PLAYER_ABILITY_RADIUS < box.maxZ
+    && feet.y + PLAYER_ABILITY_HEIGHT > box.minY && feet.y + 0.05 < box.maxY
+  ));
+}
+
+// Slides the feet along a flat offset and stops short of the first wall at knee or torso height.
+// The co-op server runs the same sweep on dashes it is told about (src/coopSimulation.js).
+export function sweepPlayerMove(feet, offset) {
+  const distance = offset.length();
+  if (distance < 1e-4) return feet.clone();
+  const dir = offset.clone().normalize();
+  let travel = distance;
+  for (const height of [PLAYER_KNEE_ORIGIN_Y, PLAYER_TORSO_ORIGIN_Y]) {
+    const origin = feet.clone();
+    origin.y += height;
+    const hit = raycastWorld(origin, dir, distance + PLAYER_ABILITY_RADIUS);
+    if (hit) travel = Math.min(travel, Math.max(0, hit.distance - PLAYER_ABILITY_RADIUS));
+  }
+  return clampToArena(feet.clone().addScaledVector(dir, travel));
+}
+
+// Blinks land on the highest walkable surface under the target and need a clear line from torso to torso.
+// Returns null when the destination is inside a wall or out of sight; the co-op server checks blinks with it too.
+export function resolveBlinkDestination(feet, point, range) {
+  const offset = toActorVec3(point).sub(feet);
+  if (offset.length() > range) offset.setLength(range);
+  const dest = clampToArena(feet.clone().add(offset));
+  dest.y = getWalkableHeightAt(dest.x, dest.z, dest.y + PLAYER_STEP_HEIGHT);
+  if (overlapsActorCollision(dest)) return null;
+  const from = feet.clone();
+  from.y += PLAYER_TORSO_ORIGIN_Y;
+  const sight = dest.clone().sub(feet);
+  if (sight.lengthSq() > 1e-6 && raycastWorld(from, sight, sight.length())) return null;
+  return dest;
+}
+
+function playPlayerAbilityEffect(detail) {
+  if (!_particlePool) return;
+  const color = PLAYER_ABILITY_COLORS[detail.ability] ?? 0xffffff;
+  for (const packed of [detail.from, detail.position]) {
+    if (!Array.isArray(packed)) continue;
+    _particlePool.burst({
+      position: new THREE.Vector3(Number(packed[0]) || 0, (Number(packed[1]) || 0) + PLAYER_TORSO_ORIGIN_Y, Number(packed[2]) || 0),
+      color, count: 10, speed: 4, lifetime: 0.35, size: 3, gravity: 0.2,
+    });
+  }
+}
+
+function notifyPlayerAbility(detail) {
+  if (typeof _effects?.onPlayerAbility !== 'function') return;
+  try {
+    _effects.onPlayerAbility(detail);
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+function isAbilityReady(key) {
+  return elapsed >= (playerAbilityReadyAt.get(key) ?? Number.NEGATIVE_INFINITY);
+}
+
+function finishPlayerAbility(key, limits, detail) {
+  playerAbilityReadyAt.set(key, elapsed + limits.cooldownMs / 1000);
+  playPlayerAbilityEffect(detail);
+  notifyPlayerAbility(detail);
+  return true;
+}
+
+// Heal, shield, cleanse, or haste on the wielder or a teammate. The cooldown is kept per target,
+// so a support weapon can still spread heals across a team.
+function applySupport(actor, slotIndex, target, kind, args = []) {
+  if (!REALM_ALLY_METHODS.includes(kind) || !target || (target.hp ?? 1) <= 0 || !canMutateEnemies()) return false;
+  const slot = getWeaponSlot(actor.id, slotIndex);
+  const limits = getPlayerAbilityLimits(slot?.tier);
+  const targetId = getCombatantId(target) || actor.id;
+  const key = `${actor.id}:${kind}:${targetId}`;
+  if (!isAbilityReady(key)) return false;
+  const s = ensureEnemyStatus(target);
+  const detail = { ownerId: actor.id, targetId, slotIndex: slot?.index ?? null, ability: kind, position: packVec3(target.pos) };
+
+  switch (kind) {
+    case 'heal': {
+      const maxHp = target.maxHp || PLAYER_MAX_HP;
+      const amount = Math.min(THREE.MathUtils.clamp(Number(args[0]) || 0, 0, limits.heal), maxHp - (target.hp ?? maxHp));
+      if (!(amount > 0)) return false;
+      target.hp += amount;
+      detail.amount = amount;
+      break;
+    }
+    case 'shield': {
+      const hp = THREE.MathUtils.clamp(Number(args[0]) || 0, 0, limits.shieldHp);
+      const seconds = THREE.MathUtils.clamp(Number(args[1]) || limits.shieldSeconds, 0, limits.shieldSeconds);
+      if (hp <= 0 || seconds <= 0) return false;
+      s.shieldHp = Math.max(s.shieldHp, hp);
+      s.shieldTime = Math.max(s.shieldTime, seconds);
+      detail.amount = s.shieldHp;
+      detail.seconds = s.shieldTime;
+      break;
+    }
+    case 'cleanse': {
+      if (!hasHarmfulStatusEffect(s)) return false;
+      clearStatusEffects(s, { harmfulOnly: true });
+      break;
+    }
+    case 'haste': {
+      const multiplier = THREE.MathUtils.clamp(Number(args[0]) || limits.haste, 1, limits.haste);
+      const seconds = THREE.MathUtils.clamp(Number(args[1]) || limits.hasteSeconds, 0, limits.hasteSeconds);
+      if (multiplier <= 1 || seconds <= 0) return false;
+      s.hasteMult = Math.max(s.hasteMult, multiplier);
+      s.hasteTime = Math.max(s.hasteTime, seconds);
+      detail.amount = s.hasteMult;
+      detail.seconds = s.hasteTime;
+      break;
+    }
+    default:
+      return false;
+  }
+
+  return finishPlayerAbility(key, limits, detail);
+}
+
+// Applies one ctx.player self ability for `actor`, clamped by the firing slot's tier (see PLAYER_ABILITY_LIMITS).
+// Returns true when it took effect; cooldowns, blocked paths, and non-owners return false.
+function usePlayerAbility(actor, slotIndex, ability, args = []) {
+  if (!REALM_PLAYER_METHODS.includes(ability)) return false;
+  const self = getSelfCombatant(actor);
+  if (ability === 'heal') return applySupport(actor, slotIndex, self, 'heal', args);
+  if (ability === 'addShield') return applySupport(actor, slotIndex, self, 'shield', args);
+  const slot = getWeaponSlot(actor.id, slotIndex);
+  const limits = getPlayerAbilityLimits(slot?.tier);
+  const key = `${actor.id}:${ability}`;
+  if (!isAbilityReady(key)) return false;
+  if (self && (self.hp ?? 1) <= 0) return false;
+  const local = actor.id === _localPlayerId && Boolean(_player);
+  const detail = { ownerId: actor.id, slotIndex: slot?.index ?? null, ability };
+
+  switch (ability) {
+    case 'dash': {
+      if (!local) return false;
+      const dir = toActorVec3(args[0]);
+      dir.y = 0;
+      if (dir.lengthSq() < 1e-6) dir.copy(getPlayerFacingDirection(actor.yaw));
+      const distance = THREE.MathUtils.clamp(Number(args[1]) || 0, 0, limits.dashDistance);
+      const from = _player.pos.clone();
+      const to = sweepPlayerMove(from, dir.setLength(distance));
+      if (to.distanceToSquared(from) < 1e-6) return false;
+      _player.pos.copy(to);
+      detail.from = packVec3(from);
+      detail.position = packVec3(to);
+      break;
+    }
+    case 'blink': {
+      if (!local || !args[0]) return false;
+      const from = _player.pos.clone();
+      const to = resolveBlinkDestination(from, args[0], limits.blinkRange);
+      if (!to) return false;
+      _player.pos.copy(to);
+      _player.vel.y = Math.max(0, _player.vel.y);
+      detail.from = packVec3(from);
+      detail.position = packVec3(to);
+      break;
+    }
+    case 'applyImpulse': {
+      if (!local) return false;
+      const impulse = toActorVec3(args[0]);
+      if (impulse.lengthSq() < 1e-6) return false;
+      if (impulse.length() > limits.impulse) impulse.setLength(limits.impulse);
+      _player.vel.add(impulse);
+      detail.impulse = packVec3(impulse);
+      break;
+    }
+    default:
+      return false;
+  }
+
+  return finishPlayerAbility(key, limits, detail);
+}
+
+// Replays a peer's onPlayerAbility detail relayed over co-op, so dashes and blinks snap instead of smearing.
+export function applyPeerPlayerAbility(detail) {
+  const ownerId = detail?.ownerId;
+  if (!ownerId || ownerId === _localPlayerId || !Object.hasOwn(PLAYER_ABILITY_COLORS, detail.ability)) return false;
+  const peer = getCombatantById(ownerId);
+  if (!peer?.pos) return false;
+  if ((detail.ability === 'dash' || detail.ability === 'blink') && Array.isArray(detail.position)) {
+    const [x, y, z] = detail.position.map((value) => Number(value) || 0);
+    peer.pos.set(THREE.MathUtils.clamp(x, -PLAYER_BOUNDS, PLAYER_BOUNDS), y, THREE.MathUtils.clamp(z, -PLAYER_BOUNDS, PLAYER_BOUNDS));
+  }
+  playPlayerAbilityEffect(detail);
+  return true;
+}
+
+// Ã¢â€â‚¬Ã¢â€â‚¬ Build the context passed to AI weapon code Ã¢â€â‚¬Ã¢â€â‚¬
+export function buildCtx(actorState = null, { slotIndex = null, rng = null } = {}) {
+  const compatTHREE = getCompatThree();
+  const toVec3 = toActorVec3;
+  const actor = resolveWeaponActor(actorState);
+  const fireRng = rng || createWeaponRng(hashFireSeed(createFireId(actor.id)));
   const yaw = actor.yaw;
   const aimPoint = actor.aimPoint?.clone() ?? null;
-  const wrapEnemy = (e) => ({
-    id: getCombatantId(e),
-    teamId: getCombatantTeamId(e),
-    position: e.pos.clone(),
-    mesh: e.mesh,
-    hp: e.hp,
-    velocity: e.vel.clone(),
-    takeDamage: (amt) => {
-      if (!canMutateEnemies()) return 0;
-      return damageEnemy(e, amt, {}, { sourceId: actor.id, sourceTeamId: actor.teamId });
-    },
-    // NO hidden multiplier - force directly adds to velocity
-    applyForce: (f) => {
-      if (!canMutateEnemies()) return e.vel.clone();
-      e.vel.x += (f.x || 0);
-      e.vel.y += (f.y || 0);
-      e.vel.z += (f.z || 0);
-      extendPeerStateOverride(e, 0.3);
-      return e.vel.clone();
-    },
-    setVelocity: (v) => {
-      if (!canMutateEnemies()) return e.vel.clone();
-      e.vel.x = v?.x || 0;
-      e.vel.y = v?.y || 0;
-      e.vel.z = v?.z || 0;
-      extendPeerStateOverride(e, 0.3);
-      return e.vel.clone();
-    },
-    dampVelocity: (multiplier = 0.8, opts = {}) => {
-      if (!canMutateEnemies()) return e.vel.clone();
-      const m = THREE.MathUtils.clamp(multiplier, 0, 1);
-      e.vel.x *= m;
-      if (opts.includeY) e.vel.y *= m;
-      e.vel.z *= m;
-      extendPeerStateOverride(e, 0.25);
-      return e.vel.clone();
-    },
-    freeze: (seconds = 0.75, opts = {}) => {
-      if (!canMutateEnemies()) return ensureEnemyStatus(e).freeze;
-      const s = ensureEnemyStatus(e);
-      s.freeze = Math.max(s.freeze, Math.max(0, seconds || 0));
-      if (opts.zeroVelocity !== false) e.vel.set(0, 0, 0);
-      extendPeerStateOverride(e, Math.max(0.25, seconds || 0));
-      return s.freeze;
-    },
-    stun: (seconds = 0.4) => {
-      if (!canMutateEnemies()) return ensureEnemyStatus(e).stun;
-      const s = ensureEnemyStatus(e);
-      s.stun = Math.max(s.stun, Math.max(0, seconds || 0));
-      extendPeerStateOverride(e, Math.max(0.2, seconds || 0));
-      return s.stun;
-    },
-    slow: (multiplier = 0.35, seconds = 1.2) => {
-      if (!canMutateEnemies()) {
+  const hitMeta = (opts) => ({
+    sourceId: actor.id,
+    sourceTeamId: actor.teamId,
+    slotIndex,
+    type: opts?.type,
+    crit: rollCrit(opts || {}, fireRng.random),
+    critMultiplier: opts?.critMultiplier,
+  });
+  const applyAttributedEffect = (e, id, opts) => {
+    const entry = applyStatusEffect(ensureEnemyStatus(e), id, { ...opts, sourceId: actor.id, sourceSlot: slotIndex }, e);
+    if (entry) {
+      emitCombatEvent('status-applied', {
+        time: elapsed,
+        attacker: describeAttacker(actor.id, actor.teamId),
+        victim: describeCombatantRef(e),
+        weapon: describeWeaponSource(actor.id, slotIndex),
+        effectId: id,
+        seconds: entry.remaining,
+        magnitude: entry.magnitude,
+        stacks: entry.stacks,
+      });
+    }
+    return entry;
+  };
+  // Allies share the enemy surface, but harmful calls only land with friendly fire on.
+  const wrapCombatant = (e, hostile) => {
+    const canHarm = () => canMutateEnemies() && (hostile || _friendlyFire);
+    return {
+      id: getCombatantId(e),
+      teamId: getCombatantTeamId(e),
+      position: e.pos.clone(),
+      mesh: e.mesh,
+      hp: e.hp,
+      velocity: e.vel.clone(),
+      defense: describeDefense(e),
+      // opts: { type, crit, critChance, critMultiplier, position }
+      takeDamage: (amt, opts = {}) => {
+        if (!canHarm()) return 0;
+        return damageEnemy(e, amt, {}, { ...hitMeta(opts), position: opts?.position || e.pos });
+      },
+      // NO hidden multiplier - force directly adds to velocity
+      applyForce: (f) => {
+        if (!canHarm()) return e.vel.clone();
+        e.vel.x += (f.x || 0);
+        e.vel.y += (f.y || 0);
+        e.vel.z += (f.z || 0);
+        extendPeerStateOverride(e, 0.3);
+        return e.vel.clone();
+      },
+      setVelocity: (v) => {
+        if (!canHarm()) return e.vel.clone();
+        e.vel.x = v?.x || 0;
+        e.vel.y = v?.y || 0;
+        e.vel.z = v?.z || 0;
+        extendPeerStateOverride(e, 0.3);
+        return e.vel.clone();
+      },
+      dampVelocity: (multiplier = 0.8, opts = {}) => {
+        if (!canHarm()) return e.vel.clone();
+        const m = THREE.MathUtils.clamp(multiplier, 0, 1);
+        e.vel.x *= m;
+        if (opts.includeY) e.vel.y *= m;
+        e.vel.z *= m;
+        extendPeerStateOverride(e, 0.25);
+        return e.vel.clone();
+      },
+      freeze: (seconds = 0.75, opts = {}) => {
+        if (!canHarm()) return ensureEnemyStatus(e).freeze;
+        const s = ensureEnemyStatus(e);
+        applyAttributedEffect(e, 'freeze', { seconds: Math.max(0, seconds || 0) });
+        if (opts.zeroVelocity !== false) e.vel.set(0, 0, 0);
+        extendPeerStateOverride(e, Math.max(0.25, seconds || 0));
+        return s.freeze;
+      },
+      stun: (seconds = 0.4) => {
+        if (!canHarm()) return ensureEnemyStatus(e).stun;
         const s = ensureEnemyStatus(e);
+        applyAttributedEffect(e, 'stun', { seconds: Math.max(0, seconds || 0) });
+        extendPeerStateOverride(e, Math.max(0.2, seconds || 0));
+        return s.stun;
+      },
+      slow: (multiplier = 0.35, seconds = 1.2) => {
+        const s = ensureEnemyStatus(e);
+        if (canHarm()) {
+          applyAttributedEffect(e, 'slow', { multiplier, seconds: Math.max(0, seconds || 0) });
+          extendPeerStateOverride(e, Math.min(Math.max(0.2, seconds || 0), 0.6));
+        }
         return { multiplier: s.slowMult, remaining: s.slowTime };
-      }
-      const s = ensureEnemyStatus(e);
-      const m = THREE.MathUtils.clamp(multiplier, 0, 1);
-      s.slowMult = s.slowTime > 0 ? Math.min(s.slowMult, m) : m;
-      s.slowTime = Math.max(s.slowTime, Math.max(0, seconds || 0));
-      extendPeerStateOverride(e, Math.min(Math.max(0.2, seconds || 0), 0.6));
-      return { multiplier: s.slowMult, remaining: s.slowTime };
-    },
-    ignite: (opts = {}) => {
-      if (!canMutateEnemies()) {
+      },
+      ignite: (opts = {}) => {
         const s = ensureEnemyStatus(e);
+        if (canHarm()) {
+          applyAttributedEffect(e, 'burn', {
+            dps: Math.max(0, opts.dps ?? 8),
+            seconds: Math.max(0, opts.duration ?? 1.2),
+            tick: Math.max(0.05, opts.tick ?? 0.15),
+          });
+        }
         return { dps: s.burnDps, remaining: s.burnTime };
-      }
-      const dps = Math.max(0, opts.dps ?? 8);
-      const duration = Math.max(0, opts.duration ?? 1.2);
-      const tick = Math.max(0.05, opts.tick ?? 0.15);
-      const s = ensureEnemyStatus(e);
-      s.burnDps = Math.max(s.burnDps, dps);
-      s.burnTime = Math.max(s.burnTime, duration);
-      s.burnTick = Math.min(s.burnTick || tick, tick);
-      return { dps: s.burnDps, remaining: s.burnTime };
-    },
-    distanceTo: (point) => e.pos.distanceTo(toVec3(point)),
+      },
+      // Any registered effect by id (poison, bleed, vulnerable, silence, root, blind, knockUp, mark, ...).
+      applyEffect: (id, opts = {}) => {
+        const s = ensureEnemyStatus(e);
+        const def = getStatusEffect(id);
+        if (!def || (def.harmful && !canHarm()) || (!def.harmful && !canMutateEnemies())) return describeStatusEffect(s, id);
+        const entry = applyAttributedEffect(e, id, opts || {});
+        if (!entry) return null;
+        extendPeerStateOverride(e, getStatusModifiers(s).canMove ? 0.2 : entry.remaining);
+        playStatusApplyEffect(e, id);
+        return describeStatusEffect(s, id);
+      },
+      distanceTo: (point) => e.pos.distanceTo(toVec3(point)),
+    };
+  };
+  const wrapEnemy = (e) => wrapCombatant(e, true);
+  const wrapAlly = (e) => ({
+    ...wrapCombatant(e, false),
+    maxHp: e.maxHp || PLAYER_MAX_HP,
+    isSelf: getCombatantId(e) === actor.id || e === _player,
+    harmable: _friendlyFire,
+    heal: (amt) => applySupport(actor, slotIndex, e, 'heal', [amt]),
+    cleanse: () => applySupport(actor, slotIndex, e, 'cleanse'),
+    shield: (hp, seconds) => applySupport(actor, slotIndex, e, 'shield', [hp, seconds]),
+    haste: (multiplier, seconds) => applySupport(actor, slotIndex, e, 'haste', [multiplier, seconds]),
   });
   const ctx = {
     THREE: compatTHREE, scene: _scene,
@@ -1093,9 +1595,15 @@ export function buildCtx(actorState = null) {
       getUp: () => new THREE.Vector3(0, 1, 0),
       getVelocity: () => actor.vel.clone(),
       getQuaternion: () => new THREE.Quaternion().setFromEuler(new THREE.Euler(0, yaw, 0)),
+      dash: (dir, distance) => usePlayerAbility(actor, slotIndex, 'dash', [dir, distance]),
+      blink: (point) => usePlayerAbility(actor, slotIndex, 'blink', [point]),
+      applyImpulse: (v) => usePlayerAbility(actor, slotIndex, 'applyImpulse', [v]),
+      addShield: (hp, seconds) => usePlayerAbility(actor, slotIndex, 'addShield', [hp, seconds]),
+      heal: (amt) => usePlayerAbility(actor, slotIndex, 'heal', [amt]),
     },
 
     getEnemies: () => getOpposingCombatants(actor).map(wrapEnemy),
+    getAllies: (opts = {}) => getAlliedCombatants(actor, opts).map(wrapAlly),
 
     spawn: (mesh, opt = {}) => {
       const { position = new THREE.Vector3(), velocity = new THREE.Vector3(), angularVelocity = null,
@@ -1202,21 +1710,21 @@ export function buildCtx(actorState = null) {
 
     // Ã¢â€â‚¬Ã¢â€â‚¬ Explosion Helper (now uses particle pool) Ã¢â€â‚¬Ã¢â€â‚¬
     explode: (position, opts = {}) => {
-      const { radius = 5, damage = 30, force = 15, color = 0xff6600, particles = 15, lightIntensity = 3.8 } = opts;
+      const { radius = 5, damage = 30, force = 15, color = 0xff6600, particles = 15, lightIntensity = 3.8, type = 'explosive' } = opts;
       const p = position instanceof THREE.Vector3 ? position : new THREE.Vector3(position.x || 0, position.y || 0, position.z || 0);
 
       if (_effects.triggerFlash) _effects.triggerFlash(0.12);
       addScorchMark(p, radius);
 
-      // Damage + push enemies
+      // Damage + push enemies (and the wielder's side with friendly fire on)
       if (canMutateEnemies()) {
-        for (const e of getOpposingCombatants(actor)) {
+        for (const e of getHarmableCombatants(actor)) {
           const d = e.pos.distanceTo(p);
           if (d < radius) {
             const falloff = 1 - d / radius;
             const dir = e.pos.clone().sub(p).normalize();
             e.vel.add(dir.multiplyScalar(force * falloff));
-            damageEnemy(e, damage * falloff, {}, { sourceId: actor.id, sourceTeamId: actor.teamId });
+            damageEnemy(e, damage * falloff, {}, { ...hitMeta({ ...opts, type }), position: p });
           }
         }
       }
@@ -1271,6 +1779,8 @@ export function buildCtx(actorState = null) {
     },
 
     get elapsed() { return elapsed; },
+    random: fireRng.random,
+    rng: fireRng,
     shake: (i = 0.5, d = 0.2) => { shakeAmt = i; shakeTime = d; },
   };
 
@@ -1278,7 +1788,9 @@ export function buildCtx(actorState = null) {
     THREE: compatTHREE,
     scene: _scene,
     toVec3,
+    random: fireRng.random,
     getEnemies: () => ctx.getEnemies(),
+    getAllies: (opts) => ctx.getAllies(opts),
     onUpdate: (fn) => ctx.onUpdate(fn),
     removeOnUpdate: (fn) => ctx.removeOnUpdate(fn),
     addMesh: (m) => ctx.addMesh(m),
@@ -1299,24 +1811,198 @@ export function buildCtx(actorState = null) {
   return ctx;
 }
 
+// Ã¢â€â‚¬Ã¢â€â‚¬ Weapon realm adapter Ã¢â€â‚¬Ã¢â€â‚¬
+function describeRealmActor(actorState) {
+  const actor = resolveWeaponActor(actorState);
+  const aimPoint = actor.aimPoint?.clone() ?? null;
+  return {
+    id: actor.id,
+    teamId: actor.teamId,
+    yaw: actor.yaw,
+    shootOrigin: packVec3(getActorShootOrigin(actor)),
+    torsoOrigin: packVec3(getActorTorsoOrigin(actor)),
+    feet: packVec3(actor.pos),
+    velocity: packVec3(actor.vel),
+    aimPoint: packVec3(aimPoint),
+    direction: packVec3(getActorAimDirection(actor, actor.yaw, aimPoint?.clone() ?? null)),
+  };
+}
+
+function getRealmWorldSnapshot(ownerId, actorState) {
+  const actor = {
+    id: ownerId,
+    teamId: actorState?.teamId || getCombatantTeamId(getCombatantById(ownerId)),
+  };
+  const opposing = new Set(getOpposingCombatants(actor));
+  const combatants = [];
+  for (const combatant of getTrackedCombatants()) {
+    const id = getCombatantId(combatant);
+    if (!id || !combatant.pos) continue;
+    const s = ensureEnemyStatus(combatant);
+    combatants.push({
+      id,
+      teamId: getCombatantTeamId(combatant),
+      relation: id === ownerId ? 'self' : (opposing.has(combatant) ? 'enemy' : 'ally'),
+      pos: packVec3(combatant.pos),
+      vel: packVec3(combatant.vel),
+      hp: combatant.hp ?? 0,
+      maxHp: combatant.maxHp || 100,
+      defense: describeDefense(combatant),
+      status: {
+        freeze: s.freeze,
+        stun: s.stun,
+        slowMult: s.slowMult,
+        slowTime: s.slowTime,
+        burnDps: s.burnDps,
+        burnTime: s.burnTime,
+        effects: serializeStatusEffects(s),
+      },
+    });
+  }
+  return { elapsed, friendlyFire: _friendlyFire, combatants };
+}
+
+function getWorldCollisionBoxes() {
+  const box = new THREE.Box3();
+  return getWorldCollisionMeshes().map((mesh) => {
+    box.setFromObject(mesh);
+    return [...packVec3(box.min), ...packVec3(box.max)];
+  });
+}
+
+export function onWeaponError(listener) {
+  weaponErrorListeners.add(listener);
+  return () => weaponErrorListeners.delete(listener);
+}
+
+function reportWeaponError(ownerId, slotIndex, error) {
+  const detail = {
+    ownerId,
+    slotIndex,
+    local: ownerId === _localPlayerId,
+    code: getWeaponCode(ownerId, slotIndex),
+    error: describeRealmError(error),
+  };
+  emitCombatEvent('weapon-error', {
+    time: elapsed,
+    attacker: describeAttacker(ownerId),
+    weapon: describeWeaponSource(ownerId, slotIndex),
+    message: detail.error?.message || String(error?.message || error || ''),
+  });
+  for (const listener of weaponErrorListeners) {
+    try {
+      listener(detail);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+}
+
+function faultWeaponSlot(ownerId, slotIndex, reason) {
+  const slot = getWeaponSlot(ownerId, slotIndex);
+  if (!slot) return;
+  slot.fault = reason;
+  releaseFire(ownerId, slotIndex);
+  console.error(`Weapon slot ${slotIndex + 1} disabled:`, reason);
+  reportWeaponError(ownerId, slotIndex, { name: 'WeaponFault', message: reason, stack: '' });
+}
+
+function getWeaponRealmHost() {
+  if (!_weaponIsolation) return null;
+  if (_realmHost || !isWeaponRealmSupported()) return _realmHost;
+  _realmHost = createWeaponRealmHost({
+    buildCtx,
+    describeActor: describeRealmActor,
+    getWorldSnapshot: getRealmWorldSnapshot,
+    getCollisionBoxes: getWorldCollisionBoxes,
+    applyPlayerAbility: (ownerId, slotIndex, actorState, method, args) => (
+      usePlayerAbility({ ...resolveWeaponActor(actorState), id: ownerId }, slotIndex, method, args)
+    ),
+    applyAllySupport: (ownerId, slotIndex, actorState, targetId, method, args) => {
+      const actor = { ...resolveWeaponActor(actorState), id: ownerId };
+      const target = getAlliedCombatants(actor, { includeSelf: true })
+        .find((combatant) => (getCombatantId(combatant) || ownerId) === targetId);
+      return applySupport(actor, slotIndex, target, method, args);
+    },
+    onSlotFault: faultWeaponSlot,
+    onSlotError: (ownerId, slotIndex, error) => {
+      if (Number.isInteger(slotIndex)) reportWeaponError(ownerId, slotIndex, error);
+    },
+  });
+  return _realmHost;
+}
+
+export function getWeaponRealmDebugState() {
+  return _realmHost?.getDebugState() ?? [];
+}
+
+// Tooling (e.g. the weapon bench) can run weapon bodies inline on the calling thread. With isolation on,
+// weapons given as source only run in a realm worker; only functions passed to setWeapon() run inline.
+export function setWeaponIsolation(enabled) {
+  _weaponIsolation = enabled !== false;
+  if (!_weaponIsolation && _realmHost) {
+    _realmHost.destroyAll();
+    _realmHost = null;
+  }
+}
+
+export function getSandboxStats() {
+  return {
+    entities: entities.length,
+    visuals: visuals.length,
+    lights: activeLights.length,
+    trails: trails.length,
+    callbacks: cbs.length,
+    timers: timers.length,
+    intervals: intervals.length,
+    particles: _particlePool?.count ?? 0,
+    transientEffects: activeScorchMarks.length + activeShockwaveRings.length + queuedDeathEffects.length,
+  };
+}
+
 // Ã¢â€â‚¬Ã¢â€â‚¬ Fire weapon Ã¢â€â‚¬Ã¢â€â‚¬
-function invokeWeaponSlot(slot, actorState) {
+function emitWeaponFired(slot, ownerId) {
+  emitCombatEvent('weapon-fired', {
+    time: elapsed,
+    attacker: describeAttacker(ownerId),
+    weapon: describeWeaponSource(ownerId, slot.index),
+  });
+}
+
+function invokeWeaponSlot(slot, actorState, ownerId, seed) {
+  if (slot.fault) return false;
+  if (slot.isolated) {
+    const invoked = getWeaponRealmHost()?.invoke(ownerId, slot.index, actorState, seed) ?? false;
+    if (invoked) emitWeaponFired(slot, ownerId);
+    return invoked;
+  }
   try {
-    slot.fn(buildCtx(actorState));
+    emitWeaponFired(slot, ownerId);
+    const rng = createWeaponRng(seed);
+    slot.fn(buildCtx(actorState, { slotIndex: slot.index, rng }), createWeaponMath(rng));
     return true;
   } catch (e) {
     console.error('Weapon error:', e);
+    reportWeaponError(ownerId, slot.index, e);
     return false;
   }
 }
 
-function fireContinuousSlot(slot, actorState, ownerId) {
+// A channel keeps one fireId from its first tick; tick n draws from `${fireId}#${n}`, so a peer or the
+// server that was given the shooter's channel id rolls each tick the way the shooter did.
+function fireContinuousSlot(slot, actorState, ownerId, fireId) {
   const profile = getWeaponFireProfile(slot.tier, slot.fireMode);
   const recoverySeconds = Math.max(0.05, profile.cooldownMs / 1000);
   if (!Number.isFinite(slot.channelStartedAt) || slot.channelStartedAt === Number.NEGATIVE_INFINITY) {
     if (elapsed - slot.lastFiredAt < recoverySeconds) return false;
     slot.channelStartedAt = elapsed;
     slot.lastContinuousTickAt = Number.NEGATIVE_INFINITY;
+    slot.channelFireId = fireId || createFireId(ownerId);
+    slot.channelTicks = 0;
+  } else if (fireId && fireId !== slot.channelFireId) {
+    // The shooter let go and pressed again between two of our ticks.
+    slot.channelFireId = fireId;
+    slot.channelTicks = 0;
   }
 
   if (getWeaponChannelRemainingSeconds(slot) <= 0) {
@@ -1327,26 +2013,36 @@ function fireContinuousSlot(slot, actorState, ownerId) {
   const tickSeconds = Math.max(0.05, profile.tickMs / 1000);
   if (elapsed - slot.lastContinuousTickAt < tickSeconds) return false;
   slot.lastContinuousTickAt = elapsed;
-  return invokeWeaponSlot(slot, actorState);
+  const tick = slot.channelTicks++;
+  return invokeWeaponSlot(slot, actorState, ownerId, hashFireSeed(tick ? `${slot.channelFireId}#${tick}` : slot.channelFireId));
 }
 
+function isSilenced(ownerId) {
+  const combatant = getCombatantById(ownerId) || (ownerId === _localPlayerId ? _player : null);
+  return Boolean(combatant?.status) && !getStatusModifiers(ensureEnemyStatus(combatant)).canFire;
+}
+
+// opts: { ownerId, fireId, bypassRateLimit }. `fireId` seeds ctx.random(); see src/weaponRandom.js.
+// Returns the fireId it used, or false when nothing fired. Without one, an instant shot gets a new
+// id and a held continuous weapon keeps its channel's id. Send it with publishFire() (instant) or
+// as `fireId` in the firing state (continuous) so peers and the server roll what this client rolled.
 export function fire(actorState = null, opts = {}) {
   const ownerId = opts.ownerId || actorState?.id || actorState?.playerId || _localPlayerId;
+  const requestedId = typeof opts.fireId === 'string' && opts.fireId ? opts.fireId : null;
   const slot = getWeaponSlot(ownerId);
-  if (!slot?.fn) return false;
+  if (!hasWeaponBody(slot)) return false;
+  if (isSilenced(ownerId)) return false;
 
-  if (opts.bypassRateLimit) {
-    return invokeWeaponSlot(slot, actorState);
+  if (isContinuousWeaponSlot(slot) && !opts.bypassRateLimit) {
+    return fireContinuousSlot(slot, actorState, ownerId, requestedId) ? slot.channelFireId : false;
   }
-
-  if (isContinuousWeaponSlot(slot)) {
-    return fireContinuousSlot(slot, actorState, ownerId);
+  if (!opts.bypassRateLimit) {
+    const cooldownSeconds = Math.max(0.05, (slot.cooldownMs || DEFAULT_WEAPON_COOLDOWN_MS) / 1000);
+    if (elapsed - slot.lastFiredAt < cooldownSeconds) return false;
+    slot.lastFiredAt = elapsed;
   }
-
-  const cooldownSeconds = Math.max(0.05, (slot.cooldownMs || DEFAULT_WEAPON_COOLDOWN_MS) / 1000);
-  if (elapsed - slot.lastFiredAt < cooldownSeconds) return false;
-  slot.lastFiredAt = elapsed;
-  return invokeWeaponSlot(slot, actorState);
+  const fireId = requestedId || createFireId(ownerId);
+  return invokeWeaponSlot(slot, actorState, ownerId, hashFireSeed(fireId)) ? fireId : false;
 }
 
 export function releaseFire(ownerId = _localPlayerId, slotIndex = null) {
@@ -1368,18 +2064,40 @@ export function setWeapon(fn, name, ownerId = _localPlayerId, opts = {}) {
     tier = null,
     fireMode = DEFAULT_WEAPON_FIRE_MODE,
     cooldownMs = DEFAULT_WEAPON_COOLDOWN_MS,
+    balance = null,
+    role = null,
   } = opts;
 
   if (reset) resetSandbox();
   const loadout = ensureWeaponLoadout(ownerId);
   const resolvedIndex = clampSlotIndex(slotIndex ?? loadout.activeIndex) ?? loadout.activeIndex;
   const slot = loadout.slots[resolvedIndex] || createEmptyWeaponSlot(resolvedIndex);
-  slot.fn = fn;
+  const host = getWeaponRealmHost();
+  slot.isolated = Boolean(host && code);
+  slot.fault = null;
+  slot.fn = slot.isolated ? null : fn;
+  if (!slot.isolated && !slot.fn && code) {
+    // Weapon source (forged, imported, or a peer's) only runs in a realm worker. Without one it is refused
+    // rather than compiled with the page's Function; tooling that locks its own thread turns isolation off.
+    if (_weaponIsolation) {
+      slot.fault = 'Weapon isolation needs Web Workers, which are unavailable here';
+    } else {
+      try {
+        slot.fn = createInlineWeaponFunction(code);
+      } catch (e) {
+        slot.fault = `Compile error: ${e.message}`;
+      }
+    }
+  }
+  if (slot.isolated) host.loadSlot(ownerId, resolvedIndex, code);
+  else host?.unloadSlot(ownerId, resolvedIndex);
   slot.name = name;
   slot.code = code;
   slot.tier = sanitizeWeaponTier(tier);
   slot.fireMode = sanitizeWeaponFireMode(fireMode);
   slot.cooldownMs = sanitizeCooldownMs(cooldownMs);
+  slot.balance = balance ? { ...balance } : null;
+  slot.weaponRole = sanitizeWeaponRole(role, null);
   resetWeaponSlotTiming(slot);
   loadout.slots[resolvedIndex] = slot;
 
@@ -1408,7 +2126,10 @@ export function resetSandbox(opts = {}) {
     }
   }
   cbs.length = 0; timers.length = 0; intervals.length = 0;
+  playerAbilityReadyAt.clear();
+  _realmHost?.reset();
   if (clearWeapons) {
+    _realmHost?.destroyAll();
     weaponSlots.clear();
   } else {
     for (const [ownerId, loadout] of weaponSlots.entries()) {
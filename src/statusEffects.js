@@ -0,0 +1,467 @@
+import { PLAYER_GRAVITY } from './gameConfig.js';
+
+// Status effects are declared here once and looked up by id. A definition says how re-applying it
+// stacks, what it does each tick, how it changes movement/firing/damage taken, how it looks, and how it
+// travels over the network. Active entries live on combatant.status.effects[id].
+//
+// stacking:
+//   'max'     keep the longer duration and the stronger magnitude
+//   'refresh' restart the duration and take the new magnitude
+//   'stack'   add a stack (up to maxStacks), keep the longer duration and the stronger magnitude
+
+const STATUS_EFFECTS = new Map();
+const KNOCK_UP_MIN_SECONDS = 0.3;
+
+const DEFAULT_DEFINITION = Object.freeze({
+  harmful: true,
+  stacking: 'max',
+  strongest: 'max',
+  maxStacks: 1,
+  seconds: 1,
+  maxSeconds: Infinity,
+  magnitude: 0,
+  magnitudeKey: 'magnitude',
+  numberSpec: 'seconds',
+  minMagnitude: 0,
+  maxMagnitude: Infinity,
+  tickSeconds: 0,
+  damageType: 'kinetic',
+  controlWeight: 0,
+  visual: null,
+});
+
+function round(value, decimals = 3) {
+  const scale = 10 ** decimals;
+  return Math.round((Number(value) || 0) * scale) / scale;
+}
+
+function clampNumber(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+export function registerStatusEffect(definition) {
+  const id = typeof definition?.id === 'string' ? definition.id.trim() : '';
+  if (!id) throw new Error('Status effect definitions need an id.');
+  if (!['max', 'refresh', 'stack'].includes(definition.stacking ?? 'max')) {
+    throw new Error(`Status effect "${id}" has an unknown stacking rule.`);
+  }
+  const def = Object.freeze({ ...DEFAULT_DEFINITION, ...definition, id });
+  STATUS_EFFECTS.set(id, def);
+  return def;
+}
+
+export function getStatusEffect(id) {
+  return STATUS_EFFECTS.get(id) || null;
+}
+
+export function listStatusEffectIds({ harmful = null } = {}) {
+  return Array.from(STATUS_EFFECTS.values())
+    .filter((def) => harmful == null || def.harmful === harmful)
+    .map((def) => def.id);
+}
+
+// Turns a shorthand spec (`poison: 3`, `mark: true`, `knockUp: { height: 4 }`) into apply options.
+// A bare number is seconds, or the magnitude for effects with numberSpec 'magnitude'.
+export function normalizeStatusEffectSpec(id, spec) {
+  const def = getStatusEffect(id);
+  if (!def || spec == null || spec === false) return null;
+  if (spec === true) return {};
+  if (typeof spec === 'number') {
+    if (!(spec > 0)) return null;
+    return def.numberSpec === 'magnitude' ? { [def.magnitudeKey]: spec } : { seconds: spec };
+  }
+  return typeof spec === 'object' ? { ...spec } : null;
+}
+
+export function ensureStatusEffects(s) {
+  if (!s.effects || typeof s.effects !== 'object') s.effects = {};
+  return s.effects;
+}
+
+function syncLegacyFields(s) {
+  const effects = ensureStatusEffects(s);
+  for (const def of STATUS_EFFECTS.values()) def.legacy?.(s, effects[def.id] || null);
+  return s;
+}
+
+// `seconds` may be a function of the magnitude (a knock-up lasts its airtime).
+function resolveSeconds(def, opts, magnitude) {
+  const fallback = typeof def.seconds === 'function' ? def.seconds(magnitude) : def.seconds;
+  const seconds = Number(opts.seconds ?? opts.duration ?? fallback);
+  return clampNumber(Number.isFinite(seconds) ? seconds : fallback, 0, def.maxSeconds);
+}
+
+function resolveMagnitude(def, opts) {
+  const magnitude = Number(opts[def.magnitudeKey] ?? opts.magnitude ?? def.magnitude);
+  return clampNumber(Number.isFinite(magnitude) ? magnitude : def.magnitude, def.minMagnitude, def.maxMagnitude);
+}
+
+function strongerMagnitude(def, a, b) {
+  return def.strongest === 'min' ? Math.min(a, b) : Math.max(a, b);
+}
+
+function resolveTickSeconds(def, opts) {
+  if (!(def.tickSeconds > 0)) return 0;
+  return Math.max(0.05, Number(opts.tick) || def.tickSeconds);
+}
+
+// Applies (or re-applies) an effect on a status object. `target` is the combatant, for effects that
+// act on it directly (knock-up launches it). Returns the active entry, or null for unknown ids.
+export function applyStatusEffect(s, id, opts = {}, target = null) {
+  const def = getStatusEffect(id);
+  if (!def) return null;
+  const effects = ensureStatusEffects(s);
+  const magnitude = resolveMagnitude(def, opts);
+  const seconds = resolveSeconds(def, opts, magnitude);
+  const tick = resolveTickSeconds(def, opts);
+  if (seconds <= 0) return effects[id] || null;
+
+  const existing = effects[id];
+  if (!existing || existing.remaining <= 0) {
+    effects[id] = {
+      remaining: seconds,
+      magnitude,
+      stacks: 1,
+      tick,
+      acc: 0,
+      sourceId: opts.sourceId ?? null,
+      sourceSlot: opts.sourceSlot ?? null,
+    };
+  } else if (def.stacking === 'refresh') {
+    existing.remaining = seconds;
+    existing.magnitude = magnitude;
+    existing.tick = tick;
+    existing.sourceId = opts.sourceId ?? existing.sourceId;
+    existing.sourceSlot = opts.sourceSlot ?? existing.sourceSlot;
+  } else {
+    existing.remaining = Math.max(existing.remaining, seconds);
+    existing.magnitude = strongerMagnitude(def, existing.magnitude, magnitude);
+    if (tick > 0) existing.tick = existing.tick > 0 ? Math.min(existing.tick, tick) : tick;
+    if (def.stacking === 'stack') existing.stacks = Math.min(def.maxStacks, existing.stacks + 1);
+    existing.sourceId = opts.sourceId ?? existing.sourceId;
+    existing.sourceSlot = opts.sourceSlot ?? existing.sourceSlot;
+  }
+
+  const entry = effects[id];
+  def.onApply?.(entry, target, opts);
+  syncLegacyFields(s);
+  return entry;
+}
+
+// Counts effects down and runs damage ticks. onDamage(def, amount, entry) is called per tick;
+// the caller decides how damage lands (shields, authority, kill credit).
+export function tickStatusEffects(s, dt, { target = null, onDamage = null } = {}) {
+  const effects = ensureStatusEffects(s);
+  let changed = false;
+  for (const [id, entry] of Object.entries(effects)) {
+    const def = getStatusEffect(id);
+    if (!def || !(entry?.remaining > 0)) {
+      delete effects[id];
+      changed = true;
+      continue;
+    }
+    entry.remaining = Math.max(0, entry.remaining - dt);
+    if (def.dps && entry.tick > 0) {
+      entry.acc += dt;
+      // A lethal tick respawns the target and clears its effects; stop ticking the old entry then.
+      while (entry.acc >= entry.tick && effects[id] === entry) {
+        entry.acc -= entry.tick;
+        const amount = def.dps(entry, target) * entry.tick;
+        if (amount > 0) onDamage?.(def, amount, entry);
+      }
+    }
+    if (entry.remaining <= 0) {
+      delete effects[id];
+    }
+    changed = true;
+  }
+  if (changed) syncLegacyFields(s);
+}
+
+export function clearStatusEffects(s, { harmfulOnly = false } = {}) {
+  const effects = ensureStatusEffects(s);
+  let cleared = false;
+  for (const id of Object.keys(effects)) {
+    if (harmfulOnly && getStatusEffect(id)?.harmful === false) continue;
+    delete effects[id];
+    cleared = true;
+  }
+  syncLegacyFields(s);
+  return cleared;
+}
+
+export function hasStatusEffect(s, id) {
+  return (s?.effects?.[id]?.remaining || 0) > 0;
+}
+
+export function hasHarmfulStatusEffect(s) {
+  return Object.entries(s?.effects || {})
+    .some(([id, entry]) => entry?.remaining > 0 && getStatusEffect(id)?.harmful !== false);
+}
+
+export function describeStatusEffect(s, id) {
+  const entry = s?.effects?.[id];
+  if (!(entry?.remaining > 0)) return null;
+  return { id, remaining: entry.remaining, magnitude: entry.magnitude, stacks: entry.stacks };
+}
+
+// Combined movement and action limits from every active effect.
+export function getStatusModifiers(s) {
+  const mods = { speed: 1, canMove: true, canAct: true, canFire: true, aimSpread: 0 };
+  for (const [id, entry] of Object.entries(s?.effects || {})) {
+    if (!(entry?.remaining > 0)) continue;
+    getStatusEffect(id)?.modify?.(mods, entry);
+  }
+  if (!mods.canMove) mods.speed = 0;
+  return mods;
+}
+
+// Runs incoming damage through vulnerable/mark style effects before shields and hp.
+export function modifyDamageTaken(s, amount) {
+  let out = amount;
+  let changed = false;
+  for (const [id, entry] of Object.entries(s?.effects || {})) {
+    const def = getStatusEffect(id);
+    if (!def?.onDamageTaken || !(entry?.remaining > 0)) continue;
+    out = def.onDamageTaken(entry, out);
+    changed = true;
+  }
+  if (changed) {
+    for (const [id, entry] of Object.entries(s.effects)) {
+      if (!(entry?.remaining > 0)) delete s.effects[id];
+    }
+    syncLegacyFields(s);
+  }
+  return out;
+}
+
+export function getStatusVisuals(s) {
+  return Object.entries(s?.effects || {})
+    .filter(([id, entry]) => entry?.remaining > 0 && getStatusEffect(id)?.visual)
+    .map(([id, entry]) => ({ id, ...getStatusEffect(id).visual, remaining: entry.remaining, stacks: entry.stacks }));
+}
+
+// Compact form for realm snapshots and co-op world payloads: [[id, ...fields], ...].
+export function serializeStatusEffects(s) {
+  const out = [];
+  for (const [id, entry] of Object.entries(s?.effects || {})) {
+    const def = getStatusEffect(id);
+    if (!def || def.networked === false || !(entry?.remaining > 0)) continue;
+    out.push([id, ...(def.serialize ? def.serialize(entry) : [round(entry.remaining), round(entry.magnitude), entry.stacks])]);
+  }
+  return out;
+}
+
+// Replaces the networked effects on `s` with a serialized list; unknown ids are ignored.
+export function applySerializedStatusEffects(s, packed) {
+  if (!Array.isArray(packed)) return s;
+  const effects = ensureStatusEffects(s);
+  for (const id of Object.keys(effects)) {
+    if (getStatusEffect(id)?.networked !== false) delete effects[id];
+  }
+  for (const item of packed) {
+    if (!Array.isArray(item)) continue;
+    const [id, ...fields] = item;
+    const def = getStatusEffect(id);
+    if (!def || def.networked === false) continue;
+    const entry = def.deserialize
+      ? def.deserialize(fields)
+      : { remaining: Number(fields[0]) || 0, magnitude: Number(fields[1]) || 0, stacks: Math.max(1, Math.floor(Number(fields[2]) || 1)) };
+    if (!(entry.remaining > 0)) continue;
+    effects[id] = { tick: resolveTickSeconds(def, {}), acc: 0, sourceId: null, ...entry };
+  }
+  return syncLegacyFields(s);
+}
+
+// ── Built-ins ──
+registerStatusEffect({
+  id: 'freeze',
+  seconds: 0.75,
+  controlWeight: 1,
+  visual: { color: 0x9be7ff, label: 'Frozen' },
+  modify: (mods) => {
+    mods.canMove = false;
+    mods.canAct = false;
+  },
+  legacy: (s, entry) => {
+    s.freeze = entry?.remaining || 0;
+  },
+});
+
+registerStatusEffect({
+  id: 'stun',
+  seconds: 0.4,
+  controlWeight: 1,
+  visual: { color: 0xfff59d, label: 'Stunned' },
+  modify: (mods) => {
+    mods.canAct = false;
+  },
+  legacy: (s, entry) => {
+    s.stun = entry?.remaining || 0;
+  },
+});
+
+registerStatusEffect({
+  id: 'slow',
+  seconds: 1.2,
+  magnitude: 0.35,
+  magnitudeKey: 'multiplier',
+  numberSpec: 'magnitude',
+  maxMagnitude: 1,
+  strongest: 'min',
+  controlWeight: 0.5,
+  visual: { color: 0x7dd3fc, label: 'Slowed' },
+  modify: (mods, entry) => {
+    mods.speed *= entry.magnitude;
+  },
+  legacy: (s, entry) => {
+    s.slowMult = entry ? entry.magnitude : 1;
+    s.slowTime = entry?.remaining || 0;
+  },
+});
+
+registerStatusEffect({
+  id: 'burn',
+  seconds: 1.2,
+  magnitude: 8,
+  magnitudeKey: 'dps',
+  tickSeconds: 0.15,
+  damageType: 'fire',
+  visual: { color: 0xff8844, label: 'Burning', particleChance: 0.35 },
+  dps: (entry) => entry.magnitude,
+  legacy: (s, entry) => {
+    s.burnDps = entry?.magnitude || 0;
+    s.burnTime = entry?.remaining || 0;
+    s.burnTick = entry?.tick || 0.15;
+    s.burnAcc = entry?.acc || 0;
+  },
+});
+
+// Stacks up to five times; each stack adds its dps.
+registerStatusEffect({
+  id: 'poison',
+  stacking: 'stack',
+  maxStacks: 5,
+  seconds: 4,
+  maxSeconds: 10,
+  magnitude: 3,
+  magnitudeKey: 'dps',
+  maxMagnitude: 20,
+  tickSeconds: 0.5,
+  visual: { color: 0x84cc16, label: 'Poisoned', particleChance: 0.5 },
+  dps: (entry) => entry.magnitude * entry.stacks,
+});
+
+// Stacks like poison, and bleeds twice as fast while the target is moving.
+registerStatusEffect({
+  id: 'bleed',
+  stacking: 'stack',
+  maxStacks: 3,
+  seconds: 3,
+  maxSeconds: 8,
+  magnitude: 4,
+  magnitudeKey: 'dps',
+  maxMagnitude: 20,
+  tickSeconds: 0.25,
+  visual: { color: 0xdc2626, label: 'Bleeding', particleChance: 0.6 },
+  dps: (entry, target) => {
+    const vel = target?.vel;
+    const moving = vel ? Math.hypot(vel.x || 0, vel.z || 0) > 1 : false;
+    return entry.magnitude * entry.stacks * (moving ? 2 : 1);
+  },
+});
+
+registerStatusEffect({
+  id: 'vulnerable',
+  seconds: 3,
+  maxSeconds: 8,
+  magnitude: 1.25,
+  magnitudeKey: 'multiplier',
+  minMagnitude: 1,
+  maxMagnitude: 2,
+  visual: { color: 0xf472b6, label: 'Vulnerable' },
+  onDamageTaken: (entry, amount) => amount * entry.magnitude,
+});
+
+registerStatusEffect({
+  id: 'silence',
+  seconds: 1.5,
+  maxSeconds: 4,
+  controlWeight: 0.5,
+  visual: { color: 0xa78bfa, label: 'Silenced' },
+  modify: (mods) => {
+    mods.canFire = false;
+  },
+});
+
+// Pins feet in place but leaves aiming and firing alone.
+registerStatusEffect({
+  id: 'root',
+  seconds: 1.2,
+  maxSeconds: 4,
+  controlWeight: 0.75,
+  visual: { color: 0x65a30d, label: 'Rooted' },
+  modify: (mods) => {
+    mods.canMove = false;
+  },
+});
+
+// Blinded wielders lose the crosshair aim point and fire with `spread` radians of jitter.
+registerStatusEffect({
+  id: 'blind',
+  seconds: 2,
+  maxSeconds: 5,
+  magnitude: 0.2,
+  magnitudeKey: 'spread',
+  maxMagnitude: 0.6,
+  controlWeight: 0.35,
+  visual: { color: 0x334155, label: 'Blinded' },
+  modify: (mods, entry) => {
+    mods.aimSpread = Math.max(mods.aimSpread, entry.magnitude);
+  },
+});
+
+// Launches the target `height` meters up; it cannot steer or act until it lands.
+registerStatusEffect({
+  id: 'knockUp',
+  stacking: 'refresh',
+  seconds: (height) => Math.max(KNOCK_UP_MIN_SECONDS, (2 * Math.sqrt(2 * PLAYER_GRAVITY * height)) / PLAYER_GRAVITY),
+  maxSeconds: 3,
+  magnitude: 2.5,
+  magnitudeKey: 'height',
+  numberSpec: 'magnitude',
+  maxMagnitude: 8,
+  controlWeight: 1,
+  visual: { color: 0xfbbf24, label: 'Airborne' },
+  onApply: (entry, target) => {
+    const launch = Math.sqrt(2 * PLAYER_GRAVITY * entry.magnitude);
+    if (target?.vel) target.vel.y = Math.max(target.vel.y || 0, launch);
+  },
+  modify: (mods) => {
+    mods.canMove = false;
+    mods.canAct = false;
+  },
+});
+
+// The next hit from anyone deals `bonus` extra damage and consumes the mark.
+registerStatusEffect({
+  id: 'mark',
+  stacking: 'refresh',
+  seconds: 5,
+  maxSeconds: 10,
+  magnitude: 15,
+  magnitudeKey: 'bonus',
+  maxMagnitude: 60,
+  visual: { color: 0xef4444, label: 'Marked' },
+  onDamageTaken: (entry, amount) => {
+    entry.remaining = 0;
+    return amount + entry.magnitude;
+  },
+  serialize: (entry) => [round(entry.remaining), round(entry.magnitude), entry.stacks, entry.sourceId],
+  deserialize: ([remaining, magnitude, stacks, sourceId]) => ({
+    remaining: Number(remaining) || 0,
+    magnitude: Number(magnitude) || 0,
+    stacks: Math.max(1, Math.floor(Number(stacks) || 1)),
+    sourceId: typeof sourceId === 'string' ? sourceId : null,
+  }),
+});
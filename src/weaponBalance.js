@@ -1,3 +1,5 @@
+import { getStatusEffect } from './statusEffects.js';
+
 export const DEFAULT_WEAPON_TIER = 2;
 export const DEFAULT_WEAPON_FIRE_MODE = 'instant';
 export const CONTINUOUS_WEAPON_TICK_MS = 100;
@@ -35,6 +37,21 @@ export const WEAPON_FIRE_MODE_LABELS = Object.freeze({
   continuous: 'Continuous',
 });
 
+// Slot roles from pvp_gameplay_notes.md; slot N of every loadout holds WEAPON_SLOT_ROLES[N].
+export const WEAPON_ROLES = Object.freeze(['primary', 'control', 'mobility', 'finisher']);
+export const WEAPON_SLOT_ROLES = WEAPON_ROLES;
+export const DEFAULT_WEAPON_ROLE = 'primary';
+
+export const WEAPON_ROLE_LABELS = Object.freeze({
+  primary: 'Primary',
+  control: 'Control',
+  mobility: 'Mobility',
+  finisher: 'Finisher',
+});
+
+// `warn` installs off-role weapons with a notice, `strict` refuses to forge them, `off` ignores roles.
+export const WEAPON_ROLE_ENFORCEMENT_MODES = Object.freeze(['warn', 'strict', 'off']);
+
 export const FIRE_PROFILE_OVERVIEW = [
   'Instant: T1 0.10s | T2 1.0s | T3 4.0s | T4 20s',
   'Continuous: T1 4.0s/0.25s | T2 3.0s/1.0s | T3 2.0s/4.0s | T4 1.0s/20s',
@@ -53,6 +70,24 @@ export function sanitizeWeaponFireMode(fireMode, fallback = DEFAULT_WEAPON_FIRE_
   return fallback;
 }
 
+export function sanitizeWeaponRole(role, fallback = DEFAULT_WEAPON_ROLE) {
+  const normalized = String(role || '').trim().toLowerCase();
+  return WEAPON_ROLES.includes(normalized) ? normalized : fallback;
+}
+
+export function getWeaponRoleLabel(role) {
+  return WEAPON_ROLE_LABELS[sanitizeWeaponRole(role)];
+}
+
+export function getSlotWeaponRole(slotIndex) {
+  return WEAPON_SLOT_ROLES[slotIndex] || DEFAULT_WEAPON_ROLE;
+}
+
+export function resolveWeaponRoleEnforcement({ search = '' } = {}) {
+  const mode = String(new URLSearchParams(search).get('roles') || '').trim().toLowerCase();
+  return WEAPON_ROLE_ENFORCEMENT_MODES.includes(mode) ? mode : 'warn';
+}
+
 export function getWeaponTierLabel(tier) {
   return WEAPON_TIER_LABELS[sanitizeWeaponTier(tier)] || WEAPON_TIER_LABELS[DEFAULT_WEAPON_TIER];
 }
@@ -98,3 +133,70 @@ export function getWeaponFireProfile(tier, fireMode = DEFAULT_WEAPON_FIRE_MODE)
     tickMs: 0,
   };
 }
+
+// Caps for the ctx.player self abilities and the ally support methods (heal, shield, cleanse, haste), by tier.
+// Each ability also has its own cooldown per owner and target, so a fast tier 1 weapon cannot chain dashes or heals.
+export const PLAYER_ABILITY_LIMITS = Object.freeze({
+  1: Object.freeze({ dashDistance: 4, blinkRange: 6, impulse: 8, shieldHp: 10, shieldSeconds: 2, heal: 5, haste: 1.15, hasteSeconds: 2, cooldownMs: 1500 }),
+  2: Object.freeze({ dashDistance: 7, blinkRange: 10, impulse: 13, shieldHp: 25, shieldSeconds: 3, heal: 12, haste: 1.25, hasteSeconds: 3, cooldownMs: 2500 }),
+  3: Object.freeze({ dashDistance: 10, blinkRange: 16, impulse: 18, shieldHp: 45, shieldSeconds: 4, heal: 25, haste: 1.35, hasteSeconds: 4, cooldownMs: 4000 }),
+  4: Object.freeze({ dashDistance: 14, blinkRange: 24, impulse: 24, shieldHp: 80, shieldSeconds: 5, heal: 45, haste: 1.5, hasteSeconds: 5, cooldownMs: 8000 }),
+});
+
+export function getPlayerAbilityLimits(tier) {
+  return PLAYER_ABILITY_LIMITS[sanitizeWeaponTier(tier)] || PLAYER_ABILITY_LIMITS[DEFAULT_WEAPON_TIER];
+}
+
+// Measured power budgets: the highest power score each tier may carry before it moves up.
+// Instant weapons are scored per activation, continuous weapons per second of channel.
+export const WEAPON_POWER_BUDGETS = Object.freeze({
+  instant: Object.freeze({ 1: 12, 2: 40, 3: 110 }),
+  continuous: Object.freeze({ 1: 12, 2: 30, 3: 60 }),
+});
+
+const CONTROL_POWER_PER_SECOND = 12;
+const DISPLACEMENT_POWER_PER_METER = 1.5;
+
+// Turns a weapon bench report into a single power score (see src/weaponBench.js).
+export function scoreWeaponPower(report, fireMode = DEFAULT_WEAPON_FIRE_MODE) {
+  const resolvedFireMode = sanitizeWeaponFireMode(fireMode);
+  const statuses = report?.statuses || {};
+  // Each status effect declares how much a second of it counts as control (freeze 1, slow 0.5, ...).
+  const controlSeconds = Object.entries(statuses)
+    .reduce((sum, [id, entry]) => sum + (entry?.seconds || 0) * (getStatusEffect(id)?.controlWeight || 0), 0);
+  const displacement = (report?.targets || []).reduce((sum, target) => sum + (target.maxDisplacement || 0), 0);
+  const damage = Number(report?.damage) || 0;
+  const activationScore = damage
+    + controlSeconds * CONTROL_POWER_PER_SECOND
+    + displacement * DISPLACEMENT_POWER_PER_METER;
+  const divisor = resolvedFireMode === 'continuous'
+    ? Math.max(0.1, getContinuousChannelMsForTier(report?.tier) / 1000)
+    : Math.max(1, Number(report?.shots) || 0);
+
+  return {
+    fireMode: resolvedFireMode,
+    damage: Math.round(damage * 10) / 10,
+    area: report?.targetsHit || 0,
+    controlSeconds: Math.round(controlSeconds * 100) / 100,
+    displacement: Math.round(displacement * 100) / 100,
+    score: Math.round((activationScore / divisor) * 10) / 10,
+    conclusive: activationScore > 0 && !(report?.exceptions || []).length,
+  };
+}
+
+export function getMeasuredWeaponTier(power) {
+  const budgets = WEAPON_POWER_BUDGETS[sanitizeWeaponFireMode(power?.fireMode)];
+  const score = Number(power?.score) || 0;
+  for (const tier of [1, 2, 3]) {
+    if (score <= budgets[tier]) return tier;
+  }
+  return 4;
+}
+
+// The measured tier wins, except that it may only undercut the classifier by one tier:
+// persistence and area denial outlast the bench window, so the classifier's read still counts.
+export function reconcileWeaponTier(classifiedTier, power) {
+  const llmTier = sanitizeWeaponTier(classifiedTier);
+  if (!power?.conclusive) return llmTier;
+  return Math.max(getMeasuredWeaponTier(power), llmTier - 1);
+}
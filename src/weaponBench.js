@@ -0,0 +1,337 @@
+import * as THREE from 'three';
+import {
+  fire,
+  getSandboxStats,
+  getWeaponSlot,
+  initSandbox,
+  onWeaponError,
+  releaseFire,
+  resetSandbox,
+  setLocalPlayerId,
+  setWeapon,
+  setWeaponIsolation,
+  updateEntities,
+  updateParticles,
+  updateSandboxTimers,
+  updateTrails,
+} from './sandbox.js';
+import { DEFAULT_WEAPON_FIRE_MODE, DEFAULT_WEAPON_TIER, getWeaponFireProfile } from './weaponBalance.js';
+import { getStatusModifiers, hasStatusEffect, listStatusEffectIds } from './statusEffects.js';
+
+// Headless weapon test bench: runs a weapon body against scripted dummies with no renderer,
+// then reports what it did to them and what it left behind.
+
+const BENCH_PLAYER_ID = 'bench-player';
+const GROUND_Y = 0.6;
+const GRAVITY = 9.81;
+const GROUND_FRICTION = 8;
+const STATUS_KEYS = listStatusEffectIds();
+
+export const DEFAULT_BENCH_TARGETS = Object.freeze([
+  { id: 'dummy-near', position: [0, GROUND_Y, -6] },
+  { id: 'dummy-mid', position: [2.5, GROUND_Y, -11] },
+  { id: 'dummy-far', position: [-3, GROUND_Y, -18] },
+]);
+
+function toVector(value, fallback = [0, 0, 0]) {
+  if (value?.isVector3) return value.clone();
+  if (Array.isArray(value)) return new THREE.Vector3(value[0] || 0, value[1] || 0, value[2] || 0);
+  if (value && typeof value === 'object') return new THREE.Vector3(value.x || 0, value.y || 0, value.z || 0);
+  return new THREE.Vector3(...fallback);
+}
+
+function round(value, decimals = 2) {
+  const scale = 10 ** decimals;
+  return Math.round((Number(value) || 0) * scale) / scale;
+}
+
+function createDummy(spec, index) {
+  const pos = toVector(spec.position, [0, GROUND_Y, -6 - index * 4]);
+  const mesh = new THREE.Object3D();
+  mesh.position.copy(pos);
+  const maxHp = Number(spec.hp) > 0 ? Number(spec.hp) : 100;
+  return {
+    id: spec.id || `dummy-${index + 1}`,
+    teamId: spec.teamId || 'bench-targets',
+    pos,
+    vel: toVector(spec.velocity),
+    mesh,
+    hp: maxHp,
+    maxHp,
+    status: {},
+    spawnPosition: pos.clone(),
+    move: typeof spec.move === 'function' ? spec.move : null,
+  };
+}
+
+function createTargetReport(dummy) {
+  return {
+    id: dummy.id,
+    damage: 0,
+    kills: 0,
+    hpMark: dummy.hp,
+    impulse: 0,
+    maxSpeed: 0,
+    maxDisplacement: 0,
+    statuses: Object.fromEntries(STATUS_KEYS.map((key) => [key, { applications: 0, seconds: 0, active: false }])),
+  };
+}
+
+function readActiveStatuses(dummy) {
+  const s = dummy.status || {};
+  return Object.fromEntries(STATUS_KEYS.map((key) => [key, hasStatusEffect(s, key)]));
+}
+
+function stepDummy(dummy, dt, time) {
+  if (dummy.move) {
+    const scripted = dummy.move(time, dummy);
+    if (scripted) {
+      dummy.vel.x = scripted.x || 0;
+      dummy.vel.z = scripted.z || 0;
+    }
+  }
+  const speedScale = getStatusModifiers(dummy.status).speed;
+  dummy.pos.x += dummy.vel.x * dt * speedScale;
+  dummy.pos.y += dummy.vel.y * dt;
+  dummy.pos.z += dummy.vel.z * dt * speedScale;
+  if (dummy.pos.y > GROUND_Y) {
+    dummy.vel.y -= GRAVITY * dt;
+  } else {
+    dummy.pos.y = GROUND_Y;
+    if (dummy.vel.y < 0) dummy.vel.y = 0;
+    const friction = Math.exp(-GROUND_FRICTION * dt);
+    dummy.vel.x *= friction;
+    dummy.vel.z *= friction;
+  }
+  dummy.mesh.position.copy(dummy.pos);
+}
+
+function summarizeTarget(report) {
+  const statuses = {};
+  for (const key of STATUS_KEYS) {
+    const entry = report.statuses[key];
+    if (!entry.applications) continue;
+    statuses[key] = { applications: entry.applications, seconds: round(entry.seconds) };
+  }
+  return {
+    id: report.id,
+    damage: round(report.damage),
+    kills: report.kills,
+    impulse: round(report.impulse),
+    maxSpeed: round(report.maxSpeed),
+    maxDisplacement: round(report.maxDisplacement),
+    statuses,
+  };
+}
+
+/**
+ * Fires a weapon body at dummy targets and steps the sandbox for a fixed time.
+ * Takes over the sandbox module (scene, combatants, local player), so run it in its own process or worker.
+ * Options: { seconds, dt, holdSeconds, tier, fireMode, targets, aimAt, compileWeapon }
+ * compileWeapon(code) returns the weapon function; locked-down workers pass one that holds the real Function.
+ * Returns { damage, kills, statuses, forces, peak, leaks, exceptions, targets, ... }.
+ */
+export function runWeaponBench(code, opts = {}) {
+  const {
+    seconds = 4,
+    dt = 1 / 60,
+    holdSeconds = null,
+    tier = DEFAULT_WEAPON_TIER,
+    fireMode = DEFAULT_WEAPON_FIRE_MODE,
+    targets = DEFAULT_BENCH_TARGETS,
+    aimAt = 0,
+    compileWeapon = null,
+  } = opts;
+
+  const profile = getWeaponFireProfile(tier, fireMode);
+  const fireWindow = holdSeconds ?? (profile.fireMode === 'continuous' ? profile.channelMs / 1000 : 0);
+  const scene = new THREE.Scene();
+  scene.userData.weaponCollisionMeshes = [];
+  const camera = new THREE.PerspectiveCamera(60, 16 / 9, 0.1, 500);
+  camera.position.set(0, 4, 8);
+  const player = {
+    id: BENCH_PLAYER_ID,
+    pos: new THREE.Vector3(0, GROUND_Y, 0),
+    vel: new THREE.Vector3(),
+    mesh: new THREE.Object3D(),
+  };
+  scene.add(player.mesh);
+  const dummies = targets.map(createDummy);
+  for (const dummy of dummies) scene.add(dummy.mesh);
+  const reports = new Map(dummies.map((dummy) => [dummy, createTargetReport(dummy)]));
+  const aimTarget = dummies[aimAt] || null;
+  const aimPoint = aimTarget ? () => aimTarget.pos.clone() : () => new THREE.Vector3(0, GROUND_Y, -20);
+
+  const exceptions = [];
+  const seenExceptions = new Set();
+  const recordException = (error, source) => {
+    const message = String(error?.message || error);
+    const key = `${source}:${message}`;
+    if (seenExceptions.has(key)) return;
+    seenExceptions.add(key);
+    exceptions.push({ source, name: error?.name || 'Error', message, stack: String(error?.stack || '') });
+  };
+
+  const originalConsoleError = console.error;
+  const stopListening = onWeaponError(({ error }) => recordException(error, 'weapon'));
+  console.error = (...args) => {
+    const error = args.find((arg) => arg instanceof Error || (arg && typeof arg.message === 'string'));
+    if (error) recordException(error, 'callback');
+  };
+
+  setWeaponIsolation(false);
+  setLocalPlayerId(BENCH_PLAYER_ID);
+  initSandbox(scene, camera, player, dummies, () => 0, aimPoint, {
+    getRespawnPosition: (e) => e.spawnPosition?.clone() ?? null,
+    onCombatantEliminated: (e) => {
+      const report = reports.get(e);
+      if (!report) return;
+      report.damage += Math.max(0, report.hpMark);
+      report.kills++;
+      report.hpMark = e.maxHp || 100;
+    },
+  });
+  resetSandbox({ clearWeapons: true });
+  const baselineSceneObjects = scene.children.length;
+
+  const peak = { entities: 0, visuals: 0, lights: 0, trails: 0, particles: 0 };
+  let shots = 0;
+  let time = 0;
+
+  try {
+    const source = String(code || '');
+    let fn = null;
+    try {
+      fn = compileWeapon ? compileWeapon(source) : null;
+    } catch (err) {
+      recordException({ name: err?.name || 'SyntaxError', message: `Compile error: ${err?.message || err}` }, 'compile');
+    }
+    if (fn || !compileWeapon) {
+      setWeapon(fn, 'bench weapon', BENCH_PLAYER_ID, {
+        code: source,
+        slotIndex: 0,
+        tier,
+        fireMode,
+        cooldownMs: profile.cooldownMs,
+      });
+      const slotFault = getWeaponSlot(BENCH_PLAYER_ID, 0)?.fault;
+      if (slotFault) recordException({ name: 'SyntaxError', message: slotFault }, 'compile');
+    }
+
+    const steps = Math.max(1, Math.ceil(seconds / dt));
+    for (let step = 0; step < steps; step++) {
+      for (const dummy of dummies) stepDummy(dummy, dt, time);
+      const before = dummies.map((dummy) => dummy.vel.clone());
+
+      if (time <= fireWindow) {
+        if (fire(null, { ownerId: BENCH_PLAYER_ID })) shots++;
+      } else if (time - dt <= fireWindow) {
+        releaseFire(BENCH_PLAYER_ID);
+      }
+
+      updateEntities(dt);
+      updateSandboxTimers(dt);
+      updateTrails(dt);
+      updateParticles(dt);
+      time += dt;
+
+      dummies.forEach((dummy, index) => {
+        const report = reports.get(dummy);
+        report.impulse += dummy.vel.clone().sub(before[index]).length();
+        report.maxSpeed = Math.max(report.maxSpeed, dummy.vel.length());
+        report.maxDisplacement = Math.max(report.maxDisplacement, dummy.pos.distanceTo(dummy.spawnPosition));
+        report.damage += Math.max(0, report.hpMark - dummy.hp);
+        report.hpMark = dummy.hp;
+
+        const active = readActiveStatuses(dummy);
+        for (const key of STATUS_KEYS) {
+          const entry = report.statuses[key];
+          if (active[key]) {
+            if (!entry.active) entry.applications++;
+            entry.seconds += dt;
+          }
+          entry.active = active[key];
+        }
+      });
+
+      const stats = getSandboxStats();
+      for (const key of Object.keys(peak)) peak[key] = Math.max(peak[key], stats[key]);
+    }
+  } catch (err) {
+    recordException(err, 'bench');
+  } finally {
+    console.error = originalConsoleError;
+    stopListening();
+  }
+
+  // Scorch marks and shockwave rings are engine-owned and expire on their own, so they are not leaks.
+  const { transientEffects, ...leftover } = getSandboxStats();
+  const leaks = {
+    ...leftover,
+    sceneObjects: Math.max(
+      0,
+      scene.children.length - baselineSceneObjects - transientEffects - leftover.entities - leftover.visuals - leftover.lights,
+    ),
+  };
+  resetSandbox({ clearWeapons: true });
+
+  const targetReports = dummies.map((dummy) => summarizeTarget(reports.get(dummy)));
+  const statuses = {};
+  for (const target of targetReports) {
+    for (const [key, entry] of Object.entries(target.statuses)) {
+      statuses[key] ??= { targets: 0, applications: 0, seconds: 0 };
+      statuses[key].targets++;
+      statuses[key].applications += entry.applications;
+      statuses[key].seconds = round(statuses[key].seconds + entry.seconds);
+    }
+  }
+
+  return {
+    seconds: round(time),
+    tier: profile.tier,
+    fireMode: profile.fireMode,
+    shots,
+    damage: round(targetReports.reduce((sum, target) => sum + target.damage, 0)),
+    kills: targetReports.reduce((sum, target) => sum + target.kills, 0),
+    targetsHit: targetReports.filter((target) => target.damage > 0).length,
+    statuses,
+    forces: {
+      impulse: round(targetReports.reduce((sum, target) => sum + target.impulse, 0)),
+      maxSpeed: round(Math.max(0, ...targetReports.map((target) => target.maxSpeed))),
+      maxDisplacement: round(Math.max(0, ...targetReports.map((target) => target.maxDisplacement))),
+    },
+    peak,
+    leaks,
+    leaked: Object.values(leaks).some((count) => count > 0),
+    exceptions,
+    targets: targetReports,
+  };
+}
+
+// Browser entry point: runs the bench in a dedicated worker and resolves with its report.
+// Without Worker it rejects: forged code never runs on the page.
+export function runWeaponBenchInWorker(code, opts = {}, { timeoutMs = 3000 } = {}) {
+  if (typeof Worker !== 'function') {
+    return Promise.reject(new Error('The weapon bench needs Web Workers, which are unavailable here.'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./weaponBenchWorker.js', import.meta.url), { type: 'module' });
+    const finish = (fn, value) => {
+      clearTimeout(timer);
+      worker.terminate();
+      fn(value);
+    };
+    const timer = setTimeout(() => finish(reject, new Error(`Weapon bench timed out after ${timeoutMs}ms.`)), timeoutMs);
+    worker.addEventListener('message', (event) => {
+      const msg = event.data || {};
+      if (msg.ok) finish(resolve, msg.report);
+      else finish(reject, new Error(msg.error?.message || 'Weapon bench failed.'));
+    });
+    worker.addEventListener('error', (event) => {
+      event.preventDefault?.();
+      finish(reject, new Error(event.message || 'Weapon bench failed to start.'));
+    });
+    worker.postMessage({ code: String(code || ''), options: opts });
+  });
+}
@@ -0,0 +1,17 @@
+import { runWeaponBench } from './weaponBench.js';
+import { lockWorkerGlobals } from './weaponRealm/lockdown.js';
+
+// Runs one bench pass per message inside a throwaway worker so the game's sandbox state is untouched.
+// Captured before the lockdown below swaps out every function constructor.
+const TrustedFunction = Function;
+const post = lockWorkerGlobals(self);
+const compileWeapon = (code) => new TrustedFunction('ctx', 'Math', code);
+
+self.addEventListener('message', (event) => {
+  const { code, options } = event.data || {};
+  try {
+    post({ ok: true, report: runWeaponBench(code, { ...options, compileWeapon }) });
+  } catch (err) {
+    post({ ok: false, error: { name: err?.name || 'Error', message: String(err?.message || err) } });
+  }
+});
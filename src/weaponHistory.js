@@ -0,0 +1,94 @@
+// Per-slot version history for forged weapons: every forge, refine, or import is kept as a version,
+// undo/redo walk the list, and an A/B marker lets designers flip between two versions.
+export const MAX_WEAPON_VERSIONS = 30;
+
+let nextVersionId = 1;
+
+export function createWeaponHistory() {
+  return { versions: [], index: -1, compareIndex: null };
+}
+
+export function getCurrentWeaponVersion(history) {
+  return history?.versions[history.index] || null;
+}
+
+export function getCompareWeaponVersion(history) {
+  return history?.compareIndex == null ? null : history.versions[history.compareIndex] || null;
+}
+
+// New versions always go on the end, so stepping back and refining never throws away later versions.
+export function pushWeaponVersion(history, version) {
+  const entry = { ...version, id: nextVersionId++, createdAt: Date.now() };
+  history.versions.push(entry);
+  if (history.versions.length > MAX_WEAPON_VERSIONS) {
+    history.versions.shift();
+    if (history.compareIndex != null) {
+      history.compareIndex = history.compareIndex > 0 ? history.compareIndex - 1 : null;
+    }
+  }
+  history.index = history.versions.length - 1;
+  return entry;
+}
+
+export function replaceCurrentWeaponVersion(history, patch) {
+  const current = getCurrentWeaponVersion(history);
+  if (!current) return null;
+  Object.assign(current, patch);
+  return current;
+}
+
+export function selectWeaponVersion(history, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= history.versions.length) return null;
+  history.index = index;
+  return history.versions[index];
+}
+
+export function stepWeaponVersion(history, delta) {
+  return selectWeaponVersion(history, history.index + delta);
+}
+
+export function markWeaponCompareVersion(history) {
+  history.compareIndex = history.index >= 0 ? history.index : null;
+  return getCompareWeaponVersion(history);
+}
+
+// Switches between the current version and the A marker; the version left behind becomes the new marker.
+export function swapWeaponCompareVersion(history) {
+  if (history.compareIndex == null || history.compareIndex === history.index) return null;
+  const previous = history.index;
+  history.index = history.compareIndex;
+  history.compareIndex = previous;
+  return getCurrentWeaponVersion(history);
+}
+
+// Line diff (longest common subsequence) between two weapon bodies: [{ op: ' ' | '-' | '+', text }].
+export function diffWeaponCode(before, after) {
+  const a = String(before || '').split('\n');
+  const b = String(after || '').split('\n');
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ op: ' ', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      lines.push({ op: '-', text: a[i++] });
+    } else {
+      lines.push({ op: '+', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ op: '-', text: a[i++] });
+  while (j < b.length) lines.push({ op: '+', text: b[j++] });
+  return lines;
+}
@@ -0,0 +1,137 @@
+import { sanitizeWeaponFireMode, sanitizeWeaponRole, sanitizeWeaponTier } from './weaponBalance.js';
+
+// Forged weapons persisted in IndexedDB so they survive reloads and can be re-equipped without another LLM call.
+const LIBRARY_DB_NAME = 'voxel-fight-weapon-library';
+const LIBRARY_DB_VERSION = 1;
+const LIBRARY_STORE = 'weapons';
+const MAX_LIBRARY_TAGS = 12;
+
+let dbPromise = null;
+
+export function isWeaponLibrarySupported() {
+  return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openLibraryDb() {
+  if (!isWeaponLibrarySupported()) {
+    return Promise.reject(new Error('Weapon library needs IndexedDB, which is not available here.'));
+  }
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(LIBRARY_STORE)) {
+          const store = db.createObjectStore(LIBRARY_STORE, { keyPath: 'id' });
+          store.createIndex('createdAt', 'createdAt');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, run) {
+  const db = await openLibraryDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(LIBRARY_STORE, mode);
+    let result;
+    Promise.resolve(run(tx.objectStore(LIBRARY_STORE)))
+      .then((value) => { result = value; })
+      .catch(reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Weapon library transaction aborted.'));
+  });
+}
+
+function createLibraryId() {
+  if (typeof crypto?.randomUUID === 'function') return crypto.randomUUID();
+  return `weapon-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export function normalizeWeaponTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const normalized = [];
+  for (const tag of list) {
+    const clean = String(tag || '').trim().toLowerCase().replace(/\s+/g, '-').slice(0, 24);
+    if (clean && !normalized.includes(clean)) normalized.push(clean);
+    if (normalized.length >= MAX_LIBRARY_TAGS) break;
+  }
+  return normalized;
+}
+
+function normalizeLibraryEntry(entry) {
+  return {
+    id: String(entry.id || createLibraryId()),
+    prompt: String(entry.prompt || '').trim(),
+    code: String(entry.code || ''),
+    tier: sanitizeWeaponTier(entry.tier),
+    fireMode: sanitizeWeaponFireMode(entry.fireMode),
+    role: sanitizeWeaponRole(entry.role, null),
+    model: String(entry.model || ''),
+    generationMs: Number.isFinite(entry.generationMs) ? Math.round(entry.generationMs) : null,
+    createdAt: entry.createdAt || new Date().toISOString(),
+    tags: normalizeWeaponTags(entry.tags),
+    favourite: Boolean(entry.favourite),
+    balance: entry.balance ? { ...entry.balance } : null,
+  };
+}
+
+export async function saveLibraryWeapon(entry) {
+  const normalized = normalizeLibraryEntry(entry);
+  if (!normalized.code) throw new Error('Cannot save a weapon without code.');
+  await withStore('readwrite', (store) => requestToPromise(store.put(normalized)));
+  return normalized;
+}
+
+export function getLibraryWeapon(id) {
+  return withStore('readonly', (store) => requestToPromise(store.get(String(id))));
+}
+
+export async function updateLibraryWeapon(id, patch = {}) {
+  return withStore('readwrite', async (store) => {
+    const existing = await requestToPromise(store.get(String(id)));
+    if (!existing) return null;
+    const updated = normalizeLibraryEntry({ ...existing, ...patch, id: existing.id, createdAt: existing.createdAt });
+    await requestToPromise(store.put(updated));
+    return updated;
+  });
+}
+
+export function deleteLibraryWeapon(id) {
+  return withStore('readwrite', (store) => requestToPromise(store.delete(String(id))));
+}
+
+function matchesLibraryQuery(entry, terms) {
+  return terms.every((term) => {
+    if (term.startsWith('#')) return entry.tags.includes(term.slice(1));
+    return entry.prompt.toLowerCase().includes(term)
+      || entry.tags.some((tag) => tag.includes(term))
+      || entry.fireMode === term
+      || entry.role === term
+      || `t${entry.tier}` === term;
+  });
+}
+
+// Query terms match prompt text, tags, fire mode, role, or `t1`-`t4`; `#tag` requires an exact tag.
+export async function listLibraryWeapons({ query = '', favouritesOnly = false } = {}) {
+  const entries = await withStore('readonly', (store) => requestToPromise(store.getAll()));
+  const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  return entries
+    .map(normalizeLibraryEntry)
+    .filter((entry) => (!favouritesOnly || entry.favourite) && matchesLibraryQuery(entry, terms))
+    .sort((a, b) => (Number(b.favourite) - Number(a.favourite)) || b.createdAt.localeCompare(a.createdAt));
+}
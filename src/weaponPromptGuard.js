@@ -0,0 +1,66 @@
+// Input screening for player weapon requests before they are quoted into the classifier, coder, and refine prompts.
+// Formatting that could fake prompt structure is neutralized; text that addresses the model or the page is rejected.
+
+export const MAX_WEAPON_PROMPT_LENGTH = 600;
+
+const INJECTION_RULES = [
+  {
+    id: 'override_instructions',
+    pattern: /\b(?:ignore|disregard|forget|override|bypass|skip)\b[^.!?\n]{0,30}\b(?:previous|prior|above|earlier|all|your|system|any|these|those)\s+(?:instructions?|rules?|prompts?|constraints?|guidelines?|restrictions?)\b/i,
+    message: 'asks the generator to ignore its rules',
+  },
+  {
+    id: 'role_change',
+    pattern: /\b(?:you are now|from now on you|act as (?:an?|the) (?:ai|assistant|model|developer|system)|pretend (?:to be|you are)|developer mode|jailbreak|system prompt|new instructions?)\b/i,
+    message: 'tries to change the generator\'s role or instructions',
+  },
+  {
+    id: 'output_hijack',
+    pattern: /\b(?:output|print|return|respond with|write)\b[^.!?\n]{0,20}\b(?:the following|this exact|verbatim|exactly this)\b/i,
+    message: 'dictates the generator\'s output',
+  },
+  {
+    id: 'browser_api',
+    // API names only count in code shape (`window.x`, `localStorage[`, `fetch(`), so "out the window." is fine.
+    pattern: /\b(?:window|document|globalThis|localStorage|sessionStorage|indexedDB|navigator|XMLHttpRequest|WebSocket)(?:\.[A-Za-z_$]|\[)|\b(?:fetch|eval|importScripts)\(|\bnew\s+(?:Function|WebSocket|XMLHttpRequest|Worker)\s*\(|\bcookies?\b[^.!?\n]{0,20}\b(?:read|steal|send|grab|dump)|\b(?:read|steal|send|grab|dump)\b[^.!?\n]{0,20}\bcookies?\b|\bapi[\s_-]?keys?\b/i,
+    message: 'asks for page, network, or credential access',
+  },
+];
+
+// Fences, markdown headings, and double quotes are how player text could pose as a new prompt section.
+export function neutralizeWeaponPrompt(text) {
+  return String(text ?? '')
+    .replace(/```[a-z]*[ \t]*(?=\r?\n)/gi, ' ')
+    .replace(/```/g, ' ')
+    .replace(/`/g, '\'')
+    .replace(/"/g, '\'')
+    .replace(/(^|\n)\s*#+\s*/g, '$1')
+    .replace(/[\u0000-\u001f\u007f]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Returns { ok, prompt, flags: [{ id, message }], error }. `prompt` is the neutralized text to send on.
+export function screenWeaponPrompt(text) {
+  const raw = String(text ?? '');
+  const prompt = neutralizeWeaponPrompt(raw);
+  const flags = [];
+  if (prompt !== raw.replace(/\s+/g, ' ').trim()) {
+    flags.push({ id: 'neutralized', message: 'code fences, headings, or quotes were removed' });
+  }
+  if (!prompt) {
+    return { ok: false, prompt, flags, error: 'Describe a weapon first.' };
+  }
+  if (prompt.length > MAX_WEAPON_PROMPT_LENGTH) {
+    flags.push({ id: 'too_long', message: `longer than ${MAX_WEAPON_PROMPT_LENGTH} characters` });
+    return { ok: false, prompt, flags, error: `Keep weapon requests under ${MAX_WEAPON_PROMPT_LENGTH} characters (this one is ${prompt.length}).` };
+  }
+
+  const blocked = INJECTION_RULES.filter((rule) => rule.pattern.test(prompt));
+  flags.push(...blocked.map(({ id, message }) => ({ id, message })));
+  if (blocked.length) {
+    return { ok: false, prompt, flags, error: `Request blocked: it ${blocked[0].message}. Describe the weapon instead.` };
+  }
+  return { ok: true, prompt, flags, error: '' };
+}
+
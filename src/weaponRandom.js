@@ -0,0 +1,55 @@
+// Seeded randomness for forged weapons. Each fire gets its own stream, seeded from the fire
+// event's id (`fireId` on `fire` envelopes). The shooter, the server, and every peer replaying
+// that fire therefore draw the same spread, bounce, and chain picks. Weapon bodies see the
+// stream as ctx.random() / ctx.rng, and `Math.random` inside a weapon body is the same stream.
+
+let fireCounter = 0;
+
+// FNV-1a over the id; never 0, so a seed is always usable.
+export function hashFireSeed(fireId) {
+  const text = String(fireId ?? '');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0) || 1;
+}
+
+// A fire event id that is unique per client: owner, clock, and a local counter.
+export function createFireId(ownerId = '') {
+  fireCounter = (fireCounter + 1) % 0x100000;
+  return `${ownerId}:${Date.now().toString(36)}:${fireCounter.toString(36)}`;
+}
+
+/**
+ * Mulberry32 stream. `random()` is in [0, 1) like Math.random.
+ * Helpers: range(min, max), int(min, max) (inclusive), chance(p), sign(), pick(list).
+ */
+export function createWeaponRng(seed = 1) {
+  const initialSeed = (Number(seed) >>> 0) || 1;
+  let stateValue = initialSeed;
+
+  function random() {
+    stateValue = (stateValue + 0x6d2b79f5) >>> 0;
+    let t = stateValue;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return Object.freeze({
+    seed: initialSeed,
+    random,
+    range: (min = 0, max = 1) => min + (max - min) * random(),
+    int: (min, max) => Math.floor(min + (Math.floor(max) - min + 1) * random()),
+    chance: (p = 0.5) => random() < p,
+    sign: () => (random() < 0.5 ? -1 : 1),
+    pick: (list) => (list?.length ? list[Math.floor(random() * list.length)] : undefined),
+  });
+}
+
+// Stand-in `Math` for a weapon body: everything from Math, with `random` bound to the stream.
+export function createWeaponMath(rng) {
+  return Object.freeze(Object.create(Math, { random: { value: rng.random, enumerable: true } }));
+}
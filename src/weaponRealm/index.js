@@ -0,0 +1,546 @@
+import * as THREE from 'three';
+import {
+  REALM_ALLY_METHODS,
+  REALM_ENEMY_METHODS,
+  REALM_HOST_CALLS,
+  REALM_MESSAGE,
+  REALM_PLAYER_METHODS,
+  packVec3,
+  unpackVec3,
+} from './protocol.js';
+
+// Soft budget for one weapon activation, measured inside the realm.
+export const WEAPON_REALM_CALL_BUDGET_MS = 40;
+// Soft budget for one frame of a realm's callbacks, measured inside the realm.
+export const WEAPON_REALM_TICK_BUDGET_MS = 12;
+// Hard limit: a realm that has not answered by then is terminated.
+export const WEAPON_REALM_TIMEOUT_MS = 250;
+// Consecutive over-budget activations before a slot is disabled.
+export const WEAPON_REALM_MAX_STRIKES = 3;
+const WATCHDOG_MIN_FRAMES = 3;
+
+export function isWeaponRealmSupported() {
+  return typeof Worker === 'function';
+}
+
+function createRealmWorker() {
+  return new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+}
+
+function toRealmError(error) {
+  const err = new Error(error?.message || 'Weapon code failed.');
+  err.name = error?.name || 'Error';
+  err.realmStack = error?.stack || '';
+  return err;
+}
+
+// Inline compile for tooling that turned weapon isolation off and locks its own thread (the bench and
+// co-op workers). With isolation on, the sandbox refuses weapon source instead of calling this.
+// The second argument shadows `Math` with the fire's seeded stream (createWeaponMath).
+export function createInlineWeaponFunction(code) {
+  return new Function('ctx', 'Math', String(code || ''));
+}
+
+// Compiles weapon code inside a throwaway realm without running it.
+export function compileWeaponCode(code, { timeoutMs = 2000 } = {}) {
+  if (!isWeaponRealmSupported()) {
+    return new Promise((resolve) => {
+      createInlineWeaponFunction(code);
+      resolve(true);
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = createRealmWorker();
+    const finish = (fn, value) => {
+      clearTimeout(timer);
+      worker.terminate();
+      fn(value);
+    };
+    const timer = setTimeout(() => finish(reject, new Error('Weapon compile check timed out.')), timeoutMs);
+    worker.addEventListener('message', (event) => {
+      const msg = event.data || {};
+      if (msg.type !== REALM_MESSAGE.CHECKED) return;
+      if (msg.ok) finish(resolve, true);
+      else finish(reject, toRealmError(msg.error));
+    });
+    worker.addEventListener('error', (event) => {
+      event.preventDefault?.();
+      finish(reject, new Error(event.message || 'Weapon realm failed to start.'));
+    });
+    worker.postMessage({ type: REALM_MESSAGE.CHECK, seq: 1, code: String(code || '') });
+  });
+}
+
+/**
+ * Hosts one worker realm per weapon owner and replays their queued commands
+ * against the real sandbox through the runtime adapter:
+ * { buildCtx, describeActor, getWorldSnapshot, getCollisionBoxes, applyPlayerAbility, applyAllySupport, onSlotFault, onSlotError }
+ */
+export function createWeaponRealmHost(runtime) {
+  const realms = new Map();
+  const loader = new THREE.ObjectLoader();
+
+  function parseMirrorObject(realm, json) {
+    const shapes = loader.parseShapes(json.shapes);
+    Object.assign(realm.geometries, loader.parseGeometries(json.geometries, shapes));
+    Object.assign(realm.materials, loader.parseMaterials(json.materials, {}));
+    return loader.parseObject(json.object, realm.geometries, realm.materials, {});
+  }
+
+  function indexNodes(realm, id, object) {
+    const nodes = new Map();
+    object.traverse((node) => nodes.set(node.uuid, node));
+    realm.nodes.set(id, nodes);
+  }
+
+  function send(realm, msg, pending = null) {
+    const seq = ++realm.seq;
+    if (pending) realm.outstanding.set(seq, { ...pending, sentAt: performance.now(), frames: 0 });
+    realm.worker.postMessage({ ...msg, seq });
+    return seq;
+  }
+
+  function startWorker(realm) {
+    const worker = createRealmWorker();
+    realm.worker = worker;
+    worker.addEventListener('message', (event) => {
+      if (realm.worker !== worker) return;
+      handleRealmMessage(realm, event.data || {});
+    });
+    worker.addEventListener('error', (event) => {
+      event.preventDefault?.();
+      console.error('Weapon realm error:', event.message);
+    });
+    worker.postMessage({
+      type: REALM_MESSAGE.INIT,
+      ownerId: realm.ownerId,
+      callBudgetMs: WEAPON_REALM_CALL_BUDGET_MS,
+      tickBudgetMs: WEAPON_REALM_TICK_BUDGET_MS,
+      collisionBoxes: runtime.getCollisionBoxes?.() || [],
+    });
+    for (const [slotIndex, entry] of realm.slots) {
+      worker.postMessage({ type: REALM_MESSAGE.LOAD, slotIndex, code: entry.code, version: entry.version });
+    }
+  }
+
+  function ensureRealm(ownerId) {
+    let realm = realms.get(ownerId);
+    if (realm) return realm;
+    realm = {
+      ownerId,
+      worker: null,
+      seq: 0,
+      version: 0,
+      outstanding: new Map(),
+      tickPending: false,
+      pendingDt: 0,
+      actorState: null,
+      slots: new Map(),
+      strikes: new Map(),
+      activeSlots: [],
+      objects: new Map(),
+      nodes: new Map(),
+      entities: new Map(),
+      trails: new Map(),
+      geometries: {},
+      materials: {},
+      collisions: [],
+    };
+    realms.set(ownerId, realm);
+    startWorker(realm);
+    return realm;
+  }
+
+  function forgetMirror(realm) {
+    realm.objects.clear();
+    realm.nodes.clear();
+    realm.entities.clear();
+    realm.trails.clear();
+    realm.collisions.length = 0;
+    realm.activeSlots = [];
+  }
+
+  function clearMirror(realm) {
+    const ctx = runtime.buildCtx(realm.actorState);
+    for (const [id, record] of realm.objects) {
+      if (record.kind === 'entity') continue;
+      if (record.kind === 'light') ctx.removeLight(record.object);
+      else ctx.removeMesh(record.object);
+      realm.objects.delete(id);
+    }
+    for (const ent of realm.entities.values()) ctx.destroy(ent);
+    for (const trail of realm.trails.values()) trail.startFade();
+    forgetMirror(realm);
+  }
+
+  function faultSlot(realm, slotIndex, reason) {
+    realm.slots.delete(slotIndex);
+    realm.strikes.delete(slotIndex);
+    realm.worker?.postMessage({ type: REALM_MESSAGE.UNLOAD, slotIndex });
+    runtime.onSlotFault?.(realm.ownerId, slotIndex, reason);
+  }
+
+  function killRealm(realm, culprit) {
+    const waitedMs = Math.round(performance.now() - culprit.sentAt);
+    const suspects = culprit.kind === 'invoke' ? [culprit.slotIndex] : realm.activeSlots.slice();
+    realm.worker.terminate();
+    realm.worker = null;
+    clearMirror(realm);
+    realm.outstanding.clear();
+    realm.tickPending = false;
+    realm.pendingDt = 0;
+    for (const slotIndex of suspects) {
+      realm.slots.delete(slotIndex);
+      runtime.onSlotFault?.(realm.ownerId, slotIndex, `Timed out after ${waitedMs}ms`);
+    }
+    startWorker(realm);
+  }
+
+  function applyMirrorCommand(realm, cmd, getCtx, findEnemy) {
+    switch (cmd.op) {
+      case 'add': {
+        const object = parseMirrorObject(realm, cmd.object);
+        const ctx = getCtx();
+        if (cmd.kind === 'light') {
+          if (!ctx.addLight(object)) return;
+        } else {
+          ctx.addObject(object);
+        }
+        realm.objects.set(cmd.id, { object, kind: cmd.kind });
+        indexNodes(realm, cmd.id, object);
+        return;
+      }
+      case 'replace': {
+        const record = realm.objects.get(cmd.id);
+        if (!record) return;
+        const ctx = getCtx();
+        const object = parseMirrorObject(realm, cmd.object);
+        if (record.kind === 'entity') {
+          const ent = realm.entities.get(cmd.id);
+          if (!ent?.alive) return;
+          ctx.scene.remove(ent.mesh);
+          object.position.copy(ent.pos);
+          ctx.scene.add(object);
+          ent.mesh = object;
+        } else if (record.kind === 'light') {
+          ctx.removeLight(record.object);
+          if (!ctx.addLight(object)) {
+            realm.objects.delete(cmd.id);
+            return;
+          }
+        } else {
+          ctx.removeMesh(record.object);
+          ctx.addObject(object);
+        }
+        record.object = object;
+        indexNodes(realm, cmd.id, object);
+        return;
+      }
+      case 'remove': {
+        const record = realm.objects.get(cmd.id);
+        if (!record) return;
+        const ctx = getCtx();
+        if (record.kind === 'light') ctx.removeLight(record.object);
+        else ctx.removeMesh(record.object);
+        realm.objects.delete(cmd.id);
+        realm.nodes.delete(cmd.id);
+        return;
+      }
+      case 'spawn': {
+        const mesh = parseMirrorObject(realm, cmd.object);
+        const opts = cmd.opts || {};
+        const id = cmd.id;
+        const ent = getCtx().spawn(mesh, {
+          position: unpackVec3(THREE, opts.position),
+          velocity: unpackVec3(THREE, opts.velocity),
+          angularVelocity: opts.angularVelocity,
+          gravity: opts.gravity,
+          radius: opts.radius,
+          bounce: opts.bounce,
+          lifetime: opts.lifetime,
+          worldCollision: opts.worldCollision,
+          worldCollisionResponse: opts.worldCollisionResponse,
+          onWorldCollision: opts.collisionHandler
+            ? ({ point, normal }) => {
+              realm.collisions.push({ id, point: packVec3(point), normal: packVec3(normal) });
+            }
+            : null,
+        });
+        realm.entities.set(id, ent);
+        realm.objects.set(id, { object: mesh, kind: 'entity' });
+        indexNodes(realm, id, mesh);
+        return;
+      }
+      case 'entity': {
+        const ent = realm.entities.get(cmd.id);
+        if (!ent) return;
+        if (cmd.destroy) {
+          getCtx().destroy(ent);
+          realm.entities.delete(cmd.id);
+          realm.objects.delete(cmd.id);
+          realm.nodes.delete(cmd.id);
+          return;
+        }
+        if (cmd.pos) {
+          unpackVec3(THREE, cmd.pos, ent.pos);
+          ent.mesh.position.copy(ent.pos);
+        }
+        if (cmd.vel) unpackVec3(THREE, cmd.vel, ent.vel);
+        return;
+      }
+      case 'sync': {
+        const nodes = realm.nodes.get(cmd.id);
+        if (!nodes) return;
+        for (const [uuid, px, py, pz, rx, ry, rz, sx, sy, sz, visible, intensity, color, distance] of cmd.nodes) {
+          const node = nodes.get(uuid);
+          if (!node) continue;
+          if (px != null) node.position.set(px, py, pz);
+          node.rotation.set(rx, ry, rz);
+          node.scale.set(sx, sy, sz);
+          node.visible = visible === 1;
+          if (node.isLight && intensity != null) {
+            node.intensity = intensity;
+            node.color.setHex(color);
+            node.distance = distance;
+          }
+        }
+        return;
+      }
+      case 'materials': {
+        for (const [uuid, color, opacity, transparent, emissive, emissiveIntensity, visible] of cmd.materials) {
+          const material = realm.materials[uuid];
+          if (!material) continue;
+          if (color != null && material.color) material.color.setHex(color);
+          material.opacity = opacity;
+          material.transparent = transparent === 1;
+          if (emissive != null && material.emissive) material.emissive.setHex(emissive);
+          if ('emissiveIntensity' in material) material.emissiveIntensity = emissiveIntensity;
+          material.visible = visible === 1;
+        }
+        return;
+      }
+      case 'trail': {
+        if (cmd.action === 'create') {
+          realm.trails.set(cmd.id, getCtx().createTrail(cmd.opts || {}));
+          return;
+        }
+        const trail = realm.trails.get(cmd.id);
+        if (!trail) return;
+        if (cmd.action === 'update') trail.update(unpackVec3(THREE, cmd.point));
+        else if (cmd.action === 'fade') trail.startFade();
+        else if (cmd.action === 'destroy') {
+          trail.destroy();
+          realm.trails.delete(cmd.id);
+        }
+        return;
+      }
+      case 'call': {
+        if (!REALM_HOST_CALLS.includes(cmd.name)) return;
+        getCtx()[cmd.name](...(Array.isArray(cmd.args) ? cmd.args : []));
+        return;
+      }
+      case 'player': {
+        if (!REALM_PLAYER_METHODS.includes(cmd.method)) return;
+        runtime.applyPlayerAbility?.(realm.ownerId, cmd.slotIndex ?? null, realm.actorState, cmd.method, Array.isArray(cmd.args) ? cmd.args : []);
+        return;
+      }
+      case 'ally': {
+        if (!REALM_ALLY_METHODS.includes(cmd.method)) return;
+        runtime.applyAllySupport?.(realm.ownerId, cmd.slotIndex ?? null, realm.actorState, cmd.id, cmd.method, Array.isArray(cmd.args) ? cmd.args : []);
+        return;
+      }
+      case 'enemy': {
+        if (!REALM_ENEMY_METHODS.includes(cmd.method)) return;
+        const target = findEnemy(cmd.id);
+        if (target) target[cmd.method](...(Array.isArray(cmd.args) ? cmd.args : []));
+        return;
+      }
+      case 'error': {
+        console.error('Weapon error:', cmd.error?.message);
+        runtime.onSlotError?.(realm.ownerId, cmd.slotIndex ?? null, cmd.error);
+        return;
+      }
+      default:
+        return;
+    }
+  }
+
+  function applyMirrorCommands(realm, commands) {
+    if (!Array.isArray(commands) || !commands.length) return;
+    let ctx = null;
+    let enemies = null;
+    let allies = null;
+    const getCtx = () => {
+      if (!ctx) ctx = runtime.buildCtx(realm.actorState);
+      return ctx;
+    };
+    const findEnemy = (id) => {
+      if (!enemies) enemies = getCtx().getEnemies();
+      const enemy = enemies.find((e) => e.id === id);
+      if (enemy) return enemy;
+      // Friendly fire: the ally wrapper drops the call unless the room allows it.
+      if (!allies) allies = getCtx().getAllies({ includeSelf: true });
+      return allies.find((ally) => ally.id === id) || null;
+    };
+    for (const cmd of commands) {
+      try {
+        applyMirrorCommand(realm, cmd, getCtx, findEnemy);
+      } catch (err) {
+        console.error(`Weapon realm command "${cmd?.op}" failed:`, err);
+      }
+    }
+  }
+
+  function handleRealmMessage(realm, msg) {
+    if (msg.type === REALM_MESSAGE.LOADED) {
+      const entry = realm.slots.get(msg.slotIndex);
+      if (!msg.ok && entry?.version === msg.version) {
+        faultSlot(realm, msg.slotIndex, `Compile error: ${msg.error?.message || 'unknown'}`);
+      }
+      return;
+    }
+    if (msg.type !== REALM_MESSAGE.FLUSH) return;
+
+    const pending = realm.outstanding.get(msg.seq);
+    realm.outstanding.delete(msg.seq);
+    if (pending?.kind === 'tick') realm.tickPending = false;
+    realm.activeSlots = Array.isArray(msg.activeSlots) ? msg.activeSlots : [];
+    applyMirrorCommands(realm, msg.commands);
+
+    if (pending?.kind !== 'invoke') {
+      if (msg.overBudget) {
+        console.warn(`Weapon realm ${realm.ownerId} frame took ${msg.durationMs.toFixed(1)}ms`);
+      }
+      return;
+    }
+
+    if (!msg.ok && msg.error) {
+      runtime.onSlotError?.(realm.ownerId, msg.slotIndex, msg.error);
+    }
+    if (msg.overBudget) {
+      const strikes = (realm.strikes.get(msg.slotIndex) || 0) + 1;
+      realm.strikes.set(msg.slotIndex, strikes);
+      console.warn(`Weapon slot ${msg.slotIndex + 1} took ${msg.durationMs.toFixed(1)}ms (strike ${strikes}/${WEAPON_REALM_MAX_STRIKES})`);
+      if (strikes >= WEAPON_REALM_MAX_STRIKES) {
+        faultSlot(realm, msg.slotIndex, `Exceeded ${WEAPON_REALM_CALL_BUDGET_MS}ms budget ${strikes} times`);
+      }
+    } else {
+      realm.strikes.delete(msg.slotIndex);
+    }
+  }
+
+  function packEntities(realm) {
+    const out = [];
+    for (const [id, ent] of realm.entities) {
+      out.push([id, ...packVec3(ent.pos), ...packVec3(ent.vel), ent.age, ent.alive ? 1 : 0]);
+      if (!ent.alive) {
+        realm.entities.delete(id);
+        realm.objects.delete(id);
+        realm.nodes.delete(id);
+      }
+    }
+    return out;
+  }
+
+  function buildWorld(realm) {
+    return {
+      ...runtime.getWorldSnapshot(realm.ownerId, realm.actorState),
+      entities: packEntities(realm),
+    };
+  }
+
+  function checkWatchdog(realm, time) {
+    for (const pending of realm.outstanding.values()) {
+      pending.frames++;
+      if (pending.frames >= WATCHDOG_MIN_FRAMES && time - pending.sentAt > WEAPON_REALM_TIMEOUT_MS) {
+        killRealm(realm, pending);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  return {
+    loadSlot(ownerId, slotIndex, code) {
+      const realm = ensureRealm(ownerId);
+      const version = ++realm.version;
+      realm.slots.set(slotIndex, { code, version });
+      realm.strikes.delete(slotIndex);
+      realm.worker.postMessage({ type: REALM_MESSAGE.LOAD, slotIndex, code, version });
+    },
+
+    unloadSlot(ownerId, slotIndex) {
+      const realm = realms.get(ownerId);
+      if (!realm?.slots.has(slotIndex)) return;
+      realm.slots.delete(slotIndex);
+      realm.worker.postMessage({ type: REALM_MESSAGE.UNLOAD, slotIndex });
+    },
+
+    invoke(ownerId, slotIndex, actorState = null, seed = null) {
+      const realm = realms.get(ownerId);
+      if (!realm?.slots.has(slotIndex)) return false;
+      realm.actorState = actorState;
+      send(realm, {
+        type: REALM_MESSAGE.INVOKE,
+        slotIndex,
+        actor: runtime.describeActor(actorState),
+        seed,
+        world: buildWorld(realm),
+      }, { kind: 'invoke', slotIndex });
+      return true;
+    },
+
+    tick(dt) {
+      const time = performance.now();
+      for (const realm of realms.values()) {
+        if (checkWatchdog(realm, time)) continue;
+        realm.pendingDt += dt;
+        if (realm.tickPending) continue;
+        if (!realm.activeSlots.length && !realm.entities.size) {
+          realm.pendingDt = 0;
+          continue;
+        }
+        realm.tickPending = true;
+        send(realm, {
+          type: REALM_MESSAGE.TICK,
+          dt: realm.pendingDt,
+          world: buildWorld(realm),
+          collisions: realm.collisions.splice(0),
+        }, { kind: 'tick' });
+        realm.pendingDt = 0;
+      }
+    },
+
+    reset() {
+      for (const realm of realms.values()) {
+        forgetMirror(realm);
+        realm.worker?.postMessage({ type: REALM_MESSAGE.RESET });
+      }
+    },
+
+    destroyOwner(ownerId) {
+      const realm = realms.get(ownerId);
+      if (!realm) return;
+      realm.worker?.terminate();
+      realms.delete(ownerId);
+    },
+
+    destroyAll() {
+      for (const realm of realms.values()) realm.worker?.terminate();
+      realms.clear();
+    },
+
+    getDebugState() {
+      return Array.from(realms.values()).map((realm) => ({
+        ownerId: realm.ownerId,
+        slots: Array.from(realm.slots.keys()),
+        activeSlots: realm.activeSlots.slice(),
+        outstanding: realm.outstanding.size,
+        objects: realm.objects.size,
+        entities: realm.entities.size,
+        trails: realm.trails.size,
+      }));
+    },
+  };
+}
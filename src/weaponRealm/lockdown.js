@@ -0,0 +1,66 @@
+// Globals removed from worker scopes that execute forged weapon code.
+export const LOCKED_WORKER_GLOBALS = Object.freeze([
+  'fetch',
+  'XMLHttpRequest',
+  'WebSocket',
+  'EventSource',
+  'importScripts',
+  'indexedDB',
+  'caches',
+  'BroadcastChannel',
+  'Worker',
+  'SharedWorker',
+  'WebTransport',
+  'RTCPeerConnection',
+  'setTimeout',
+  'setInterval',
+  'postMessage',
+  'close',
+]);
+
+// Served on every worker script that runs weapon code: no network, and modules only from the app origin.
+// 'unsafe-eval' stays because those workers compile weapon bodies with Function.
+export const REALM_WORKER_CSP = "script-src 'self' 'unsafe-eval'; connect-src 'none'";
+
+// Dev URLs of the realm and bench worker modules, or their hashed chunks in a build.
+export function isRealmWorkerPath(urlPath = '') {
+  const pathname = String(urlPath).split('?')[0];
+  return pathname.endsWith('/weaponRealm/worker.js')
+    || pathname.endsWith('/weaponBenchWorker.js')
+    || /^\/assets\/(?:worker|weaponBenchWorker)-[\w-]+\.js$/.test(pathname);
+}
+
+function refuseCodeGeneration() {
+  throw new EvalError('Code generation is not available to weapon code.');
+}
+
+// Every function kind reaches its constructor through its prototype (`f.constructor`),
+// so those are replaced along with the global Function and eval. The caller must grab
+// the real Function before this runs if it still needs to compile anything.
+export function lockFunctionConstructors(scope = self) {
+  refuseCodeGeneration.prototype = Function.prototype;
+  const prototypes = [function () {}, async function () {}, function* () {}, async function* () {}]
+    .map((fn) => Object.getPrototypeOf(fn));
+  for (const proto of prototypes) {
+    try {
+      Object.defineProperty(proto, 'constructor', { value: refuseCodeGeneration, writable: false, configurable: false });
+    } catch (err) {}
+  }
+  for (const name of ['Function', 'eval']) {
+    try {
+      Object.defineProperty(scope, name, { value: refuseCodeGeneration, writable: false, configurable: false });
+    } catch (err) {}
+  }
+}
+
+// Locks the worker scope and returns a private postMessage for the trusted side of the worker.
+export function lockWorkerGlobals(scope = self) {
+  const post = scope.postMessage.bind(scope);
+  lockFunctionConstructors(scope);
+  for (const name of LOCKED_WORKER_GLOBALS) {
+    try {
+      Object.defineProperty(scope, name, { value: undefined, writable: false, configurable: false });
+    } catch (err) {}
+  }
+  return post;
+}
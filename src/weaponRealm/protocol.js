@@ -0,0 +1,102 @@
+export const REALM_MESSAGE = Object.freeze({
+  INIT: 'init',
+  LOAD: 'load',
+  UNLOAD: 'unload',
+  INVOKE: 'invoke',
+  TICK: 'tick',
+  RESET: 'reset',
+  CHECK: 'check',
+  READY: 'ready',
+  LOADED: 'loaded',
+  CHECKED: 'checked',
+  FLUSH: 'flush',
+});
+
+// Enemy wrapper methods a realm may ask the host to replay on a real combatant.
+export const REALM_ENEMY_METHODS = Object.freeze([
+  'takeDamage',
+  'applyForce',
+  'setVelocity',
+  'dampVelocity',
+  'freeze',
+  'stun',
+  'slow',
+  'ignite',
+  'applyEffect',
+]);
+
+// ctx.player self abilities; the host clamps them by tier and applies them only for the owning player.
+export const REALM_PLAYER_METHODS = Object.freeze([
+  'dash',
+  'blink',
+  'applyImpulse',
+  'addShield',
+  'heal',
+]);
+
+// Support methods on ctx.getAllies() wrappers; the host clamps them by tier and applies them on the authority.
+export const REALM_ALLY_METHODS = Object.freeze([
+  'heal',
+  'cleanse',
+  'shield',
+  'haste',
+]);
+
+// ctx helpers that only make sense on the host (they touch pooled effects or real combatants).
+export const REALM_HOST_CALLS = Object.freeze([
+  'burstParticles',
+  'explode',
+  'applyRadialForce',
+  'shake',
+]);
+
+const MAX_PACK_DEPTH = 5;
+
+export function roundRealmNumber(value, decimals = 4) {
+  const scale = 10 ** decimals;
+  return Math.round((Number(value) || 0) * scale) / scale;
+}
+
+export function packVec3(v) {
+  if (!v) return null;
+  return [roundRealmNumber(v.x), roundRealmNumber(v.y), roundRealmNumber(v.z)];
+}
+
+export function unpackVec3(THREE, packed, target = new THREE.Vector3()) {
+  if (!Array.isArray(packed)) return target.set(0, 0, 0);
+  return target.set(packed[0] || 0, packed[1] || 0, packed[2] || 0);
+}
+
+// Converts weapon-side arguments into structured-clone friendly data.
+// Vectors become {x,y,z}, colors become hex numbers, functions and scene objects are dropped.
+export function packValue(value, depth = 0) {
+  if (value == null) return value;
+  const type = typeof value;
+  if (type === 'number') return Number.isFinite(value) ? value : 0;
+  if (type === 'string' || type === 'boolean') return value;
+  if (type !== 'object' || depth > MAX_PACK_DEPTH) return undefined;
+  if (value.isVector3 || value.isVector2) {
+    return value.isVector3 ? { x: value.x, y: value.y, z: value.z } : { x: value.x, y: value.y };
+  }
+  if (value.isColor) return value.getHex();
+  if (value.isQuaternion) return { x: value.x, y: value.y, z: value.z, w: value.w };
+  if (value.isEuler) return { x: value.x, y: value.y, z: value.z };
+  if (value.isObject3D || value.isMaterial || value.isBufferGeometry) return undefined;
+  if (Array.isArray(value)) return value.map((item) => packValue(item, depth + 1));
+
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    const packed = packValue(item, depth + 1);
+    if (packed !== undefined) out[key] = packed;
+  }
+  return out;
+}
+
+export function describeRealmError(err) {
+  if (!err) return { name: 'Error', message: 'Unknown weapon error', stack: '' };
+  return {
+    name: String(err.name || 'Error'),
+    message: String(err.message || err),
+    stack: typeof err.stack === 'string' ? err.stack : '',
+  };
+}
@@ -0,0 +1,873 @@
+import { getCompatThree } from '../compatThree.js';
+import { createWeaponSdk } from '../weaponSdk/index.js';
+import {
+  applySerializedStatusEffects,
+  applyStatusEffect,
+  describeStatusEffect,
+  getStatusEffect,
+} from '../statusEffects.js';
+import { rollCrit } from '../damagePipeline.js';
+import { createWeaponMath, createWeaponRng } from '../weaponRandom.js';
+import { lockWorkerGlobals } from './lockdown.js';
+import {
+  REALM_ENEMY_METHODS,
+  REALM_MESSAGE,
+  describeRealmError,
+  packValue,
+  packVec3,
+  roundRealmNumber,
+  unpackVec3,
+} from './protocol.js';
+
+// Forged weapon bodies run here, in a dedicated worker with no DOM and no network.
+// Everything they do to the match is queued as a narrow command list and replayed by the host.
+
+// Captured before the lockdown below swaps out every function constructor.
+const TrustedFunction = Function;
+const post = lockWorkerGlobals(self);
+const now = () => performance.now();
+
+const SHADOWED_NAMES = ['self', 'globalThis', 'window', 'document', 'location', 'navigator'];
+const THREE = getCompatThree();
+const _ray = new THREE.Ray();
+const _box = new THREE.Box3();
+const _hitPoint = new THREE.Vector3();
+
+const state = {
+  ownerId: null,
+  callBudgetMs: 40,
+  tickBudgetMs: 12,
+  elapsed: 0,
+  friendlyFire: false,
+  combatants: new Map(),
+  combatantMeshes: new Map(),
+  collisionBoxes: [],
+  slots: new Map(),
+  cbs: [],
+  timers: [],
+  intervals: [],
+  entities: new Map(),
+  tracked: new Map(),
+  objectIds: new WeakMap(),
+  materialStates: new Map(),
+  sentGeometries: new Set(),
+  sentMaterials: new Set(),
+  commands: [],
+  nextId: 1,
+  currentSlot: null,
+};
+
+function compileWeaponBody(code) {
+  const source = String(code || '');
+  // `Math` is a parameter so the body's Math.random is the fire's seeded stream.
+  const factory = new TrustedFunction(...SHADOWED_NAMES, `return function weapon(ctx, Math) {\n${source}\n};`);
+  return factory();
+}
+
+function queueCommand(command) {
+  state.commands.push(command);
+}
+
+// Self abilities are clamped and applied by the host, so the realm can only report them as queued.
+function queuePlayerAbility(method, args) {
+  queueCommand({ op: 'player', slotIndex: state.currentSlot, method, args: packValue(args) });
+  return true;
+}
+
+function toVec3(v) {
+  if (v?.isVector3) return v.clone();
+  if (Array.isArray(v)) return unpackVec3(THREE, v);
+  return new THREE.Vector3(v?.x || 0, v?.y || 0, v?.z || 0);
+}
+
+// ── Scene mirror ──
+function nextObjectId() {
+  return `${state.ownerId || 'realm'}:${state.nextId++}`;
+}
+
+function getStructureKey(object) {
+  const uuids = [];
+  object.traverse((node) => {
+    uuids.push(node.uuid, node.geometry?.uuid || '', Array.isArray(node.material)
+      ? node.material.map((m) => m.uuid).join(',')
+      : node.material?.uuid || '');
+  });
+  return uuids.join('|');
+}
+
+function serializeObject(object) {
+  const json = object.toJSON();
+  json.geometries = (json.geometries || []).filter((g) => !state.sentGeometries.has(g.uuid));
+  json.materials = (json.materials || []).filter((m) => !state.sentMaterials.has(m.uuid));
+  for (const g of json.geometries) state.sentGeometries.add(g.uuid);
+  for (const m of json.materials) state.sentMaterials.add(m.uuid);
+  delete json.textures;
+  delete json.images;
+  return json;
+}
+
+function trackObject(object, kind) {
+  const existing = state.objectIds.get(object);
+  if (existing && state.tracked.has(existing)) return state.tracked.get(existing);
+  const record = {
+    id: nextObjectId(),
+    object,
+    kind,
+    structure: getStructureKey(object),
+    nodeStates: new Map(),
+  };
+  state.objectIds.set(object, record.id);
+  state.tracked.set(record.id, record);
+  object.traverse((node) => record.nodeStates.set(node.uuid, readNodeState(node, record, node === object)));
+  return record;
+}
+
+function untrackObject(object) {
+  const id = state.objectIds.get(object);
+  if (!id) return null;
+  const record = state.tracked.get(id) || null;
+  state.tracked.delete(id);
+  state.objectIds.delete(object);
+  return record;
+}
+
+function readNodeState(node, record, isRoot) {
+  const skipPosition = isRoot && record.kind === 'entity';
+  const values = [
+    skipPosition ? null : roundRealmNumber(node.position.x),
+    skipPosition ? null : roundRealmNumber(node.position.y),
+    skipPosition ? null : roundRealmNumber(node.position.z),
+    roundRealmNumber(node.rotation.x),
+    roundRealmNumber(node.rotation.y),
+    roundRealmNumber(node.rotation.z),
+    roundRealmNumber(node.scale.x),
+    roundRealmNumber(node.scale.y),
+    roundRealmNumber(node.scale.z),
+    node.visible ? 1 : 0,
+  ];
+  if (node.isLight) {
+    values.push(roundRealmNumber(node.intensity), node.color.getHex(), roundRealmNumber(node.distance ?? 0));
+  }
+  return values;
+}
+
+function readMaterialState(material) {
+  return [
+    material.color?.isColor ? material.color.getHex() : null,
+    roundRealmNumber(material.opacity ?? 1),
+    material.transparent ? 1 : 0,
+    material.emissive?.isColor ? material.emissive.getHex() : null,
+    roundRealmNumber(material.emissiveIntensity ?? 1),
+    material.visible === false ? 0 : 1,
+  ];
+}
+
+function sameState(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+function syncTrackedObjects() {
+  const materials = new Map();
+
+  for (const record of state.tracked.values()) {
+    const { object } = record;
+    const structure = getStructureKey(object);
+    if (structure !== record.structure) {
+      record.structure = structure;
+      record.nodeStates.clear();
+      object.traverse((node) => record.nodeStates.set(node.uuid, readNodeState(node, record, node === object)));
+      queueCommand({ op: 'replace', id: record.id, object: serializeObject(object) });
+      continue;
+    }
+
+    const nodes = [];
+    object.traverse((node) => {
+      const next = readNodeState(node, record, node === object);
+      if (!sameState(next, record.nodeStates.get(node.uuid))) {
+        record.nodeStates.set(node.uuid, next);
+        nodes.push([node.uuid, ...next]);
+      }
+      const nodeMaterials = Array.isArray(node.material) ? node.material : (node.material ? [node.material] : []);
+      for (const material of nodeMaterials) materials.set(material.uuid, material);
+    });
+    if (nodes.length) queueCommand({ op: 'sync', id: record.id, nodes });
+  }
+
+  const changedMaterials = [];
+  for (const [uuid, material] of materials) {
+    const next = readMaterialState(material);
+    if (!state.materialStates.has(uuid)) {
+      state.materialStates.set(uuid, next);
+      continue;
+    }
+    if (!sameState(next, state.materialStates.get(uuid))) {
+      state.materialStates.set(uuid, next);
+      changedMaterials.push([uuid, ...next]);
+    }
+  }
+  if (changedMaterials.length) queueCommand({ op: 'materials', materials: changedMaterials });
+}
+
+function addMirroredObject(object) {
+  if (!object?.isObject3D) return object;
+  if (state.objectIds.has(object)) return object;
+  const record = trackObject(object, object.isLight ? 'light' : 'visual');
+  queueCommand({ op: 'add', id: record.id, kind: record.kind, object: serializeObject(object) });
+  return object;
+}
+
+function removeMirroredObject(object) {
+  const record = untrackObject(object);
+  if (!record) return;
+  if (record.kind === 'entity') {
+    const ent = state.entities.get(record.id);
+    if (ent) ent.alive = false;
+    state.entities.delete(record.id);
+    queueCommand({ op: 'entity', id: record.id, destroy: true });
+    return;
+  }
+  queueCommand({ op: 'remove', id: record.id });
+}
+
+// Stand-in for ctx.scene: adds and removals are mirrored, everything else is a plain Scene.
+const mirrorScene = new THREE.Scene();
+mirrorScene.add = (...objects) => {
+  objects.forEach(addMirroredObject);
+  return mirrorScene;
+};
+mirrorScene.remove = (...objects) => {
+  objects.forEach(removeMirroredObject);
+  return mirrorScene;
+};
+
+// ── World snapshot ──
+function applyWorld(world) {
+  if (!world) return;
+  if (Number.isFinite(world.elapsed)) state.elapsed = world.elapsed;
+  if (typeof world.friendlyFire === 'boolean') state.friendlyFire = world.friendlyFire;
+  if (Array.isArray(world.combatants)) {
+    const seen = new Set();
+    for (const c of world.combatants) {
+      seen.add(c.id);
+      const record = state.combatants.get(c.id) || {
+        id: c.id,
+        pos: new THREE.Vector3(),
+        vel: new THREE.Vector3(),
+        status: {},
+      };
+      record.teamId = c.teamId ?? null;
+      record.relation = c.relation || 'enemy';
+      record.hp = Number(c.hp) || 0;
+      record.maxHp = Number(c.maxHp) || 100;
+      record.defense = c.defense || { armor: 0, resistances: {}, damageReduction: 0, shieldHp: 0 };
+      unpackVec3(THREE, c.pos, record.pos);
+      unpackVec3(THREE, c.vel, record.vel);
+      const { effects, ...flatStatus } = c.status || {};
+      record.status = flatStatus;
+      applySerializedStatusEffects(record.status, effects);
+      state.combatants.set(c.id, record);
+    }
+    for (const id of state.combatants.keys()) {
+      if (!seen.has(id)) {
+        state.combatants.delete(id);
+        state.combatantMeshes.delete(id);
+      }
+    }
+  }
+  if (Array.isArray(world.entities)) {
+    for (const [id, px, py, pz, vx, vy, vz, age, alive] of world.entities) {
+      const ent = state.entities.get(id);
+      if (!ent) continue;
+      if (!alive) {
+        ent.alive = false;
+        state.entities.delete(id);
+        untrackObject(ent.mesh);
+        continue;
+      }
+      ent.pos.set(px, py, pz);
+      ent.vel.set(vx, vy, vz);
+      ent.age = age;
+      ent.mesh.position.copy(ent.pos);
+    }
+  }
+}
+
+function getCombatantMesh(record) {
+  let mesh = state.combatantMeshes.get(record.id);
+  if (!mesh) {
+    mesh = new THREE.Object3D();
+    state.combatantMeshes.set(record.id, mesh);
+  }
+  mesh.position.copy(record.pos);
+  return mesh;
+}
+
+function getOpposingRecords() {
+  return Array.from(state.combatants.values())
+    .filter((record) => record.relation === 'enemy' && record.hp > 0);
+}
+
+function getAlliedRecords({ includeSelf = false } = {}) {
+  return Array.from(state.combatants.values())
+    .filter((record) => (record.relation === 'ally' || (includeSelf && record.relation === 'self')) && record.hp > 0);
+}
+
+function wrapCombatant(record, rng) {
+  const s = record.status;
+  const send = (method, args) => queueCommand({ op: 'enemy', id: record.id, method, args: packValue(args) });
+  return {
+    id: record.id,
+    teamId: record.teamId,
+    position: record.pos.clone(),
+    mesh: getCombatantMesh(record),
+    hp: record.hp,
+    velocity: record.vel.clone(),
+    defense: { ...record.defense, resistances: { ...record.defense?.resistances } },
+    // Resistances and armor are resolved on the host; the local hp is only an estimate.
+    // The crit is rolled here, from the fire's stream, and sent as a decided flag.
+    takeDamage: (amt, opts = {}) => {
+      const dmg = Number(amt);
+      if (!Number.isFinite(dmg) || dmg <= 0 || record.hp <= 0) return 0;
+      record.hp = Math.max(0, record.hp - dmg);
+      send('takeDamage', [dmg, { ...opts, crit: rollCrit(opts || {}, rng.random), critChance: 0 }]);
+      return dmg;
+    },
+    applyForce: (f) => {
+      record.vel.x += (f?.x || 0);
+      record.vel.y += (f?.y || 0);
+      record.vel.z += (f?.z || 0);
+      send('applyForce', [f]);
+      return record.vel.clone();
+    },
+    setVelocity: (v) => {
+      record.vel.set(v?.x || 0, v?.y || 0, v?.z || 0);
+      send('setVelocity', [v]);
+      return record.vel.clone();
+    },
+    dampVelocity: (multiplier = 0.8, opts = {}) => {
+      const m = THREE.MathUtils.clamp(multiplier, 0, 1);
+      record.vel.x *= m;
+      if (opts.includeY) record.vel.y *= m;
+      record.vel.z *= m;
+      send('dampVelocity', [multiplier, opts]);
+      return record.vel.clone();
+    },
+    freeze: (seconds = 0.75, opts = {}) => {
+      applyStatusEffect(s, 'freeze', { seconds: Math.max(0, seconds || 0) }, record);
+      if (opts.zeroVelocity !== false) record.vel.set(0, 0, 0);
+      send('freeze', [seconds, opts]);
+      return s.freeze;
+    },
+    stun: (seconds = 0.4) => {
+      applyStatusEffect(s, 'stun', { seconds: Math.max(0, seconds || 0) }, record);
+      send('stun', [seconds]);
+      return s.stun;
+    },
+    slow: (multiplier = 0.35, seconds = 1.2) => {
+      applyStatusEffect(s, 'slow', { multiplier, seconds: Math.max(0, seconds || 0) }, record);
+      send('slow', [multiplier, seconds]);
+      return { multiplier: s.slowMult, remaining: s.slowTime };
+    },
+    ignite: (opts = {}) => {
+      applyStatusEffect(s, 'burn', {
+        dps: Math.max(0, opts.dps ?? 8),
+        seconds: Math.max(0, opts.duration ?? 1.2),
+        tick: Math.max(0.05, opts.tick ?? 0.15),
+      }, record);
+      send('ignite', [opts]);
+      return { dps: s.burnDps, remaining: s.burnTime };
+    },
+    applyEffect: (id, opts = {}) => {
+      if (!getStatusEffect(id)) return null;
+      applyStatusEffect(s, id, opts || {}, record);
+      send('applyEffect', [id, opts]);
+      return describeStatusEffect(s, id);
+    },
+    distanceTo: (point) => record.pos.distanceTo(toVec3(point)),
+  };
+}
+
+// Harmful calls on allies are dropped here unless the room has friendly fire on; the host checks again.
+function wrapAlly(record, rng) {
+  const s = record.status;
+  const wrapped = wrapCombatant(record, rng);
+  const queueSupport = (method, args) => {
+    queueCommand({ op: 'ally', slotIndex: state.currentSlot, id: record.id, method, args: packValue(args) });
+    return true;
+  };
+  if (!state.friendlyFire) {
+    const { applyEffect } = wrapped;
+    const blocked = {
+      takeDamage: () => 0,
+      applyForce: () => record.vel.clone(),
+      setVelocity: () => record.vel.clone(),
+      dampVelocity: () => record.vel.clone(),
+      freeze: () => s.freeze || 0,
+      stun: () => s.stun || 0,
+      slow: () => ({ multiplier: s.slowMult ?? 1, remaining: s.slowTime || 0 }),
+      ignite: () => ({ dps: s.burnDps || 0, remaining: s.burnTime || 0 }),
+      applyEffect: (id, opts) => (getStatusEffect(id)?.harmful === false
+        ? applyEffect(id, opts)
+        : describeStatusEffect(s, id)),
+    };
+    for (const method of REALM_ENEMY_METHODS) wrapped[method] = blocked[method];
+  }
+  return {
+    ...wrapped,
+    maxHp: record.maxHp,
+    isSelf: record.relation === 'self',
+    harmable: state.friendlyFire,
+    heal: (amt) => queueSupport('heal', [amt]),
+    cleanse: () => queueSupport('cleanse', []),
+    shield: (hp, seconds) => queueSupport('shield', [hp, seconds]),
+    haste: (multiplier, seconds) => queueSupport('haste', [multiplier, seconds]),
+  };
+}
+
+function raycastCollisionBoxes(origin, dir, maxDistance) {
+  _ray.set(origin, dir);
+  let best = null;
+  for (const b of state.collisionBoxes) {
+    _box.min.set(b[0], b[1], b[2]);
+    _box.max.set(b[3], b[4], b[5]);
+    if (!_ray.intersectBox(_box, _hitPoint)) continue;
+    const distance = _hitPoint.distanceTo(origin);
+    if (distance > maxDistance || (best && distance >= best.distance)) continue;
+    best = { point: _hitPoint.clone(), distance };
+  }
+  return best;
+}
+
+// ── Timing ──
+function registerCallback(list, entry) {
+  entry.slotIndex = state.currentSlot;
+  list.push(entry);
+  return entry;
+}
+
+function runGuarded(fn, ...args) {
+  try {
+    return fn(...args);
+  } catch (err) {
+    console.error('Weapon error:', err);
+    queueCommand({ op: 'error', slotIndex: state.currentSlot, error: describeRealmError(err) });
+    return false;
+  }
+}
+
+function runTimers(dt) {
+  for (let i = state.cbs.length - 1; i >= 0; i--) {
+    const entry = state.cbs[i];
+    if (!entry) continue;
+    state.currentSlot = entry.slotIndex;
+    if (runGuarded(entry.fn, dt, state.elapsed) === false) {
+      const index = state.cbs.indexOf(entry);
+      if (index !== -1) state.cbs.splice(index, 1);
+    }
+  }
+  for (let i = state.timers.length - 1; i >= 0; i--) {
+    const t = state.timers[i];
+    t.r -= dt;
+    if (t.r <= 0) {
+      state.currentSlot = t.slotIndex;
+      runGuarded(t.f);
+      const index = state.timers.indexOf(t);
+      if (index !== -1) state.timers.splice(index, 1);
+    }
+  }
+  for (let i = state.intervals.length - 1; i >= 0; i--) {
+    const v = state.intervals[i];
+    if (v.s) { state.intervals.splice(i, 1); continue; }
+    v.r -= dt;
+    if (v.r <= 0) {
+      v.r += v.p;
+      state.currentSlot = v.slotIndex;
+      runGuarded(v.f);
+    }
+  }
+  state.currentSlot = null;
+}
+
+function runEntityUpdates(dt, collisions) {
+  const before = new Map();
+  for (const ent of state.entities.values()) {
+    before.set(ent.id, [ent.pos.clone(), ent.vel.clone()]);
+  }
+
+  for (const collision of collisions || []) {
+    const ent = state.entities.get(collision.id);
+    if (!ent?.alive || typeof ent.onWorldCollision !== 'function') continue;
+    state.currentSlot = ent.slotIndex;
+    const result = runGuarded(ent.onWorldCollision, {
+      normal: toVec3(collision.normal),
+      point: toVec3(collision.point),
+      entity: ent,
+    });
+    if (result === false || result === 'destroy') ent.destroy();
+  }
+
+  for (const ent of Array.from(state.entities.values())) {
+    if (!ent.alive || typeof ent.onUpdate !== 'function') continue;
+    state.currentSlot = ent.slotIndex;
+    if (runGuarded(ent.onUpdate, dt, state.elapsed, ent) === false) ent.destroy();
+  }
+  state.currentSlot = null;
+
+  for (const ent of state.entities.values()) {
+    const prev = before.get(ent.id);
+    if (!prev || !ent.alive) continue;
+    const moved = prev[0].distanceToSquared(ent.pos) > 1e-8;
+    const pushed = prev[1].distanceToSquared(ent.vel) > 1e-8;
+    if (!moved && !pushed) continue;
+    queueCommand({
+      op: 'entity',
+      id: ent.id,
+      pos: moved ? packVec3(ent.pos) : null,
+      vel: pushed ? packVec3(ent.vel) : null,
+    });
+  }
+}
+
+// ── Weapon ctx (same surface as sandbox.buildCtx) ──
+function buildRealmCtx(actor, rng) {
+  const yaw = Number(actor?.yaw) || 0;
+  const shootOrigin = toVec3(actor?.shootOrigin);
+  const torsoOrigin = toVec3(actor?.torsoOrigin);
+  const feet = toVec3(actor?.feet);
+  const velocity = toVec3(actor?.velocity);
+  const direction = toVec3(actor?.direction);
+  const aimPoint = actor?.aimPoint ? toVec3(actor.aimPoint) : null;
+
+  const ctx = {
+    THREE,
+    scene: mirrorScene,
+
+    player: {
+      getPosition: () => shootOrigin.clone(),
+      getTorsoPosition: () => torsoOrigin.clone(),
+      getFeetPosition: () => feet.clone(),
+      getShootOrigin: () => shootOrigin.clone(),
+      getAimPoint: () => aimPoint?.clone() ?? null,
+      getDirection: () => direction.clone(),
+      getFacingDirection: () => new THREE.Vector3(-Math.sin(yaw), 0, -Math.cos(yaw)),
+      getRight: () => new THREE.Vector3(Math.cos(yaw), 0, -Math.sin(yaw)),
+      getUp: () => new THREE.Vector3(0, 1, 0),
+      getVelocity: () => velocity.clone(),
+      getQuaternion: () => new THREE.Quaternion().setFromEuler(new THREE.Euler(0, yaw, 0)),
+      dash: (dir, distance) => queuePlayerAbility('dash', [toVec3(dir), distance]),
+      blink: (point) => queuePlayerAbility('blink', [point ? toVec3(point) : null]),
+      applyImpulse: (v) => queuePlayerAbility('applyImpulse', [toVec3(v)]),
+      addShield: (hp, seconds) => queuePlayerAbility('addShield', [hp, seconds]),
+      heal: (amt) => queuePlayerAbility('heal', [amt]),
+    },
+
+    getEnemies: () => getOpposingRecords().map((record) => wrapCombatant(record, rng)),
+    getAllies: (opts = {}) => getAlliedRecords(opts).map((record) => wrapAlly(record, rng)),
+
+    spawn: (mesh, opt = {}) => {
+      const {
+        position = new THREE.Vector3(), velocity: vel0 = new THREE.Vector3(), angularVelocity = null,
+        gravity = 1, radius = 0.5, bounce = 0.3, lifetime = null, onUpdate = null,
+        worldCollision = true, worldCollisionResponse = null, onWorldCollision = null,
+      } = opt;
+      const pos = toVec3(position);
+      const vel = toVec3(vel0);
+      mesh.position.copy(pos);
+      const record = trackObject(mesh, 'entity');
+      const ent = {
+        id: record.id,
+        slotIndex: state.currentSlot,
+        mesh, pos, vel,
+        angVel: angularVelocity ? { x: angularVelocity.x || 0, y: angularVelocity.y || 0, z: angularVelocity.z || 0 } : null,
+        gravity, radius, bounce, lifetime, age: 0, onUpdate, alive: true,
+        worldCollision, worldCollisionResponse, onWorldCollision,
+        get position() { return pos; },
+        set position(v) {
+          pos.set(v?.x || 0, v?.y || 0, v?.z || 0);
+          mesh.position.copy(pos);
+        },
+        get velocity() { return vel; },
+        set velocity(v) { vel.set(v?.x || 0, v?.y || 0, v?.z || 0); },
+        destroy() {
+          if (!ent.alive) return;
+          removeMirroredObject(mesh);
+        },
+        getPosition() { return pos.clone(); },
+        getVelocity() { return vel.clone(); },
+        setVelocity(v) { vel.x = v.x || 0; vel.y = v.y || 0; vel.z = v.z || 0; },
+      };
+      state.entities.set(ent.id, ent);
+      queueCommand({
+        op: 'spawn',
+        id: ent.id,
+        object: serializeObject(mesh),
+        opts: {
+          position: packVec3(pos),
+          velocity: packVec3(vel),
+          angularVelocity: ent.angVel,
+          gravity, radius, bounce, lifetime,
+          worldCollision: worldCollision !== false,
+          worldCollisionResponse: typeof worldCollisionResponse === 'string' ? worldCollisionResponse : null,
+          collisionHandler: typeof onWorldCollision === 'function',
+        },
+      });
+      return ent;
+    },
+
+    addMesh: (m) => addMirroredObject(m),
+    removeMesh: (m) => removeMirroredObject(m),
+    addLight: (l) => addMirroredObject(l),
+    removeLight: (l) => removeMirroredObject(l),
+    addObject: (o) => addMirroredObject(o),
+    onUpdate: (fn) => { registerCallback(state.cbs, { fn }); return fn; },
+    removeOnUpdate: (fn) => {
+      const i = state.cbs.findIndex((entry) => entry.fn === fn);
+      if (i !== -1) state.cbs.splice(i, 1);
+    },
+    after: (s, fn) => registerCallback(state.timers, { r: s, f: fn }),
+    every: (s, fn) => {
+      const v = registerCallback(state.intervals, { p: s, r: s, f: fn, s: false });
+      return { stop() { v.s = true; } };
+    },
+    destroy: (ent) => ent?.destroy?.(),
+    findEnemiesInCone: (origin, dir, opts = {}) => {
+      const o = toVec3(origin);
+      const d = toVec3(dir);
+      if (d.lengthSq() < 1e-6) d.set(0, 0, -1);
+      d.normalize();
+      const range = Math.max(0, opts.range ?? 12);
+      const angleDeg = THREE.MathUtils.clamp(opts.angleDeg ?? 22, 0.1, 180);
+      const cosThresh = Math.cos(THREE.MathUtils.degToRad(angleDeg));
+      return getOpposingRecords()
+        .filter((record) => {
+          const toEnemy = record.pos.clone().sub(o);
+          const dist = toEnemy.length();
+          if (dist <= 0.0001 || dist > range) return false;
+          return d.dot(toEnemy.normalize()) >= cosThresh;
+        })
+        .map((record) => wrapCombatant(record, rng));
+    },
+    applyRadialForce: (center, opts = {}) => {
+      const c = toVec3(center);
+      const radius = Math.max(0.001, opts.radius ?? 8);
+      queueCommand({ op: 'call', name: 'applyRadialForce', args: packValue([c, opts]) });
+      return getOpposingRecords().filter((record) => record.pos.distanceTo(c) <= radius).length;
+    },
+    createTrail: (opts = {}) => {
+      const id = nextObjectId();
+      queueCommand({ op: 'trail', id, action: 'create', opts: packValue(opts) });
+      const trail = {
+        alive: true,
+        fading: false,
+        update(position) {
+          if (!trail.alive) return;
+          queueCommand({ op: 'trail', id, action: 'update', point: packVec3(position) });
+        },
+        startFade() {
+          if (!trail.alive || trail.fading) return;
+          trail.fading = true;
+          queueCommand({ op: 'trail', id, action: 'fade' });
+        },
+        destroy() {
+          if (!trail.alive) return;
+          trail.alive = false;
+          queueCommand({ op: 'trail', id, action: 'destroy' });
+        },
+      };
+      return trail;
+    },
+    burstParticles: (opts = {}) => {
+      queueCommand({ op: 'call', name: 'burstParticles', args: packValue([opts]) });
+    },
+    explode: (position, opts = {}) => {
+      queueCommand({ op: 'call', name: 'explode', args: packValue([toVec3(position), opts]) });
+    },
+    raycast: (o, d, mx = 100) => {
+      const origin = toVec3(o);
+      const dir = toVec3(d).normalize();
+      const worldHit = raycastCollisionBoxes(origin, dir, mx);
+      if (worldHit) {
+        return { point: worldHit.point, distance: worldHit.distance, normal: null, object: null, hit: true };
+      }
+      if (dir.y < -0.001) {
+        const t = -origin.y / dir.y;
+        if (t > 0 && t < mx) {
+          return {
+            point: origin.clone().add(dir.clone().multiplyScalar(t)),
+            distance: t,
+            normal: new THREE.Vector3(0, 1, 0),
+            object: null,
+            hit: true,
+          };
+        }
+      }
+      return { point: origin.clone().add(dir.clone().multiplyScalar(mx)), distance: mx };
+    },
+
+    get elapsed() { return state.elapsed; },
+    random: rng.random,
+    rng,
+    shake: (i = 0.5, d = 0.2) => {
+      queueCommand({ op: 'call', name: 'shake', args: [i, d] });
+    },
+  };
+
+  const sdk = createWeaponSdk({
+    THREE,
+    scene: mirrorScene,
+    toVec3,
+    random: rng.random,
+    getEnemies: () => ctx.getEnemies(),
+    getAllies: (opts) => ctx.getAllies(opts),
+    onUpdate: (fn) => ctx.onUpdate(fn),
+    removeOnUpdate: (fn) => ctx.removeOnUpdate(fn),
+    addMesh: (m) => ctx.addMesh(m),
+    removeMesh: (m) => ctx.removeMesh(m),
+    addObject: (o) => ctx.addObject(o),
+    burstParticles: (opts) => ctx.burstParticles(opts),
+    addLight: (l) => ctx.addLight(l),
+    removeLight: (l) => ctx.removeLight(l),
+    baseFindEnemiesInCone: (origin, direction, opts) => ctx.findEnemiesInCone(origin, direction, opts),
+    applyRadialForce: (center, opts) => ctx.applyRadialForce(center, opts),
+  });
+
+  ctx.sdk = sdk;
+  for (const [name, helper] of Object.entries(sdk)) {
+    if (!(name in ctx)) ctx[name] = helper;
+  }
+
+  return ctx;
+}
+
+// ── Message handling ──
+function getActiveSlots() {
+  const slots = new Set();
+  for (const list of [state.cbs, state.timers, state.intervals]) {
+    for (const entry of list) {
+      if (Number.isInteger(entry.slotIndex)) slots.add(entry.slotIndex);
+    }
+  }
+  for (const ent of state.entities.values()) {
+    if (Number.isInteger(ent.slotIndex) && typeof ent.onUpdate === 'function') slots.add(ent.slotIndex);
+  }
+  return Array.from(slots);
+}
+
+function flush(seq, extra = {}) {
+  syncTrackedObjects();
+  const commands = state.commands;
+  state.commands = [];
+  post({
+    type: REALM_MESSAGE.FLUSH,
+    seq,
+    commands,
+    activeSlots: getActiveSlots(),
+    ...extra,
+  });
+}
+
+function handleInvoke(msg) {
+  applyWorld(msg.world);
+  const fn = state.slots.get(msg.slotIndex);
+  const startedAt = now();
+  let error = null;
+  if (typeof fn === 'function') {
+    state.currentSlot = msg.slotIndex;
+    try {
+      const rng = createWeaponRng(msg.seed);
+      fn(buildRealmCtx(msg.actor, rng), createWeaponMath(rng));
+    } catch (err) {
+      console.error('Weapon error:', err);
+      error = describeRealmError(err);
+    }
+    state.currentSlot = null;
+  } else {
+    error = { name: 'Error', message: `No weapon loaded in slot ${msg.slotIndex + 1}`, stack: '' };
+  }
+  const durationMs = now() - startedAt;
+  flush(msg.seq, {
+    slotIndex: msg.slotIndex,
+    ok: !error,
+    error,
+    durationMs,
+    overBudget: durationMs > state.callBudgetMs,
+  });
+}
+
+function handleTick(msg) {
+  applyWorld(msg.world);
+  const startedAt = now();
+  const dt = Math.max(0, Number(msg.dt) || 0);
+  runEntityUpdates(dt, msg.collisions);
+  runTimers(dt);
+  const durationMs = now() - startedAt;
+  flush(msg.seq, {
+    ok: true,
+    durationMs,
+    overBudget: durationMs > state.tickBudgetMs,
+  });
+}
+
+function handleReset() {
+  state.cbs.length = 0;
+  state.timers.length = 0;
+  state.intervals.length = 0;
+  state.entities.clear();
+  state.tracked.clear();
+  state.objectIds = new WeakMap();
+  state.commands = [];
+}
+
+self.addEventListener('message', (event) => {
+  const msg = event.data || {};
+  switch (msg.type) {
+    case REALM_MESSAGE.INIT:
+      state.ownerId = msg.ownerId;
+      state.callBudgetMs = Number(msg.callBudgetMs) || state.callBudgetMs;
+      state.tickBudgetMs = Number(msg.tickBudgetMs) || state.tickBudgetMs;
+      state.collisionBoxes = Array.isArray(msg.collisionBoxes) ? msg.collisionBoxes : [];
+      post({ type: REALM_MESSAGE.READY });
+      break;
+    case REALM_MESSAGE.CHECK:
+      try {
+        compileWeaponBody(msg.code);
+        post({ type: REALM_MESSAGE.CHECKED, seq: msg.seq, ok: true });
+      } catch (err) {
+        post({ type: REALM_MESSAGE.CHECKED, seq: msg.seq, ok: false, error: describeRealmError(err) });
+      }
+      break;
+    case REALM_MESSAGE.LOAD:
+      try {
+        state.slots.set(msg.slotIndex, compileWeaponBody(msg.code));
+        post({ type: REALM_MESSAGE.LOADED, slotIndex: msg.slotIndex, version: msg.version, ok: true });
+      } catch (err) {
+        state.slots.delete(msg.slotIndex);
+        post({
+          type: REALM_MESSAGE.LOADED,
+          slotIndex: msg.slotIndex,
+          version: msg.version,
+          ok: false,
+          error: describeRealmError(err),
+        });
+      }
+      break;
+    case REALM_MESSAGE.UNLOAD:
+      state.slots.delete(msg.slotIndex);
+      break;
+    case REALM_MESSAGE.INVOKE:
+      handleInvoke(msg);
+      break;
+    case REALM_MESSAGE.TICK:
+      handleTick(msg);
+      break;
+    case REALM_MESSAGE.RESET:
+      handleReset();
+      break;
+    default:
+      break;
+  }
+});
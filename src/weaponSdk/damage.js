@@ -1,11 +1,21 @@
 import { falloffWeight, getEnemyPosition, normalizeDirection, toVec3 } from './utils.js';
 import { queryEnemiesInCone, queryEnemiesInLine, queryEnemiesInRadius } from './targeting.js';
 
-function applyDamage(enemy, amount) {
+// Hit options forwarded to enemy.takeDamage; the host runs them through the damage pipeline.
+function pickHitOptions(opts) {
+  if (!opts || typeof opts !== 'object') return {};
+  const hit = {};
+  for (const key of ['type', 'crit', 'critChance', 'critMultiplier']) {
+    if (opts[key] !== undefined) hit[key] = opts[key];
+  }
+  return hit;
+}
+
+function applyDamage(enemy, amount, hit = {}) {
   const dmg = Math.max(0, amount || 0);
-  if (!dmg) return 0;
+  if (!dmg || enemy?.harmable === false) return 0;
   if (typeof enemy?.takeDamage === 'function') {
-    enemy.takeDamage(dmg);
+    enemy.takeDamage(dmg, hit);
     return dmg;
   }
   return 0;
@@ -23,7 +33,7 @@ export function createDamageHelpers(runtime) {
   return {
     damageEnemy: (enemy, opts = {}) => {
       const damage = typeof opts === 'number' ? opts : (opts.damage ?? 0);
-      return applyDamage(enemy, damage);
+      return applyDamage(enemy, damage, pickHitOptions(opts));
     },
 
     damageRadius: (center, opts = {}) => {
@@ -31,7 +41,9 @@ export function createDamageHelpers(runtime) {
       const radius = Math.max(0.001, opts.radius ?? 6);
       const baseDamage = Math.max(0, opts.damage ?? 10);
       const falloff = opts.falloff ?? 'linear';
-      const targets = queryEnemiesInRadius(runtime, c, { radius, max: opts.max, sortBy: opts.sortBy });
+      const targets = queryEnemiesInRadius(runtime, c, { radius, max: opts.max, sortBy: opts.sortBy, team: opts.team })
+        .filter((enemy) => enemy?.harmable !== false);
+      const hit = pickHitOptions(opts);
       let totalDamage = 0;
 
       for (const enemy of targets) {
@@ -39,7 +51,7 @@ export function createDamageHelpers(runtime) {
         if (!ep) continue;
         const nd = ep.distanceTo(c) / radius;
         const w = falloffWeight(falloff, nd);
-        totalDamage += applyDamage(enemy, baseDamage * w);
+        totalDamage += applyDamage(enemy, baseDamage * w, hit);
       }
       return makeSummary(targets, totalDamage);
     },
@@ -55,6 +67,7 @@ export function createDamageHelpers(runtime) {
         max: opts.max,
         sortBy: opts.sortBy,
       });
+      const hit = pickHitOptions(opts);
       let totalDamage = 0;
 
       for (const enemy of targets) {
@@ -62,7 +75,7 @@ export function createDamageHelpers(runtime) {
         if (!ep) continue;
         const nd = ep.distanceTo(o) / range;
         const w = falloffWeight(falloff, nd);
-        totalDamage += applyDamage(enemy, baseDamage * w);
+        totalDamage += applyDamage(enemy, baseDamage * w, hit);
       }
       return makeSummary(targets, totalDamage);
     },
@@ -80,6 +93,7 @@ export function createDamageHelpers(runtime) {
         max: opts.max,
         sortBy: opts.sortBy,
       });
+      const hit = pickHitOptions(opts);
       let totalDamage = 0;
 
       for (const enemy of targets) {
@@ -88,7 +102,7 @@ export function createDamageHelpers(runtime) {
         const along = Math.max(0, ep.sub(o).dot(dir));
         const nd = along / range;
         const w = falloffWeight(falloff, nd);
-        totalDamage += applyDamage(enemy, baseDamage * w);
+        totalDamage += applyDamage(enemy, baseDamage * w, hit);
       }
       return makeSummary(targets, totalDamage);
     },
@@ -1,5 +1,9 @@
 import { queryEnemiesInCone, queryEnemiesInRadius } from './targeting.js';
 import { toVec3 } from './utils.js';
+import { getStatusEffect, listStatusEffectIds, normalizeStatusEffectSpec } from '../statusEffects.js';
+
+// These keep their original keys (burn is `ignite`); every other registered effect is keyed by its id.
+const CLASSIC_STATUS_IDS = new Set(['freeze', 'stun', 'slow', 'burn']);
 
 function normalizeSlowSpec(spec, opts) {
   if (spec == null) return null;
@@ -25,9 +29,49 @@ function normalizeIgniteSpec(spec) {
   return null;
 }
 
+function normalizeBuffSpec(spec, valueKey) {
+  if (typeof spec === 'number') return spec > 0 ? { value: spec } : null;
+  if (spec && typeof spec === 'object') return { value: spec[valueKey] ?? spec.value, seconds: spec.seconds ?? spec.duration };
+  return null;
+}
+
+// Support keys only act on ally wrappers (they carry heal/shield/haste/cleanse).
+function applySupportToAlly(ally, opts) {
+  let didApply = false;
+  if (typeof opts.heal === 'number' && opts.heal > 0 && typeof ally.heal === 'function') {
+    didApply = ally.heal(opts.heal) !== false || didApply;
+  }
+  const shield = normalizeBuffSpec(opts.shield, 'hp');
+  if (shield && typeof ally.shield === 'function') {
+    didApply = ally.shield(shield.value, shield.seconds) !== false || didApply;
+  }
+  const haste = normalizeBuffSpec(opts.haste, 'multiplier');
+  if (haste && typeof ally.haste === 'function') {
+    didApply = ally.haste(haste.value, haste.seconds) !== false || didApply;
+  }
+  if (opts.cleanse === true && typeof ally.cleanse === 'function') {
+    didApply = ally.cleanse() !== false || didApply;
+  }
+  return didApply;
+}
+
+function applyRegisteredEffects(enemy, opts) {
+  if (typeof enemy.applyEffect !== 'function') return false;
+  let didApply = false;
+  for (const id of listStatusEffectIds()) {
+    if (CLASSIC_STATUS_IDS.has(id) || !(id in opts)) continue;
+    if (enemy.harmable === false && getStatusEffect(id).harmful) continue;
+    const spec = normalizeStatusEffectSpec(id, opts[id]);
+    if (spec && enemy.applyEffect(id, spec)) didApply = true;
+  }
+  return didApply;
+}
+
 function applyStatusToEnemy(enemy, opts = {}) {
   if (!enemy) return false;
-  let didApply = false;
+  let didApply = applySupportToAlly(enemy, opts);
+  didApply = applyRegisteredEffects(enemy, opts) || didApply;
+  if (enemy.harmable === false) return didApply;
 
   if (typeof opts.freeze === 'number' && opts.freeze > 0 && typeof enemy.freeze === 'function') {
     enemy.freeze(opts.freeze, opts.freezeOpts || {});
@@ -65,7 +109,7 @@ export function createStatusHelpers(runtime) {
     applyStatusRadius: (center, opts = {}) => {
       const c = toVec3(runtime, center);
       const radius = Math.max(0, opts.radius ?? 6);
-      const targets = queryEnemiesInRadius(runtime, c, { radius, max: opts.max, sortBy: opts.sortBy });
+      const targets = queryEnemiesInRadius(runtime, c, { radius, max: opts.max, sortBy: opts.sortBy, team: opts.team });
       let count = 0;
       for (const enemy of targets) {
         if (applyStatusToEnemy(enemy, opts)) count++;
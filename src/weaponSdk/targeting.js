@@ -4,6 +4,7 @@ import {
   enemyKey,
   getEnemyPosition,
   listEnemies,
+  listTargets,
   normalizeDirection,
   toVec3,
 } from './utils.js';
@@ -103,7 +104,7 @@ export function queryEnemiesInRadius(runtime, center, opts = {}) {
   const c = toVec3(runtime, center);
   const radius = Math.max(0, opts.radius ?? 8);
   const sortBy = opts.sortBy ?? 'distance';
-  const out = listEnemies(runtime).filter((enemy) => enemyDistanceTo(runtime, enemy, c) <= radius);
+  const out = listTargets(runtime, opts.team).filter((enemy) => enemyDistanceTo(runtime, enemy, c) <= radius);
   sortEnemies(runtime, out, c, sortBy);
   return applyLimit(out, opts.max);
 }
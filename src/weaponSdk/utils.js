@@ -67,6 +67,14 @@ export function listEnemies(runtime) {
   return Array.isArray(out) ? out : [];
 }
 
+// team: 'enemy' (default), 'ally' (teammates and the wielder), or 'all'.
+export function listTargets(runtime, team = 'enemy') {
+  if (team !== 'ally' && team !== 'all') return listEnemies(runtime);
+  const allies = typeof runtime?.getAllies === 'function' ? runtime.getAllies({ includeSelf: true }) : [];
+  const out = Array.isArray(allies) ? allies : [];
+  return team === 'all' ? [...listEnemies(runtime), ...out] : out;
+}
+
 export function resolvePointRef(runtime, ref) {
   if (typeof ref === 'function') return toVec3(runtime, ref());
   if (ref?.mesh?.position?.isVector3) return ref.mesh.position.clone();
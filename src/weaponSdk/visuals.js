@@ -14,6 +14,8 @@ function makeColor(runtime, color, fallback) {
 
 export function createVisualHelpers(runtime) {
   const { THREE } = runtime;
+  // The fire's seeded stream when the runtime has one, so bolts zigzag the same on every client.
+  const random = runtime.random || Math.random;
 
   const helpers = {
     spawnImpactBurst(position, opts = {}) {
@@ -105,9 +107,9 @@ export function createVisualHelpers(runtime) {
         beam.material.opacity = opacity * (1 - progress);
         if (jitter > 0) {
           beam.position.copy(mid);
-          beam.position.x += (Math.random() - 0.5) * jitter;
-          beam.position.y += (Math.random() - 0.5) * jitter;
-          beam.position.z += (Math.random() - 0.5) * jitter;
+          beam.position.x += (random() - 0.5) * jitter;
+          beam.position.y += (random() - 0.5) * jitter;
+          beam.position.z += (random() - 0.5) * jitter;
         }
         if (progress >= 1) {
           removeVisualObject(runtime, beam);
@@ -143,8 +145,8 @@ export function createVisualHelpers(runtime) {
         const p = a.clone().lerp(b, t);
         if (i !== 0 && i !== segments && zigzag > 0) {
           const amp = zigzag * (0.35 + 0.65 * Math.sin(t * Math.PI)) * (dist / 8);
-          const sx = (Math.random() - 0.5) * 2;
-          const sy = (Math.random() - 0.5) * 2;
+          const sx = (random() - 0.5) * 2;
+          const sy = (random() - 0.5) * 2;
           p.addScaledVector(side, amp * sx);
           p.addScaledVector(up2, amp * sy);
         }
@@ -164,7 +166,7 @@ export function createVisualHelpers(runtime) {
       addVisualObject(runtime, line);
       registerLifetime(runtime, life, ({ progress }) => {
         if (!line.parent) return false;
-        line.material.opacity = opacity * (1 - progress) * (flicker ? (0.75 + Math.random() * 0.25) : 1);
+        line.material.opacity = opacity * (1 - progress) * (flicker ? (0.75 + random() * 0.25) : 1);
         if (progress >= 1) {
           removeVisualObject(runtime, line);
           return false;
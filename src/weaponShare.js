@@ -0,0 +1,224 @@
+import { WEAPON_LOADOUT_SIZE } from './sandbox.js';
+import { sanitizeWeaponFireMode, sanitizeWeaponRole, sanitizeWeaponTier } from './weaponBalance.js';
+import { validateWeaponCode } from './weaponValidator.js';
+
+// Versioned share format for single weapons and full loadouts, as JSON files or compact paste/URL codes.
+// Nothing here executes weapon code; importers get a parsed, validated list to put in front of the player first.
+
+export const WEAPON_SHARE_FORMAT = 'voxel-fight-weapons';
+export const WEAPON_SHARE_VERSION = 1;
+export const WEAPON_SHARE_URL_PARAM = 'weapons';
+
+const SHARE_CODE_PREFIX = 'vf1.';
+const PLAIN_SHARE_CODE_PREFIX = 'vf0.';
+const MAX_SHARED_CODE_LENGTH = 20000;
+const MAX_SHARED_NAME_LENGTH = 160;
+const MAX_SHARE_CODE_LENGTH = 64000;
+// A full loadout of maximum-length weapons stays well under this once inflated.
+const MAX_INFLATED_SHARE_BYTES = 512 * 1024;
+
+function shareError(message) {
+  const error = new Error(`Invalid weapon share: ${message}`);
+  error.status = 400;
+  return error;
+}
+
+function clampShareSlotIndex(index) {
+  return Math.max(0, Math.min(WEAPON_LOADOUT_SIZE - 1, Math.floor(Number(index) || 0)));
+}
+
+function sanitizeSharedName(name) {
+  return String(name ?? '')
+    .replace(/[\u0000-\u001f\u007f<>]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_SHARED_NAME_LENGTH);
+}
+
+function toSharedWeapon(weapon) {
+  if (!weapon?.code) return null;
+  return {
+    name: sanitizeSharedName(weapon.name) || 'Shared weapon',
+    tier: sanitizeWeaponTier(weapon.tier),
+    fireMode: sanitizeWeaponFireMode(weapon.fireMode),
+    role: sanitizeWeaponRole(weapon.role, null),
+    code: String(weapon.code),
+  };
+}
+
+// `weapon` is a loadout slot shape: { name, code, tier, fireMode, role }; `role` is optional and may be null.
+export function createWeaponExport(weapon) {
+  const shared = toSharedWeapon(weapon);
+  if (!shared) throw new Error('That slot has no weapon to export.');
+  return {
+    format: WEAPON_SHARE_FORMAT,
+    version: WEAPON_SHARE_VERSION,
+    kind: 'weapon',
+    exportedAt: new Date().toISOString(),
+    weapons: [shared],
+  };
+}
+
+// `slots` follows getWeaponLoadoutSnapshot(...) order with each slot's code attached; empty slots export as null.
+export function createLoadoutExport(slots, activeIndex = 0) {
+  const weapons = Array.from({ length: WEAPON_LOADOUT_SIZE }, (_, index) => toSharedWeapon(slots?.[index]));
+  if (!weapons.some(Boolean)) throw new Error('The loadout has no weapons to export.');
+  return {
+    format: WEAPON_SHARE_FORMAT,
+    version: WEAPON_SHARE_VERSION,
+    kind: 'loadout',
+    exportedAt: new Date().toISOString(),
+    activeIndex: clampShareSlotIndex(activeIndex),
+    weapons,
+  };
+}
+
+function parseSharedWeapon(raw, index) {
+  if (raw === null) return null;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw shareError(`weapons[${index}] must be an object or null.`);
+  }
+  if (typeof raw.code !== 'string' || !raw.code.trim()) {
+    throw shareError(`weapons[${index}].code must be a non-empty string.`);
+  }
+  if (raw.code.length > MAX_SHARED_CODE_LENGTH) {
+    throw shareError(`weapons[${index}].code is longer than ${MAX_SHARED_CODE_LENGTH} characters.`);
+  }
+  const validation = validateWeaponCode(raw.code);
+  return {
+    name: sanitizeSharedName(raw.name) || `Shared weapon ${index + 1}`,
+    tier: sanitizeWeaponTier(raw.tier),
+    fireMode: sanitizeWeaponFireMode(raw.fireMode),
+    role: sanitizeWeaponRole(raw.role, null),
+    code: validation.code,
+    originalCode: raw.code,
+    validation,
+  };
+}
+
+// Returns { kind, activeIndex, weapons: [{ slotIndex, name, tier, fireMode, role, code, originalCode, validation }] }.
+export function parseWeaponShare(input) {
+  let payload = input;
+  if (typeof input === 'string') {
+    try {
+      payload = JSON.parse(input);
+    } catch (err) {
+      throw shareError('not valid JSON.');
+    }
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) throw shareError('expected a JSON object.');
+  if (payload.format !== WEAPON_SHARE_FORMAT) throw shareError(`format must be "${WEAPON_SHARE_FORMAT}".`);
+  if (!Number.isInteger(payload.version) || payload.version < 1) throw shareError('missing version.');
+  if (payload.version > WEAPON_SHARE_VERSION) {
+    throw shareError(`version ${payload.version} is newer than this game supports (${WEAPON_SHARE_VERSION}).`);
+  }
+  if (payload.kind !== 'weapon' && payload.kind !== 'loadout') throw shareError('kind must be "weapon" or "loadout".');
+  if (!Array.isArray(payload.weapons)) throw shareError('weapons must be an array.');
+
+  const expected = payload.kind === 'weapon' ? 1 : WEAPON_LOADOUT_SIZE;
+  if (payload.weapons.length !== expected) {
+    throw shareError(`a ${payload.kind} share holds exactly ${expected} weapon entr${expected === 1 ? 'y' : 'ies'}.`);
+  }
+
+  const weapons = [];
+  payload.weapons.forEach((raw, index) => {
+    const weapon = parseSharedWeapon(raw, index);
+    if (weapon) weapons.push({ slotIndex: index, ...weapon });
+  });
+  if (!weapons.length) throw shareError('no weapons in this share.');
+
+  return {
+    kind: payload.kind,
+    activeIndex: payload.kind === 'loadout' ? clampShareSlotIndex(payload.activeIndex) : 0,
+    weapons,
+  };
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+// Inflates chunk by chunk and gives up once the output passes maxBytes, so a tiny code cannot
+// expand into megabytes of JSON.
+async function inflateBounded(bytes, maxBytes) {
+  const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > maxBytes) {
+      reader.cancel().catch(() => {});
+      throw new Error(`share code inflates past ${maxBytes} bytes.`);
+    }
+    chunks.push(value);
+  }
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return out;
+}
+
+// Compact code for pasting or URLs: deflate-raw + base64url when CompressionStream exists, plain base64url otherwise.
+export async function encodeWeaponShareCode(payload) {
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  if (typeof CompressionStream === 'function') {
+    return SHARE_CODE_PREFIX + bytesToBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+  }
+  return PLAIN_SHARE_CODE_PREFIX + bytesToBase64Url(bytes);
+}
+
+export async function decodeWeaponShareCode(code) {
+  const trimmed = String(code || '').trim();
+  if (trimmed.length > MAX_SHARE_CODE_LENGTH) throw shareError('share code is too long.');
+  let bytes;
+  try {
+    if (trimmed.startsWith(SHARE_CODE_PREFIX)) {
+      if (typeof DecompressionStream !== 'function') {
+        throw new Error('this browser cannot decompress share codes.');
+      }
+      bytes = await inflateBounded(base64UrlToBytes(trimmed.slice(SHARE_CODE_PREFIX.length)), MAX_INFLATED_SHARE_BYTES);
+    } else if (trimmed.startsWith(PLAIN_SHARE_CODE_PREFIX)) {
+      bytes = base64UrlToBytes(trimmed.slice(PLAIN_SHARE_CODE_PREFIX.length));
+    } else {
+      throw new Error('unrecognized share code.');
+    }
+  } catch (err) {
+    throw shareError(err.message);
+  }
+  return parseWeaponShare(new TextDecoder().decode(bytes));
+}
+
+// Accepts whatever the player pasted: a share code, a URL carrying one, or exported JSON.
+export async function readWeaponShare(text) {
+  const trimmed = String(text || '').trim();
+  if (trimmed.startsWith('{')) return parseWeaponShare(trimmed);
+  const fromUrl = trimmed.match(new RegExp(`[?&#]${WEAPON_SHARE_URL_PARAM}=([^&#\\s]+)`));
+  return decodeWeaponShareCode(fromUrl ? decodeURIComponent(fromUrl[1]) : trimmed);
+}
+
+export function buildWeaponShareUrl(code, baseUrl) {
+  const url = new URL(baseUrl);
+  url.searchParams.set(WEAPON_SHARE_URL_PARAM, code);
+  url.hash = '';
+  return url.toString();
+}
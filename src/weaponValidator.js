@@ -0,0 +1,738 @@
+import { parse } from 'acorn';
+import manifest from '../weapon_sdk_manifest.json' with { type: 'json' };
+import { getStatusEffect, listStatusEffectIds } from './statusEffects.js';
+
+// Static checks for generated weapon bodies, driven by weapon_sdk_manifest.json.
+// Fixable mistakes are rewritten in place by splicing source ranges so the rest of the code keeps its formatting.
+
+const HELPERS = manifest.helpers || {};
+const REPAIR_RULES = new Map((manifest.commonRepairRules || []).map((rule) => [rule.id, rule]));
+
+export const FORBIDDEN_WEAPON_GLOBALS = Object.freeze({
+  window: 'the page is not reachable from weapon code',
+  document: 'the page is not reachable from weapon code',
+  globalThis: 'the page is not reachable from weapon code',
+  self: 'the page is not reachable from weapon code',
+  parent: 'the page is not reachable from weapon code',
+  top: 'the page is not reachable from weapon code',
+  location: 'the page is not reachable from weapon code',
+  navigator: 'the page is not reachable from weapon code',
+  localStorage: 'storage is not available to weapons',
+  sessionStorage: 'storage is not available to weapons',
+  indexedDB: 'storage is not available to weapons',
+  fetch: 'network access is not available to weapons',
+  XMLHttpRequest: 'network access is not available to weapons',
+  WebSocket: 'network access is not available to weapons',
+  EventSource: 'network access is not available to weapons',
+  importScripts: 'network access is not available to weapons',
+  eval: 'dynamic code is not allowed',
+  Function: 'dynamic code is not allowed',
+  Worker: 'weapons cannot start workers',
+  postMessage: 'weapons cannot message other contexts',
+  setTimeout: 'use ctx.after(seconds, fn)',
+  setInterval: 'use ctx.every(seconds, fn)',
+  requestAnimationFrame: 'use ctx.onUpdate(fn)',
+  require: 'modules are not available to weapons',
+  process: 'modules are not available to weapons',
+  Reflect: 'reflection can reach Function through keys built at runtime',
+});
+
+// Page APIs named by a string that is itself an identifier or member path ('fetch', 'window.document'),
+// e.g. for a lookup or handed to a constructor. Prose such as 'window shopping' is left alone.
+const PAGE_API_STRING_NAMES = new Set(['window', 'document', 'fetch', 'eval']);
+const MEMBER_PATH_PATTERN = /^\s*[A-Za-z_$][\w$]*(?:\s*\.\s*[A-Za-z_$][\w$]*)*\s*$/;
+
+// Member names that lead from any value to Function or to prototype internals.
+const FORBIDDEN_MEMBER_NAMES = new Set(['constructor', '__proto__', 'prototype']);
+// Object statics that read properties by a runtime name or walk the prototype chain.
+const OBJECT_REFLECTION_METHODS = new Set([
+  'getOwnPropertyDescriptor', 'getOwnPropertyDescriptors', 'getPrototypeOf', 'setPrototypeOf',
+]);
+// Calls and operators whose result is a number or boolean, so it is safe as a computed key.
+const NUMERIC_GLOBAL_CALLS = new Set(['Number', 'parseInt', 'parseFloat', 'isNaN', 'isFinite', 'Boolean']);
+const NUMERIC_RESULT_METHODS = new Set([
+  'indexOf', 'lastIndexOf', 'findIndex', 'findLastIndex', 'charCodeAt', 'codePointAt', 'localeCompare',
+  'includes', 'startsWith', 'endsWith', 'some', 'every', 'test', 'has',
+]);
+const NUMERIC_RNG_METHODS = new Set(['random', 'range', 'int', 'chance', 'sign']);
+// Array callbacks whose second (reduce: third) parameter is the element index.
+const INDEX_PARAM_METHODS = { forEach: 1, map: 1, filter: 1, find: 1, findIndex: 1, some: 1, every: 1, flatMap: 1, reduce: 2 };
+
+// Keys that never need flagging on a positional argument that is really a point.
+const POINT_KEYS = new Set(['x', 'y', 'z']);
+const ARRAY_CALLBACK_METHODS = new Set(['forEach', 'map', 'filter', 'find', 'some', 'every', 'reduce', 'sort']);
+
+// Option-key renames backed by a manifest repair rule: helper -> [{ argIndex, from, to, ruleId }].
+const OPTION_RENAMES = {
+  findLineHits: [{ argIndex: 2, from: 'radius', to: 'width', ruleId: 'findLineHits_radius_to_width' }],
+  spawnBeam: [{ argIndex: 2, from: 'lifetime', to: 'life', ruleId: 'spawnBeam_lifetime_to_life' }],
+  damageEnemy: [{ argIndex: 1, from: 'amount', to: 'damage', ruleId: 'damageEnemy_amount_to_damage' }],
+};
+
+// Helpers whose single options object must be split back into positional arguments.
+const POSITIONAL_SPLITS = {
+  spawnBeam: { keys: ['start', 'end'], ruleId: 'spawnBeam_object_arg_to_positional' },
+  spawnImpactBurst: { keys: ['position'], ruleId: 'spawnImpactBurst_object_arg_to_positional' },
+};
+
+const STATUS_OPTION_INDEX = { applyStatus: 1, applyStatusRadius: 1, applyStatusCone: 2 };
+// `{ type: 'root', duration: 2 }` rewrites to `{ root: 2 }` for every effect whose bare number is seconds.
+// Burn is keyed `ignite` in the status helpers, so it is left out.
+const STATUS_TYPE_SECONDS = new Set(listStatusEffectIds()
+  .filter((id) => id !== 'burn' && getStatusEffect(id).numberSpec === 'seconds'));
+
+function getPositionalCount(helperName) {
+  const signature = HELPERS[helperName]?.signature || '';
+  const open = signature.indexOf('(');
+  if (open === -1) return 0;
+  const params = signature.slice(open + 1);
+  const braceAt = params.indexOf('{');
+  const head = braceAt === -1 ? params.slice(0, params.indexOf(')')) : params.slice(0, braceAt);
+  return head.split(',').map((part) => part.trim()).filter(Boolean).length;
+}
+
+function getOptionKeys(helperName) {
+  const options = HELPERS[helperName]?.options;
+  if (!options || typeof options !== 'object') return null;
+  const keys = Object.keys(options);
+  return keys.length ? new Set(keys) : null;
+}
+
+function walk(node, visit, parent = null) {
+  if (!node || typeof node.type !== 'string') return;
+  if (visit(node, parent) === false) return;
+  for (const key of Object.keys(node)) {
+    if (key === 'start' || key === 'end' || key === 'loc') continue;
+    const child = node[key];
+    if (Array.isArray(child)) {
+      for (const item of child) walk(item, visit, node);
+    } else if (child && typeof child.type === 'string') {
+      walk(child, visit, node);
+    }
+  }
+}
+
+function getPropertyName(prop) {
+  if (prop?.type !== 'Property' || prop.computed) return null;
+  if (prop.key.type === 'Identifier') return prop.key.name;
+  if (prop.key.type === 'Literal') return String(prop.key.value);
+  return null;
+}
+
+function getPageApiInString(text) {
+  if (!MEMBER_PATH_PATTERN.test(text)) return null;
+  return text.split('.').map((part) => part.trim()).find((part) => PAGE_API_STRING_NAMES.has(part)) || null;
+}
+
+function getStringValue(node) {
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateElement') return node.value.cooked || '';
+  return null;
+}
+
+function findProperty(objectNode, name) {
+  return objectNode.properties.find((prop) => getPropertyName(prop) === name) || null;
+}
+
+// Resolves ctx.X(...) and ctx.sdk.X(...) to the helper name X.
+function getHelperName(callee) {
+  if (callee?.type !== 'MemberExpression' || callee.computed) return null;
+  const name = callee.property.name;
+  if (!HELPERS[name]) return null;
+  const target = callee.object;
+  if (target.type === 'Identifier' && target.name === 'ctx') return name;
+  if (
+    target.type === 'MemberExpression'
+    && !target.computed
+    && target.property.name === 'sdk'
+    && target.object.type === 'Identifier'
+    && target.object.name === 'ctx'
+  ) {
+    return name;
+  }
+  return null;
+}
+
+function addPatternNames(pattern, names) {
+  walk(pattern, (node, parent) => {
+    if (node.type === 'Identifier' && !(parent?.type === 'Property' && parent.key === node && !parent.shorthand)) {
+      names.add(node.name);
+    }
+    if (node.type === 'AssignmentPattern') {
+      addPatternNames(node.left, names);
+      return false;
+    }
+    return true;
+  });
+}
+
+function collectDeclaredNames(ast) {
+  const names = new Set();
+  const addPattern = (pattern) => addPatternNames(pattern, names);
+  walk(ast, (node) => {
+    if (node.type === 'VariableDeclarator') addPattern(node.id);
+    if ((node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') && node.id) names.add(node.id.name);
+    if (node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression') {
+      node.params.forEach(addPattern);
+    }
+    if (node.type === 'CatchClause' && node.param) addPattern(node.param);
+    return true;
+  });
+  return names;
+}
+
+// Every write to each name, scope-blind: { node } for an assigned value, { op, name, node } for a
+// compound assignment, 'number' for ++/-- and index parameters, or 'unknown' for parameters,
+// loop variables, destructuring, and anything else the validator cannot see the value of.
+function collectValueWrites(ast) {
+  const writes = new Map();
+  const add = (name, write) => {
+    if (!writes.has(name)) writes.set(name, []);
+    writes.get(name).push(write);
+  };
+  const addUnknown = (pattern) => {
+    const names = new Set();
+    addPatternNames(pattern, names);
+    names.forEach((name) => add(name, 'unknown'));
+  };
+  const indexParams = new Set();
+  walk(ast, (node) => {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' || node.callee.computed) return true;
+    const index = INDEX_PARAM_METHODS[node.callee.property.name];
+    const param = node.arguments[0]?.params?.[index];
+    if (param?.type === 'Identifier') indexParams.add(param);
+    return true;
+  });
+  walk(ast, (node) => {
+    if (node.type === 'VariableDeclarator' && node.init) {
+      if (node.id.type === 'Identifier') add(node.id.name, { node: node.init });
+      else addUnknown(node.id);
+    }
+    if (node.type === 'AssignmentExpression') {
+      if (node.left.type !== 'Identifier') {
+        if (node.left.type !== 'MemberExpression') addUnknown(node.left);
+      } else if (node.operator === '=' || node.operator === '||=' || node.operator === '&&=' || node.operator === '??=') {
+        add(node.left.name, { node: node.right });
+      } else if (node.operator === '+=') {
+        add(node.left.name, { op: '+', name: node.left.name, node: node.right });
+      } else {
+        add(node.left.name, 'number');
+      }
+    }
+    if (node.type === 'UpdateExpression' && node.argument.type === 'Identifier') add(node.argument.name, 'number');
+    if (node.type === 'ForInStatement' || node.type === 'ForOfStatement') {
+      addUnknown(node.left.type === 'VariableDeclaration' ? node.left.declarations[0].id : node.left);
+    }
+    if (node.type === 'FunctionDeclaration' || node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression') {
+      if (node.id) add(node.id.name, 'unknown');
+      node.params.forEach((param) => (indexParams.has(param) ? add(param.name, 'number') : addUnknown(param)));
+    }
+    if (node.type === 'ClassDeclaration' && node.id) add(node.id.name, 'unknown');
+    if (node.type === 'CatchClause' && node.param) addUnknown(node.param);
+    return true;
+  });
+  return writes;
+}
+
+const NUMERIC_KEY = Object.freeze({ numeric: true, strings: Object.freeze([]) });
+
+function mergeKeyValues(a, b) {
+  if (!a || !b) return null;
+  return { numeric: a.numeric || b.numeric, strings: [...new Set([...a.strings, ...b.strings])] };
+}
+
+// What a computed member key can evaluate to: { numeric, strings } when every value is a number
+// (or boolean) or one of the listed constant strings, or null when a string may be built at runtime.
+function createKeyClassifier(ast) {
+  const writes = collectValueWrites(ast);
+  const cache = new Map();
+  const visiting = new Set();
+
+  // Cycles and deep chains are cut off by a step budget; running out counts as a runtime string.
+  let budget = 20000;
+  let cycles = 0;
+
+  const classifyWrite = (write) => {
+    if (write === 'number') return NUMERIC_KEY;
+    if (write === 'unknown') return null;
+    return write.op ? classifyConcat(classifyName(write.name), classify(write.node)) : classify(write.node);
+  };
+
+  const classifyName = (name) => {
+    if (cache.has(name)) return cache.get(name);
+    // A name that feeds its own value (`i = i + 1`) adds nothing beyond its other writes.
+    if (visiting.has(name)) {
+      cycles += 1;
+      return NUMERIC_KEY;
+    }
+    const list = writes.get(name);
+    if (!list) return name === 'undefined' || name === 'NaN' || name === 'Infinity' ? NUMERIC_KEY : null;
+    const cyclesBefore = cycles;
+    visiting.add(name);
+    let result = classifyWrite(list[0]);
+    for (let i = 1; i < list.length && result; i++) result = mergeKeyValues(result, classifyWrite(list[i]));
+    visiting.delete(name);
+    if (cycles === cyclesBefore) cache.set(name, result);
+    return result;
+  };
+
+  // `+` folds two constant strings; numbers stay numbers; anything else may spell any name.
+  const classifyConcat = (left, right) => {
+    if (!left || !right) return null;
+    if (!left.strings.length && !right.strings.length) return NUMERIC_KEY;
+    if (left.numeric || right.numeric || left.strings.length !== 1 || right.strings.length !== 1) return null;
+    return { numeric: false, strings: [left.strings[0] + right.strings[0]] };
+  };
+
+  function classify(node) {
+    budget -= 1;
+    if (budget < 0) return null;
+    switch (node?.type) {
+      case 'Literal':
+        if (node.regex) return null;
+        return typeof node.value === 'string' ? { numeric: false, strings: [node.value] } : NUMERIC_KEY;
+      case 'TemplateLiteral':
+        return node.expressions.length ? null : { numeric: false, strings: [node.quasis[0].value.cooked || ''] };
+      case 'Identifier':
+        return classifyName(node.name);
+      case 'UnaryExpression':
+        return node.operator === 'typeof' ? null : NUMERIC_KEY;
+      case 'UpdateExpression':
+        return NUMERIC_KEY;
+      case 'BinaryExpression':
+        return node.operator === '+' ? classifyConcat(classify(node.left), classify(node.right)) : NUMERIC_KEY;
+      case 'LogicalExpression':
+        return mergeKeyValues(classify(node.left), classify(node.right));
+      case 'ConditionalExpression':
+        return mergeKeyValues(classify(node.consequent), classify(node.alternate));
+      case 'SequenceExpression':
+        return classify(node.expressions[node.expressions.length - 1]);
+      case 'AssignmentExpression':
+        return node.operator === '=' ? classify(node.right) : null;
+      case 'MemberExpression':
+        return !node.computed && node.property.name === 'length' ? NUMERIC_KEY : null;
+      case 'CallExpression': {
+        const { callee } = node;
+        if (callee.type === 'Identifier') return NUMERIC_GLOBAL_CALLS.has(callee.name) ? NUMERIC_KEY : null;
+        if (callee.type !== 'MemberExpression' || callee.computed) return null;
+        const method = callee.property.name;
+        if (callee.object.type === 'Identifier' && callee.object.name === 'Math') return NUMERIC_KEY;
+        if (NUMERIC_RESULT_METHODS.has(method)) return NUMERIC_KEY;
+        const owner = callee.object;
+        const isCtx = owner.type === 'Identifier' && owner.name === 'ctx';
+        const isRng = owner.type === 'MemberExpression' && !owner.computed && owner.property.name === 'rng'
+          && owner.object.type === 'Identifier' && owner.object.name === 'ctx';
+        return (isCtx && method === 'random') || (isRng && NUMERIC_RNG_METHODS.has(method)) ? NUMERIC_KEY : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  return classify;
+}
+
+// `this` in sloppy code called without a receiver is the global object. Weapon bodies compile
+// sloppy, so `this` is only allowed inside class bodies, which are always strict.
+function collectUnboundThis(ast) {
+  const found = new Set();
+  const visit = (node, inClass) => {
+    if (!node || typeof node.type !== 'string') return;
+    if (node.type === 'ThisExpression' && !inClass) found.add(node);
+    const nextInClass = inClass || node.type === 'ClassBody';
+    for (const key of Object.keys(node)) {
+      if (key === 'start' || key === 'end' || key === 'loc') continue;
+      const child = node[key];
+      if (Array.isArray(child)) child.forEach((item) => visit(item, nextInClass));
+      else if (child && typeof child.type === 'string') visit(child, nextInClass);
+    }
+  };
+  visit(ast, false);
+  return found;
+}
+
+function isReferenceIdentifier(node, parent) {
+  if (!parent) return true;
+  if (parent.type === 'MemberExpression' && parent.property === node && !parent.computed) return false;
+  if ((parent.type === 'Property' || parent.type === 'MethodDefinition') && parent.key === node && !parent.computed) {
+    return parent.type === 'Property' && parent.shorthand && parent.value === node;
+  }
+  if (parent.type === 'LabeledStatement' || parent.type === 'BreakStatement' || parent.type === 'ContinueStatement') return false;
+  return true;
+}
+
+function isAlwaysTrue(test) {
+  if (!test) return true;
+  if (test.type === 'Literal') return Boolean(test.value);
+  if (test.type === 'UnaryExpression' && test.operator === '!' && test.argument.type === 'Literal') {
+    return !test.argument.value;
+  }
+  return false;
+}
+
+// True when something inside the loop body can leave it: break/return/throw outside nested loops and functions.
+function loopCanExit(body) {
+  let exits = false;
+  walk(body, (node) => {
+    if (exits) return false;
+    if (
+      node.type === 'FunctionDeclaration'
+      || node.type === 'FunctionExpression'
+      || node.type === 'ArrowFunctionExpression'
+    ) {
+      return false;
+    }
+    if (node.type === 'ReturnStatement' || node.type === 'ThrowStatement') {
+      exits = true;
+      return false;
+    }
+    if (node.type === 'BreakStatement') {
+      exits = true;
+      return false;
+    }
+    if (node !== body && /^(While|DoWhile|For|ForIn|ForOf)Statement$/.test(node.type)) {
+      // An unlabeled break inside a nested loop only leaves that loop; labeled breaks still count.
+      walk(node.body, (inner) => {
+        if (inner.type === 'BreakStatement' && inner.label) exits = true;
+        if (inner.type === 'ReturnStatement' || inner.type === 'ThrowStatement') exits = true;
+        return !exits && !/Function/.test(inner.type);
+      });
+      return false;
+    }
+    if (node.type === 'SwitchStatement') {
+      walk(node, (inner) => {
+        if (inner.type === 'BreakStatement' && inner.label) exits = true;
+        if (inner.type === 'ReturnStatement' || inner.type === 'ThrowStatement') exits = true;
+        return !exits && !/Function/.test(inner.type);
+      });
+      return false;
+    }
+    return true;
+  });
+  return exits;
+}
+
+function analyze(code) {
+  const issues = [];
+  const edits = [];
+
+  let ast;
+  try {
+    ast = parse(code, {
+      ecmaVersion: 'latest',
+      sourceType: 'script',
+      allowReturnOutsideFunction: true,
+      locations: true,
+    });
+  } catch (err) {
+    issues.push({
+      id: 'syntax',
+      severity: 'error',
+      message: err.message,
+      line: err.loc?.line ?? null,
+      column: err.loc?.column ?? null,
+    });
+    return { issues, edits };
+  }
+
+  const report = (node, id, severity, message, fix = null) => {
+    const rule = REPAIR_RULES.get(id);
+    const issue = {
+      id,
+      severity,
+      message: rule ? `${message} (${rule.rewriteHint})` : message,
+      line: node.loc.start.line,
+      column: node.loc.start.column,
+      fixed: false,
+    };
+    if (fix) {
+      issue.fixed = true;
+      edits.push(...fix);
+    }
+    issues.push(issue);
+  };
+
+  const declared = collectDeclaredNames(ast);
+  const classifyKey = createKeyClassifier(ast);
+  const unboundThis = collectUnboundThis(ast);
+  // Member reads and destructuring keys alike: `o.constructor` and `const { constructor } = o`.
+  const checkMemberKey = (node, keyNode, computed) => {
+    const key = computed ? classifyKey(keyNode) : { strings: [keyNode.type === 'Literal' ? String(keyNode.value) : keyNode.name] };
+    const forbidden = key?.strings.find((name) => FORBIDDEN_MEMBER_NAMES.has(name));
+    if (forbidden) {
+      report(node, 'forbidden_global', 'error', `\`${forbidden}\` is not allowed: it reaches Function or object prototypes, and dynamic code is not allowed`);
+    } else if (!key) {
+      report(keyNode, 'forbidden_global', 'error', 'Computed keys must be numbers or string constants: a key built at runtime could reach `constructor`');
+    }
+  };
+  const lineHitLists = new Set();
+  const lineHitItems = new Set();
+
+  // First pass: remember where findLineHits results end up so `hit.distance` can be traced.
+  walk(ast, (node) => {
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init) {
+      if (node.init.type === 'CallExpression' && getHelperName(node.init.callee) === 'findLineHits') {
+        lineHitLists.add(node.id.name);
+      }
+      if (
+        node.init.type === 'MemberExpression'
+        && node.init.computed
+        && node.init.object.type === 'Identifier'
+        && lineHitLists.has(node.init.object.name)
+      ) {
+        lineHitItems.add(node.id.name);
+      }
+    }
+    if (node.type === 'ForOfStatement' && node.right.type === 'Identifier' && lineHitLists.has(node.right.name)) {
+      const decl = node.left.type === 'VariableDeclaration' ? node.left.declarations[0]?.id : node.left;
+      if (decl?.type === 'Identifier') lineHitItems.add(decl.name);
+    }
+    if (
+      node.type === 'CallExpression'
+      && node.callee.type === 'MemberExpression'
+      && !node.callee.computed
+      && ARRAY_CALLBACK_METHODS.has(node.callee.property.name)
+      && (
+        (node.callee.object.type === 'Identifier' && lineHitLists.has(node.callee.object.name))
+        || (node.callee.object.type === 'CallExpression' && getHelperName(node.callee.object.callee) === 'findLineHits')
+      )
+    ) {
+      const callback = node.arguments[0];
+      const paramIndex = node.callee.property.name === 'reduce' ? 1 : 0;
+      const params = node.callee.property.name === 'sort' ? callback?.params || [] : [callback?.params?.[paramIndex]];
+      for (const param of params) {
+        if (param?.type === 'Identifier') lineHitItems.add(param.name);
+      }
+    }
+    return true;
+  });
+
+  walk(ast, (node, parent) => {
+    if (node.type === 'Identifier' && FORBIDDEN_WEAPON_GLOBALS[node.name] && !declared.has(node.name)) {
+      if (isReferenceIdentifier(node, parent)) {
+        report(node, 'forbidden_global', 'error', `\`${node.name}\` is not allowed: ${FORBIDDEN_WEAPON_GLOBALS[node.name]}`);
+      }
+    }
+
+    if (node.type === 'Identifier' && node.name === 'Object' && !declared.has('Object') && isReferenceIdentifier(node, parent)) {
+      const method = parent?.type === 'MemberExpression' && parent.object === node && !parent.computed ? parent.property.name : null;
+      if (!method) {
+        report(node, 'forbidden_global', 'error', '`Object` may only be used for calls such as Object.keys(...): passed around it can read descriptors');
+      } else if (OBJECT_REFLECTION_METHODS.has(method)) {
+        report(parent, 'forbidden_global', 'error', `\`Object.${method}\` is not allowed: descriptor and prototype reads can reach Function`);
+      }
+    }
+
+    if (node.type === 'ImportExpression') {
+      report(node, 'forbidden_global', 'error', 'Dynamic import() is not allowed in weapon code');
+    }
+
+    if (node.type === 'WithStatement') {
+      report(node, 'forbidden_global', 'error', '`with` is not allowed: it turns an object\'s properties into variables the checks cannot see');
+    }
+
+    if (unboundThis.has(node)) {
+      report(node, 'forbidden_global', 'error', '`this` is not allowed outside class bodies: a function called on its own gets the global object as `this`');
+    }
+
+    if (node.type === 'MemberExpression') checkMemberKey(node, node.property, node.computed);
+    if (node.type === 'ObjectPattern') {
+      for (const prop of node.properties) {
+        if (prop.type === 'Property') checkMemberKey(prop, prop.key, prop.computed);
+      }
+    }
+
+    const text = getStringValue(node);
+    const pageApi = text && getPageApiInString(text);
+    if (pageApi) {
+      report(node, 'forbidden_global', 'error', `String names \`${pageApi}\`: weapon code cannot reach page, network, or eval APIs`);
+    }
+
+    if (node.type === 'WhileStatement' || node.type === 'DoWhileStatement' || node.type === 'ForStatement') {
+      if (isAlwaysTrue(node.test) && !loopCanExit(node.body)) {
+        report(node, 'infinite_loop', 'error', 'Loop never exits; use ctx.onUpdate / ctx.every for repeated work');
+      }
+    }
+
+    if (
+      node.type === 'MemberExpression'
+      && !node.computed
+      && node.property.name === 'distance'
+      && (
+        (node.object.type === 'Identifier' && lineHitItems.has(node.object.name))
+        || (node.object.type === 'MemberExpression' && node.object.computed
+          && node.object.object.type === 'Identifier' && lineHitLists.has(node.object.object.name))
+      )
+    ) {
+      report(node, 'findLineHits_distance_field_to_t', 'warning', 'findLineHits results have no `distance` field', [
+        { start: node.property.start, end: node.property.end, text: 't' },
+      ]);
+    }
+
+    if (node.type !== 'CallExpression') return true;
+    const helper = getHelperName(node.callee);
+    if (!helper) return true;
+    checkHelperCall(code, node, helper, report);
+    return true;
+  });
+
+  return { issues, edits };
+}
+
+function checkHelperCall(code, node, helper, report) {
+  const args = node.arguments;
+  const positional = getPositionalCount(helper);
+  const split = POSITIONAL_SPLITS[helper];
+
+  if (split && args.length === 1 && args[0].type === 'ObjectExpression') {
+    const objectArg = args[0];
+    const positionalProps = split.keys.map((key) => findProperty(objectArg, key));
+    const fix = positionalProps.every(Boolean)
+      ? [{
+        start: objectArg.start,
+        end: objectArg.end,
+        text: [
+          ...positionalProps.map((prop) => code.slice(prop.value.start, prop.value.end)),
+          ...(objectArg.properties.length > positionalProps.length
+            ? [`{ ${objectArg.properties
+              .filter((prop) => !positionalProps.includes(prop))
+              .map((prop) => code.slice(prop.start, prop.end))
+              .join(', ')} }`]
+            : []),
+        ].join(', '),
+      }]
+      : null;
+    report(node, split.ruleId, fix ? 'warning' : 'error', `ctx.${helper} takes positional arguments, not a single options object`, fix);
+    return;
+  }
+
+  for (let i = 0; i < Math.min(positional, args.length); i++) {
+    const arg = args[i];
+    if (arg.type !== 'ObjectExpression') continue;
+    const keys = arg.properties.map(getPropertyName);
+    if (keys.every((key) => key && POINT_KEYS.has(key))) continue;
+    report(arg, 'positional_arg_shape', 'error', `ctx.${helper} argument ${i + 1} should be a value, not an options object (${HELPERS[helper].signature})`);
+  }
+  if (positional > 0 && args.length < positional && !args.some((arg) => arg.type === 'SpreadElement')) {
+    report(node, 'missing_args', 'warning', `ctx.${helper} expects ${positional} leading argument(s) (${HELPERS[helper].signature})`);
+  }
+
+  const opts = args[positional];
+  if (opts?.type !== 'ObjectExpression') return;
+
+  for (const rename of OPTION_RENAMES[helper] || []) {
+    if (rename.argIndex !== positional) continue;
+    const prop = findProperty(opts, rename.from);
+    if (!prop || findProperty(opts, rename.to)) continue;
+    const fix = prop.shorthand
+      ? [{ start: prop.start, end: prop.end, text: `${rename.to}: ${rename.from}` }]
+      : [{ start: prop.key.start, end: prop.key.end, text: rename.to }];
+    report(prop, rename.ruleId, 'warning', `ctx.${helper} option \`${rename.from}\` is ignored`, fix);
+  }
+
+  if (helper === 'findLineHits') {
+    const sortBy = findProperty(opts, 'sortBy');
+    if (sortBy?.value.type === 'Literal' && sortBy.value.value === 't') {
+      report(sortBy, 'findLineHits_sort_t_to_along', 'warning', 'findLineHits has no `t` sort mode', [
+        { start: sortBy.value.start, end: sortBy.value.end, text: "'along'" },
+      ]);
+    }
+  }
+
+  if (STATUS_OPTION_INDEX[helper] === positional) {
+    checkStatusOptions(code, opts, helper, report);
+  }
+
+  const allowed = getOptionKeys(helper);
+  if (allowed) {
+    for (const prop of opts.properties) {
+      const key = getPropertyName(prop);
+      const renamed = (OPTION_RENAMES[helper] || []).some((rename) => rename.from === key);
+      const statusType = key === 'type' && STATUS_OPTION_INDEX[helper] === positional;
+      if (!key || allowed.has(key) || renamed || statusType) continue;
+      report(prop, 'unknown_option', 'warning', `ctx.${helper} does not read option \`${key}\``);
+    }
+  }
+}
+
+function checkStatusOptions(code, opts, helper, report) {
+  const typeProp = findProperty(opts, 'type');
+  if (!typeProp) return;
+  const statusType = typeProp.value.type === 'Literal' ? String(typeProp.value.value) : null;
+  const durationProp = findProperty(opts, 'duration');
+  const ruleId = 'applyStatus_freeze_type_duration_to_freeze_seconds';
+
+  if (!STATUS_TYPE_SECONDS.has(statusType) || !durationProp) {
+    report(typeProp, ruleId, 'error', `ctx.${helper} has no \`type\` option; pass the status as its own key`);
+    return;
+  }
+
+  const seconds = code.slice(durationProp.value.start, durationProp.value.end);
+  const [first, second] = [typeProp, durationProp].sort((a, b) => a.start - b.start);
+  const fix = [
+    { start: first.start, end: first.end, text: `${statusType}: ${seconds}` },
+    removePropertyEdit(code, opts, second),
+  ];
+  report(typeProp, ruleId, 'warning', `ctx.${helper} has no \`type\` option`, fix);
+}
+
+// Removes a property together with the comma that separates it from its neighbour.
+function removePropertyEdit(code, objectNode, prop) {
+  const trailing = /^\s*,\s*/.exec(code.slice(prop.end));
+  if (trailing) return { start: prop.start, end: prop.end + trailing[0].length, text: '' };
+  const index = objectNode.properties.indexOf(prop);
+  const previous = objectNode.properties[index - 1];
+  return { start: previous ? previous.end : prop.start, end: prop.end, text: '' };
+}
+
+function applyEdits(code, edits) {
+  const sorted = edits.slice().sort((a, b) => b.start - a.start);
+  let out = code;
+  let floor = Infinity;
+  for (const edit of sorted) {
+    if (edit.end > floor) continue;
+    out = out.slice(0, edit.start) + edit.text + out.slice(edit.end);
+    floor = edit.start;
+  }
+  return out;
+}
+
+/**
+ * Validates a generated weapon body and applies manifest repair rules.
+ * Returns { ok, code, issues } where `code` is the repaired body and `ok` is false if any error remains.
+ */
+export function validateWeaponCode(source) {
+  const original = String(source || '');
+  const first = analyze(original);
+  const fixedIssues = first.issues.filter((issue) => issue.fixed);
+  if (!fixedIssues.length) {
+    return {
+      ok: !first.issues.some((issue) => issue.severity === 'error'),
+      code: original,
+      issues: first.issues,
+    };
+  }
+
+  // Rewrites can uncover follow-up fixes (e.g. a split spawnBeam options object with `lifetime`).
+  let code = applyEdits(original, first.edits);
+  let second = analyze(code);
+  if (second.edits.length) {
+    code = applyEdits(code, second.edits);
+    fixedIssues.push(...second.issues.filter((issue) => issue.fixed));
+    second = analyze(code);
+  }
+  return {
+    ok: !second.issues.some((issue) => issue.severity === 'error'),
+    code,
+    issues: [...fixedIssues, ...second.issues.filter((issue) => !issue.fixed)],
+  };
+}
+
+export function formatWeaponValidationReport(result) {
+  if (!result?.issues?.length) return '';
+  return result.issues.map((issue) => {
+    const where = issue.line != null ? `line ${issue.line}: ` : '';
+    const label = issue.fixed ? 'Auto-fixed' : (issue.severity === 'error' ? 'Error' : 'Warning');
+    return `${label} - ${where}${issue.message}`;
+  }).join('\n');
+}
@@ -0,0 +1,46 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createCoopSimulation } from '../src/coopSimulation.js';
+
+// The arena has a pillar at x = -20 spanning z -0.9..0.9 (src/arena.js); tier 2 dashes 7 m and blinks 10 m.
+const BESIDE_PILLAR = { x: -20, y: 0, z: -4 };
+
+// A live solo match with one player walked up to the pillar at run speed.
+function createMatchBesidePillar() {
+  const simulation = createCoopSimulation({ minTeams: 1 });
+  const e = simulation.join('alice');
+  simulation.loadWeapon('alice', { code: 'ctx.player.dash(ctx.player.forward, 7);', slotIndex: 0, tier: 2 });
+  for (let i = 0; i < 4 / 0.1; i++) simulation.step(0.1);
+
+  let now = simulation.time;
+  simulation.applyState('alice', { position: e.pos.clone() }, now);
+  while (Math.hypot(e.pos.x - BESIDE_PILLAR.x, e.pos.z - BESIDE_PILLAR.z) > 0.01) {
+    const toward = { x: BESIDE_PILLAR.x - e.pos.x, z: BESIDE_PILLAR.z - e.pos.z };
+    const scale = Math.min(1, 6 / Math.hypot(toward.x, toward.z));
+    now += 0.5;
+    const moved = simulation.applyState('alice', { position: { x: e.pos.x + toward.x * scale, y: 0, z: e.pos.z + toward.z * scale } }, now);
+    assert.ok(moved, 'walked to the pillar');
+  }
+  return { simulation, e };
+}
+
+test('a dash the client says went through a wall stops at the wall on the server', () => {
+  const { simulation, e } = createMatchBesidePillar();
+  const accepted = simulation.applyAbility('alice', { ability: 'dash', slotIndex: 0, position: { x: -20, y: 0, z: 3 } });
+  assert.ok(accepted);
+  assert.ok(e.pos.z < -0.9, `stopped at z ${e.pos.z}`);
+  assert.deepEqual(accepted.position, [e.pos.x, e.pos.y, e.pos.z].map((v) => Math.round(v * 1000) / 1000));
+  simulation.destroy();
+});
+
+test('a blink needs a line of sight and a free landing spot on the server too', () => {
+  const { simulation, e } = createMatchBesidePillar();
+  assert.equal(simulation.applyAbility('alice', { ability: 'blink', slotIndex: 0, position: { x: -20, y: 0, z: 4 } }), null, 'behind the pillar');
+  assert.equal(simulation.applyAbility('alice', { ability: 'blink', slotIndex: 0, position: { x: -20, y: 0, z: 0 } }), null, 'inside the pillar');
+  assert.deepEqual(e.pos.toArray(), [-20, 0, -4]);
+
+  const accepted = simulation.applyAbility('alice', { ability: 'blink', slotIndex: 0, position: { x: -12, y: 0, z: -4 } });
+  assert.ok(accepted);
+  assert.deepEqual(e.pos.toArray(), [-12, 0, -4]);
+  simulation.destroy();
+});
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { createMovementPredictor } from '../src/coopPrediction.js';
+
+// Walks +x one meter per input from the origin; returns the predicted position after each.
+function walk(predictor, steps, from = 0) {
+  const positions = [];
+  for (let i = 1; i <= steps; i++) {
+    const position = { x: from + i, y: 0, z: 0 };
+    predictor.recordInput({ move: 1 }, position);
+    positions.push(position);
+  }
+  return positions;
+}
+
+test('an acknowledged input the server agrees with needs no correction', () => {
+  const predictor = createMovementPredictor();
+  walk(predictor, 4);
+  const result = predictor.reconcile({ position: [2, 0, 0], lastInputSeq: 2, spawnVersion: 0 }, { x: 4, y: 0, z: 0 });
+  assert.equal(result.position, null);
+  assert.equal(predictor.getDebugState().pendingInputs, 2);
+});
+
+test('a small server correction replays the pending inputs and is eased out', () => {
+  const predictor = createMovementPredictor();
+  walk(predictor, 4);
+  const result = predictor.reconcile({ position: [1.5, 0, 0], lastInputSeq: 2, spawnVersion: 0 }, { x: 4, y: 0, z: 0 });
+  assert.deepEqual(result.position.toArray(), [3.5, 0, 0]);
+  assert.equal(result.snapped, false);
+  assert.equal(result.error, 0.5);
+  assert.deepEqual(predictor.getRenderOffset().toArray(), [0.5, 0, 0]);
+  assert.ok(predictor.updateSmoothing(0.1).length() < 0.5);
+
+  // Acks for inputs sent before the correction are not compared again.
+  assert.equal(predictor.reconcile({ position: [1.5, 0, 0], lastInputSeq: 3, spawnVersion: 0 }, result.position).position, null);
+  assert.equal(predictor.getDebugState().corrections, 1);
+});
+
+test('large corrections and respawns snap', () => {
+  const predictor = createMovementPredictor();
+  walk(predictor, 4);
+  const far = predictor.reconcile({ position: [-5, 0, 0], lastInputSeq: 2, spawnVersion: 0 }, { x: 4, y: 0, z: 0 });
+  assert.equal(far.snapped, true);
+  assert.deepEqual(far.position.toArray(), [-3, 0, 0]);
+
+  walk(predictor, 2, -3);
+  const respawn = predictor.reconcile({ position: [20, 0, 20], lastInputSeq: 6, spawnVersion: 1 }, { x: -1, y: 0, z: 0 });
+  assert.equal(respawn.snapped, true);
+  assert.deepEqual(respawn.position.toArray(), [20, 0, 20]);
+  assert.equal(predictor.getDebugState().snaps, 2);
+  assert.deepEqual(predictor.getRenderOffset().toArray(), [0, 0, 0]);
+});
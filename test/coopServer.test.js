@@ -0,0 +1,157 @@
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import crypto from 'node:crypto';
+import http from 'node:http';
+import net from 'node:net';
+import { after, before, test } from 'node:test';
+import { verifyForgeRoomToken } from '../scripts/forgeSignature.js';
+
+const SECRET = 'test-secret';
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+let server = null;
+let port = 0;
+
+function getFreePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port: free } = probe.address();
+      probe.close(() => resolve(free));
+    });
+  });
+}
+
+// Just enough of a WebSocket client for JSON traffic: masked text frames out, unmasked frames in.
+function connect() {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+        'Sec-WebSocket-Version': '13',
+      },
+    });
+    req.on('upgrade', (res, socket) => resolve(createClient(socket)));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+function createClient(socket) {
+  const client = { messages: [], closed: false };
+  let buffer = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 2) {
+      const opcode = buffer[0] & 0x0f;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (buffer.length < offset + length) return;
+      const payload = buffer.subarray(offset, offset + length);
+      buffer = buffer.subarray(offset + length);
+      if (opcode === 0x1) client.messages.push(JSON.parse(payload.toString('utf8')));
+      if (opcode === 0x8) client.closed = true;
+    }
+  });
+  socket.on('close', () => {
+    client.closed = true;
+  });
+  client.send = (message) => {
+    const body = Buffer.from(JSON.stringify(message));
+    const mask = crypto.randomBytes(4);
+    const header = body.length < 126 ? Buffer.from([0x81, 0x80 | body.length]) : Buffer.from([0x81, 0xfe, body.length >> 8, body.length & 0xff]);
+    const masked = Buffer.from(body.map((byte, i) => byte ^ mask[i % 4]));
+    socket.write(Buffer.concat([header, mask, masked]));
+  };
+  client.close = () => socket.destroy();
+  return client;
+}
+
+async function join(roomId, playerId) {
+  const client = await connect();
+  client.send({ type: 'hello', roomId, playerId, protocol: { encodings: ['json'] } });
+  client.send({ type: 'state', roomId, playerId, actor: { pos: [0, 0.6, 0], vel: [0, 0, 0], yaw: 0 } });
+  return client;
+}
+
+const lastWorld = (client) => client.messages.filter((message) => message.type === 'world').at(-1);
+
+// Polls until `check` returns something truthy; the room worker takes a moment to start.
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = check();
+    if (value) return value;
+    await sleep(25);
+  }
+  throw new Error('timed out waiting for the server');
+}
+
+const worldPlayers = (client) => lastWorld(client)?.combatants.map((e) => e.playerId).sort().join(',');
+
+before(async () => {
+  port = await getFreePort();
+  server = spawn(process.execPath, ['scripts/coop-server.js'], {
+    env: { ...process.env, COOP_HOST: '127.0.0.1', COOP_PORT: String(port), COOP_AUTHORITATIVE: '1', COOP_MIN_TEAMS: '1', FORGE_SIGNING_SECRET: SECRET },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  await new Promise((resolve) => server.stdout.on('data', (chunk) => {
+    if (String(chunk).includes('listening')) resolve();
+  }));
+});
+
+after(() => {
+  server?.kill();
+});
+
+test('a second connection cannot take over or remove a player that is already connected', async () => {
+  const alice = await join('hijack', 'alice');
+  const carol = await join('hijack', 'carol');
+  await waitFor(() => worldPlayers(carol) === 'alice,carol');
+
+  const mallory = await join('hijack', 'alice');
+  const refusal = await waitFor(() => mallory.messages.find((message) => message.type === 'player-id-taken'));
+  assert.equal(refusal.targetId, 'alice');
+  await waitFor(() => mallory.closed);
+  mallory.close();
+
+  const worldsBefore = carol.messages.length;
+  await waitFor(() => carol.messages.length > worldsBefore + 5);
+  assert.equal(carol.messages.some((message) => message.type === 'leave' && message.playerId === 'alice'), false);
+  assert.equal(worldPlayers(carol), 'alice,carol');
+  alice.close();
+  carol.close();
+});
+
+test('a player id is free again once its connection has left', async () => {
+  const first = await join('rejoin', 'dave');
+  await waitFor(() => lastWorld(first));
+  first.close();
+  await sleep(200);
+  const second = await join('rejoin', 'dave');
+  const observer = await join('rejoin', 'erin');
+  await waitFor(() => worldPlayers(observer) === 'dave,erin');
+  assert.equal(second.closed, false);
+  assert.equal(second.messages.some((message) => message.type === 'player-id-taken'), false);
+  second.close();
+  observer.close();
+});
+
+test('the welcome carries a forge room token for the room that was joined', async () => {
+  const client = await join('tokens', 'frank');
+  const welcome = await waitFor(() => client.messages.find((message) => message.type === 'welcome'));
+  assert.equal(verifyForgeRoomToken('tokens', welcome.forgeRoomToken, SECRET), true);
+  assert.equal(verifyForgeRoomToken('other-room', welcome.forgeRoomToken, SECRET), false);
+  client.close();
+});
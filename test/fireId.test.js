@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import * as THREE from 'three';
+import { createLocalCoopClient } from '../src/coop.js';
+import { decodeMessage, encodeStateMessage } from '../src/coopProtocol.js';
+import {
+  fire,
+  initSandbox,
+  releaseFire,
+  setLocalPlayerId,
+  setWeapon,
+  setWeaponIsolation,
+  updateSandboxTimers,
+} from '../src/sandbox.js';
+
+const rolls = [];
+// A weapon whose only output is what it rolled, through both Math.random and ctx.random().
+function rollingWeapon(ctx, Math) {
+  rolls.push(Math.random(), ctx.random(), ctx.rng.int(1, 100));
+}
+
+const BEAM = { fireMode: 'continuous', tier: 2 };
+
+// A fresh slot, as after the weapon's `weapon` message on a peer or the server.
+function equipRollingWeapon(opts = {}) {
+  setWeapon(rollingWeapon, 'Dice', 'alice', opts);
+}
+
+function fireAndCollect(opts) {
+  rolls.length = 0;
+  const fireId = fire(null, { ownerId: 'alice', ...opts });
+  return { fireId, rolls: [...rolls] };
+}
+
+// Holds the trigger at 60 fps until the weapon has ticked `ticks` times; frames between ticks fire nothing.
+function holdBeam(ticks, opts) {
+  const held = [];
+  for (let frame = 0; held.length < ticks && frame < 600; frame++) {
+    const tick = fireAndCollect(opts);
+    if (tick.fireId) held.push(tick);
+    updateSandboxTimers(1 / 60);
+  }
+  releaseFire('alice');
+  return held;
+}
+
+// Receives the next envelope of `type` the client posts to its room.
+function nextEnvelope(roomId, type) {
+  const channel = new BroadcastChannel(`voxel-fight-coop:${roomId}`);
+  return new Promise((resolve) => {
+    channel.addEventListener('message', ({ data }) => {
+      if (data?.type !== type) return;
+      channel.close();
+      resolve(data);
+    });
+  });
+}
+
+async function publish(type, send) {
+  globalThis.location = { search: `?room=fire-id-${type}&playerId=alice` };
+  const coop = createLocalCoopClient();
+  const received = nextEnvelope(coop.roomId, type);
+  const sent = send(coop);
+  const envelope = await received;
+  coop.destroy();
+  delete globalThis.location;
+  return { sent, envelope };
+}
+
+test('a peer replaying a published fire rolls what the local fire rolled', async () => {
+  const player = { pos: new THREE.Vector3(), vel: new THREE.Vector3(), mesh: new THREE.Object3D() };
+  setWeaponIsolation(false);
+  setLocalPlayerId('alice');
+  initSandbox(new THREE.Scene(), new THREE.PerspectiveCamera(), player, [], () => 0, () => null, {});
+  equipRollingWeapon();
+
+  const local = fireAndCollect();
+  assert.equal(typeof local.fireId, 'string');
+  assert.equal(local.rolls.length, 3);
+
+  const { sent, envelope } = await publish('fire', (coop) => coop.publishFire({ fireId: local.fireId }));
+  assert.equal(sent, local.fireId);
+
+  equipRollingWeapon();
+  const replay = fireAndCollect({ fireId: envelope.fireId, bypassRateLimit: true });
+  assert.equal(replay.fireId, local.fireId);
+  assert.deepEqual(replay.rolls, local.rolls);
+
+  equipRollingWeapon();
+  assert.notDeepEqual(fireAndCollect({ bypassRateLimit: true }).rolls, local.rolls);
+});
+
+test('held continuous fire rolls the same ticks on the server as on the shooter', async () => {
+  equipRollingWeapon(BEAM);
+  const local = holdBeam(5);
+  const channelId = local[0].fireId;
+  assert.equal(typeof channelId, 'string');
+  assert.ok(local.every((tick) => tick.fireId === channelId), 'one id for the whole channel');
+  assert.equal(new Set(local.map((tick) => tick.rolls.join())).size, 5, 'each tick rolls differently');
+
+  // The firing state carries the channel id, over JSON and over the binary codec.
+  const { envelope } = await publish('state', (coop) => coop.publishState({ firing: true, fireId: channelId }, { force: true }));
+  assert.equal(envelope.actor.fireId, channelId);
+  const { bytes } = encodeStateMessage(1, envelope.actor);
+  assert.equal(decodeMessage(bytes).body.actor.fireId, channelId);
+
+  equipRollingWeapon(BEAM);
+  const server = holdBeam(5, { fireId: envelope.actor.fireId });
+  assert.deepEqual(server.map((tick) => tick.rolls), local.map((tick) => tick.rolls));
+
+  // The next press is a new channel with a new id.
+  updateSandboxTimers(1);
+  const next = holdBeam(1);
+  assert.notEqual(next[0].fireId, channelId);
+});
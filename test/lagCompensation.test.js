@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import * as THREE from 'three';
+import { createPositionHistory, withRewoundCombatants } from '../src/lagCompensation.js';
+
+// A target strafing along x at 8 m/s for a second, sampled at 30 Hz.
+function createMovingTarget() {
+  const history = createPositionHistory({ maxRewindMs: 250 });
+  const target = { playerId: 'target', hp: 100, pos: new THREE.Vector3(), mesh: new THREE.Object3D() };
+  let now = 0;
+  for (let i = 0; i <= 30; i++) {
+    now = i / 30;
+    target.pos.set(8 * now, 0, 10);
+    history.record(now, [target]);
+  }
+  return { history, target, now };
+}
+
+// What the sandbox does to a combatant it eliminates (sandbox.js respawn).
+function eliminate(e, { delayed }) {
+  e.hp = 0;
+  e.respawnToken = (e.respawnToken || 0) + 1;
+  e.pendingRespawn = delayed;
+}
+
+test('an alive target keeps what the weapon did to it, on top of its present position', () => {
+  const { history, target, now } = createMovingTarget();
+  withRewoundCombatants(history, [target], { now, viewTime: now - 0.15, shooterId: 'shooter' }, () => {
+    target.pos.y += 2;
+  });
+  assert.deepEqual(target.pos.toArray(), [8, 2, 10]);
+  assert.deepEqual(target.mesh.position.toArray(), [8, 2, 10]);
+});
+
+test('a target killed inside the rewind goes back to its present position', () => {
+  const { history, target, now } = createMovingTarget();
+  const { rewind } = withRewoundCombatants(history, [target], { now, viewTime: now - 0.15, shooterId: 'shooter' }, () => {
+    assert.equal(target.pos.x, 8 * (now - 0.15));
+    eliminate(target, { delayed: true });
+  });
+  assert.equal(rewind.hitboxes.length, 1);
+  assert.deepEqual(target.pos.toArray(), [8, 0, 10]);
+  assert.deepEqual(target.mesh.position.toArray(), [8, 0, 10]);
+});
+
+test('a target killed and respawned inside the rewind stays at its spawn', () => {
+  const { history, target, now } = createMovingTarget();
+  withRewoundCombatants(history, [target], { now, viewTime: now - 0.15, shooterId: 'shooter' }, () => {
+    eliminate(target, { delayed: false });
+    target.hp = 100;
+    target.pos.set(-34, 0, 44);
+  });
+  assert.deepEqual(target.pos.toArray(), [-34, 0, 44]);
+  assert.deepEqual(target.mesh.position.toArray(), [-34, 0, 44]);
+});
@@ -0,0 +1,20 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { isRealmWorkerPath } from '../src/weaponRealm/lockdown.js';
+
+test('the realm and bench workers get the worker CSP in dev and in builds', () => {
+  for (const path of [
+    '/src/weaponRealm/worker.js?worker_file&type=module',
+    '/assets/worker-3f9a1c2b.js',
+    '/src/weaponBenchWorker.js?worker_file&type=module',
+    '/assets/weaponBenchWorker-Bq7x_d1e.js',
+  ]) {
+    assert.equal(isRealmWorkerPath(path), true, path);
+  }
+});
+
+test('other scripts keep the page policy', () => {
+  for (const path of ['/src/weaponBench.js', '/assets/index-3f9a1c2b.js', '/assets/sub/worker-3f9a1c2b.js']) {
+    assert.equal(isRealmWorkerPath(path), false, path);
+  }
+});
@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import * as THREE from 'three';
+import {
+  absorbShieldDamage,
+  fire,
+  initSandbox,
+  resolveIncomingDamage,
+  setLocalPlayerId,
+  setWeapon,
+  setWeaponIsolation,
+  updateSandboxTimers,
+} from '../src/sandbox.js';
+
+const results = [];
+function shieldWeapon(ctx) {
+  results.push(ctx.player.addShield(20, 3));
+}
+
+// Single player: no tracked combatants, so the player only exists as the sandbox's local player.
+function startSoloGame() {
+  const player = { hp: 100, pos: new THREE.Vector3(), vel: new THREE.Vector3(), mesh: new THREE.Object3D() };
+  setWeaponIsolation(false);
+  setLocalPlayerId('solo');
+  initSandbox(new THREE.Scene(), new THREE.PerspectiveCamera(), player, () => [], () => 0, () => null, {});
+  setWeapon(shieldWeapon, 'Bulwark', 'solo', { tier: 2 });
+  return player;
+}
+
+test('the solo player keeps its shield, and host damage spends it before hp', () => {
+  const player = startSoloGame();
+  fire();
+  assert.deepEqual(results, [true]);
+
+  assert.equal(resolveIncomingDamage(player, 15), 0);
+  assert.equal(absorbShieldDamage(player, 15), 10);
+  assert.equal(resolveIncomingDamage(player, 15), 15);
+});
+
+test('the solo player\'s shield wears off on time', () => {
+  const player = startSoloGame();
+  updateSandboxTimers(10);
+  fire();
+  assert.equal(results.at(-1), true);
+  updateSandboxTimers(1);
+  assert.equal(resolveIncomingDamage(player, 5), 0);
+  updateSandboxTimers(2.5);
+  assert.equal(resolveIncomingDamage(player, 5), 5);
+});
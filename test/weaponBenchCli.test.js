@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, test } from 'node:test';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weapon-bench-'));
+
+function writeWeapon(name, code) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, code);
+  return file;
+}
+
+function runBench(...files) {
+  const started = Date.now();
+  const result = spawnSync(process.execPath, ['scripts/weapon-bench.js', '--seconds', '1', '--json', ...files], { encoding: 'utf8', timeout: 30000 });
+  return { status: result.status, ms: Date.now() - started, reports: JSON.parse(result.stdout) };
+}
+
+test('a hanging weapon times out and the bench still reports the others', () => {
+  const hang = writeWeapon('hang.js', 'let n = 0;\nwhile (n >= 0) { n++; }');
+  const zap = writeWeapon('zap.js', 'for (const enemy of ctx.getEnemies()) enemy.takeDamage(10);');
+  const { status, ms, reports } = runBench(hang, zap);
+  assert.equal(status, 1);
+  assert.ok(ms < 15000, `took ${ms}ms`);
+  assert.match(reports[0].error, /timed out after 3000ms/);
+  assert.equal(reports[1].damage, 30);
+  assert.deepEqual(reports[1].exceptions, []);
+});
+
+test('code the validator rejects never runs', () => {
+  const spin = writeWeapon('spin.js', 'while (true) {}');
+  const leak = writeWeapon('leak.js', `fetch('https://example.com');`);
+  const { status, reports } = runBench(spin, leak);
+  assert.equal(status, 1);
+  assert.equal(reports[0].error, 'validation');
+  assert.match(reports[0].validationReport, /Loop never exits/);
+  assert.match(reports[1].validationReport, /fetch/);
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
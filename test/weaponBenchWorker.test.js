@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { lockFunctionConstructors } from '../src/weaponRealm/lockdown.js';
+
+// Stands in for the worker scope; in a browser worker `self` is the global, so the global
+// Function is locked as well once the worker module has run.
+function createWorkerScope() {
+  const scope = new EventTarget();
+  scope.messages = [];
+  scope.postMessage = (message) => scope.messages.push(message);
+  return scope;
+}
+
+test('the bench worker still compiles and fires weapons after its lockdown', async () => {
+  const scope = createWorkerScope();
+  globalThis.self = scope;
+  await import('../src/weaponBenchWorker.js');
+  lockFunctionConstructors(globalThis);
+  assert.throws(() => new Function('return 1'), EvalError);
+
+  const code = 'for (const enemy of ctx.getEnemies()) enemy.takeDamage(10);';
+  scope.dispatchEvent(new MessageEvent('message', { data: { code, options: { seconds: 0.5 } } }));
+
+  const [message] = scope.messages;
+  assert.equal(message.ok, true);
+  assert.deepEqual(message.report.exceptions, []);
+  assert.ok(message.report.shots > 0);
+  assert.ok(message.report.damage > 0);
+});
+
+test('compile errors from the trusted compiler are reported, not thrown', () => {
+  const scope = globalThis.self;
+  scope.messages.length = 0;
+  scope.dispatchEvent(new MessageEvent('message', { data: { code: 'ctx.(', options: { seconds: 0.2 } } }));
+  const [message] = scope.messages;
+  assert.equal(message.ok, true);
+  assert.equal(message.report.shots, 0);
+  assert.equal(message.report.exceptions[0].source, 'compile');
+});
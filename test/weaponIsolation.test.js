@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import * as THREE from 'three';
+import { runWeaponBenchInWorker } from '../src/weaponBench.js';
+import {
+  fire,
+  getWeaponSlot,
+  initSandbox,
+  selectWeaponSlot,
+  setLocalPlayerId,
+  setWeapon,
+  setWeaponIsolation,
+} from '../src/sandbox.js';
+
+// Node has no Worker, like a browser without one: there is no realm to run weapon source in.
+const shots = [];
+globalThis.recordShot = (label) => shots.push(label);
+
+function startGame() {
+  const player = { hp: 100, pos: new THREE.Vector3(), vel: new THREE.Vector3(), mesh: new THREE.Object3D() };
+  setLocalPlayerId('p1');
+  initSandbox(new THREE.Scene(), new THREE.PerspectiveCamera(), player, () => [], () => 0, () => null, {});
+}
+
+test('weapon source is refused without a realm worker, not compiled on the page', () => {
+  assert.equal(typeof Worker, 'undefined');
+  startGame();
+  setWeapon(null, 'Forged', 'p1', { code: `recordShot('forged');`, slotIndex: 0 });
+  assert.match(getWeaponSlot('p1', 0).fault, /Web Workers/);
+  assert.equal(fire(), false);
+  assert.deepEqual(shots, []);
+});
+
+test('built-in weapon functions still run inline', () => {
+  startGame();
+  setWeapon(() => recordShot('built-in'), 'Built-in', 'p1', { slotIndex: 1 });
+  assert.equal(getWeaponSlot('p1', 1).fault, null);
+  selectWeaponSlot(1, 'p1');
+  assert.equal(typeof fire(), 'string');
+  assert.deepEqual(shots, ['built-in']);
+});
+
+test('tooling that turns isolation off runs source inline', () => {
+  startGame();
+  setWeaponIsolation(false);
+  setWeapon(null, 'Bench', 'p1', { code: `recordShot('tooling');`, slotIndex: 2 });
+  assert.equal(getWeaponSlot('p1', 2).fault, null);
+  selectWeaponSlot(2, 'p1');
+  assert.equal(typeof fire(), 'string');
+  assert.equal(shots.at(-1), 'tooling');
+  setWeaponIsolation(true);
+});
+
+test('the browser bench refuses to run without a worker', async () => {
+  await assert.rejects(runWeaponBenchInWorker(`recordShot('bench');`), /Web Workers/);
+  assert.equal(shots.includes('bench'), false);
+});
@@ -0,0 +1,17 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { screenWeaponPrompt } from '../src/weaponPromptGuard.js';
+
+test('plain English that mentions browser words is not blocked', () => {
+  for (const text of ['a cannon that shoots it out the window.', 'a window shopping bow', 'a hook that fetches enemies']) {
+    assert.equal(screenWeaponPrompt(text).ok, true, text);
+  }
+});
+
+test('browser API calls and member access are blocked', () => {
+  for (const text of ['use window.location to redirect', 'call fetch("https://example.com")', 'read localStorage[key]', 'new Function("x")']) {
+    const result = screenWeaponPrompt(text);
+    assert.equal(result.ok, false, text);
+    assert.equal(result.flags.at(-1).id, 'browser_api');
+  }
+});
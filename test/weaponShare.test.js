@@ -0,0 +1,18 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import zlib from 'node:zlib';
+import { createLoadoutExport, decodeWeaponShareCode, encodeWeaponShareCode } from '../src/weaponShare.js';
+
+test('a compressed loadout code round-trips', async () => {
+  const weapon = { name: 'Pop', code: 'ctx.explode(ctx.player.pos, { radius: 3, damage: 10 });', tier: 2, fireMode: 'instant' };
+  const share = await decodeWeaponShareCode(await encodeWeaponShareCode(createLoadoutExport([weapon, weapon, weapon, weapon], 1)));
+  assert.equal(share.kind, 'loadout');
+  assert.equal(share.activeIndex, 1);
+  assert.equal(share.weapons.length, 4);
+});
+
+test('a code that inflates past the limit is refused before it is fully inflated', async () => {
+  const bomb = `vf1.${zlib.deflateRawSync(Buffer.alloc(40e6, 32)).toString('base64url')}`;
+  assert.ok(bomb.length < 64000);
+  await assert.rejects(decodeWeaponShareCode(bomb), /inflates past/);
+});
@@ -0,0 +1,74 @@
+import assert from 'node:assert/strict';
+import test from 'node:test';
+import { validateWeaponCode } from '../src/weaponValidator.js';
+
+const errorsOf = (code) => validateWeaponCode(code).issues.filter((issue) => issue.severity === 'error');
+
+test('computed keys that can spell constructor are rejected', () => {
+  for (const code of [
+    `ctx.getEnemies['con' + 'structor']('return 1')();`,
+    `const k = 'con' + 'structor'; ctx.getEnemies[k]('return 1')();`,
+    `let k = 'con'; k += 'structor'; ctx.getEnemies[k];`,
+    'const tail = "structor"; ctx.getEnemies[`con${tail}`];',
+    `ctx.getEnemies[['con', 'structor'].join('')];`,
+    `function read(key) { return ctx.getEnemies[key]; } read('constructor');`,
+    `for (const key in { constructor: 1 }) ctx.getEnemies[key];`,
+    `ctx.getEnemies[ctx.player.name];`,
+    `const key = ctx.random() > 0.5 ? 'a' : 'constructor'; ctx.getEnemies[key];`,
+    `ctx.getEnemies.__proto__;`,
+  ]) {
+    assert.ok(errorsOf(code).length > 0, code);
+  }
+});
+
+test('numeric indexes and string-constant keys are allowed', () => {
+  const code = `
+    const COLORS = { fire: 0xff5522, ice: 0x88ccff };
+    let mode = 'fire';
+    if (ctx.random() > 0.5) mode = 'ice';
+    const color = COLORS[mode];
+    const list = [1, 2, 3];
+    list.forEach((value, i) => { list[i] = value * 2; });
+    for (let i = 0; i < list.length; i++) list[i] += 1;
+    const pick = list[Math.floor(ctx.random() * list.length)];
+    const last = list[list.length - 1];
+  `;
+  assert.deepEqual(errorsOf(code), []);
+});
+
+test('strings only count as page APIs when they are an identifier or member path', () => {
+  assert.deepEqual(errorsOf(`const label = 'window shopping'; const hint = 'fetch the flag';`), []);
+  assert.equal(errorsOf(`const name = 'fetch';`).length, 1);
+  assert.equal(errorsOf(`const path = 'window.document';`).length, 1);
+});
+
+test('this, with, reflection, and destructured prototype keys are rejected', () => {
+  for (const code of [
+    `(function () { return this; })().fetch('x');`,
+    `const o = { grab() { return this; } }; const grab = o.grab; grab();`,
+    `const self2 = this;`,
+    `Reflect.get(ctx.getEnemies, 'const' + 'ructor');`,
+    `Object.getOwnPropertyDescriptor(ctx.getEnemies, 'x');`,
+    `Object.getOwnPropertyDescriptors(ctx.getEnemies);`,
+    `const O = Object; O.getPrototypeOf(ctx.getEnemies);`,
+    `const { constructor: C } = ctx.getEnemies;`,
+    `const { ['__proto__']: p } = ctx.getEnemies;`,
+    `let C; ({ constructor: C } = ctx.getEnemies);`,
+    `function read({ prototype }) { return prototype; }`,
+    `with (ctx) { explode(player.pos, { radius: 3, damage: 10 }); }`,
+  ]) {
+    assert.ok(errorsOf(code).some((issue) => issue.id === 'forbidden_global'), code);
+  }
+});
+
+test('this inside a class body and plain Object calls are allowed', () => {
+  const code = `
+    class Orbiter {
+      constructor(angle) { this.angle = angle; }
+      step(dt) { this.angle += dt; return [1, 2].map(() => this.angle); }
+    }
+    const orbiters = Object.keys({ a: 1, b: 2 }).map((key, i) => new Orbiter(i));
+    const { x, y, z } = ctx.player.pos;
+  `;
+  assert.deepEqual(errorsOf(code), []);
+});
@@ -1,11 +1,56 @@
 import { defineConfig, loadEnv } from 'vite';
+import { REALM_WORKER_CSP, isRealmWorkerPath } from './src/weaponRealm/lockdown.js';
 
 export default defineConfig(({ mode }) => {
   const env = loadEnv(mode, process.cwd(), '');
   const openaiApiKey = env.OPENAI_API_KEY?.trim() ?? '';
+  const compatibleBaseUrl = env.LLM_BASE_URL?.trim().replace(/\/+$/, '') ?? '';
+  const compatibleApiKey = env.LLM_API_KEY?.trim() ?? '';
+  const localBaseUrl = env.LOCAL_LLM_URL?.trim().replace(/\/+$/, '') || 'http://127.0.0.1:11434/v1';
+
+  const sendConfigError = (res, message) => {
+    res.statusCode = 500;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ error: { message } }));
+  };
+
+  // Proxies an OpenAI-compatible base URL (e.g. https://host/v1) under a local path prefix.
+  const proxyChatBackend = (prefix, baseUrl, apiKey) => {
+    const target = new URL(baseUrl || 'http://127.0.0.1');
+    const basePath = target.pathname.replace(/\/+$/, '');
+    return {
+      target: target.origin,
+      changeOrigin: true,
+      rewrite: (path) => path.replace(new RegExp(`^${prefix}`), basePath),
+      configure: (proxy) => {
+        proxy.on('proxyReq', (proxyReq) => {
+          if (apiKey) {
+            proxyReq.setHeader('Authorization', `Bearer ${apiKey}`);
+          }
+        });
+      },
+    };
+  };
+
+  // A worker takes its CSP from the response that served its script.
+  const realmWorkerCsp = (req, res, next) => {
+    if (isRealmWorkerPath(req.url)) {
+      res.setHeader('Content-Security-Policy', REALM_WORKER_CSP);
+    }
+    next();
+  };
 
   return {
     plugins: [
+      {
+        name: 'weapon-realm-csp',
+        configureServer(server) {
+          server.middlewares.use(realmWorkerCsp);
+        },
+        configurePreviewServer(server) {
+          server.middlewares.use(realmWorkerCsp);
+        },
+      },
       {
         name: 'openai-env-guard',
         configureServer(server) {
@@ -15,13 +60,15 @@ export default defineConfig(({ mode }) => {
               return;
             }
 
-            res.statusCode = 500;
-            res.setHeader('Content-Type', 'application/json');
-            res.end(JSON.stringify({
-              error: {
-                message: 'Missing OPENAI_API_KEY in .env. Add it and restart the Vite dev server.',
-              },
-            }));
+            sendConfigError(res, 'Missing OPENAI_API_KEY in .env. Add it and restart the Vite dev server.');
+          });
+          server.middlewares.use('/llm/', (_req, res, next) => {
+            if (compatibleBaseUrl) {
+              next();
+              return;
+            }
+
+            sendConfigError(res, 'Missing LLM_BASE_URL in .env for the OpenAI-compatible provider. Add it and restart the Vite dev server.');
           });
         },
       },
@@ -40,6 +87,8 @@ export default defineConfig(({ mode }) => {
             });
           },
         },
+        '/llm/': proxyChatBackend('/llm', compatibleBaseUrl, compatibleApiKey),
+        '/llm-local': proxyChatBackend('/llm-local', localBaseUrl, ''),
       },
     },
   };